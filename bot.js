@@ -1,12 +1,28 @@
-require("dotenv").config();
-const { AttachmentBuilder } = require("discord.js");
-const { Client, GatewayIntentBits, Partials, Events } = require("discord.js");
-const fs = require("fs");
-const path = require("path");
+// quiet so the console's (--cli) stdout is only replies
+require("dotenv").config({ quiet: process.argv.includes("--cli") });
+const { AttachmentBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, Collection } = require("discord.js");
+const { Client, GatewayIntentBits, Partials, Events, PermissionFlagsBits, PermissionsBitField } = require("discord.js");
+const { SLASH_ARGS } = require("./commands");
+const { startDashboard } = require("./dashboard");
+const { parseCliArgs, startCli } = require("./cli");
+const { createLocks, LOCK_TIMEOUT, LOCK_EXPIRED } = require("./locks");
+const { splitShares, planSettlement } = require("./shares");
+const {
+  openStorage,
+  DEFAULT_LEDGER_KEY,
+  DATA_VERSION,
+  formatTxId,
+  formatBackupTime,
+  isLoanOpen,
+  normalizeLedger,
+  convertLedgerToCopper,
+  validateLedger,
+  importLedger,
+} = require("./storage");
 
 // ====== CONFIG ======
-const PREFIX = "!";
-const DATA_FILE = path.join(__dirname, "bank-data.json");
+const PREFIX = "!"; // the default; each server can pick its own with `!config prefix`
+const ADMIN_CHANNEL_ID = process.env.ADMIN_CHANNEL_ID || null; // gets storage warnings
 // ====================
 
 const client = new Client({
@@ -20,68 +36,193 @@ const client = new Client({
   partials: [Partials.Channel],
 });
 
-let busy = false;
+// commands that change the bank queue on these, see runLocked
+const locks = createLocks();
 
 // ============= DATA STORAGE =============
 
-let bankData = {
-  // accounts keyed by name string
-  balances: {}, // { [name: string]: number }
-  transactions: {}, // { [name: string]: [ { timestamp, type, amount, actorId, note } ] }
+// Every guild gets its own ledger, and a channel can be bound to a named campaign ledger
+// so two campaigns in one server don't collide on account names.
+// The JSON file or SQLite database behind them is picked by STORAGE in .env, see storage.js.
+let storage = null;
 
-  // default name per Discord user
-  profiles: {}, // { [discordUserId: string]: { name: string } }
+// options: --data/--storage of the console, see cli.js
+function loadData(options = null) {
+  storage = options ? openStorage(options.storage || undefined, options.data) : openStorage();
+  checkedRegistries.clear();
+}
 
-  // loans keyed by loanId
-  loans: {}, // { timestamp, borrowerName, lenderName, balance, status, actorId, note }
-  loanTransactions: {}, // { [loanId: string]: [ { timestamp, type, amount, actorId, note } ] }
-};
+function saveData() {
+  return storage.save();
+}
 
-function loadData() {
+// a command's changes are kept all together, or not at all when it throws. fn runs synchronously (storage
+// calls are), so a transaction is never left open while other code runs; whatever fn does after an await
+// is outside of it
+function inTransaction(fn) {
+  storage.begin();
   try {
-    if (fs.existsSync(DATA_FILE)) {
-      const raw = fs.readFileSync(DATA_FILE, "utf8");
-      bankData = JSON.parse(raw);
-
-      // backward compatibility / safety
-      if (!bankData.balances) bankData.balances = {};
-      if (!bankData.transactions) bankData.transactions = {};
-      if (!bankData.profiles) bankData.profiles = {};
-      if (!bankData.loans) bankData.loans = {};
-      if (!bankData.loanTransactions) bankData.loanTransactions = {};
-    }
+    const result = fn();
+    storage.commit();
+    return result;
   } catch (err) {
-    console.error("Failed to load bank data:", err);
+    storage.rollback();
+    throw err;
   }
 }
 
-function saveData() {
-  try {
-    fs.writeFileSync(DATA_FILE, JSON.stringify(bankData, null, 2), "utf8");
-  } catch (err) {
-    console.error("Failed to save bank data:", err);
+// posts to ADMIN_CHANNEL_ID if one is configured; the console gets it either way
+function notifyAdmins(text) {
+  console.warn(text);
+  if (!ADMIN_CHANNEL_ID) return;
+  client.channels
+    .fetch(ADMIN_CHANNEL_ID)
+    .then((channel) => channel.send(text))
+    .catch((err) => console.error("Failed to notify admin channel:", err));
+}
+
+// ============= LEDGERS & CAMPAIGNS =============
+
+const DEFAULT_GUILD_SETTINGS = {
+  coinDisplay: "gp", // "gp" (single GP figure) | "coins" (gp/sp/cp breakdown)
+  coinTracking: "value", // "value" (balance only) | "physical" (actual coins per account)
+  loanFunding: "separate", // "separate" (loans don't touch balances) | "funded" (GP moves through balances)
+  loanOverpay: "refund", // repaying more than is owed: "refund" (only take what's owed) | "reject"
+  timezone: "UTC", // IANA name dates are shown in, e.g. "Europe/Berlin"
+  // the rest is changed with `!config`, see CONFIG_KEYS
+  prefix: PREFIX,
+  currency: "GP", // unit shown after amounts
+  symbol: "", // shown before amounts instead of the unit, e.g. "$"
+  numbers: "plain", // "plain" (1234.5) or a locale for separators, e.g. "en-US" (1,234.5) or "de-DE" (1.234,5)
+  historySize: 10, // `!history` entries shown without a count, and the most a count can ask for
+  historyMax: 20,
+  leaderboardSize: 10, // the same for `!leaderboard` rows
+  leaderboardMax: 10,
+  nameLength: 32, // longest account, party and campaign name
+  autoCreate: true, // a deposit or transfer to an unknown name opens the account
+  negativeBalances: false, // withdrawals may go below zero (value tracking only)
+};
+
+function normalizeCampaignKey(name) {
+  return String(name || "").trim().toLowerCase();
+}
+
+function getGuildConfig(guildId) {
+  if (!storage.data.guilds[guildId]) {
+    storage.data.guilds[guildId] = { campaigns: {}, channels: {} };
   }
+  const guild = storage.data.guilds[guildId];
+  if (!guild.campaigns) guild.campaigns = {};
+  if (!guild.channels) guild.channels = {};
+  // filled in place: commands hold on to these objects and change them directly
+  guild.settings = withDefaults(guild.settings || {}, DEFAULT_GUILD_SETTINGS);
+  guild.permissions = withDefaults(guild.permissions || {}, DEFAULT_GUILD_PERMISSIONS);
+  return guild;
 }
 
-function getBalance(accountName) {
-  return bankData.balances[accountName] || 0;
+function withDefaults(target, defaults) {
+  for (const [key, value] of Object.entries(defaults)) {
+    if (target[key] === undefined) target[key] = Array.isArray(value) ? [...value] : value;
+  }
+  return target;
+}
+
+// DMs belong to no server, so they get the defaults
+function getGuildSettings(message) {
+  if (!message.guildId) return { ...DEFAULT_GUILD_SETTINGS };
+  return getGuildConfig(message.guildId).settings;
 }
 
-function setBalance(accountName, amount) {
-  bankData.balances[accountName] = amount;
+// read without filling in the server's config, since most messages aren't commands
+function getPrefix(guildId) {
+  const guild = guildId ? storage.data.guilds[guildId] : null;
+  return (guild && guild.settings && guild.settings.prefix) || PREFIX;
 }
 
-function recordTransaction(accountName, type, amount, actorId, note) {
-  if (!bankData.transactions[accountName]) {
-    bankData.transactions[accountName] = [];
+function getGuildLedgerKey(guildId) {
+  // the first guild to use the bot after migration inherits the pre-ledger data
+  if (!storage.data.homeGuildId) {
+    storage.data.homeGuildId = guildId;
+    console.log(`Guild ${guildId} is now the home guild (default ledger)`);
   }
-  bankData.transactions[accountName].push({
+  if (storage.data.homeGuildId === guildId) return DEFAULT_LEDGER_KEY;
+  return `guild:${guildId}`;
+}
+
+function getCampaignLedgerKey(guildId, campaignKey) {
+  return `campaign:${guildId}:${campaignKey}`;
+}
+
+// threads follow the campaign of their parent channel
+function getBoundCampaignKey(message) {
+  if (!message.guildId) return null;
+  const guild = storage.data.guilds[message.guildId];
+  if (!guild || !guild.channels) return null;
+
+  const channel = message.channel || {};
+  const campaignKey = guild.channels[channel.id] || (channel.parentId && guild.channels[channel.parentId]);
+  if (!campaignKey || !guild.campaigns[campaignKey]) return null;
+  return campaignKey;
+}
+
+function getLedgerKeyForMessage(message) {
+  // anyone can DM the bot, so a DM can't act for any server's bank (runCommand refuses them)
+  if (!message.guildId) throw new Error("DMs have no ledger");
+  const campaignKey = getBoundCampaignKey(message);
+  if (campaignKey) return getCampaignLedgerKey(message.guildId, campaignKey);
+  return getGuildLedgerKey(message.guildId);
+}
+
+function getLedger(message) {
+  const key = getLedgerKeyForMessage(message);
+  const ledger = storage.getLedger(key);
+  ensureAccountRegistry(ledger, key);
+  return ledger;
+}
+
+// describes which ledger a message is using, for command replies
+function describeLedger(message) {
+  const campaignKey = getBoundCampaignKey(message);
+  if (!campaignKey) return "the server ledger";
+  const campaign = storage.data.guilds[message.guildId].campaigns[campaignKey];
+  return `campaign **${campaign.name}**`;
+}
+
+// ============= LEDGER HELPERS =============
+
+function getBalance(ledger, accountName) {
+  return ledger.getBalance(accountName);
+}
+
+function setBalance(ledger, accountName, amount) {
+  ledger.setBalance(accountName, amount);
+}
+
+function recordTransaction(ledger, accountName, type, amount, actorId, note, extra) {
+  const entry = {
+    id: nextTxId(ledger),
     timestamp: new Date().toISOString(),
-    type, // "deposit" | "withdraw"
+    type, // "deposit" | "withdraw" | "transfer_out" | "transfer_in" | "loan_*" | "repay_*" | "split_*" | "exchange" | "void"
+    //       | "stash" | "unstash" | "sell"
     amount,
     actorId,
     note: note || "",
-  });
+    ...sessionTag(ledger), // { sessionId } while a game session is open
+    ...extra, // transfers: { transferId, counterparty }, voids: { voids, reverses }, funded loans: { loanId, loanTxId, counterparty },
+    // splits: { splitId, counterparty? }, vault items: { item, qty, value, was?, became? }
+  };
+  ensureAccount(ledger, accountName, actorId);
+  ledger.addTransaction(accountName, entry);
+  return entry;
+}
+
+// short ids like "tx1f", unique within a ledger and shared by bank and loan entries
+function nextTxId(ledger) {
+  return formatTxId(ledger.nextTxSeq());
+}
+
+function txSeqOf(txId) {
+  return parseInt(String(txId || "").slice(2), 36) || 0;
 }
 
 function normalizeLoanId(id) {
@@ -91,104 +232,284 @@ function normalizeLoanId(id) {
   return id.substring(0, 64);
 }
 
-function getLoan(loanId) {
-  return bankData.loans[loanId] || null;
+function getLoan(ledger, loanId) {
+  return ledger.getLoan(loanId);
 }
 
-function ensureLoanTxList(loanId) {
-  if (!bankData.loanTransactions[loanId]) {
-    bankData.loanTransactions[loanId] = [];
-  }
-  return bankData.loanTransactions[loanId];
+// loans handed out by the ledger are copies under SQLite; changes only stick once saved
+function saveLoan(ledger, loanId, loan) {
+  ledger.saveLoan(loanId, loan);
 }
 
-function recordLoanTransaction(loanId, type, amount, actorId, note) {
-  ensureLoanTxList(loanId).push({
+function recordLoanTransaction(ledger, loanId, type, amount, actorId, note, extra) {
+  const entry = {
+    id: nextTxId(ledger),
     timestamp: new Date().toISOString(),
-    type, // "loan" | "repay" | "accrue" | "resolve"
+    type, // "loan" | "repay" | "accrue" | "forgive" | "resolve" | "close" | "reopen" | "edit" | "void" | "terms"
     amount,
     actorId,
     note: note || "",
-  });
+    ...sessionTag(ledger),
+    ...extra,
+  };
+  ledger.addLoanTransaction(loanId, entry);
+  return entry;
 }
 
-function isLoanId(str) {
+function isLoanId(ledger, str) {
   const id = normalizeLoanId(str);
   if (!id) return false;
-  return !!bankData.loans[id] || !!bankData.loanTransactions[id];
+  return ledger.hasLoanId(id);
 }
 
-function getTopGpEntries(limit) {
-  return Object.entries(bankData.balances || {})
-    .map(([name, bal]) => [String(name), Number(bal) || 0])
-    .filter(([, bal]) => Number.isFinite(bal) && bal > 0)
-    .sort((a, b) => b[1] - a[1])
-    .slice(0, limit);
+function getTopGpEntries(ledger, limit) {
+  return ledger.getTopBalances(limit);
 }
 
-function getTopDebtEntries(limit) {
-  const debtByBorrower = {}; // { [borrowerName]: number }
-
-  for (const [, loan] of Object.entries(bankData.loans || {})) {
-    if (!loan) continue;
-    if (loan.status === "resolved") continue;
-
-    const bal = Number(loan.balance) || 0;
-    if (!Number.isFinite(bal) || bal <= 0) continue;
-
-    const borrowerName = loan.borrowerName || "Unknown";
-    debtByBorrower[borrowerName] = (debtByBorrower[borrowerName] || 0) + bal;
-  }
-
-  return Object.entries(debtByBorrower)
-    .map(([name, debt]) => ({ name, debt }))
-    .filter((v) => Number.isFinite(v.debt) && v.debt > 0)
-    .sort((a, b) => b.debt - a.debt)
-    .slice(0, limit);
+function getTopDebtEntries(ledger, limit) {
+  return ledger.getTopDebts(limit);
 }
 
 // ============= NAME PROFILES =============
 
-function getDefaultNameForUser(user) {
-  const profile = bankData.profiles[user.id];
-  return profile && profile.name ? profile.name : user.username;
+function getDefaultNameForUser(ledger, user) {
+  const profile = ledger.getProfile(user.id);
+  return profile && profile.name ? profile.name : canonicalName(ledger, user.username);
 }
 
-function setDefaultNameForUser(user, name) {
-  if (!bankData.profiles[user.id]) {
-    bankData.profiles[user.id] = {};
-  }
-  name = name.split(" ")[0].substr(0, 32);
-  bankData.profiles[user.id].name = name.trim();
+function setDefaultNameForUser(ledger, user, name) {
+  const profile = ledger.getProfile(user.id) || {};
+  name = name.split(" ")[0];
+  profile.name = name.trim();
+  ledger.setProfile(user.id, profile);
 }
 
 // resolve account name from argument or mention, else caller default
 function resolveAccountName(message, firstArg) {
+  const ledger = getLedger(message);
   if (message.mentions.users.size > 0) {
     const targetUser = message.mentions.users.first();
-    return getDefaultNameForUser(targetUser);
+    return getDefaultNameForUser(ledger, targetUser);
+  }
+  if (firstArg) return canonicalName(ledger, firstArg);
+  return getDefaultNameForUser(ledger, message.author);
+}
+
+// resolve one argument that may be a mention token (<@id>) or a plain name;
+// unlike resolveAccountName this keeps working when a command takes several names
+function resolveNameArg(message, arg) {
+  const raw = String(arg || "").trim();
+  const match = /^<@!?(\d+)>$/.exec(raw);
+  if (match) {
+    const u = message.mentions.users.get(match[1]);
+    if (u) return getDefaultNameForUser(getLedger(message), u);
   }
-  if (firstArg) return firstArg;
-  return getDefaultNameForUser(message.author);
+  return canonicalName(getLedger(message), raw);
 }
 
 // For loan commands we need BOTH id and name when possible
 function resolvePersonFromArgOrMention(message, arg) {
+  const ledger = getLedger(message);
   if (message.mentions.users.size > 0) {
     const u = message.mentions.users.first();
-    return { id: u.id, name: getDefaultNameForUser(u), fromMention: true };
+    return { id: u.id, name: getDefaultNameForUser(ledger, u), fromMention: true };
+  }
+  if (arg) return { id: null, name: canonicalName(ledger, arg), fromMention: false };
+  return { id: message.author.id, name: getDefaultNameForUser(ledger, message.author), fromMention: false };
+}
+
+// ============= ACCOUNTS =============
+
+// The registry gives every account one canonical spelling plus aliases (nicknames, Discord usernames),
+// so "vani", "Vani" and an alias all land on the same balance. Lookups ignore case.
+const MAX_SUGGESTIONS = 3;
+const checkedRegistries = new Set(); // ledger keys whose registry was built or checked since loading
+
+function accountKey(name) {
+  return String(name || "").trim().toLowerCase();
+}
+
+// { key, account } for a registered name or alias, or null
+function findAccount(ledger, name) {
+  const key = accountKey(name);
+  if (!key) return null;
+  const account = ledger.getAccount(key);
+  if (account) return { key, account };
+  const entry = Object.entries(ledger.getAccounts()).find(([, a]) => a.aliases.some((alias) => accountKey(alias) === key));
+  return entry ? { key: entry[0], account: entry[1] } : null;
+}
+
+// the registered spelling of a name or alias; unknown names come back as typed
+function canonicalName(ledger, name) {
+  const found = findAccount(ledger, name);
+  return found ? found.account.name : String(name || "").trim();
+}
+
+function ensureAccount(ledger, name, actorId) {
+  if (!name || findAccount(ledger, name)) return false;
+  ledger.saveAccount(accountKey(name), { name, aliases: [], timestamp: new Date().toISOString(), actorId: actorId || null });
+  return true;
+}
+
+function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+// registered accounts whose name or an alias is a likely typo of name
+function suggestAccountNames(ledger, name) {
+  const key = accountKey(name);
+  const maxDistance = key.length > 4 ? 2 : 1;
+  const isClose = (other) => {
+    const k = accountKey(other);
+    if (key.length >= 3 && (k.startsWith(key) || key.startsWith(k))) return true;
+    return editDistance(k, key) <= maxDistance;
+  };
+  return Object.values(ledger.getAccounts())
+    .filter((a) => [a.name, ...a.aliases].some(isClose))
+    .map((a) => a.name)
+    .slice(0, MAX_SUGGESTIONS);
+}
+
+// a typed name nobody uses yet is most likely a typo when it is close to an existing account;
+// returns the refusal, or null when the name may be used (and opens an account if it is new)
+function checkTypedAccount(ledger, name) {
+  if (findAccount(ledger, name)) return null;
+  const suggestions = suggestAccountNames(ledger, name);
+  if (!suggestions.length) return null;
+  return (
+    `There is no account named **${name}**. Did you mean ${suggestions.map((n) => `**${n}**`).join(" or ")}?\n` +
+    `To open a new account with that name, use \`!account create ${name}\` first.`
+  );
+}
+
+// with `!config autocreate off`, money and items only go to accounts opened with `!account create` first
+function checkNewAccounts(ledger, settings, names) {
+  if (settings.autoCreate) return null;
+  const name = names.find((n) => n && !findAccount(ledger, n));
+  if (!name) return null;
+  return (
+    `There is no account named **${name}**, and new accounts aren't opened on their own on this server.\n` +
+    `Open it with \`!account create ${name}\` first.`
+  );
+}
+
+// moves everything filed under one account name to another: balance, purse and bank entries (merged when
+// the target exists; pending withdrawal requests go along with them), loan borrower/lender names, claimed
+// profile names, recurring rules, party treasuries and members
+function renameAccountEverywhere(ledger, from, to) {
+  ledger.renameAccount(from, to);
+
+  for (const { loanId, ...loan } of findLoans(ledger, {})) {
+    const borrower = eqName(loan.borrowerName, from);
+    const lender = eqName(loan.lenderName, from);
+    if (!borrower && !lender) continue;
+    if (borrower) loan.borrowerName = to;
+    if (lender) loan.lenderName = to;
+    saveLoan(ledger, loanId, loan);
+  }
+
+  for (const [userId, profile] of Object.entries(ledger.getProfiles())) {
+    if (profile && eqName(profile.name, from)) ledger.setProfile(userId, { ...profile, name: to });
+  }
+
+  for (const [id, rule] of Object.entries(ledger.listRecurring())) {
+    if (eqName(rule.accountName, from)) ledger.saveRecurring(id, { ...rule, accountName: to });
+  }
+
+  const treasury = getParty(ledger, from);
+  if (treasury && partyKey(from) !== partyKey(to)) ledger.deleteParty(partyKey(from));
+  if (treasury) ledger.saveParty(partyKey(to), { ...treasury, name: to });
+  // a member merged into another member of the same party is one member now, with both weights
+  for (const [key, party] of Object.entries(ledger.getParties())) {
+    const renamed = party.members.some((m) => !m.userId && eqName(m.name, from));
+    const members = [];
+    for (const m of party.members) {
+      const member = !m.userId && eqName(m.name, from) ? { ...m, name: to } : { ...m };
+      const kept = eqName(memberName(ledger, member), to) && members.find((k) => eqName(memberName(ledger, k), to));
+      if (!kept) members.push(member);
+      else kept.weight += member.weight;
+    }
+    if (!renamed && members.length === party.members.length) continue;
+    party.members = members;
+    ledger.saveParty(key, party);
+  }
+}
+
+// Ledgers from before the registry (or merged in by !importdb) get their names registered the first time
+// they are used. Spellings that differed only in case were separate accounts then; they are merged onto one
+// name: the registered one, else the spelling someone claimed with !setname, else the one with the most entries.
+function ensureAccountRegistry(ledger, ledgerKey) {
+  if (checkedRegistries.has(ledgerKey) || storage.readOnlyReason) return;
+  checkedRegistries.add(ledgerKey);
+
+  const claimed = Object.values(ledger.getProfiles()).map((p) => p && p.name).filter(Boolean);
+  const names = [
+    ...claimed,
+    ...Object.keys(ledger.getBalances()),
+    ...Object.values(ledger.getParties()).map((p) => p.name),
+    ...findLoans(ledger, {}).flatMap((loan) => [loan.borrowerName, loan.lenderName]),
+  ].filter(Boolean);
+
+  const groups = new Map(); // { [accountKey]: [spelling] } of names the registry doesn't have as they are
+  for (const name of names) {
+    const found = findAccount(ledger, name);
+    if (found && found.account.name === name) continue;
+    const key = found ? found.key : accountKey(name);
+    const spellings = groups.get(key) || (found ? [found.account.name] : []);
+    if (!spellings.includes(name)) spellings.push(name);
+    groups.set(key, spellings);
+  }
+  if (!groups.size) return;
+
+  // fetched again once the transaction is open, so a rollback puts this ledger back too
+  storage.begin();
+  try {
+    ledger = storage.getLedger(ledgerKey);
+    for (const [key, spellings] of groups) {
+      const registered = ledger.getAccount(key);
+      const canonical = registered
+        ? registered.name
+        : spellings.find((n) => claimed.includes(n)) ||
+          [...spellings].sort((a, b) => ledger.getTransactions(b).length - ledger.getTransactions(a).length)[0];
+      for (const spelling of spellings) if (spelling !== canonical) renameAccountEverywhere(ledger, spelling, canonical);
+      if (!registered) ensureAccount(ledger, canonical, null);
+      if (spellings.length > 1) console.log(`Merged accounts ${spellings.join(", ")} into ${canonical} (${ledgerKey})`);
+    }
+    storage.commit();
+  } catch (err) {
+    storage.rollback();
+    throw err;
   }
-  if (arg) return { id: null, name: String(arg).trim(), fromMention: false };
-  return { id: message.author.id, name: getDefaultNameForUser(message.author), fromMention: false };
 }
 
 // ============= UTILS =============
 
-function parseAmount(str) {
-  if (!str) return null;
-  const n = Number(str);
-  if (!Number.isFinite(n) || n <= 0) return null;
-  return Math.floor(n);
+// Discord rejects messages over 2000 characters; split long replies on line boundaries
+const MAX_MESSAGE_LENGTH = 2000;
+
+async function sendChunked(message, text) {
+  const chunks = [];
+  let current = "";
+  for (const line of text.split("\n")) {
+    const candidate = current ? `${current}\n${line}` : line;
+    if (candidate.length > MAX_MESSAGE_LENGTH && current) {
+      chunks.push(current);
+      current = line.substring(0, MAX_MESSAGE_LENGTH);
+    } else {
+      current = candidate.substring(0, MAX_MESSAGE_LENGTH);
+    }
+  }
+  if (current) chunks.push(current);
+
+  for (const chunk of chunks) await message.channel.send(chunk);
 }
 
 function eqName(a, b) {
@@ -202,342 +523,4492 @@ function generateLoanId(borrowerName, lenderName) {
   return safe;
 }
 
-function findOpenLoans(borrowerName, lenderName) {
-  return Object.entries(bankData.loans || {})
-    .filter(([, loan]) => loan && loan.status !== "resolved")
-    .filter(([, loan]) => eqName(loan.borrowerName, borrowerName) && eqName(loan.lenderName, lenderName))
-    .map(([loanId, loan]) => ({ loanId, ...loan }));
+function generateTransferId() {
+  return `xfer_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
 }
 
+// [{ loanId, ...loan }]; filter is { borrower, lender, open }, names matched case-insensitively
+function findLoans(ledger, filter) {
+  return ledger.findLoans(filter);
+}
 
-// ============= COMMAND HANDLING =============
+function findOpenLoans(ledger, borrowerName, lenderName) {
+  return findLoans(ledger, { borrower: borrowerName, lender: lenderName, open: true });
+}
 
-client.on("ready", () => {
-  console.log("Bank bot ready");
-  loadData();
-});
 
-client.on(Events.MessageCreate, (receivedMessage) => {
-  if (receivedMessage.author.bot) return;
-  if (!receivedMessage.content.startsWith(PREFIX)) return;
+// ============= COINS =============
 
-  processCommand(receivedMessage).catch((err) => {
-    console.error("Error in command:", err);
-    receivedMessage.channel.send("Something went wrong processing that command.");
-    busy = false;
-  });
-});
+// values in copper pieces, largest first
+const COINS = [
+  { key: "pp", value: 1000 },
+  { key: "gp", value: 100 },
+  { key: "ep", value: 50 },
+  { key: "sp", value: 10 },
+  { key: "cp", value: 1 },
+];
+const COIN_VALUES = Object.fromEntries(COINS.map((c) => [c.key, c.value]));
+const CP_PER_GP = COIN_VALUES.gp;
 
-async function processCommand(receivedMessage) {
-  const fullCommand = receivedMessage.content.slice(PREFIX.length).trim();
-  if (!fullCommand.length) return;
+// change is handed out in the everyday coins only, so 1500 GP doesn't turn into platinum
+const CHANGE_COINS = COINS.filter((c) => ["gp", "sp", "cp"].includes(c.key));
 
-  const splitCommand = fullCommand.split(/\s+/);
-  const primaryCommand = splitCommand[0].toLowerCase();
-  const args = splitCommand.slice(1);
+const NUMBER_TOKEN = /^(?:\d+(?:\.\d+)?|\.\d+)$/;
+const DENOM_TOKEN = /^(?:pp|gp|ep|sp|cp)$/i;
+const COIN_TOKEN = /^(?:(?:\d+(?:\.\d+)?|\.\d+)(?:pp|gp|ep|sp|cp))+$/i;
+const COIN_PART = /(\d+(?:\.\d+)?|\.\d+)(pp|gp|ep|sp|cp)/gi;
 
-  console.log("Command received:", primaryCommand, "Args:", args.join(" "));
+function emptyCoins() {
+  return { pp: 0, gp: 0, ep: 0, sp: 0, cp: 0 };
+}
 
-  if (primaryCommand === "help") return helpCommand(receivedMessage);
-  if (primaryCommand === "exportdb") return exportDbCommand(receivedMessage);
-  if (primaryCommand === "setname") return setNameCommand(receivedMessage, args);
+function coinsValue(coins) {
+  return COINS.reduce((sum, c) => sum + (Number(coins[c.key]) || 0) * c.value, 0);
+}
 
-  if (["deposit", "withdraw"].includes(primaryCommand)) {
-    if (busy) return receivedMessage.channel.send("Busy processing another transaction, try again in a moment.");
-    busy = true;
-    try {
-      if (primaryCommand === "deposit") await depositCommand(receivedMessage, args);
-      else await withdrawCommand(receivedMessage, args);
-      saveData();
-    } finally {
-      busy = false;
-    }
-    return;
+function breakdownCoins(cp) {
+  const coins = emptyCoins();
+  let rest = Math.max(0, Math.floor(cp));
+  for (const c of CHANGE_COINS) {
+    coins[c.key] = Math.floor(rest / c.value);
+    rest -= coins[c.key] * c.value;
   }
+  return coins;
+}
 
-  if (primaryCommand === "balance") return balanceCommand(receivedMessage, args);
+function addCoins(target, coins) {
+  for (const c of COINS) target[c.key] = (Number(target[c.key]) || 0) + (Number(coins[c.key]) || 0);
+  return target;
+}
 
-  if (["loan", "repay", "accrue"].includes(primaryCommand)) {
-    if (busy) return receivedMessage.channel.send("Busy processing another transaction, try again in a moment.");
-    busy = true;
-    try {
-      if (primaryCommand === "loan") await loanCommand(receivedMessage, args);
-      else if (primaryCommand === "repay") await repayCommand(receivedMessage, args);
-      else await accrueCommand(receivedMessage, args);
-      saveData();
-    } finally {
-      busy = false;
+// fractional coins ("2.5pp") become whole coins plus change in smaller denominations
+function normalizeCoins(coins) {
+  const whole = emptyCoins();
+  let change = 0;
+  for (const c of COINS) {
+    const n = Number(coins[c.key]) || 0;
+    whole[c.key] = Math.floor(n);
+    change += Math.floor((n - whole[c.key]) * c.value + 1e-9);
+  }
+  return addCoins(whole, breakdownCoins(change));
+}
+
+function isAmountArg(arg) {
+  const token = String(arg || "");
+  return NUMBER_TOKEN.test(token) || COIN_TOKEN.test(token);
+}
+
+// parse an amount starting at args[start]: "300" (GP), "2.5pp", "3gp 5sp 12cp", "3 gp 5 sp";
+// returns { amount, coins, next } with amount in copper and next the index after the amount, or null
+function parseAmountArgs(args, start) {
+  const coins = emptyCoins();
+  let i = start;
+  let found = false;
+
+  while (i < args.length) {
+    const token = String(args[i]);
+    if (COIN_TOKEN.test(token)) {
+      for (const [, n, denom] of token.matchAll(COIN_PART)) coins[denom.toLowerCase()] += Number(n);
+      i += 1;
+    } else if (NUMBER_TOKEN.test(token) && DENOM_TOKEN.test(String(args[i + 1] || ""))) {
+      coins[String(args[i + 1]).toLowerCase()] += Number(token);
+      i += 2;
+    } else if (!found && NUMBER_TOKEN.test(token)) {
+      // a bare number is GP and ends the amount, so "!deposit 300 5 potions" keeps its note
+      coins.gp += Number(token);
+      i += 1;
+      found = true;
+      break;
+    } else {
+      break;
     }
-    return;
+    found = true;
   }
 
-  if (primaryCommand === "debt") return debtCommand(receivedMessage, args);
-  if (primaryCommand === "debtors") return debtorsCommand(receivedMessage, args);
-  if (primaryCommand === "history") return historyCommand(receivedMessage, args);
-  if (primaryCommand === "leaderboard") return leaderboardCommand(receivedMessage, args);
+  if (!found) return null;
+  const normalized = normalizeCoins(coins);
+  const amount = coinsValue(normalized);
+  if (!Number.isFinite(amount) || amount <= 0) return null;
+  return { amount, coins: normalized, next: i };
+}
 
-  receivedMessage.channel.send("Unknown command. Try `!help`.");
+function parseAmount(str) {
+  const parsed = parseAmountArgs(String(str || "").trim().split(/\s+/), 0);
+  return parsed ? parsed.amount : null;
 }
 
-// ============= COMMANDS =============
+const numberFormats = new Map();
 
-function helpCommand(message) {
-  const text = [
-    "**Bank Bot Commands**",
-    "`!setname <name>` - Set your default bank account name.",
-    "`!deposit <amount> [note...]` - Add GP to your balance.",
-    "`!deposit <@user|name> <amount> [note...]` - Add GP to someone else's balance.",
-    "`!withdraw <amount> [note...]` - Remove GP from your balance.",
-    "`!withdraw <@user|name> <amount> [note...]` - Remove GP from someone else's balance.",
-    "`!balance` - Show your balance.",
-    "`!balance <@user|name>` - Show someone else's balance.",
-    "",
-    "**Loans (separate from bank balance)**",
-    "`!loan <amount> <lender> [note...]` - Create a loan for you (borrower = you).",
-    "`!loan <@user|name> <amount> <lender> [note...]` - Create a loan for a borrower.",
-    "`!repay <amount> <lender|loan_id>` - Repay part/all of your loan to that lender.",
-    "`!repay <@user|name> <amount> <lender|loan_id>` - Repay part/all of a borrower's loan.",
-    "`!accrue <amount> <lender|loan_id>` - Add interest/fees to your loan to that lender.",
-    "`!accrue <@user|name> <amount> <lender|loan_id>` - Add interest/fees to a borrower's loan.",
-    "`!debt <@user|name>` - List unresolved loans of a borrower.",
-    "`!debtors <@user|name>` - List unresolved loans where that person is the lender.",
-    "",
-    "`!history <count>` - Show your recent bank transactions.",
-    "`!history <@user|name> <count>` - Show recent bank transactions for an account name/user.",
-    "`!leaderboard <count>` - Show leaderboards (max 10).",
-    "`!exportdb` - Export the current JSON database file (admin / trusted use).",
-    "",
-    "Examples:",
-    "`!setname Malakai`",
-    "`!deposit 300 Session 3 rewards`",
-    "`!deposit Vani 300 Session 3 rewards`",
-    "`!withdraw 50 Bought potions`",
-    "`!withdraw Vani 50 Bought potions`",
-    "`!balance`",
-    "`!balance Vani`",
-    "`!loan 100 Vixil`",
-    "`!loan Vani 100 Vixil Tuning cost`",
-    "`!repay 50 Vixil`",
-    "`!accrue 10 Vixil`",
-    "`!debt Malakai`",
-    "`!debtors Vixil`",
-    "`!history 10`",
-    "`!history Vani 10`",
-    "`!leaderboard 10`",
-  ].join("\n");
-
-  message.channel.send(text);
+// the number in GP, with the separators of the server's `numbers` locale
+function formatGp(cp, settings) {
+  const gp = cp / CP_PER_GP;
+  const locale = settings ? settings.numbers : "plain";
+  if (locale === "plain") return Number.isInteger(gp) ? String(gp) : gp.toFixed(2).replace(/0+$/, "");
+  if (!numberFormats.has(locale)) {
+    numberFormats.set(locale, new Intl.NumberFormat(locale, { maximumFractionDigits: 2 }));
+  }
+  return numberFormats.get(locale).format(gp);
 }
 
-function exportDbCommand(message) {
-  // !exportdb
-  try {
-    if (!fs.existsSync(DATA_FILE)) return message.channel.send("Database file not found.");
+// "300 GP", or "$300" with a currency symbol
+function formatValue(cp, settings) {
+  const sign = cp < 0 ? "-" : "";
+  const number = formatGp(Math.abs(cp), settings);
+  if (settings && settings.symbol) return `${sign}${settings.symbol}${number}`;
+  return `${sign}${number} ${settings ? settings.currency : "GP"}`;
+}
 
-    const file = new AttachmentBuilder(DATA_FILE, { name: "bank-data.json" });
-    return message.channel.send({
-      content: "Here is the current database file:",
-      files: [file],
-    });
-  } catch (err) {
-    console.error("Failed to export database:", err);
-    return message.channel.send("Could not export the database.");
+function formatCoins(coins) {
+  const parts = COINS.filter((c) => coins[c.key]).map((c) => `${coins[c.key]} ${c.key}`);
+  return parts.length ? parts.join(" ") : "0 gp";
+}
+
+function formatMoney(cp, settings) {
+  const sign = cp < 0 ? "-" : "";
+  const abs = Math.abs(cp);
+  if (settings && settings.coinDisplay === "coins") return sign + formatCoins(breakdownCoins(abs));
+  return formatValue(cp, settings);
+}
+
+// pay a value out of a purse: largest coins first without overpaying, then break one coin for change
+function spendValue(purse, cp) {
+  let rest = cp;
+  for (const c of COINS) {
+    const n = Math.min(purse[c.key], Math.floor(rest / c.value));
+    purse[c.key] -= n;
+    rest -= n * c.value;
+  }
+  if (rest > 0) {
+    // every coin left is worth more than the rest, so the smallest one covers it
+    const coin = [...COINS].reverse().find((c) => purse[c.key] > 0 && c.value > rest);
+    if (!coin) throw new Error("Purse cannot cover the amount");
+    purse[coin.key] -= 1;
+    addCoins(purse, breakdownCoins(coin.value - rest));
   }
 }
 
-function setNameCommand(message, args) {
-  // !setname <name>
-  if (!args.length) return message.channel.send("Usage: `!setname <name>`");
+// hand over the requested coins, making change from other coins where a denomination runs short
+function spendCoins(purse, coins) {
+  let shortfall = 0;
+  for (const c of COINS) {
+    const n = Math.min(purse[c.key], coins[c.key] || 0);
+    purse[c.key] -= n;
+    shortfall += ((coins[c.key] || 0) - n) * c.value;
+  }
+  if (shortfall > 0) spendValue(purse, shortfall);
+}
 
-  const name = args.join(" ").trim();
-  if (!name.length) return message.channel.send("Name cannot be empty.");
-  if (name.length > 32) return message.channel.send("Name is too long (max 32 characters).");
+// purses fall out of step when balances change while tracking is off; reconcile them by value
+function getPurse(ledger, accountName) {
+  const purse = ledger.getPurse(accountName) || emptyCoins();
+  const diff = getBalance(ledger, accountName) - coinsValue(purse);
+  if (diff > 0) addCoins(purse, breakdownCoins(diff));
+  if (diff < 0) spendValue(purse, -diff);
+  return purse;
+}
 
-  setDefaultNameForUser(message.author, name);
-  saveData();
-  message.channel.send(`Your default bank name is now **${name}**.`);
+// credit (direction 1) or debit (direction -1) an account; under physical tracking the coins move too
+function adjustAccount(ledger, settings, accountName, coins, direction) {
+  if (settings.coinTracking === "physical") {
+    const purse = getPurse(ledger, accountName);
+    if (direction > 0) addCoins(purse, coins);
+    else spendCoins(purse, coins);
+    ledger.setPurse(accountName, purse);
+  }
+  const newBalance = getBalance(ledger, accountName) + direction * coinsValue(coins);
+  setBalance(ledger, accountName, newBalance);
+  return newBalance;
 }
 
-async function depositCommand(message, args) {
-  // !deposit <amount> [note...]
-  // !deposit <@user|name> <amount> [note...]
-  if (args.length < 2) {
-    return message.channel.send("Usage:\n`!deposit <amount> [note...]`\n`!deposit <@user|name> <amount> [note...]`");
+// accounts can't pay out more than they have unless the server allows negative balances (`!config negative`);
+// physical coins can't be spent before they exist either way
+function canDebit(settings, balance, amount) {
+  return amount <= balance || (settings.negativeBalances && settings.coinTracking !== "physical");
+}
+
+function formatBalance(ledger, settings, accountName) {
+  const balance = getBalance(ledger, accountName);
+  if (settings.coinTracking !== "physical") return `**${formatMoney(balance, settings)}**`;
+  return `**${formatCoins(getPurse(ledger, accountName))}** (worth ${formatValue(balance, settings)})`;
+}
+
+// ============= VOIDS =============
+
+// bank entry types and the sign of the balance change they made
+const BANK_TX_SIGNS = {
+  deposit: 1,
+  transfer_in: 1,
+  loan_in: 1,
+  repay_in: 1,
+  split_in: 1,
+  sell: 1,
+  withdraw: -1,
+  transfer_out: -1,
+  loan_out: -1,
+  repay_out: -1,
+  split_out: -1,
+};
+
+// look a transaction id up in both the bank and the loan ledgers
+function findTransaction(ledger, txId) {
+  return ledger.findTransaction(String(txId || "").trim().toLowerCase());
+}
+
+// the caller's most recent entry that can still be voided
+function findLastUndoable(ledger, actorId) {
+  let last = null;
+  for (const found of ledger.getTransactionsByActor(actorId)) {
+    const t = found.entry;
+    const skipped = ["void", "resolve", "exchange", "terms", "close", "reopen", "edit", "withdraw_request", "approval"];
+    if (t.voided || t.loanTxId || skipped.includes(t.type)) continue;
+    if (!last || txSeqOf(t.id) > txSeqOf(last.entry.id)) last = found;
   }
+  return last;
+}
 
-  let accountName;
-  let amountArg;
-  let noteArgs;
+// found is { kind, accountName | loanId, entry } as returned by findTransaction
+function markVoided(ledger, found, reversal, actorId, reason) {
+  const { entry } = found;
+  entry.voided = { by: reversal.id, actorId, timestamp: reversal.timestamp, reason: reason || "" };
+  if (found.kind === "bank") ledger.updateTransaction(found.accountName, entry);
+  else ledger.updateLoanTransaction(found.loanId, entry);
+}
 
-  const firstIsNumber = Number.isFinite(Number(args[0])) && !message.mentions.users.size;
+// Appends compensating entries for a transaction and marks it voided; nothing is deleted.
+// Returns { error } or { lines } describing what changed.
+function voidTransaction(ledger, settings, txId, actorId, reason) {
+  const found = findTransaction(ledger, txId);
+  if (!found) return { error: `Transaction \`${txId}\` not found.` };
 
-  if (firstIsNumber) {
-    accountName = getDefaultNameForUser(message.author);
-    amountArg = args[0];
-    noteArgs = args.slice(1);
-  } else {
-    if (args.length < 3) {
-      return message.channel.send("Usage:\n`!deposit <amount> [note...]`\n`!deposit <@user|name> <amount> [note...]`");
+  const { entry } = found;
+  if (entry.voided) return { error: `Transaction \`${entry.id}\` is already voided.` };
+  if (entry.type === "void") return { error: `\`${entry.id}\` is itself a void and can't be voided.` };
+  if (entry.type === "resolve") return { error: `Void the repayment that resolved the loan instead of \`${entry.id}\`.` };
+  if (entry.type === "exchange") return { error: "Coin exchanges can't be voided; exchange the coins back instead." };
+  if (entry.type === "terms") return { error: "Interest terms can't be voided; change them with `!terms` instead." };
+  if (entry.type === "close") return { error: `Reopen the loan with \`!loan reopen ${found.loanId}\` instead.` };
+  if (entry.type === "reopen") return { error: `Close the loan again with \`!loan close ${found.loanId}\` instead.` };
+  if (entry.type === "edit") return { error: `Edit the loan back with \`!loan edit ${found.loanId}\` instead.` };
+  if (entry.type === "withdraw_request") return { error: "A withdrawal request can't be voided; reject it instead." };
+  if (entry.type === "approval") return { error: "Decisions can't be voided; void the withdrawal they made instead." };
+  if (entry.loanTxId) return { error: `\`${entry.id}\` belongs to loan entry \`${entry.loanTxId}\`; void that instead.` };
+
+  if (ITEM_TX_TYPES.includes(entry.type)) return voidItemEntry(ledger, settings, found, actorId, reason);
+  if (found.kind === "bank") return voidBankEntry(ledger, settings, found, actorId, reason);
+  return voidLoanEntry(ledger, settings, found, actorId, reason);
+}
+
+function voidBankEntry(ledger, settings, found, actorId, reason) {
+  // a transfer is voided as a whole, both sides at once, and so is every share of a split
+  let sides = [found];
+  if (found.entry.splitId) sides = findSplitEntries(ledger, found.entry.splitId);
+  if (found.entry.transferId) {
+    const otherList = ledger.getTransactions(found.entry.counterparty);
+    const other = otherList.find((t) => t.transferId === found.entry.transferId && t.id !== found.entry.id);
+    if (other && !other.voided) sides.push({ kind: "bank", accountName: found.entry.counterparty, entry: other });
+  }
+
+  const error = checkBankReversal(ledger, settings, found.entry.id, sides);
+  if (error) return { error };
+  return { lines: reverseBankEntries(ledger, settings, sides, actorId, reason) };
+}
+
+// returns why reversing these bank entries would leave an account below zero, or null
+function checkBankReversal(ledger, settings, txId, sides) {
+  for (const side of sides) {
+    const delta = -BANK_TX_SIGNS[side.entry.type] * side.entry.amount;
+    const balance = getBalance(ledger, side.accountName);
+    if (delta < 0 && !canDebit(settings, balance, -delta)) {
+      return (
+        `Voiding \`${txId}\` would leave **${side.accountName}** below zero; ` +
+        `it only has **${formatMoney(balance, settings)}**. Void later withdrawals first.`
+      );
     }
-    accountName = resolveAccountName(message, args[0]);
-    amountArg = args[1];
-    noteArgs = args.slice(2);
   }
+  return null;
+}
 
-  const amount = parseAmount(amountArg);
-  if (amount === null) return message.channel.send("Amount must be a positive number.");
+function reverseBankEntries(ledger, settings, sides, actorId, reason) {
+  const lines = [];
+  for (const side of sides) {
+    const direction = -BANK_TX_SIGNS[side.entry.type];
+    adjustAccount(ledger, settings, side.accountName, breakdownCoins(side.entry.amount), direction);
+    const reversal = recordTransaction(ledger, side.accountName, "void", side.entry.amount, actorId, reason, {
+      voids: side.entry.id,
+      reverses: side.entry.type,
+    });
+    markVoided(ledger, side, reversal, actorId, reason);
+    lines.push(
+      `• ${side.accountName}: ${direction > 0 ? "+" : "-"}${formatMoney(side.entry.amount, settings)}, ` +
+        `now ${formatBalance(ledger, settings, side.accountName)} (\`${reversal.id}\`)`
+    );
+  }
+  return lines;
+}
 
-  const note = noteArgs.join(" ");
-  const oldBalance = getBalance(accountName);
-  const newBalance = oldBalance + amount;
+function voidLoanEntry(ledger, settings, found, actorId, reason) {
+  const { loanId, entry } = found;
+  const loan = getLoan(ledger, loanId);
+  if (!loan) return { error: `Loan **${loanId}** not found.` };
+  if (loan.status === "voided") return { error: `Loan **${loanId}** is already voided.` };
 
-  setBalance(accountName, newBalance);
-  recordTransaction(accountName, "deposit", amount, message.author.id, note);
+  const list = ledger.getLoanTransactions(loanId);
+  const oldBal = Number(loan.balance) || 0;
+  let newBal = oldBal;
+  let resolves = [];
+  const lines = [];
 
-  message.channel.send(
-    `Deposited **${amount} GP** to **${accountName}**.\nNew balance: **${newBalance} GP** (was ${oldBalance} GP).`
+  // GP a funded loan moved between balances goes back too
+  const bankSides = findLoanBankEntries(ledger, loan, entry.id);
+  const bankError = checkBankReversal(ledger, settings, entry.id, bankSides);
+  if (bankError) return { error: bankError };
+
+  if (entry.type === "loan") {
+    const later = list.find((t) => ["repay", "accrue", "forgive"].includes(t.type) && !t.voided);
+    if (later) {
+      return { error: `Loan **${loanId}** has repayments, accruals or write-offs (\`${later.id}\`); void those first.` };
+    }
+    loan.status = "voided";
+    newBal = 0;
+    lines.push(`• Loan **${loanId}** (${loan.borrowerName} → ${loan.lenderName}) is now **voided**.`);
+  } else if (entry.type === "repay" || entry.type === "forgive") {
+    newBal = oldBal + entry.amount;
+    // a repayment or write-off that paid the loan off also takes its resolve entry with it
+    resolves = list.filter((t) => t.type === "resolve" && !t.voided && txSeqOf(t.id) > txSeqOf(entry.id));
+    if (loan.status === "resolved" && resolves.length) {
+      loan.status = "open";
+      lines.push(`• Loan **${loanId}** is **open** again.`);
+    }
+  } else if (entry.type === "accrue") {
+    if (oldBal < entry.amount) {
+      return { error: `Loan **${loanId}** has been paid down below that accrual; void later repayments first.` };
+    }
+    newBal = oldBal - entry.amount;
+    if (entry.automatic && loan.terms) loan.terms.accrued = Math.max(0, loan.terms.accrued - entry.amount);
+  }
+
+  loan.balance = newBal;
+  saveLoan(ledger, loanId, loan);
+  const reversal = recordLoanTransaction(ledger, loanId, "void", entry.amount, actorId, reason, {
+    voids: entry.id,
+    reverses: entry.type,
+  });
+  markVoided(ledger, found, reversal, actorId, reason);
+  for (const t of resolves) markVoided(ledger, { kind: "loan", loanId, entry: t }, reversal, actorId, reason);
+  lines.push(...reverseBankEntries(ledger, settings, bankSides, actorId, reason));
+  lines.unshift(
+    `• Loan balance: **${formatMoney(newBal, settings)}** (was ${formatMoney(oldBal, settings)}) (\`${reversal.id}\`)`
   );
+  return { lines };
 }
 
-async function withdrawCommand(message, args) {
-  // !withdraw <amount> [note...]
-  // !withdraw <@user|name> <amount> [note...]
-  if (args.length < 2) {
-    return message.channel.send("Usage:\n`!withdraw <amount> [note...]`\n`!withdraw <@user|name> <amount> [note...]`");
-  }
+function describeTransaction(found, settings) {
+  const t = found.entry;
+  const amount = formatMoney(t.amount, settings);
+  if (found.kind === "loan") return `${t.type} of ${amount} on loan **${found.loanId}**`;
+  if (t.type === "transfer_out") return `transfer of ${amount} from **${found.accountName}** to **${t.counterparty}**`;
+  if (t.type === "transfer_in") return `transfer of ${amount} from **${t.counterparty}** to **${found.accountName}**`;
+  if (t.type === "split_in") return `split share of ${amount} to **${found.accountName}**`;
+  if (t.type === "split_out") return `split of ${amount} from **${found.accountName}**`;
+  if (t.type === "stash") return `stash of ${t.qty}× ${t.item} in **${found.accountName}**`;
+  if (t.type === "unstash") return `taking ${t.qty}× ${t.item} out of **${found.accountName}**`;
+  if (t.type === "sell") return `sale of ${t.qty}× ${t.item} from **${found.accountName}** for ${amount}`;
+  return `${t.type} of ${amount} ${t.type === "deposit" ? "to" : "from"} **${found.accountName}**`;
+}
 
-  let accountName;
-  let amountArg;
-  let noteArgs;
+// ============= INTEREST =============
 
-  const firstIsNumber = Number.isFinite(Number(args[0])) && !message.mentions.users.size;
+// Loans can carry interest terms: { kind, rate, period, cap, grace, principal, accrued, graceLeft, nextAccrualAt }.
+// kind is "simple" (rate% of the principal) or "compound" (rate% of the current balance) per period;
+// cap (copper, or null) limits the total interest, grace is the number of periods that add nothing.
+// Day and week periods fall due on nextAccrualAt; session periods when a banker runs `!accrue session`.
+const PERIOD_MS = { day: 24 * 60 * 60 * 1000, week: 7 * 24 * 60 * 60 * 1000 };
+const INTEREST_PERIODS = ["day", "week", "session"];
+const ACCRUAL_CHECK_MS = 10 * 60 * 1000;
+const TERMS_TOKEN = /^(rate|compound|per|cap|grace):(.+)$/i;
 
-  if (firstIsNumber) {
-    accountName = getDefaultNameForUser(message.author);
-    amountArg = args[0];
-    noteArgs = args.slice(1);
-  } else {
-    if (args.length < 3) {
-      return message.channel.send("Usage:\n`!withdraw <amount> [note...]`\n`!withdraw <@user|name> <amount> [note...]`");
+function isTermsArg(arg) {
+  return TERMS_TOKEN.test(String(arg || ""));
+}
+
+// parses "rate:5%" | "compound:2%", "per:day|week|session", "cap:<amount>", "grace:<periods>";
+// returns { changes, error } where changes only holds the fields that were given
+function parseTerms(tokens) {
+  const changes = {};
+  for (const token of tokens) {
+    const [, key, rawValue] = String(token).match(TERMS_TOKEN);
+    const value = rawValue.toLowerCase();
+    if (key.toLowerCase() === "rate" || key.toLowerCase() === "compound") {
+      const rate = Number(value.replace(/%$/, ""));
+      if (!Number.isFinite(rate) || rate <= 0 || rate > 100) {
+        return { error: "Rate must be a percentage above 0 and at most 100, e.g. `rate:5%`." };
+      }
+      changes.kind = key.toLowerCase() === "compound" ? "compound" : "simple";
+      changes.rate = rate;
+    } else if (key.toLowerCase() === "per") {
+      if (!INTEREST_PERIODS.includes(value)) return { error: "Period must be `per:day`, `per:week` or `per:session`." };
+      changes.period = value;
+    } else if (key.toLowerCase() === "cap") {
+      if (value === "none") {
+        changes.cap = null;
+        continue;
+      }
+      const cap = parseAmount(rawValue);
+      if (cap === null) return { error: "Cap must be an amount, e.g. `cap:50` or `cap:none`." };
+      changes.cap = cap;
+    } else {
+      const grace = Number(value);
+      if (!Number.isInteger(grace) || grace < 0 || grace > 365) {
+        return { error: "Grace must be a whole number of periods, e.g. `grace:2`." };
+      }
+      changes.grace = grace;
     }
-    accountName = resolveAccountName(message, args[0]);
-    amountArg = args[1];
-    noteArgs = args.slice(2);
   }
+  return { changes };
+}
+
+// new or changed terms; the schedule restarts from now when the period changes or the terms are new
+function applyTermChanges(loan, changes, now) {
+  const old = loan.terms;
+  const terms = {
+    kind: "simple",
+    period: "week",
+    cap: null,
+    grace: 0,
+    principal: Number(loan.balance) || 0,
+    accrued: 0,
+    ...old,
+    ...changes,
+  };
+  if (!old || terms.period !== old.period || changes.grace !== undefined) {
+    terms.graceLeft = terms.grace;
+    terms.nextAccrualAt = terms.period === "session" ? null : new Date(now + PERIOD_MS[terms.period]).toISOString();
+  }
+  loan.terms = terms;
+  return terms;
+}
 
-  const amount = parseAmount(amountArg);
-  if (amount === null) return message.channel.send("Amount must be a positive number.");
+function computeInterest(loan) {
+  const { terms } = loan;
+  const base = terms.kind === "compound" ? Number(loan.balance) || 0 : terms.principal;
+  let interest = Math.round((base * terms.rate) / 100);
+  if (terms.cap !== null && terms.cap !== undefined) interest = Math.min(interest, Math.max(0, terms.cap - terms.accrued));
+  return interest;
+}
 
-  const oldBalance = getBalance(accountName);
-  if (amount > oldBalance) {
-    return message.channel.send(`Cannot withdraw **${amount} GP** from **${accountName}**; it only has **${oldBalance} GP**.`);
+// one period has passed: grace periods are used up first, then interest goes through applyAccrual
+function accruePeriod(ledger, loanId, loan, actorId) {
+  const { terms } = loan;
+  if (terms.graceLeft > 0) {
+    terms.graceLeft -= 1;
+    return null;
   }
+  const interest = computeInterest(loan);
+  if (interest <= 0) return null;
+  terms.accrued += interest;
+  const note = `Interest ${terms.rate}% ${terms.kind} per ${terms.period}`;
+  return applyAccrual(ledger, loanId, loan, interest, actorId, note, { automatic: true });
+}
 
-  const note = noteArgs.join(" ");
-  const newBalance = oldBalance - amount;
+// catches up on every day/week period that is due, including ones missed while the bot was offline
+function applyDueAccruals(ledger, now, actorId) {
+  const entries = [];
+  for (const loan of findLoans(ledger, { open: true })) {
+    const { loanId, ...stored } = loan;
+    const terms = stored.terms;
+    if (!terms || terms.period === "session" || !terms.nextAccrualAt) continue;
 
-  setBalance(accountName, newBalance);
-  recordTransaction(accountName, "withdraw", amount, message.author.id, note);
+    let due = Date.parse(terms.nextAccrualAt);
+    if (due > now) continue;
+    while (due <= now && isLoanOpen(stored)) {
+      const entry = accruePeriod(ledger, loanId, stored, actorId);
+      if (entry) entries.push(entry);
+      due += PERIOD_MS[terms.period];
+    }
+    terms.nextAccrualAt = new Date(due).toISOString();
+    saveLoan(ledger, loanId, stored);
+  }
+  return entries;
+}
 
-  message.channel.send(
-    `Withdrew **${amount} GP** from **${accountName}**.\nNew balance: **${newBalance} GP** (was ${oldBalance} GP).`
-  );
+// `!accrue session`: one period for every open per-session loan of the ledger
+function applySessionAccruals(ledger, actorId) {
+  const results = [];
+  for (const loan of findLoans(ledger, { open: true })) {
+    const { loanId, ...stored } = loan;
+    if (!stored.terms || stored.terms.period !== "session") continue;
+    const inGrace = stored.terms.graceLeft > 0;
+    const entry = accruePeriod(ledger, loanId, stored, actorId);
+    saveLoan(ledger, loanId, stored);
+    results.push({ loanId, loan: stored, entry, inGrace });
+  }
+  return results;
 }
 
-function balanceCommand(message, args) {
-  // !balance
+// interest, expired withdrawal requests and recurring transactions that are due, in every ledger, in one
+// transaction; returns { count, expired, fired: [{ ledger, results }] }
+function applyScheduledTasks(actorId) {
+  // waits for commands in flight instead of changing accounts under them
+  return locks.run({ exclusive: storage.ledgerKeys() }, () => inTransaction(() => {
+    const now = Date.now();
+    const ledgers = storage.ledgerKeys().map((key) => storage.getLedger(key));
+    return {
+      count: ledgers.reduce((n, ledger) => n + applyDueAccruals(ledger, now, actorId).length, 0),
+      expired: ledgers.reduce((n, ledger) => n + expireRequests(ledger, DEFAULT_GUILD_SETTINGS, now, actorId), 0),
+      fired: ledgers.map((ledger) => ({ ledger, results: runDueRecurring(ledger, now, actorId) })),
+    };
+  }));
+}
+
+// every ACCRUAL_CHECK_MS
+async function runScheduledTasks() {
+  if (!storage || storage.readOnlyReason) return;
+  try {
+    const { count, expired, fired } = await applyScheduledTasks(client.user.id);
+    if (count) console.log(`Applied ${count} scheduled interest accrual(s)`);
+    if (expired) console.log(`Expired ${expired} withdrawal request(s)`);
+    // only posted once the entries are saved
+    for (const { results } of fired) if (results.length) postRecurringDigests(results);
+  } catch (err) {
+    console.error("Failed to run scheduled tasks:", err);
+  }
+}
+
+function startScheduler() {
+  runScheduledTasks();
+  setInterval(runScheduledTasks, ACCRUAL_CHECK_MS);
+}
+
+// when the next period will actually add interest, as a Discord timestamp; null for session periods
+function nextInterestTime(terms) {
+  if (!terms.nextAccrualAt) return null;
+  return Date.parse(terms.nextAccrualAt) + (terms.graceLeft || 0) * PERIOD_MS[terms.period];
+}
+
+function describeTerms(terms, settings) {
+  let text = `${terms.rate}% ${terms.kind} per ${terms.period}`;
+  if (terms.cap !== null && terms.cap !== undefined) {
+    text += `, capped at ${formatMoney(terms.cap, settings)} (${formatMoney(terms.accrued, settings)} so far)`;
+  }
+  if (terms.graceLeft > 0) text += `, ${terms.graceLeft} grace period(s) left`;
+  return text;
+}
+
+function describeNextAccrual(terms) {
+  if (terms.cap !== null && terms.cap !== undefined && terms.accrued >= terms.cap) return "cap reached";
+  const next = nextInterestTime(terms);
+  if (next === null) return terms.graceLeft > 0 ? `after ${terms.graceLeft + 1} more sessions` : "next session";
+  return `next <t:${Math.floor(next / 1000)}:R>`;
+}
+
+// ============= FUNDED LOANS =============
+
+// A funded loan moves real GP: the lender's balance pays the borrower on !loan, and !repay pays it back.
+// Each move is a pair of bank entries carrying { loanId, loanTxId } of the loan entry that caused it.
+const LOAN_BANK_TYPES = { loan: ["loan_out", "loan_in"], repay: ["repay_out", "repay_in"] };
+const FUNDED_TOKEN = /^funded:(yes|no)$/i;
+
+function isFundedArg(arg) {
+  return FUNDED_TOKEN.test(String(arg || ""));
+}
+
+// "funded:yes|no" among the args overrides the server default
+function isFundedLoan(args, settings) {
+  const token = args.find(isFundedArg);
+  if (token) return token.toLowerCase() === "funded:yes";
+  return settings.loanFunding === "funded";
+}
+
+function moveLoanFunds(ledger, settings, loanId, loanEntry, payerName, payeeName, coins, actorId) {
+  adjustAccount(ledger, settings, payerName, coins, -1);
+  adjustAccount(ledger, settings, payeeName, coins, 1);
+  recordLoanFundEntries(ledger, loanId, loanEntry, payerName, payeeName, actorId);
+}
+
+// the bank entries of a move without the move itself, for a settlement that moves the GP by person instead
+function recordLoanFundEntries(ledger, loanId, loanEntry, payerName, payeeName, actorId) {
+  const [outType, inType] = LOAN_BANK_TYPES[loanEntry.type];
+  const link = { loanId, loanTxId: loanEntry.id };
+  recordTransaction(ledger, payerName, outType, loanEntry.amount, actorId, loanEntry.note, { ...link, counterparty: payeeName });
+  recordTransaction(ledger, payeeName, inType, loanEntry.amount, actorId, loanEntry.note, { ...link, counterparty: payerName });
+}
+
+function findLoanBankEntries(ledger, loan, loanTxId) {
+  const sides = [];
+  for (const accountName of new Set([loan.borrowerName, loan.lenderName])) {
+    for (const t of ledger.getTransactions(accountName)) {
+      if (t.loanTxId === loanTxId && !t.voided) sides.push({ kind: "bank", accountName, entry: t });
+    }
+  }
+  return sides;
+}
+
+// ============= LOAN LIFECYCLE =============
+
+// Besides loan/repay/accrue, a loan's timeline can hold write-offs ("forgive"), manual closes and reopens,
+// and edits of its note or names ({ field, from, to }). A closed loan is "resolved" with whatever was left
+// unpaid; only forgiving writes debt off.
+const LOAN_ACTIONS = ["forgive", "close", "reopen", "edit"];
+const LOAN_EDIT_FIELDS = ["note", "lender", "borrower"];
+const LOAN_LIST_FILTERS = ["open", "resolved", "all"];
+
+// the repay path of !repay and !settle: records the repayment, pays a funded loan's lender back (coins null
+// only writes the bank entries, for a settlement that moves the GP itself), resolves the loan once nothing
+// is left and saves it. Returns the repay entry
+function repayLoan(ledger, settings, loanId, loan, paid, coins, actorId, note, extra) {
+  loan.balance = (Number(loan.balance) || 0) - paid;
+  const entry = recordLoanTransaction(ledger, loanId, "repay", paid, actorId, note, extra);
+  if (loan.funded && coins) {
+    moveLoanFunds(ledger, settings, loanId, entry, loan.borrowerName, loan.lenderName, coins, actorId);
+  } else if (loan.funded) {
+    recordLoanFundEntries(ledger, loanId, entry, loan.borrowerName, loan.lenderName, actorId);
+  }
+  if (loan.balance === 0) {
+    loan.status = "resolved";
+    recordLoanTransaction(ledger, loanId, "resolve", 0, actorId, "Loan resolved");
+  }
+  saveLoan(ledger, loanId, loan);
+  return entry;
+}
+
+function isLoanAction(args) {
+  return LOAN_ACTIONS.includes(String(args[0] || "").toLowerCase());
+}
+
+// what moved on a loan, from its non-voided entries
+function loanTotals(entries) {
+  const totals = { lent: 0, repaid: 0, accrued: 0, forgiven: 0 };
+  const field = { loan: "lent", repay: "repaid", accrue: "accrued", forgive: "forgiven" };
+  for (const t of entries) {
+    if (!t.voided && field[t.type]) totals[field[t.type]] += Number(t.amount) || 0;
+  }
+  return totals;
+}
+
+function describeLoanEvent(t, settings) {
+  const amount = formatMoney(t.amount, settings);
+  if (t.type === "loan") return `lent ${amount}`;
+  if (t.type === "repay") return `repaid ${amount}`;
+  if (t.type === "accrue") return `+${amount} ${t.automatic ? "interest" : "accrued"}`;
+  if (t.type === "forgive") return `forgave ${amount}`;
+  if (t.type === "void") return `↺ voids \`${t.voids}\` (${t.reverses} of ${amount})`;
+  if (t.type === "edit") return `${t.field}: ${t.from || "-"} → ${t.to || "-"}`;
+  if (t.type === "terms") return t.terms ? "terms changed" : "interest waived";
+  return { resolve: "resolved", close: "closed", reopen: "reopened" }[t.type] || t.type;
+}
+
+// ============= SETTLEMENTS =============
+
+// !settle nets the open loans within a group into one position per person (what they are owed minus what
+// they owe) and proposes the fewest payments that bring everyone to zero (planSettlement, in shares.js).
+// Applying it repays every loan of the group in full, oldest first, with one settlementId on all the entries.
+// Funded loans get their repay_out/repay_in entries like on !repay, but their GP moves once per person, by
+// what each owes or is owed on them overall: the payments of the plan, so no one pays more than that.
+const SETTLE_CONFIRM_MS = 15 * 60 * 1000;
+const pendingSettlements = new Map(); // { [token]: { ledgerKey, names, signature, accounts, approvals, expiresAt } }
+
+// open loans between members of names (between anyone when names is null), oldest first
+function settlementLoans(ledger, names) {
+  const inGroup = (name) => !names || names.some((n) => eqName(n, name));
+  return findLoans(ledger, { open: true }).filter(
+    (loan) => Number(loan.balance) > 0 && inGroup(loan.borrowerName) && inGroup(loan.lenderName)
+  );
+}
+
+// people whose balance can't cover what they pay on the funded loans overall
+function settlementShortfalls(ledger, settings, loans) {
+  const { positions } = planSettlement(loans.filter((loan) => loan.funded));
+  return Object.entries(positions)
+    .filter(([name, amount]) => amount < 0 && !canDebit(settings, getBalance(ledger, name), -amount))
+    .map(([name]) => name);
+}
+
+// the loans as they were previewed; applying is refused once any of them changed
+function settlementSignature(loans) {
+  return loans.map((loan) => `${loan.loanId}=${loan.balance}`).join(",");
+}
+
+function generateSettlementId() {
+  return `settle_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// repays every loan of the settlement in full, oldest first, and moves the GP of the funded ones;
+// returns the total repaid
+function applySettlement(ledger, settings, loans, actorId, settlementId) {
+  let total = 0;
+  for (const { loanId, ...loan } of loans) {
+    const paid = Number(loan.balance) || 0;
+    repayLoan(ledger, settings, loanId, loan, paid, null, actorId, "Settlement", { settlementId });
+    total += paid;
+  }
+  // payers first, so a purse never has to hand over coins it only gets later in the settlement
+  const { positions } = planSettlement(loans.filter((loan) => loan.funded));
+  const moves = Object.entries(positions).filter(([, amount]) => amount !== 0);
+  for (const [name, amount] of moves.sort((a, b) => a[1] - b[1])) {
+    adjustAccount(ledger, settings, name, breakdownCoins(Math.abs(amount)), Math.sign(amount));
+  }
+  return total;
+}
+
+// approving for an account follows the loans permission rule, like repaying its loans would
+function canApproveSettlement(message, ledger, policy, accountName) {
+  if (isBanker(message) || policy.loans === "anyone") return true;
+  if (policy.loans === "banker") return false;
+  return canActOnAccount(message, ledger, policy, accountName);
+}
+
+function describeApprovals(pending) {
+  const approved = pending.accounts.filter((a) => pending.approvals[a]);
+  const waiting = pending.accounts.filter((a) => !pending.approvals[a]);
+  const lines = [];
+  if (approved.length) lines.push(`Approved: ${approved.map((a) => `**${a}** (<@${pending.approvals[a]}>)`).join(", ")}`);
+  if (waiting.length) lines.push(`Waiting for: ${waiting.map((a) => `**${a}**`).join(", ")} (or a banker)`);
+  return lines.join("\n");
+}
+
+function settleConfirmRows(token) {
+  return [
+    new ActionRowBuilder().addComponents(
+      new ButtonBuilder().setCustomId(`settle:approve:${token}`).setLabel("Approve").setStyle(ButtonStyle.Success),
+      new ButtonBuilder().setCustomId(`settle:cancel:${token}`).setLabel("Cancel").setStyle(ButtonStyle.Secondary)
+    ),
+  ];
+}
+
+// ============= STATEMENTS =============
+
+// Dates shown to players use the server's timezone (`!timezone`), not the host's. Statements are CSV files
+// a spreadsheet can open, with a running balance per row, plus an optional Markdown version.
+const DATE_ARG = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+function isValidTimezone(zone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: zone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// { year, month, day, hour, minute } of an instant in a timezone
+function zonedParts(ms, zone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: zone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+  }).formatToParts(new Date(ms));
+  const get = (type) => Number(parts.find((p) => p.type === type).value);
+  return { year: get("year"), month: get("month"), day: get("day"), hour: get("hour"), minute: get("minute") };
+}
+
+// "2026-10-19 14:05" in the server's timezone
+function formatDateTime(timestamp, settings) {
+  const p = zonedParts(Date.parse(timestamp), settings.timezone);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${p.year}-${pad(p.month)}-${pad(p.day)} ${pad(p.hour)}:${pad(p.minute)}`;
+}
+
+// midnight at the start of a YYYY-MM-DD day (or `days` after it) in the timezone, as ms; null when the date isn't valid
+function parseDateArg(arg, zone, days = 0) {
+  const match = DATE_ARG.exec(String(arg || ""));
+  if (!match) return null;
+  const [year, month, day] = match.slice(1).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  const guess = Date.UTC(year, month - 1, day + days);
+  // shift by the zone's offset at that time (checked twice, in case the offset changes that day)
+  let ms = guess;
+  for (let i = 0; i < 2; i++) {
+    const p = zonedParts(ms, zone);
+    const offset = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute) - Math.floor(ms / 60000) * 60000;
+    ms = guess - offset;
+  }
+  return ms;
+}
+
+// how an entry changed its account's balance, in copper
+function signedAmount(t) {
+  if (t.type === "void") return -(BANK_TX_SIGNS[t.reverses] || 0) * t.amount;
+  return (BANK_TX_SIGNS[t.type] || 0) * t.amount;
+}
+
+// how a loan event changed what is owed, in copper
+const LOAN_EVENT_SIGNS = { loan: 1, accrue: 1, repay: -1, forgive: -1 };
+function signedLoanAmount(t) {
+  if (t.type === "void") return -(LOAN_EVENT_SIGNS[t.reverses] || 0) * t.amount;
+  return (LOAN_EVENT_SIGNS[t.type] || 0) * t.amount;
+}
+
+// GP with no unit, for spreadsheet columns
+function csvGp(cp) {
+  return Math.round(cp) / CP_PER_GP;
+}
+
+// quotes a field when needed; text that a spreadsheet would run as a formula gets a leading '
+function csvField(value) {
+  let text = String(value === undefined || value === null ? "" : value);
+  if (typeof value === "string" && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvRow(fields) {
+  return fields.map(csvField).join(",");
+}
+
+// display names for actor ids: server nickname, else Discord username, else the claimed account name
+async function resolveActorNames(message, ledger, ids) {
+  const names = {};
+  const unique = [...new Set(ids)].filter(Boolean);
+  let members = null;
+  if (message.guild && message.guild.members && unique.length) {
+    try {
+      members = await message.guild.members.fetch({ user: unique });
+    } catch (err) {
+      console.warn("Could not fetch members for a statement:", err.message);
+    }
+  }
+  for (const id of unique) {
+    const member = members && members.get(id);
+    const user = client.users.cache.get(id);
+    const profile = ledger.getProfile(id);
+    if (client.user && id === client.user.id) names[id] = "bank bot";
+    else if (member) names[id] = member.displayName;
+    else if (user) names[id] = user.username;
+    else names[id] = profile && profile.name ? profile.name : id;
+  }
+  return names;
+}
+
+function describeStatementEntry(t) {
+  if (t.type === "void") return `void of ${t.voids}`;
+  if (t.type === "exchange") return `exchange ${formatCoins(t.given)} for ${formatCoins(t.received)}`;
+  if (t.item) return `${t.type} ${t.qty}x ${t.item}`;
+  if (t.counterparty) return `${t.type.replace("_", " ")} ${t.type.endsWith("_out") ? "to" : "from"} ${t.counterparty}`;
+  return t.type.replace("_", " ");
+}
+
+// ============= HISTORY =============
+
+// `!history` pages through an account's entries, newest page first, with filters like `note:potion
+// since:2026-09-01`. `loans:yes` mixes in the events of loans the account is part of, in id order
+// (bank and loan entries share one id sequence). Pages are rebuilt from the ledger on every click.
+const HISTORY_VIEW_MS = 30 * 60 * 1000;
+const HISTORY_PAGE_CHARS = 1700; // leaves room for the header under Discord's limit
+const HISTORY_FILTERS = ["type", "by", "min", "max", "since", "until", "note", "item", "session", "loans"];
+const HISTORY_TYPES = [
+  ...new Set([...Object.keys(BANK_TX_SIGNS).map((type) => type.replace(/_(in|out)$/, "")), "exchange", "void"]),
+  ...["stash", "unstash"],
+  ...["approval", "accrue", "forgive", "resolve", "close", "reopen", "edit", "terms"],
+];
+const historyViews = new Map(); // { [token]: { userId, ledgerKey, accountName, filters, count, expiresAt } }
+
+function isHistoryFilter(arg) {
+  const match = /^([a-z]+):/i.exec(String(arg || ""));
+  return !!match && HISTORY_FILTERS.includes(match[1].toLowerCase());
+}
+
+// returns { filters } or { error }
+function parseHistoryFilters(message, ledger, settings, tokens) {
+  const filters = {
+    types: [],
+    actorId: null,
+    min: null,
+    max: null,
+    since: null,
+    until: null,
+    notes: [],
+    items: [],
+    sessionId: null,
+    loans: false,
+  };
+  for (const token of tokens) {
+    const [key, ...rest] = token.split(":");
+    const value = rest.join(":");
+    const name = key.toLowerCase();
+    if (!value) return { error: `\`${token}\` needs a value, like \`${name}:...\`.` };
+
+    if (name === "type") {
+      for (const type of value.toLowerCase().split(",")) {
+        if (!HISTORY_TYPES.includes(type)) {
+          return { error: `Unknown type **${type}**. Types: ${HISTORY_TYPES.map((t) => `\`${t}\``).join(", ")}` };
+        }
+        filters.types.push(type);
+      }
+    } else if (name === "by") {
+      const mention = /^<@!?(\d+)>$/.exec(value);
+      filters.actorId = mention ? mention[1] : getAccountOwnerId(ledger, canonicalName(ledger, value));
+      if (!filters.actorId && /^\d{5,}$/.test(value)) filters.actorId = value;
+      if (!filters.actorId) return { error: `No one has claimed the name **${value}**; use \`by:@user\`.` };
+    } else if (name === "min" || name === "max") {
+      const amount = parseAmount(value);
+      if (amount === null) return { error: `\`${token}\` is not an amount.` };
+      filters[name] = amount;
+    } else if (name === "since" || name === "until") {
+      // until includes its whole day
+      const ms = parseDateArg(value, settings.timezone, name === "until" ? 1 : 0);
+      if (ms === null) return { error: `\`${token}\` is not a date; use \`${name}:YYYY-MM-DD\`.` };
+      filters[name] = ms;
+    } else if (name === "note") {
+      filters.notes.push(value.toLowerCase());
+    } else if (name === "item") {
+      filters.items.push(value.toLowerCase());
+    } else if (name === "session") {
+      const session = findSession(ledger, value);
+      if (!session) return { error: `Session **${value}** not found; \`!session list\` shows them.` };
+      filters.sessionId = session.id;
+    } else if (name === "loans") {
+      if (!["yes", "no"].includes(value.toLowerCase())) return { error: "Use `loans:yes` or `loans:no`." };
+      filters.loans = value.toLowerCase() === "yes";
+    }
+  }
+  return { filters };
+}
+
+function describeHistoryFilters(filters, settings) {
+  const parts = [];
+  if (filters.types.length) parts.push(`type ${filters.types.join("/")}`);
+  if (filters.actorId) parts.push(`by <@${filters.actorId}>`);
+  if (filters.min !== null) parts.push(`at least ${formatMoney(filters.min, settings)}`);
+  if (filters.max !== null) parts.push(`at most ${formatMoney(filters.max, settings)}`);
+  if (filters.since !== null) parts.push(`since ${formatDateTime(new Date(filters.since).toISOString(), settings).slice(0, 10)}`);
+  if (filters.until !== null) {
+    parts.push(`until ${formatDateTime(new Date(filters.until - 1).toISOString(), settings).slice(0, 10)}`);
+  }
+  for (const note of filters.notes) parts.push(`note "${note}"`);
+  for (const item of filters.items) parts.push(`item "${item}"`);
+  if (filters.sessionId) parts.push(`session ${filters.sessionId}`);
+  if (filters.loans) parts.push("with loan events");
+  return parts.join(", ");
+}
+
+function matchesHistoryFilters(item, filters) {
+  const t = item.entry;
+  const ms = Date.parse(t.timestamp);
+  const notes = `${t.note || ""} ${item.loan ? item.loan.note || "" : ""}`.toLowerCase();
+  if (filters.types.length && !filters.types.some((type) => t.type === type || t.type.startsWith(`${type}_`))) return false;
+  if (filters.actorId && t.actorId !== filters.actorId) return false;
+  if (filters.min !== null && !(t.amount >= filters.min)) return false;
+  if (filters.max !== null && !(t.amount <= filters.max)) return false;
+  if (filters.since !== null && ms < filters.since) return false;
+  if (filters.until !== null && ms >= filters.until) return false;
+  if (filters.sessionId && t.sessionId !== filters.sessionId) return false;
+  if (!filters.items.every((item) => String(t.item || "").toLowerCase().includes(item))) return false;
+  return filters.notes.every((note) => notes.includes(note));
+}
+
+// [{ entry, loan? }] oldest first
+function historyItems(ledger, accountName, filters) {
+  const items = ledger.getTransactions(accountName).map((entry) => ({ entry }));
+  if (filters.loans) {
+    const loans = [...findLoans(ledger, { borrower: accountName }), ...findLoans(ledger, { lender: accountName })];
+    const seen = new Set();
+    for (const loan of loans) {
+      if (seen.has(loan.loanId)) continue;
+      seen.add(loan.loanId);
+      for (const entry of ledger.getLoanTransactions(loan.loanId)) items.push({ entry, loan });
+    }
+    items.sort((a, b) => txSeqOf(a.entry.id) - txSeqOf(b.entry.id));
+  }
+  return items.filter((item) => matchesHistoryFilters(item, filters));
+}
+
+function formatHistoryLine(item, settings) {
+  const t = item.entry;
+  const date = formatDateTime(t.timestamp, settings);
+  const change = item.loan
+    ? `loan **${item.loan.loanId}** (${item.loan.borrowerName} → ${item.loan.lenderName}): ${describeLoanEvent(t, settings)}`
+    : formatTransactionChange(t, settings);
+  const note = t.note ? ` - ${t.note}` : "";
+  const line = `\`${t.id}\` \`${date}\` ${change} by <@${t.actorId}>${note}`.substring(0, 300);
+  return t.voided ? `~~${line}~~ (voided)` : line;
+}
+
+// pages of at most count lines (and HISTORY_PAGE_CHARS), oldest page first; the newest page is full
+function historyPages(lines, count) {
+  const pages = [];
+  let page = [];
+  let size = 0;
+  for (let i = lines.length - 1; i >= 0; i--) {
+    if (page.length && (page.length >= count || size + lines[i].length + 1 > HISTORY_PAGE_CHARS)) {
+      pages.unshift(page);
+      page = [];
+      size = 0;
+    }
+    page.unshift(lines[i]);
+    size += lines[i].length + 1;
+  }
+  if (page.length) pages.unshift(page);
+  return pages;
+}
+
+// the reply for one page (the last page when page is null); buttons only when there is more than one page
+function renderHistoryPage(ledger, settings, view, token, page) {
+  const lines = historyItems(ledger, view.accountName, view.filters).map((item) => formatHistoryLine(item, settings));
+  const filterText = describeHistoryFilters(view.filters, settings);
+  if (!lines.length) {
+    return {
+      content: filterText
+        ? `No entries for **${view.accountName}** match (${filterText}).`
+        : `No transactions for **${view.accountName}** yet.`,
+      components: [],
+    };
+  }
+
+  const pages = historyPages(lines, view.count);
+  const index = page === null ? pages.length - 1 : Math.min(Math.max(page, 0), pages.length - 1);
+  const header =
+    `History for **${view.accountName}**${filterText ? ` (${filterText})` : ""}: ` +
+    `${lines.length} entr${lines.length === 1 ? "y" : "ies"}, page ${index + 1}/${pages.length}:`;
+  const components =
+    pages.length > 1
+      ? [
+          new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+              .setCustomId(`history:${index - 1}:${token}`)
+              .setLabel("◀ Previous")
+              .setStyle(ButtonStyle.Secondary)
+              .setDisabled(index === 0),
+            new ButtonBuilder()
+              .setCustomId(`history:${index + 1}:${token}`)
+              .setLabel("Next ▶")
+              .setStyle(ButtonStyle.Secondary)
+              .setDisabled(index === pages.length - 1)
+          ),
+        ]
+      : [];
+  return { content: `${header}\n${pages[index].join("\n")}`, components };
+}
+
+function generateHistoryToken() {
+  return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+// ============= SESSIONS =============
+
+// A banker opens a game session with `!session start`; every bank and loan entry made while it is open
+// carries its sessionId, so the summary posted on `!session end` (and `!session report`) is rebuilt from
+// the entries themselves. Ending a session also charges one period of per-session interest.
+const MAX_SESSION_MOVERS = 3;
+
+function getOpenSession(ledger) {
+  return Object.values(ledger.getSessions()).find((s) => s.status === "open") || null;
+}
+
+// { sessionId } for entries made while a session is open
+function sessionTag(ledger) {
+  const session = getOpenSession(ledger);
+  return session ? { sessionId: session.id } : {};
+}
+
+function findSession(ledger, id) {
+  return ledger.getSession(String(id || "").trim().toLowerCase());
+}
+
+// { bank: [{ accountName, entry }], loans: [{ loan, entry }] } tagged with the session
+function sessionEntries(ledger, sessionId) {
+  const bank = [];
+  for (const { name } of Object.values(ledger.getAccounts())) {
+    for (const entry of ledger.getTransactions(name)) if (entry.sessionId === sessionId) bank.push({ accountName: name, entry });
+  }
+  const loans = [];
+  for (const loan of findLoans(ledger, {})) {
+    for (const entry of ledger.getLoanTransactions(loan.loanId)) if (entry.sessionId === sessionId) loans.push({ loan, entry });
+  }
+  return { bank, loans };
+}
+
+function describeSessionSpan(session, settings) {
+  const start = formatDateTime(session.startedAt, settings);
+  return session.endedAt ? `${start} → ${formatDateTime(session.endedAt, settings)}` : `${start} → still open`;
+}
+
+function sessionSummary(ledger, settings, session) {
+  const { bank, loans } = sessionEntries(ledger, session.id);
+  const lines = [`**Session ${session.id}: ${session.name}** (${describeSessionSpan(session, settings)})`];
+  if (!bank.length && !loans.length) return `${lines[0]}\nNothing happened in the bank during this session.`;
+
+  // voids made in the session count against what they reverse, so nets come out right either way
+  const net = {};
+  for (const { accountName, entry } of bank) net[accountName] = (net[accountName] || 0) + signedAmount(entry);
+  const changed = Object.entries(net).filter(([, cp]) => cp !== 0);
+  lines.push("", "Net change per account:");
+  if (!changed.length) lines.push("• no balance changed overall");
+  for (const [name, cp] of changed.sort((a, b) => b[1] - a[1])) {
+    lines.push(`• ${name}: ${cp > 0 ? "+" : ""}${formatMoney(cp, settings)}`);
+  }
+
+  const live = (list) => list.filter(({ entry }) => !entry.voided && entry.type !== "void");
+  const total = (list, type) => live(list).filter(({ entry }) => entry.type === type).reduce((sum, { entry }) => sum + entry.amount, 0);
+  const count = (list, type) => live(list).filter(({ entry }) => entry.type === type).length;
+  const splits = new Set(live(bank).filter(({ entry }) => entry.splitId).map(({ entry }) => entry.splitId));
+  lines.push(
+    "",
+    `Loot: ${formatMoney(total(bank, "deposit"), settings)} deposited in ${count(bank, "deposit")} deposit(s), ` +
+      `${formatMoney(total(bank, "split_in"), settings)} handed out in ${splits.size} split(s); ` +
+      `${formatMoney(total(bank, "withdraw"), settings)} withdrawn`
+  );
+  if (loans.length) {
+    lines.push(
+      `Loans: ${count(loans, "loan")} opened (${formatMoney(total(loans, "loan"), settings)}), ` +
+        `${formatMoney(total(loans, "repay"), settings)} repaid, ${formatMoney(total(loans, "accrue"), settings)} interest and fees` +
+        (count(loans, "forgive") ? `, ${formatMoney(total(loans, "forgive"), settings)} forgiven` : "")
+    );
+  }
+
+  const movers = changed.sort((a, b) => Math.abs(b[1]) - Math.abs(a[1])).slice(0, MAX_SESSION_MOVERS);
+  if (movers.length) {
+    lines.push(
+      `Biggest movers: ${movers.map(([name, cp]) => `**${name}** ${cp > 0 ? "+" : ""}${formatMoney(cp, settings)}`).join(", ")}`
+    );
+  }
+  lines.push(`${bank.length + loans.length} entries; \`!history session:${session.id}\` lists them.`);
+  return lines.join("\n");
+}
+
+// ============= APPROVALS =============
+
+// Withdrawals can be made to wait for approval: above a threshold (`approvalAbove`), or when someone other
+// than the account's owner makes them (`approvalOthers`). The request is a "withdraw_request" entry on the
+// account that moves nothing; the owner (for a party treasury: another member) or a banker approves or
+// rejects it with buttons, and the decision is an "approval" entry. The GP only moves once it is approved.
+// Requests nobody answers expire after `approvalHours`.
+const REQUEST_DECISIONS = ["approved", "rejected", "cancelled", "expired"];
+
+// why this withdrawal has to wait for approval, or null when it can go through now
+function approvalReason(message, ledger, policy, accountName, amount) {
+  if (isBanker(message)) return null;
+  if (policy.approvalAbove !== null && amount > policy.approvalAbove) {
+    return `withdrawals over ${formatMoney(policy.approvalAbove, getGuildSettings(message))} need approval`;
+  }
+  if (policy.approvalOthers === "on" && !eqName(getDefaultNameForUser(ledger, message.author), accountName)) {
+    return "withdrawals from someone else's account need approval";
+  }
+  return null;
+}
+
+// who gets pinged for a request: the owner, else the party's members, else the bankers
+function requestApprovers(ledger, accountName, requesterId) {
+  const party = getParty(ledger, accountName);
+  const ids = party ? party.members.map((m) => m.userId).filter(Boolean) : [getAccountOwnerId(ledger, accountName)];
+  return ids.filter((id) => id && id !== requesterId);
+}
+
+function canDecideRequest(message, ledger, accountName, request) {
+  if (isBanker(message)) return true;
+  return requestApprovers(ledger, accountName, request.actorId).includes(message.author.id);
+}
+
+// pending requests of one account (or all accounts) as [{ accountName, entry }], oldest first
+function pendingRequests(ledger, accountName) {
+  const names = accountName ? [accountName] : Object.values(ledger.getAccounts()).map((a) => a.name);
+  const found = [];
+  for (const name of names) {
+    for (const entry of ledger.getTransactions(name)) {
+      if (entry.type === "withdraw_request" && entry.status === "pending") found.push({ accountName: name, entry });
+    }
+  }
+  return found.sort((a, b) => txSeqOf(a.entry.id) - txSeqOf(b.entry.id));
+}
+
+// settles a pending request; returns { lines } or { error } (approving fails when the GP is no longer there)
+function decideRequest(ledger, settings, accountName, request, decision, actorId, reason) {
+  const balance = getBalance(ledger, accountName);
+  if (decision === "approved" && !canDebit(settings, balance, request.amount)) {
+    return { error: `**${accountName}** only has **${formatMoney(balance, settings)}** now; the request stays open.` };
+  }
+
+  const entry = recordTransaction(ledger, accountName, "approval", request.amount, actorId, reason, {
+    requestId: request.id,
+    decision,
+  });
+  request.status = decision;
+  request.decidedBy = entry.id;
+  ledger.updateTransaction(accountName, request);
+  const lines = [`Request \`${request.id}\` **${decision}** (\`${entry.id}\`).`];
+
+  if (decision === "approved") {
+    adjustAccount(ledger, settings, accountName, request.coins || breakdownCoins(request.amount), -1);
+    const withdrawal = recordTransaction(ledger, accountName, "withdraw", request.amount, request.actorId, request.note, {
+      requestId: request.id,
+    });
+    lines.push(
+      `Withdrew **${formatMoney(request.amount, settings)}** from **${accountName}** (\`${withdrawal.id}\`).`,
+      `New balance: ${formatBalance(ledger, settings, accountName)} (was ${formatMoney(balance, settings)}).`
+    );
+  }
+  return { lines };
+}
+
+// marks requests past their time as expired; returns how many
+function expireRequests(ledger, settings, now, actorId) {
+  let count = 0;
+  for (const { accountName, entry } of pendingRequests(ledger, null)) {
+    if (Date.parse(entry.expiresAt) > now) continue;
+    decideRequest(ledger, settings, accountName, entry, "expired", actorId, "");
+    count += 1;
+  }
+  return count;
+}
+
+function describeApprovalRules(policy, settings) {
+  const rules = [];
+  if (policy.approvalAbove !== null) rules.push(`over **${formatMoney(policy.approvalAbove, settings)}**`);
+  if (policy.approvalOthers === "on") rules.push("by anyone but the owner");
+  if (!rules.length) return "**none**";
+  return `${rules.join(", ")} (requests expire after ${policy.approvalHours} hour(s))`;
+}
+
+function requestRows(txId) {
+  return [
+    new ActionRowBuilder().addComponents(
+      new ButtonBuilder().setCustomId(`request:approve:${txId}`).setLabel("Approve").setStyle(ButtonStyle.Success),
+      new ButtonBuilder().setCustomId(`request:reject:${txId}`).setLabel("Reject").setStyle(ButtonStyle.Danger)
+    ),
+  ];
+}
+
+function describeRequest(accountName, request, settings) {
+  const note = request.note ? ` - ${request.note}` : "";
+  return (
+    `\`${request.id}\` **${accountName}**: withdraw **${formatMoney(request.amount, settings)}**, ` +
+    `requested by <@${request.actorId}>, expires <t:${Math.floor(Date.parse(request.expiresAt) / 1000)}:R>${note}`
+  );
+}
+
+// ============= RECURRING =============
+
+// Wages, upkeep and rent: a banker sets up `!recurring add Vani -5 every week Lifestyle`, and the entry is
+// made on its own every period (checked on the scheduler tick) or on every `!session end`. Each firing is a
+// normal deposit or withdrawal carrying the rule's recurringId; a withdrawal the account can't cover is
+// skipped and reported instead of going negative. A digest of each run goes to the channel the rule was
+// made in.
+// periods a rule missed (the bot was down, or an old rule was imported) are made up for at most this many at
+// once; the rest are skipped and reported, so one tick can't post thousands of entries
+const MAX_RECURRING_CATCH_UP = 5;
+const RECURRING_UNITS = { hour: 60 * 60 * 1000, day: 24 * 60 * 60 * 1000, week: 7 * 24 * 60 * 60 * 1000 };
+const RECURRING_UNIT_NAMES = { h: "hour", hour: "hour", d: "day", day: "day", w: "week", week: "week" };
+
+// "session" | "week" | "3d" | "12h" | "2 weeks" from the words after "every"; returns { every, intervalMs, used }
+function parseRecurringInterval(tokens) {
+  const first = String(tokens[0] || "").toLowerCase();
+  if (first === "session") return { every: "session", intervalMs: null, used: 1 };
+  let match = /^(\d+)?([a-z]+?)s?$/.exec(first);
+  let used = 1;
+  if (/^\d+$/.test(first)) {
+    match = [null, first, String(tokens[1] || "").toLowerCase().replace(/s$/, "")];
+    used = 2;
+  }
+  const unit = match && RECURRING_UNIT_NAMES[match[2]];
+  const count = match && match[1] ? Number(match[1]) : 1;
+  if (!unit || !(count >= 1)) return null;
+  return { every: count === 1 ? unit : `${count} ${unit}s`, intervalMs: count * RECURRING_UNITS[unit], used };
+}
+
+function nextRecurringId(ledger) {
+  const seqs = Object.keys(ledger.listRecurring()).map((id) => Number(id.slice(1)) || 0);
+  return `r${Math.max(0, ...seqs) + 1}`;
+}
+
+function describeRecurring(rule, settings) {
+  const amount = `${rule.direction > 0 ? "+" : "-"}${formatMoney(rule.amount, settings)}`;
+  const when = rule.paused
+    ? "**paused**"
+    : rule.intervalMs
+      ? `next <t:${Math.floor(Date.parse(rule.nextAt) / 1000)}:R>`
+      : "on `!session end`";
+  return `\`${rule.id}\` **${rule.accountName}** ${amount} every ${rule.every}, ${when}${rule.note ? ` - ${rule.note}` : ""}`;
+}
+
+// one firing, checked like !withdraw; returns { rule, entry, balance } or { rule, error }
+function fireRecurring(ledger, settings, rule, actorId) {
+  const balance = getBalance(ledger, rule.accountName);
+  if (rule.direction < 0 && !canDebit(settings, balance, rule.amount)) {
+    return { rule, error: `not enough ${settings.currency} (has ${formatMoney(balance, settings)}), skipped` };
+  }
+  adjustAccount(ledger, settings, rule.accountName, rule.coins, rule.direction);
+  const type = rule.direction > 0 ? "deposit" : "withdraw";
+  const entry = recordTransaction(ledger, rule.accountName, type, rule.amount, actorId, rule.note, { recurringId: rule.id });
+  return { rule, entry, balance: formatBalance(ledger, settings, rule.accountName) };
+}
+
+// every timed rule that is due, catching up on periods missed while the bot was down
+function runDueRecurring(ledger, now, actorId) {
+  const results = [];
+  for (const rule of Object.values(ledger.listRecurring())) {
+    if (rule.paused || !rule.intervalMs || Date.parse(rule.nextAt) > now) continue;
+    const settings = rule.guildId ? getGuildConfig(rule.guildId).settings : DEFAULT_GUILD_SETTINGS;
+    const due = Date.parse(rule.nextAt);
+    const missed = Math.floor((now - due) / rule.intervalMs) + 1;
+    for (let i = 0; i < Math.min(missed, MAX_RECURRING_CATCH_UP); i++) {
+      results.push(fireRecurring(ledger, settings, rule, actorId));
+    }
+    if (missed > MAX_RECURRING_CATCH_UP) {
+      results.push({ rule, skipped: missed - MAX_RECURRING_CATCH_UP });
+      console.log(`Skipped ${missed - MAX_RECURRING_CATCH_UP} missed run(s) of recurring ${rule.id}`);
+    }
+    rule.nextAt = new Date(due + missed * rule.intervalMs).toISOString();
+    ledger.saveRecurring(rule.id, rule);
+  }
+  return results;
+}
+
+// every per-session rule, for `!session end`
+function runSessionRecurring(ledger, settings, actorId) {
+  return Object.values(ledger.listRecurring())
+    .filter((rule) => !rule.paused && rule.every === "session")
+    .map((rule) => fireRecurring(ledger, settings, rule, actorId));
+}
+
+function formatRecurringDigest(results, settings) {
+  const lines = results.map(({ rule, entry, balance, error, skipped }) => {
+    const amount = `${rule.direction > 0 ? "+" : "-"}${formatMoney(rule.amount, settings)}`;
+    const what = `\`${rule.id}\` **${rule.accountName}** ${amount}${rule.note ? ` (${rule.note})` : ""}`;
+    if (error) return `• ⚠️ ${what}: ${error}`;
+    if (skipped) {
+      return `• ⏭️ ${what}: skipped ${skipped} more missed run(s); at most ${MAX_RECURRING_CATCH_UP} are made up at once`;
+    }
+    return `• ${what}: now ${balance} (\`${entry.id}\`)`;
+  });
+  return `Recurring transactions:\n${lines.join("\n")}`;
+}
+
+// posts what the scheduler fired to the channels the rules were made in
+function postRecurringDigests(results) {
+  const byChannel = new Map();
+  for (const result of results) {
+    if (!result.rule.channelId) continue;
+    if (!byChannel.has(result.rule.channelId)) byChannel.set(result.rule.channelId, []);
+    byChannel.get(result.rule.channelId).push(result);
+  }
+  for (const [channelId, list] of byChannel) {
+    const guildId = list[0].rule.guildId;
+    const settings = guildId ? getGuildConfig(guildId).settings : DEFAULT_GUILD_SETTINGS;
+    const text = formatRecurringDigest(list, settings);
+    client.channels
+      .fetch(channelId)
+      .then((channel) => sendChunked({ channel }, text))
+      .catch((err) => console.error("Failed to post recurring digest:", err));
+  }
+}
+
+// ============= VAULT =============
+
+// Magic items, gems and art objects kept with the banker, per account and keyed by lowercased name, with a
+// value per item in copper (0 until someone names one). Putting items in, taking them out and selling them
+// are bank entries like any other, so they show up in `!history` and can be voided; only a sale moves GP.
+const ITEM_TX_TYPES = ["stash", "unstash", "sell"];
+const QTY_TOKEN = /^(\d+|all)$/i;
+const MAX_ITEM_NAME = 64;
+
+function itemKey(name) {
+  return String(name || "").trim().toLowerCase();
+}
+
+function isQtyArg(arg) {
+  return QTY_TOKEN.test(String(arg || ""));
+}
+
+// the longest run of tokens from the start that names an item in the vault: { item, next } or null
+function matchVaultItem(items, tokens) {
+  for (let n = tokens.length; n > 0; n--) {
+    const item = items[itemKey(tokens.slice(0, n).join(" "))];
+    if (item) return { item, next: n };
+  }
+  return null;
+}
+
+// adds (qty > 0) or takes out (qty < 0) items and returns what is left. value is what the added items are
+// worth each: it is averaged into what the vault already holds, like when vaults are merged (rounded to the
+// copper; items with no value yet take the other's). null keeps the value (0 for an item new to the vault)
+function moveItems(ledger, accountName, name, qty, value) {
+  const items = ledger.getItems(accountName);
+  const key = itemKey(name);
+  const item = items[key] || { name, qty: 0, value: 0 };
+  if (value !== null) {
+    const worth = item.qty * item.value + qty * value;
+    item.value = item.value && value ? Math.round(worth / (item.qty + qty)) : item.value || value;
+  }
+  item.qty += qty;
+  if (item.qty > 0) items[key] = item;
+  else delete items[key];
+  ledger.setItems(accountName, items);
+  return item;
+}
+
+// a new value each for an item the vault holds (`!vault appraise`)
+function appraiseItem(ledger, accountName, name, value) {
+  const items = ledger.getItems(accountName);
+  const item = items[itemKey(name)];
+  item.value = value;
+  ledger.setItems(accountName, items);
+  return item;
+}
+
+function vaultValue(items) {
+  return Object.values(items).reduce((sum, item) => sum + item.qty * item.value, 0);
+}
+
+function formatItem(item, settings) {
+  if (!item.value) return `**${item.qty}× ${item.name}**, no value yet`;
+  const each = item.qty > 1 ? `, ${formatMoney(item.value, settings)} each` : "";
+  return `**${item.qty}× ${item.name}** (${formatMoney(item.qty * item.value, settings)}${each})`;
+}
+
+// GP + item value - open debt per account, highest first, for `!leaderboard worth`
+function getNetWorthEntries(ledger, limit) {
+  const rows = {};
+  const row = (name) => (rows[name] = rows[name] || { name, gp: 0, items: 0, debt: 0 });
+  for (const [name, balance] of Object.entries(ledger.getBalances())) row(name).gp = Number(balance) || 0;
+  for (const [name, items] of Object.entries(ledger.getAllItems())) row(name).items = vaultValue(items);
+  for (const { name, debt } of getTopDebtEntries(ledger, Number.MAX_SAFE_INTEGER)) row(name).debt = debt;
+  return Object.values(rows)
+    .filter((r) => r.gp || r.items || r.debt)
+    .map((r) => ({ ...r, worth: r.gp + r.items - r.debt }))
+    .sort((a, b) => b.worth - a.worth)
+    .slice(0, limit);
+}
+
+// puts the items back (or takes them out again); voiding a sale also takes its GP back
+function voidItemEntry(ledger, settings, found, actorId, reason) {
+  const { accountName, entry } = found;
+  const direction = entry.type === "stash" ? -1 : 1;
+  const held = ledger.getItems(accountName)[itemKey(entry.item)];
+  if (direction < 0 && (!held || held.qty < entry.qty)) {
+    return {
+      error:
+        `**${accountName}** no longer holds ${entry.qty}× **${entry.item}**; ` +
+        `void the entries that took them out before \`${entry.id}\`.`,
+    };
+  }
+  if (entry.type === "sell") {
+    const error = checkBankReversal(ledger, settings, entry.id, [found]);
+    if (error) return { error };
+    adjustAccount(ledger, settings, accountName, breakdownCoins(entry.amount), -1);
+  }
+
+  let item = moveItems(ledger, accountName, entry.item, direction * entry.qty, held ? null : entry.value || 0);
+  // a stash that changed the value goes back to the one before, unless the value changed again since
+  if (entry.was !== undefined && item.qty > 0 && item.value === entry.became) {
+    item = appraiseItem(ledger, accountName, entry.item, entry.was);
+  }
+  const reversal = recordTransaction(ledger, accountName, "void", entry.amount, actorId, reason, {
+    voids: entry.id,
+    reverses: entry.type,
+    item: entry.item,
+    qty: entry.qty,
+  });
+  markVoided(ledger, found, reversal, actorId, reason);
+  const gp =
+    entry.type === "sell"
+      ? `, -${formatMoney(entry.amount, settings)} (now ${formatBalance(ledger, settings, accountName)})`
+      : "";
+  const items = `${direction > 0 ? "+" : "-"}${entry.qty}× ${entry.item}, ${item.qty} in the vault`;
+  return { lines: [`• ${accountName}: ${items}${gp} (\`${reversal.id}\`)`] };
+}
+
+// ============= PARTIES =============
+
+// A party is a shared treasury (the account with the party's name) plus a member list used by !split.
+// Members are Discord users (userId, shown under their current default name) or plain account names,
+// each with a weight for uneven splits.
+const MEMBER_WEIGHT = /^(.+)=(\d+(?:\.\d+)?)$/;
+
+function partyKey(name) {
+  return String(name || "").trim().toLowerCase();
+}
+
+function getParty(ledger, name) {
+  return ledger.getParty(partyKey(name));
+}
+
+function memberName(ledger, member) {
+  if (!member.userId) return member.name;
+  const profile = ledger.getProfile(member.userId);
+  return profile && profile.name ? profile.name : member.name;
+}
+
+function isPartyMember(ledger, party, user) {
+  const ownName = getDefaultNameForUser(ledger, user);
+  return party.members.some((m) => m.userId === user.id || (!m.userId && eqName(m.name, ownName)));
+}
+
+// "<@id>", "Vani" or either with "=weight"; returns { name, userId, weight, weighted } or null for an empty name
+function parseMemberArg(message, arg) {
+  const raw = String(arg || "").trim();
+  const match = MEMBER_WEIGHT.exec(raw);
+  const token = match ? match[1] : raw;
+  const weight = match ? Number(match[2]) : 1;
+
+  const mention = /^<@!?(\d+)>$/.exec(token);
+  if (mention) {
+    const user = message.mentions.users.get(mention[1]);
+    const name = user ? getDefaultNameForUser(getLedger(message), user) : token;
+    return { name, userId: mention[1], weight, weighted: !!match };
+  }
+  if (!token) return null;
+  return { name: token, userId: null, weight, weighted: !!match };
+}
+
+function generateSplitId() {
+  return `split_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// every entry of a split, across all accounts, for voiding it as a whole
+function findSplitEntries(ledger, splitId) {
+  const sides = [];
+  for (const accountName of Object.keys(ledger.getBalances())) {
+    for (const t of ledger.getTransactions(accountName)) {
+      if (t.splitId === splitId && !t.voided) sides.push({ kind: "bank", accountName, entry: t });
+    }
+  }
+  return sides;
+}
+
+// ============= IMPORTS =============
+
+// !importdb previews first; the file waits here until its admin confirms or it expires
+const IMPORT_CONFIRM_MS = 10 * 60 * 1000;
+const MAX_IMPORT_BYTES = 8 * 1024 * 1024;
+const pendingImports = new Map(); // { [token]: { userId, ledgerKey, incoming, mode, expiresAt } }
+
+// the ledger as it would be after the import, in the bank-data.json layout:
+// replace takes the file as it is, merge only adds accounts, loans and profiles not here yet
+function planImport(current, incoming, mode) {
+  if (mode === "replace") return { result: incoming, skipped: { accounts: 0, loans: 0, profiles: 0 } };
+
+  const result = JSON.parse(JSON.stringify(current));
+  const skipped = { accounts: 0, loans: 0, profiles: 0 };
+  const added = []; // imported entries, renumbered below so their ids don't collide with ours
+
+  const accountNames = new Set([...Object.keys(incoming.balances), ...Object.keys(incoming.transactions)]);
+  for (const name of accountNames) {
+    if (name in current.balances || name in current.transactions) {
+      skipped.accounts += 1;
+      continue;
+    }
+    if (name in incoming.balances) result.balances[name] = incoming.balances[name];
+    if (incoming.purses && incoming.purses[name]) result.purses[name] = incoming.purses[name];
+    if (incoming.items && incoming.items[name]) result.items[name] = incoming.items[name];
+    result.transactions[name] = (incoming.transactions[name] || []).map((t) => ({ ...t }));
+    added.push(...result.transactions[name]);
+  }
+
+  const loanIds = new Set([...Object.keys(incoming.loans), ...Object.keys(incoming.loanTransactions)]);
+  for (const loanId of loanIds) {
+    if (loanId in current.loans || loanId in current.loanTransactions) {
+      skipped.loans += 1;
+      continue;
+    }
+    if (incoming.loans[loanId]) result.loans[loanId] = incoming.loans[loanId];
+    result.loanTransactions[loanId] = (incoming.loanTransactions[loanId] || []).map((t) => ({ ...t }));
+    added.push(...result.loanTransactions[loanId]);
+  }
+
+  for (const [userId, profile] of Object.entries(incoming.profiles)) {
+    if (current.profiles[userId]) skipped.profiles += 1;
+    else result.profiles[userId] = profile;
+  }
+  for (const [key, party] of Object.entries(incoming.parties || {})) {
+    if (!result.parties[key]) result.parties[key] = party;
+  }
+  for (const [key, account] of Object.entries(incoming.accounts || {})) {
+    if (!result.accounts[key]) result.accounts[key] = account;
+  }
+  for (const [id, session] of Object.entries(incoming.sessions || {})) {
+    if (!result.sessions[id]) result.sessions[id] = session;
+  }
+  for (const [id, rule] of Object.entries(incoming.recurring || {})) {
+    if (!result.recurring[id]) result.recurring[id] = rule;
+  }
+
+  // keep the file's order, continue after our last id, and point voids at the new ids
+  const newIds = {};
+  let seq = Number(current.txSeq) || 0;
+  for (const t of added.sort((a, b) => txSeqOf(a.id) - txSeqOf(b.id))) {
+    seq += 1;
+    newIds[t.id] = formatTxId(seq);
+    t.id = newIds[t.id];
+  }
+  for (const t of added) {
+    if (t.voids && newIds[t.voids]) t.voids = newIds[t.voids];
+    if (t.loanTxId && newIds[t.loanTxId]) t.loanTxId = newIds[t.loanTxId];
+    if (t.voided && newIds[t.voided.by]) t.voided = { ...t.voided, by: newIds[t.voided.by] };
+  }
+  result.txSeq = seq;
+
+  return { result, skipped };
+}
+
+function ledgerSummary(raw) {
+  const openLoans = Object.values(raw.loans).filter((loan) => isLoanOpen(loan));
+  return {
+    accounts: Object.keys(raw.balances).length,
+    total: Object.values(raw.balances).reduce((sum, bal) => sum + (Number(bal) || 0), 0),
+    openLoans: openLoans.length,
+    openDebt: openLoans.reduce((sum, loan) => sum + (Number(loan.balance) || 0), 0),
+    transactions: Object.values(raw.transactions).flat().length,
+    loanTransactions: Object.values(raw.loanTransactions).flat().length,
+  };
+}
+
+// what changes between the current ledger and the planned one, for the confirmation message
+function describeImport(current, plan, mode, settings) {
+  const { result, skipped } = plan;
+  const before = ledgerSummary(current);
+  const after = ledgerSummary(result);
+  const listNames = (names, format) => {
+    const shown = names.slice(0, 10).map(format).join(", ");
+    return names.length > 10 ? `${shown} and ${names.length - 10} more` : shown;
+  };
+
+  const added = Object.keys(result.balances).filter((name) => !(name in current.balances));
+  const removed = Object.keys(current.balances).filter((name) => !(name in result.balances));
+  const changed = Object.keys(result.balances).filter(
+    (name) => name in current.balances && current.balances[name] !== result.balances[name]
+  );
+
+  const lines = [
+    `Accounts: **${before.accounts}** → **${after.accounts}** ` +
+      `(${added.length} new, ${removed.length} removed, ${changed.length} changed balances)`,
+  ];
+  if (added.length) {
+    lines.push(`• New: ${listNames(added, (name) => `${name} (${formatMoney(result.balances[name], settings)})`)}`);
+  }
+  if (removed.length) {
+    lines.push(`• Removed: ${listNames(removed, (name) => `${name} (${formatMoney(current.balances[name], settings)})`)}`);
+  }
+  if (changed.length) {
+    const format = (name) =>
+      `${name} ${formatMoney(current.balances[name], settings)} → ${formatMoney(result.balances[name], settings)}`;
+    lines.push(`• Changed: ${listNames(changed, format)}`);
+  }
+  lines.push(`Total balances: **${formatMoney(before.total, settings)}** → **${formatMoney(after.total, settings)}**`);
+  lines.push(
+    `Open loans: **${before.openLoans}** (${formatMoney(before.openDebt, settings)}) → ` +
+      `**${after.openLoans}** (${formatMoney(after.openDebt, settings)})`
+  );
+  lines.push(
+    `Transactions: **${before.transactions}** bank / **${before.loanTransactions}** loan → ` +
+      `**${after.transactions}** / **${after.loanTransactions}**`
+  );
+  if (mode === "merge" && (skipped.accounts || skipped.loans || skipped.profiles)) {
+    lines.push(
+      `Already here and left as they are: ${skipped.accounts} account(s), ${skipped.loans} loan(s), ` +
+        `${skipped.profiles} profile(s).`
+    );
+  }
+  return lines;
+}
+
+function importConfirmRows(token, userId) {
+  return [
+    new ActionRowBuilder().addComponents(
+      new ButtonBuilder().setCustomId(`importdb:confirm:${userId}:${token}`).setLabel("Import").setStyle(ButtonStyle.Danger),
+      new ButtonBuilder().setCustomId(`importdb:cancel:${userId}:${token}`).setLabel("Cancel").setStyle(ButtonStyle.Secondary)
+    ),
+  ];
+}
+
+// ============= PERMISSIONS =============
+
+// who may do what, per guild; levels are "anyone" < "owner" (the account's claimant or a banker) < "banker"
+const DEFAULT_GUILD_PERMISSIONS = {
+  bankerRoles: [], // role ids that count as Banker / DM
+  deposit: "anyone", // crediting an account
+  debit: "owner", // withdraw, transfer from, exchange
+  loans: "owner", // loan (borrower), repay and accrue (borrower or lender)
+  unclaimed: "anyone", // who counts as owner of accounts no one has claimed with !setname
+  approvalAbove: null, // withdrawals above this (copper) wait for approval; null = never
+  approvalOthers: "off", // "on": withdrawals by anyone but the account's owner wait for approval
+  approvalHours: 24, // unanswered requests expire after this
+};
+const PERMISSION_RULES = {
+  deposit: ["anyone", "owner", "banker"],
+  debit: ["anyone", "owner", "banker"],
+  loans: ["anyone", "owner", "banker"],
+  unclaimed: ["anyone", "banker"],
+};
+
+const PERMISSION_VERBS = {
+  deposit: "deposit to",
+  withdraw: "withdraw from",
+  transfer: "transfer from",
+  exchange: "exchange coins in",
+  loan: "create a loan for",
+  repay: "repay loans of",
+  accrue: "accrue on loans of",
+  stash: "stash items in",
+  unstash: "take items out of",
+  sell: "sell items from",
+  vault: "appraise items in",
+};
+
+function getGuildPermissions(message) {
+  if (!message.guildId) return { ...DEFAULT_GUILD_PERMISSIONS };
+  return getGuildConfig(message.guildId).permissions;
+}
+
+function memberHasRole(member, roleId) {
+  if (!member || !member.roles) return false;
+  // interactions in uncached guilds carry raw API members with plain role id arrays
+  if (Array.isArray(member.roles)) return member.roles.includes(roleId);
+  return !!member.roles.cache && member.roles.cache.has(roleId);
+}
+
+function memberCanManageGuild(member) {
+  if (!member || !member.permissions) return false;
+  if (typeof member.permissions === "string") {
+    return new PermissionsBitField(BigInt(member.permissions)).has(PermissionFlagsBits.ManageGuild);
+  }
+  return member.permissions.has(PermissionFlagsBits.ManageGuild);
+}
+
+// server managers are always bankers so a fresh server can be set up; DMs never are
+function isBanker(message) {
+  if (!message.guildId || !message.member) return false;
+  if (memberCanManageGuild(message.member)) return true;
+  return getGuildPermissions(message).bankerRoles.some((roleId) => memberHasRole(message.member, roleId));
+}
+
+function getAccountOwnerId(ledger, accountName) {
+  const entry = Object.entries(ledger.getProfiles()).find(([, profile]) => profile && eqName(profile.name, accountName));
+  return entry ? entry[0] : null;
+}
+
+function canActOnAccount(message, ledger, policy, accountName) {
+  if (eqName(getDefaultNameForUser(ledger, message.author), accountName)) return true;
+  // a party treasury belongs to the party's members
+  const party = getParty(ledger, accountName);
+  if (party) return isPartyMember(ledger, party, message.author);
+  const ownerId = getAccountOwnerId(ledger, accountName);
+  if (ownerId) return ownerId === message.author.id;
+  return policy.unclaimed === "anyone";
+}
+
+// accounts whose owner may run the command, parsed the same way the command parses its args
+function getPermissionTargets(message, command, args) {
+  const ledger = getLedger(message);
+  const self = getDefaultNameForUser(ledger, message.author);
+  const firstIsNumber = isAmountArg(args[0]) && !message.mentions.users.size;
+
+  if (["deposit", "withdraw", "exchange", "loan"].includes(command)) {
+    return [firstIsNumber ? self : resolveAccountName(message, args[0])];
+  }
+  if (command === "transfer") {
+    return [isAmountArg(args[1]) ? self : resolveNameArg(message, args[0])];
+  }
+  if (command === "stash") return [parseVaultArgs(message, ledger, args).accountName];
+  if (["unstash", "sell"].includes(command)) return [parseTakeArgs(message, ledger, args).accountName];
+  if (command === "vault" && String(args[0] || "").toLowerCase() === "appraise") {
+    return [parseAppraiseArgs(message, ledger, args.slice(1)).accountName];
+  }
+  if (["repay", "accrue"].includes(command)) {
+    const { borrowerName, lenderName, loan } = getLoanCommandAccounts(message, ledger, args);
+    // repaying a funded loan takes the borrower's GP, so the lender can't do it for them
+    if (command === "repay" && loan && loan.funded) return [borrowerName];
+    return [borrowerName, lenderName].filter(Boolean);
+  }
+  return [];
+}
+
+// the borrower, lender and (when only one matches) loan a !repay or !accrue is about
+function getLoanCommandAccounts(message, ledger, args) {
+  const firstIsNumber = isAmountArg(args[0]) && !message.mentions.users.size;
+  const borrowerName = firstIsNumber
+    ? getDefaultNameForUser(ledger, message.author)
+    : resolvePersonFromArgOrMention(message, args[0]).name;
+  const parsed = parseAmountArgs(args, firstIsNumber ? 0 : 1);
+  const targetArg = parsed ? args[parsed.next] : null;
+  let loan = isLoanId(ledger, targetArg) ? getLoan(ledger, normalizeLoanId(targetArg)) : null;
+  const lenderName = loan ? loan.lenderName : canonicalName(ledger, targetArg);
+  if (!loan) {
+    const matches = findOpenLoans(ledger, borrowerName, lenderName);
+    loan = matches.length === 1 ? matches[0] : null;
+  }
+  return { borrowerName, lenderName, loan };
+}
+
+// a transaction may be voided by whoever entered it, or by a banker
+function checkVoidPermission(message, args) {
+  if (isBanker(message)) return null;
+  const found = findTransaction(getLedger(message), args[0]);
+  if (!found || found.entry.actorId === message.author.id) return null;
+  return `Only <@${found.entry.actorId}> (who entered \`${found.entry.id}\`) or a banker can void it.`;
+}
+
+// a funded loan is paid out of the lender's balance, so the debit rule applies to the lender as well
+function checkLenderPermission(message, args) {
+  const ledger = getLedger(message);
+  const policy = getGuildPermissions(message);
+  const firstIsNumber = isAmountArg(args[0]) && !message.mentions.users.size;
+  const parsed = parseAmountArgs(args, firstIsNumber ? 0 : 1);
+  if (!parsed || !args[parsed.next]) return null;
+  if (!isFundedLoan(args.slice(parsed.next + 1), getGuildSettings(message))) return null;
+
+  const lenderName = canonicalName(ledger, args[parsed.next]);
+  if (policy.debit === "anyone" || isBanker(message)) return null;
+  if (policy.debit === "banker") return "Only bankers can lend from accounts on this server (funded loan).";
+  if (canActOnAccount(message, ledger, policy, lenderName)) return null;
+
+  const ownerId = getAccountOwnerId(ledger, lenderName);
+  if (!ownerId) return `Only bankers can lend from unclaimed account **${lenderName}** (funded loan).`;
+  return `You can't lend from **${lenderName}**: it belongs to <@${ownerId}>. Only they or a banker can do that.`;
+}
+
+// aliases change where typed names land, so they are up to the account's owner and bankers
+function checkAccountPermission(message, args) {
+  const sub = String(args[0] || "").toLowerCase();
+  if (!["alias", "unalias"].includes(sub) || isBanker(message)) return null;
+  const ledger = getLedger(message);
+  const found = findAccount(ledger, resolveNameArg(message, args[1]));
+  if (!found || canActOnAccount(message, ledger, getGuildPermissions(message), found.account.name)) return null;
+  return `Only the owner of **${found.account.name}** or a banker can change its aliases.`;
+}
+
+// anyone may create a party; changing or deleting one is up to its members and bankers
+function checkPartyPermission(message, args) {
+  const sub = String(args[0] || "").toLowerCase();
+  if (!["add", "remove", "delete"].includes(sub) || isBanker(message)) return null;
+  const ledger = getLedger(message);
+  const party = getParty(ledger, args[1]);
+  if (!party || isPartyMember(ledger, party, message.author)) return null;
+  return `Only members of **${party.name}** or a banker can change that party.`;
+}
+
+// a split credits every recipient (deposit rule); paying it out of a treasury also debits the party (debit rule)
+function checkSplitPermission(message, args) {
+  if (isBanker(message)) return null;
+  const ledger = getLedger(message);
+  const policy = getGuildPermissions(message);
+
+  if (String(args[0] || "").toLowerCase() === "from") {
+    const party = getParty(ledger, args[1]);
+    if (party && policy.debit !== "anyone") {
+      if (policy.debit === "banker") return "Only bankers can pay out of party treasuries on this server.";
+      if (!isPartyMember(ledger, party, message.author)) {
+        return `Only members of **${party.name}** or a banker can pay out of its treasury.`;
+      }
+    }
+    return null;
+  }
+
+  if (policy.deposit === "anyone") return null;
+  if (policy.deposit === "banker") return "Only bankers can deposit to accounts on this server.";
+  const parsed = parseAmountArgs(args, 0);
+  if (!parsed) return null;
+  const { recipients } = parseSplitRecipients(message, ledger, args.slice(parsed.next));
+  const denied = recipients.find((r) => !canActOnAccount(message, ledger, policy, r.name));
+  if (!denied) return null;
+  return `You can't deposit to **${denied.name}** on this server; only its owner or a banker can.`;
+}
+
+// interest terms are the lender's to change (the lender account's owner under the loans policy), or a banker's
+function checkTermsPermission(message, args) {
+  if (args.length < 2 || isBanker(message)) return null;
+  const ledger = getLedger(message);
+  const loan = isLoanId(ledger, args[0]) ? getLoan(ledger, normalizeLoanId(args[0])) : null;
+  if (!loan) return null;
+
+  const policy = getGuildPermissions(message);
+  if (policy.loans === "anyone") return null;
+  if (policy.loans === "banker") return "Only bankers can change interest terms on this server.";
+  if (canActOnAccount(message, ledger, policy, loan.lenderName)) return null;
+  return `Only the lender **${loan.lenderName}** or a banker can change the terms of loan **${args[0]}**.`;
+}
+
+// write-offs, closing and editing a loan are the lender's call (the lender account's owner under the loans
+// policy), or a banker's
+function checkLoanActionPermission(message, args) {
+  if (isBanker(message)) return null;
+  const ledger = getLedger(message);
+  const loan = isLoanId(ledger, args[1]) ? getLoan(ledger, normalizeLoanId(args[1])) : null;
+  if (!loan) return null;
+
+  const policy = getGuildPermissions(message);
+  const action = String(args[0]).toLowerCase();
+  if (policy.loans === "anyone") return null;
+  if (policy.loans === "banker") return `Only bankers can ${action} loans on this server.`;
+  if (canActOnAccount(message, ledger, policy, loan.lenderName)) return null;
+  return `Only the lender **${loan.lenderName}** or a banker can ${action} loan **${args[1]}**.`;
+}
+
+function isAdminCommand(command, args) {
+  const sub = String(args[0] || "").toLowerCase();
+  if (["exportdb", "importdb", "backups"].includes(command)) return true;
+  if (["coins", "funding", "timezone"].includes(command)) return args.length > 0;
+  if (command === "config") return args.length > 1;
+  if (command === "accrue") return sub === "session";
+  if (command === "session") return ["start", "end"].includes(sub);
+  if (command === "recurring") return !["", "list"].includes(sub);
+  if (command === "account") return ["rename", "merge"].includes(sub);
+  if (command === "campaign") return ["create", "use"].includes(sub);
+  if (command === "perms") return !["", "show"].includes(sub);
+  return false;
+}
+
+// returns the reason a command is denied, or null when the caller may run it
+function checkCommandPermission(message, command, args) {
+  if (isAdminCommand(command, args)) {
+    if (isBanker(message)) return null;
+    const usage = ["exportdb", "importdb", "backups"].includes(command)
+      ? `!${command}`
+      : `!${command} ${String(args[0]).toLowerCase()}`;
+    if (!message.guildId) return `\`${usage}\` can only be used by a banker in a server channel.`;
+    return `Only bankers can use \`${usage}\`. Ask someone with a banker role or Manage Server.`;
+  }
+
+  if (command === "void") return checkVoidPermission(message, args);
+  if (command === "terms") return checkTermsPermission(message, args);
+  if (command === "party") return checkPartyPermission(message, args);
+  if (command === "account") return checkAccountPermission(message, args);
+  if (command === "split") return checkSplitPermission(message, args);
+  if (command === "loan" && isLoanAction(args)) return checkLoanActionPermission(message, args);
+  if (command === "loan") {
+    const denied = checkLenderPermission(message, args);
+    if (denied) return denied;
+  }
+
+  const verb = PERMISSION_VERBS[command];
+  if (!verb) return null;
+
+  const policy = getGuildPermissions(message);
+  const level = ["deposit", "stash"].includes(command)
+    ? policy.deposit
+    : ["loan", "repay", "accrue"].includes(command)
+      ? policy.loans
+      : policy.debit;
+  if (level === "anyone" || isBanker(message)) return null;
+
+  const targets = getPermissionTargets(message, command, args);
+  if (!targets.length) return null; // let the command report its own usage error
+  if (level === "banker") return `Only bankers can ${verb} accounts on this server.`;
+
+  const ledger = getLedger(message);
+  if (targets.some((name) => canActOnAccount(message, ledger, policy, name))) return null;
+
+  const accountName = targets[0];
+  const party = getParty(ledger, accountName);
+  if (party) return `**${party.name}** is a party treasury; only its members or a banker can ${verb} it.`;
+  const ownerId = getAccountOwnerId(ledger, accountName);
+  if (!ownerId) return `Only bankers can ${verb} unclaimed account **${accountName}**.`;
+  return `You can't ${verb} **${accountName}**: it belongs to <@${ownerId}>. Only they or a banker can do that.`;
+}
+
+// ============= COMMAND HANDLING =============
+
+client.on("ready", () => {
+  console.log("Bank bot ready");
+  if (storage.notice) notifyAdmins(storage.notice);
+  startScheduler();
+});
+
+client.on(Events.MessageCreate, (receivedMessage) => {
+  if (receivedMessage.author.bot) return;
+  if (!receivedMessage.content.startsWith(getPrefix(receivedMessage.guildId))) return;
+
+  processCommand(receivedMessage).catch((err) => {
+    console.error("Error in command:", err);
+    receivedMessage.channel.send("Something went wrong processing that command.");
+  });
+});
+
+async function processCommand(receivedMessage) {
+  const fullCommand = receivedMessage.content.slice(getPrefix(receivedMessage.guildId).length).trim();
+  if (!fullCommand.length) return;
+
+  const splitCommand = fullCommand.split(/\s+/);
+  const primaryCommand = splitCommand[0].toLowerCase();
+  const args = splitCommand.slice(1);
+
+  console.log("Command received:", primaryCommand, "Args:", args.join(" "));
+
+  return runCommand(receivedMessage, primaryCommand, args);
+}
+
+const WRITE_COMMANDS = [
+  "setname",
+  "deposit",
+  "withdraw",
+  "transfer",
+  "exchange",
+  "split",
+  "loan",
+  "repay",
+  "accrue",
+  "void",
+  "undo",
+  "stash",
+  "unstash",
+  "sell",
+];
+
+// commands refused while the bank is read-only; `!backups` stays usable so it can be fixed
+function isWriteCommand(command, args) {
+  if (WRITE_COMMANDS.includes(command)) return true;
+  if (command === "terms") return args.length > 1;
+  if (command === "party") return ["create", "add", "remove", "delete"].includes(String(args[0] || "").toLowerCase());
+  if (command === "account") return !["", "list", "show"].includes(String(args[0] || "").toLowerCase());
+  if (command === "vault") return String(args[0] || "").toLowerCase() === "appraise";
+  return isAdminCommand(command, args) && !["exportdb", "backups"].includes(command);
+}
+
+// shared by the `!` prefix, slash commands, buttons and the console; message may be an adapter
+// (createInteractionMessage, createConsoleMessage)
+async function runCommand(message, primaryCommand, args) {
+  const receivedMessage = withPrefixInReplies(message);
+  // a DM can come from anyone, not just members of the server whose bank it would use
+  if (!receivedMessage.guildId && primaryCommand !== "help") {
+    return receivedMessage.channel.send("The bank only works in server channels; in DMs there is only `!help`.");
+  }
+  const denied = checkCommandPermission(receivedMessage, primaryCommand, args);
+  if (denied) return receivedMessage.channel.send(denied);
+
+  if (storage.readOnlyReason && isWriteCommand(primaryCommand, args)) {
+    return receivedMessage.channel.send(
+      `The bank is read-only: ${storage.readOnlyReason}\nA banker can restore a backup with \`!backups restore <n>\`.`
+    );
+  }
+
+  if (primaryCommand === "help") return helpCommand(receivedMessage, args);
+  if (primaryCommand === "exportdb") return exportDbCommand(receivedMessage);
+  if (primaryCommand === "importdb") return importDbCommand(receivedMessage, args);
+  if (primaryCommand === "setname") return setNameCommand(receivedMessage, args);
+  if (primaryCommand === "campaign") return campaignCommand(receivedMessage, args);
+  if (primaryCommand === "coins") return coinsCommand(receivedMessage, args);
+  if (primaryCommand === "funding") return fundingCommand(receivedMessage, args);
+  if (primaryCommand === "timezone") return timezoneCommand(receivedMessage, args);
+  if (primaryCommand === "config") return configCommand(receivedMessage, args);
+  if (primaryCommand === "perms") return permsCommand(receivedMessage, args);
+  if (primaryCommand === "backups") return backupsCommand(receivedMessage, args);
+  if (primaryCommand === "party") return partyCommand(receivedMessage, args);
+  if (primaryCommand === "account") {
+    return runLocked(receivedMessage, primaryCommand, args, (message) => accountCommand(message, args));
+  }
+  if (primaryCommand === "vault") {
+    return runLocked(receivedMessage, primaryCommand, args, (message) => vaultCommand(message, args));
+  }
+
+  if (["deposit", "withdraw", "transfer", "exchange", "split", "stash", "unstash", "sell"].includes(primaryCommand)) {
+    return runLocked(receivedMessage, primaryCommand, args, (message) => {
+      if (primaryCommand === "deposit") return depositCommand(message, args);
+      if (primaryCommand === "withdraw") return withdrawCommand(message, args);
+      if (primaryCommand === "transfer") return transferCommand(message, args);
+      if (primaryCommand === "split") return splitCommand(message, args);
+      if (primaryCommand === "stash") return stashCommand(message, args);
+      if (primaryCommand === "unstash") return unstashCommand(message, args);
+      if (primaryCommand === "sell") return sellCommand(message, args);
+      return exchangeCommand(message, args);
+    });
+  }
+
+  if (primaryCommand === "balance") return balanceCommand(receivedMessage, args);
+
+  if (["loan", "repay", "accrue", "terms", "void", "undo", "session", "recurring"].includes(primaryCommand)) {
+    return runLocked(receivedMessage, primaryCommand, args, (message) => {
+      if (primaryCommand === "loan") return loanCommand(message, args);
+      if (primaryCommand === "repay") return repayCommand(message, args);
+      if (primaryCommand === "accrue") return accrueCommand(message, args);
+      if (primaryCommand === "terms") return termsCommand(message, args);
+      if (primaryCommand === "void") return voidCommand(message, args);
+      if (primaryCommand === "session") return sessionCommand(message, args);
+      if (primaryCommand === "recurring") return recurringCommand(message, args);
+      return undoCommand(message);
+    });
+  }
+
+  if (primaryCommand === "debt") return debtCommand(receivedMessage, args);
+  if (primaryCommand === "loaninfo") return loanInfoCommand(receivedMessage, args);
+  if (primaryCommand === "loans") return loansCommand(receivedMessage, args);
+  if (primaryCommand === "settle") return settleCommand(receivedMessage, args);
+  if (primaryCommand === "pending") return pendingCommand(receivedMessage, args);
+  if (primaryCommand === "debtors") return debtorsCommand(receivedMessage, args);
+  if (primaryCommand === "history") return historyCommand(receivedMessage, args);
+  if (primaryCommand === "statement") return statementCommand(receivedMessage, args);
+  if (primaryCommand === "leaderboard") return leaderboardCommand(receivedMessage, args);
+
+  receivedMessage.channel.send("Unknown command. Try `!help`.");
+}
+
+// A command that changes the bank holds the locks of what it works on (getLockKeys) and its changes are one
+// transaction. Conflicting commands wait in turn instead of being turned away. Replies are held back until
+// the commit: a command that fails halfway only reports the error, and commands on one account answer in order.
+async function runLocked(receivedMessage, command, args, fn) {
+  try {
+    return await locks.run(getLockKeys(receivedMessage, command, args), async () => {
+      const replies = [];
+      await inTransaction(() => fn(withHeldReplies(receivedMessage, replies)));
+      for (const reply of replies) await receivedMessage.channel.send(reply);
+    });
+  } catch (err) {
+    return receivedMessage.channel.send(describeLockError(`\`!${command}\``, err));
+  }
+}
+
+// what to tell the user when a change couldn't get or keep its locks; anything else is rethrown
+function describeLockError(what, err) {
+  if (err.code === LOCK_TIMEOUT) {
+    console.error(`${what} gave up waiting:`, err.message);
+    return "The bank is still busy with an earlier transaction there, try again in a moment.";
+  }
+  if (err.code === LOCK_EXPIRED) {
+    console.error(`${what} took too long:`, err.message);
+    return `${what} is taking too long; check \`!history\` before trying it again.`;
+  }
+  throw err;
+}
+
+// replies are written with `!`; servers with another `!config prefix` see theirs (looked up when sending,
+// so changing the prefix already answers with the new one)
+function withPrefixInReplies(message) {
+  const rewrite = (text) => {
+    const prefix = getPrefix(message.guildId);
+    return prefix === PREFIX ? text : text.replace(/`!(?=[a-z])/g, () => `\`${prefix}`);
+  };
+  const send = (reply) => {
+    if (typeof reply === "string") return message.channel.send(rewrite(reply));
+    return message.channel.send(reply.content ? { ...reply, content: rewrite(reply.content) } : reply);
+  };
+  const channel = Object.create(message.channel, { send: { value: send } });
+  return Object.create(message, { channel: { value: channel } });
+}
+
+// the message as a command sees it, with its replies collected instead of sent
+function withHeldReplies(message, replies) {
+  const channel = Object.create(message.channel, {
+    send: { value: async (reply) => void replies.push(reply) },
+  });
+  return Object.create(message, { channel: { value: channel } });
+}
+
+// Commands on accounts share their ledger and lock the accounts they change (a loan both of its sides);
+// the others (splits, voids, sessions, account and vault changes...) lock the whole ledger.
+function getLockKeys(message, command, args) {
+  const ledgerKey = getLedgerKeyForMessage(message);
+  const names = getLockedAccounts(message, command, args);
+  if (!names) return { exclusive: [ledgerKey] };
+  const ledger = getLedger(message);
+  return {
+    shared: [ledgerKey],
+    exclusive: names.filter(Boolean).map((name) => `${ledgerKey}/${canonicalName(ledger, name).toLowerCase()}`),
+  };
+}
+
+// null for commands that lock the whole ledger
+function getLockedAccounts(message, command, args) {
+  const ledger = getLedger(message);
+  const self = getDefaultNameForUser(ledger, message.author);
+  const firstIsNumber = isAmountArg(args[0]) && !message.mentions.users.size;
+
+  if (["deposit", "withdraw", "exchange", "stash", "unstash", "sell"].includes(command)) {
+    return getPermissionTargets(message, command, args);
+  }
+  if (command === "vault" && String(args[0] || "").toLowerCase() === "appraise") {
+    return getPermissionTargets(message, command, args);
+  }
+  if (command === "transfer") {
+    if (isAmountArg(args[1])) return [self, resolveNameArg(message, args[0])];
+    return [resolveNameArg(message, args[0]), resolveNameArg(message, args[1])];
+  }
+  if (command === "loan" && !isLoanAction(args)) {
+    const borrowerName = firstIsNumber ? self : resolvePersonFromArgOrMention(message, args[0]).name;
+    const parsed = parseAmountArgs(args, firstIsNumber ? 0 : 1);
+    return [borrowerName, parsed ? args[parsed.next] : null];
+  }
+  if (["repay", "accrue"].includes(command)) {
+    const { borrowerName, lenderName } = getLoanCommandAccounts(message, ledger, args);
+    return [borrowerName, lenderName];
+  }
+  if (command === "terms") {
+    const loan = isLoanId(ledger, args[0]) ? getLoan(ledger, normalizeLoanId(args[0])) : null;
+    return loan ? [loan.borrowerName, loan.lenderName] : [];
+  }
+  return null;
+}
+
+// ============= SLASH COMMANDS & BUTTONS =============
+
+client.on(Events.InteractionCreate, (interaction) => {
+  handleInteraction(interaction).catch((err) => {
+    console.error("Error in interaction:", err);
+    if (!interaction.isRepliable()) return;
+    const reply = { content: "Something went wrong processing that command.", ephemeral: true };
+    const send = interaction.replied || interaction.deferred ? interaction.followUp(reply) : interaction.reply(reply);
+    send.catch(() => {});
+  });
+});
+
+async function handleInteraction(interaction) {
+  if (interaction.isAutocomplete()) return autocompleteInteraction(interaction);
+  if (interaction.isButton()) return buttonInteraction(interaction);
+  if (!interaction.isChatInputCommand()) return;
+
+  const { args, mentionedUsers } = getSlashArgs(interaction);
+  const attachments = interaction.options.data.filter((o) => o.attachment).map((o) => o.attachment);
+  console.log("Slash command received:", interaction.commandName, "Args:", args.join(" "));
+
+  const message = createInteractionMessage(interaction, mentionedUsers, attachments);
+  return runCommand(message, interaction.commandName, args);
+}
+
+// a message-like view of an interaction, so commands only ever see message.author, message.mentions
+// and message.channel.send; the first send is the interaction reply, later ones are follow-ups
+function createInteractionMessage(interaction, mentionedUsers = [], attachments = []) {
+  const send = (content) =>
+    interaction.replied || interaction.deferred ? interaction.followUp(content) : interaction.reply(content);
+
+  return {
+    author: interaction.user,
+    member: interaction.member,
+    guild: interaction.guild,
+    guildId: interaction.guildId,
+    channel: {
+      id: interaction.channelId,
+      parentId: interaction.channel ? interaction.channel.parentId : null,
+      send,
+    },
+    mentions: { users: new Collection(mentionedUsers.map((u) => [u.id, u])) },
+    attachments: new Collection(attachments.map((a) => [a.id, a])),
+  };
+}
+
+// rebuild the `!` argument list from typed options (see SLASH_ARGS in commands.js)
+function getSlashArgs(interaction) {
+  const args = [];
+  const mentionedUsers = [];
+
+  for (const name of SLASH_ARGS[interaction.commandName] || []) {
+    if (name === "subcommand") {
+      args.push(interaction.options.getSubcommand(false));
+      continue;
+    }
+
+    if (name === "who") {
+      const user = interaction.options.getUser("user");
+      if (user) {
+        mentionedUsers.push(user);
+        args.push(`<@${user.id}>`);
+        continue;
+      }
+    }
+
+    const keyword = name.startsWith("+") ? name.slice(1) : null;
+    const option = interaction.options.get(name === "who" ? "account" : keyword || name);
+    if (!option || option.value === undefined || option.value === null) continue;
+    if (keyword) args.push(keyword);
+    args.push(...String(option.value).trim().split(/\s+/).filter(Boolean));
+  }
+
+  return { args, mentionedUsers };
+}
+
+async function autocompleteInteraction(interaction) {
+  if (!interaction.guildId) return interaction.respond([]);
+  const focused = interaction.options.getFocused(true);
+  const message = createInteractionMessage(interaction);
+  const ledger = getLedger(message);
+  const query = String(focused.value || "").trim().toLowerCase();
+
+  let choices;
+  if (interaction.commandName === "loaninfo") {
+    choices = findLoans(ledger, {})
+      .map((loan) => ({
+        name: `${loan.borrowerName} → ${loan.lenderName} (${loan.status}) - ${loan.loanId}`.substring(0, 100),
+        value: loan.loanId,
+      }))
+      .filter((c) => c.name.toLowerCase().includes(query));
+  } else if (focused.name === "loan") {
+    // open loans of the borrower picked so far, else of the caller
+    const user = interaction.options.getUser("user");
+    const account = interaction.options.getString("account");
+    const borrowerName = user ? getDefaultNameForUser(ledger, user) : account || getDefaultNameForUser(ledger, interaction.user);
+    choices = getLoanChoices(ledger, getGuildSettings(message), borrowerName, query);
+  } else if (focused.name === "item") {
+    // items in the vault picked so far, else the caller's
+    const user = interaction.options.getUser("user");
+    const account = interaction.options.getString("account");
+    const accountName = user
+      ? getDefaultNameForUser(ledger, user)
+      : account || getDefaultNameForUser(ledger, interaction.user);
+    choices = Object.values(ledger.getItems(canonicalName(ledger, accountName)))
+      .filter((item) => item.name.toLowerCase().includes(query))
+      .map((item) => ({ name: `${item.name} (${item.qty})`.substring(0, 100), value: item.name }));
+  } else if (["split", "party"].includes(interaction.commandName)) {
+    choices = Object.values(ledger.getParties())
+      .map((p) => p.name)
+      .filter((name) => name.toLowerCase().includes(query))
+      .map((name) => ({ name, value: name }));
+  } else {
+    choices = getAccountNameChoices(ledger, query);
+  }
+
+  return interaction.respond(choices.slice(0, 25));
+}
+
+// registered account names, also found by typing one of their aliases
+function getAccountNameChoices(ledger, query) {
+  return Object.values(ledger.getAccounts())
+    .filter((a) => [a.name, ...a.aliases].some((name) => name.toLowerCase().includes(query)))
+    .map((a) => a.name)
+    .sort((a, b) => a.localeCompare(b))
+    .map((name) => ({ name: name.substring(0, 100), value: name.substring(0, 100) }));
+}
+
+function getLoanChoices(ledger, settings, borrowerName, query) {
+  return findLoans(ledger, { borrower: borrowerName, open: true })
+    .map((loan) => ({
+      name: `${loan.lenderName} - ${formatMoney(Number(loan.balance) || 0, settings)}${loan.note ? ` - ${loan.note}` : ""}`,
+      value: loan.loanId,
+    }))
+    .filter((c) => c.name.toLowerCase().includes(query) || c.value.toLowerCase().includes(query))
+    .map((c) => ({ name: c.name.substring(0, 100), value: c.value }));
+}
+
+// buttons offered when a lender name matches several open loans; clicking one reruns the command with its loan ID
+function loanPickerRows(command, message, amount, loans, settings) {
+  const buttons = loans
+    .map((m) => ({ m, customId: `loanpick:${command}:${message.author.id}:${amount}:${m.loanId}` }))
+    .filter(({ customId }) => customId.length <= 100)
+    .slice(0, 25)
+    .map(({ m, customId }) =>
+      new ButtonBuilder()
+        .setCustomId(customId)
+        .setLabel(`${formatMoney(Number(m.balance) || 0, settings)}${m.note ? ` - ${m.note}` : ""}`.substring(0, 80))
+        .setStyle(ButtonStyle.Secondary)
+    );
+
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += 5) rows.push(new ActionRowBuilder().addComponents(buttons.slice(i, i + 5)));
+  return rows;
+}
+
+async function buttonInteraction(interaction) {
+  const [kind, ...parts] = interaction.customId.split(":");
+  if (kind === "loanpick") return loanPickInteraction(interaction, ...parts);
+  if (kind === "importdb") return importConfirmInteraction(interaction, ...parts);
+  if (kind === "settle") return settleInteraction(interaction, ...parts);
+  if (kind === "history") return historyInteraction(interaction, ...parts);
+  if (kind === "request") return requestInteraction(interaction, ...parts);
+}
+
+async function requestInteraction(interaction, action, txId) {
+  const message = createInteractionMessage(interaction);
+  const found = findTransaction(getLedger(message), txId);
+  if (!found || found.entry.type !== "withdraw_request") {
+    return interaction.reply({ content: `Request \`${txId}\` not found.`, ephemeral: true });
+  }
+
+  const { accountName } = found;
+  const ledgerKey = getLedgerKeyForMessage(message);
+  const keys = { shared: [ledgerKey], exclusive: [`${ledgerKey}/${accountName.toLowerCase()}`] };
+  try {
+    return await locks.run(keys, () => decideRequestInteraction(interaction, message, action, txId));
+  } catch (err) {
+    return interaction.reply({ content: describeLockError("That request", err), ephemeral: true });
+  }
+}
+
+// the request is read again in the transaction, so a double click can't decide it twice;
+// the reply is sent once that is over
+async function decideRequestInteraction(interaction, message, action, txId) {
+  const reply = inTransaction(() => {
+    const ledger = getLedger(message);
+    const settings = getGuildSettings(message);
+    const { accountName, entry: request } = findTransaction(ledger, txId);
+    if (request.status !== "pending") {
+      return { update: { content: `Request \`${request.id}\` was already **${request.status}**.`, components: [] } };
+    }
+    // the requester may withdraw their own request, but not approve it
+    const cancelling = action === "reject" && interaction.user.id === request.actorId;
+    if (!cancelling && !canDecideRequest(message, ledger, accountName, request)) {
+      return {
+        error: "Only the account's owner or a banker can answer this request (and not the person who made it).",
+      };
+    }
+    if (storage.readOnlyReason) return { error: `The bank is read-only: ${storage.readOnlyReason}` };
+
+    const expired = Date.parse(request.expiresAt) <= Date.now();
+    const decision = expired ? "expired" : action === "approve" ? "approved" : cancelling ? "cancelled" : "rejected";
+    // an expired request is recorded as the bot's doing, like the scheduler would
+    const actorId = expired ? client.user.id : interaction.user.id;
+    const result = decideRequest(ledger, settings, accountName, request, decision, actorId, "");
+    if (result.error) return { error: result.error };
+    return {
+      update: {
+        content: `${describeRequest(accountName, request, settings)}\n${result.lines.join("\n")} (by <@${actorId}>)`,
+        components: [],
+      },
+    };
+  });
+  if (reply.error) return interaction.reply({ content: reply.error, ephemeral: true });
+  return interaction.update(reply.update);
+}
+
+async function historyInteraction(interaction, page, token) {
+  const view = historyViews.get(token);
+  if (!view || view.expiresAt < Date.now()) {
+    historyViews.delete(token);
+    return interaction.reply({ content: "This history view has expired. Run `!history` again.", ephemeral: true });
+  }
+  if (interaction.user.id !== view.userId) {
+    return interaction.reply({ content: "Only the person who ran the command can turn its pages.", ephemeral: true });
+  }
+
+  const message = createInteractionMessage(interaction);
+  view.expiresAt = Date.now() + HISTORY_VIEW_MS;
+  const reply = renderHistoryPage(storage.getLedger(view.ledgerKey), getGuildSettings(message), view, token, Number(page));
+  return interaction.update(reply);
+}
+
+async function loanPickInteraction(interaction, command, userId, amount, ...loanIdParts) {
+  if (interaction.user.id !== userId) {
+    return interaction.reply({ content: "Only the person who ran the command can pick the loan.", ephemeral: true });
+  }
+
+  const message = createInteractionMessage(interaction);
+  const loanId = loanIdParts.join(":");
+  const loan = getLoan(getLedger(message), loanId);
+  if (!loan) return interaction.reply({ content: `Loan **${loanId}** not found.`, ephemeral: true });
+
+  // drop the buttons first so a double click can't apply the same payment twice
+  await interaction.update({ components: [] });
+  return runCommand(message, command, [loan.borrowerName, `${amount}cp`, loanId]);
+}
+
+async function importConfirmInteraction(interaction, action, userId, token) {
+  if (interaction.user.id !== userId) {
+    return interaction.reply({ content: "Only the banker who started this import can confirm it.", ephemeral: true });
+  }
+
+  const pending = pendingImports.get(token);
+  if (!pending || pending.expiresAt < Date.now()) {
+    pendingImports.delete(token);
+    return interaction.update({ content: "This import preview has expired. Run `!importdb` again.", components: [] });
+  }
+  if (action === "cancel") {
+    pendingImports.delete(token);
+    return interaction.update({ content: "Import cancelled; nothing was changed.", components: [] });
+  }
+
+  const message = createInteractionMessage(interaction);
+  if (!isBanker(message)) return interaction.reply({ content: "Only bankers can import data.", ephemeral: true });
+  if (storage.readOnlyReason) {
+    return interaction.reply({ content: `The bank is read-only: ${storage.readOnlyReason}`, ephemeral: true });
+  }
+
+  // drop the buttons first so a double click can't import twice
+  pendingImports.delete(token);
+  await interaction.update({ components: [] });
+
+  try {
+    return await locks.run({ exclusive: [pending.ledgerKey] }, () => applyImport(message, pending));
+  } catch (err) {
+    return message.channel.send(describeLockError("The import", err));
+  }
+}
+
+async function applyImport(message, pending) {
+  let backupName;
+  try {
+    backupName = storage.backup();
+  } catch (err) {
+    console.error("Failed to back up bank data before import:", err);
+    return message.channel.send("Could not back up the current data first, so nothing was imported.");
+  }
+
+  // planned again against the ledger as it is now, in case it changed since the preview
+  const result = inTransaction(() => {
+    const ledger = storage.getLedger(pending.ledgerKey);
+    const planned = planImport(ledger.toJSON(), pending.incoming, pending.mode).result;
+    ledger.clear();
+    importLedger(ledger, planned);
+    return planned;
+  });
+  checkedRegistries.delete(pending.ledgerKey);
+
+  const summary = ledgerSummary(result);
+  console.log(`Imported ledger ${pending.ledgerKey} (${pending.mode}) for ${message.author.id}`);
+  return message.channel.send(
+    `Import done (**${pending.mode}**): ${summary.accounts} accounts, ${summary.openLoans} open loans, ` +
+      `${summary.transactions + summary.loanTransactions} transactions.` +
+      (backupName ? "\nThe previous state is the newest entry in `!backups list`." : "")
+  );
+}
+
+async function settleInteraction(interaction, action, token) {
+  const pending = pendingSettlements.get(token);
+  if (!pending || pending.expiresAt < Date.now()) {
+    pendingSettlements.delete(token);
+    return interaction.update({ content: "This settlement has expired. Run `!settle` again.", components: [] });
+  }
+
+  const message = createInteractionMessage(interaction);
+  const ledger = storage.getLedger(pending.ledgerKey);
+  const policy = getGuildPermissions(message);
+  const mine = pending.accounts.filter((a) => canApproveSettlement(message, ledger, policy, a));
+  if (!mine.length) {
+    return interaction.reply({ content: "Only the people in this settlement or a banker can answer it.", ephemeral: true });
+  }
+
+  if (action === "cancel") {
+    pendingSettlements.delete(token);
+    return interaction.update({ content: `Settlement cancelled by <@${interaction.user.id}>; nothing was changed.`, components: [] });
+  }
+
+  for (const account of mine) if (!pending.approvals[account]) pending.approvals[account] = interaction.user.id;
+  if (pending.accounts.some((a) => !pending.approvals[a])) {
+    return interaction.update({ content: `${describeApprovals(pending)}\nThis expires in 15 minutes.` });
+  }
+
+  if (storage.readOnlyReason) {
+    return interaction.reply({ content: `The bank is read-only: ${storage.readOnlyReason}`, ephemeral: true });
+  }
+
+  // drop the buttons first so a double click can't apply it twice
+  pendingSettlements.delete(token);
+  await interaction.update({ content: describeApprovals(pending), components: [] });
+
+  try {
+    return await locks.run({ exclusive: [pending.ledgerKey] }, async () => {
+      const settings = getGuildSettings(message);
+      const settlementId = generateSettlementId();
+      const { loans, short, total } = inTransaction(() => {
+        const current = storage.getLedger(pending.ledgerKey);
+        const loans = settlementLoans(current, pending.names);
+        if (settlementSignature(loans) !== pending.signature) return { loans: null };
+        const short = settlementShortfalls(current, settings, loans);
+        if (short.length) return { loans: null, short };
+        return { loans, total: applySettlement(current, settings, loans, interaction.user.id, settlementId) };
+      });
+      if (short) {
+        return message.channel.send(
+          `Nothing was applied: ${short.map((n) => `**${n}**`).join(", ")} can't cover ` +
+            "what they pay on funded loans any more. Run `!settle` again once they can."
+        );
+      }
+      if (!loans) {
+        return message.channel.send("The loans changed since this settlement was proposed; run `!settle` again.");
+      }
+      console.log(`Applied settlement ${settlementId} (${loans.length} loans) in ${pending.ledgerKey}`);
+      return message.channel.send(
+        `**__Settlement applied.__** Repaid **${loans.length}** loan(s) totalling **${formatMoney(total, settings)}**; ` +
+          `all of them are now resolved.\n` +
+          loans
+            .map((l) => `• **${l.loanId}** - ${l.borrowerName} → ${l.lenderName}: ${formatMoney(l.balance, settings)}`)
+            .join("\n")
+      );
+    });
+  } catch (err) {
+    return message.channel.send(describeLockError("The settlement", err));
+  }
+}
+
+// ============= COMMANDS =============
+
+// help is split into topics so no single reply goes over Discord's message limit
+const HELP_TOPICS = {
+  bank: {
+    title: "Bank Bot Commands",
+    lines: [
+      "`!setname <name>` - Set your default bank account name.",
+      "`!setname <@user> <name>` - Give someone a name, even one that holds funds or is claimed (bankers).",
+      "Account names ignore case, and aliases lead to the same account. Depositing to a name that looks like " +
+        "a typo of an existing account is refused with a suggestion.",
+      "`!account [show <@user|name>]` - List accounts with their aliases, or show one.",
+      "`!account create <name>` - Open an account before its first deposit.",
+      "`!account alias|unalias <@user|name> <alias>` - Add or remove another name for an account (owner or banker).",
+      "`!account rename <name> <new_name>` / `!account merge <from> <into>` - Fix up account names; " +
+        "transactions, loans and claimed names move along (bankers).",
+      "`!deposit <amount> [note...]` - Add GP to your balance.",
+      "`!deposit <@user|name> <amount> [note...]` - Add GP to someone else's balance.",
+      "`!withdraw <amount> [note...]` - Remove GP from your balance.",
+      "`!withdraw <@user|name> <amount> [note...]` - Remove GP from someone else's balance.",
+      "`!transfer <@user|name> <amount> [note...]` - Move GP from your balance to another account.",
+      "`!transfer <from> <to> <amount> [note...]` - Move GP between two accounts in one step.",
+      "`!split <amount> <@user|name[=weight]|party...> [note...]` - Divide loot between accounts, evenly or by weight.",
+      "`!split from <party> <amount|all> [@user|name[=weight]...] [note...]` - Pay out of a party treasury.",
+      "`!party [show <name>]` - List parties, or show one with its members and treasury.",
+      "`!party create|add|remove <name> <@user|name[=weight]...>` / `!party delete <name>` - Manage a party.",
+      "`!balance` - Show your balance.",
+      "`!balance <@user|name>` - Show someone else's balance.",
+      "`!history [@user|name] [count]` - Page through bank transactions (yours by default), newest page first.",
+      "`!history ... type:<types> by:<@user|name> min:<amount> max:<amount> since:<date> until:<date> note:<text>` - " +
+        "Only show matching entries (also `session:<id>`); `loans:yes` mixes in that account's loan events.",
+      "`!statement [@user|name] [from] [to] [md]` - Download a CSV statement (dates `YYYY-MM-DD`) with running " +
+        "balances and loan events; `md` adds a Markdown copy.",
+      "`!timezone [zone]` - Show the timezone dates are shown in, or change it (bankers).",
+      "`!config [key] [value|reset]` - Show this server's settings, or change one (bankers): the `prefix`, " +
+        "`currency`, `symbol`, `numbers` format, `timezone`, `history-size`/`-max`, `leaderboard-size`/`-max`, " +
+        "`name-length`, whether unknown names open accounts (`autocreate`) and whether balances may go `negative`.",
+      "`!session start [name]` / `!session end` - Open or close a game session (bankers); entries made meanwhile " +
+        "are tagged with it, and ending posts a summary and charges per-session interest.",
+      "`!session [report <id>|list]` - Show the open session, a past session's summary, or all sessions.",
+      "`!recurring add [@user|name] <+|-amount> every <interval|session> [note...]` - Wages, upkeep or rent made " +
+        "every `day`, `week`, `3d`, `12h`... or on every `!session end` (bankers); each run is posted here.",
+      "`!recurring [list]` / `!recurring pause|resume|remove <id>` - List or manage recurring transactions.",
+      "`!leaderboard <count> [worth]` - Show leaderboards (up to `leaderboard-max`); `worth` ranks by GP + vault items - open debt.",
+      "`!undo` - Revert your last deposit, withdrawal, transfer or loan entry.",
+      "`!void <txId> [reason...]` - Reverse a transaction by its ID (yours, or any as a banker).",
+      "`!exportdb` - Export this channel's ledger as JSON (admin / trusted use).",
+      "`!importdb [replace|merge]` - Load an exported ledger file (attach it); shows a preview to confirm first.",
+    ],
+    examples: [
+      "`!setname Malakai`",
+      "`!account alias Vani Vee`",
+      "`!account merge vani_old Vani`",
+      "`!deposit 300 Session 3 rewards`",
+      "`!deposit Vani 300 Session 3 rewards`",
+      "`!withdraw 50 Bought potions`",
+      "`!withdraw Vani 50 Bought potions`",
+      "`!transfer Vixil 25 Share of the bounty`",
+      "`!transfer Malakai Vixil 25 Share of the bounty`",
+      "`!party create Tidebreakers @Malakai @Vani Vixil=2`",
+      "`!split 250 Tidebreakers Goblin hoard`",
+      "`!split 90 @Malakai Vani Dragon scales`",
+      "`!split from Tidebreakers all`",
+      "`!balance`",
+      "`!balance Vani`",
+      "`!history 10`",
+      "`!history Vani 10`",
+      "`!history Vani note:potion since:2026-09-01`",
+      "`!history Vani type:withdraw,repay loans:yes`",
+      "`!session start Goblin caves`",
+      "`!session report s3`",
+      "`!recurring add Vani -5 every week Lifestyle: modest`",
+      "`!recurring add Tidebreakers +20 every session Tavern income`",
+      "`!statement Vani 2026-09-01 2026-09-30`",
+      "`!timezone Europe/Berlin`",
+      "`!config currency Crowns`",
+      "`!config numbers en-US`",
+      "`!leaderboard 10`",
+      "`!leaderboard 5 worth`",
+      "`!undo`",
+      "`!void tx1f Typo, meant 300`",
+    ],
+  },
+  loans: {
+    title: "Loans",
+    lines: [
+      "Loans are separate from bank balances unless they are funded: then `!loan` pays the borrower " +
+        "from the lender's balance and `!repay` pays the lender back from the borrower's.",
+      "`!loan <amount> <lender> [note...]` - Create a loan for you (borrower = you).",
+      "`!loan <@user|name> <amount> <lender> [note...]` - Create a loan for a borrower.",
+      "`!repay <amount> <lender|loan_id>` - Repay part/all of your loan to that lender.",
+      "`!repay <@user|name> <amount> <lender|loan_id>` - Repay part/all of a borrower's loan.",
+      "`!accrue <amount> <lender|loan_id>` - Add interest/fees to your loan to that lender.",
+      "`!accrue <@user|name> <amount> <lender|loan_id>` - Add interest/fees to a borrower's loan.",
+      "Interest terms go after the lender on `!loan`: `rate:N%` (simple) or `compound:N%`, `per:day|week|session`, " +
+        "`cap:<amount>`, `grace:<periods>`; interest is then added automatically.",
+      "`!terms <loan_id> [terms...|waive]` - Show, change or waive a loan's interest terms (lender or banker).",
+      "`!accrue session` - Apply one session of interest to every per-session loan (bankers; `!session end` does it too).",
+      "`funded:yes` / `funded:no` after the lender on `!loan` - Move the GP through balances, or not, for that loan.",
+      "`!funding` - Show this server's loan settings.",
+      "`!funding default <funded|separate>` - Whether new loans move GP by default (bankers).",
+      "`!funding overpay <refund|reject>` - Only take what's owed on overpayment, or refuse it (bankers).",
+      "`!loan forgive <loan_id> [amount] [note...]` - Write off part or all of a loan (lender or banker).",
+      "`!loan close|reopen <loan_id> [note...]` - Close a loan as it stands, or open it again.",
+      "`!loan edit <loan_id> <note|lender|borrower> <value...>` - Fix a loan's note or names.",
+      "`!loaninfo <loan_id>` - Show a loan's terms, totals and every event on it.",
+      "`!loans [open|resolved|all] [@user|name]` - List loans with what was lent, repaid and is still owed.",
+      "`!settle [all|@user|name...]` - Net the open loans within a group and show the fewest payments that " +
+        "square everyone up; once everyone involved (or a banker) approves, every loan is repaid.",
+      "`!debt <@user|name>` - List unresolved loans of a borrower.",
+      "`!debtors <@user|name>` - List unresolved loans where that person is the lender.",
+    ],
+    examples: [
+      "`!loan 100 Vixil`",
+      "`!loan Vani 100 Vixil Tuning cost`",
+      "`!repay 50 Vixil`",
+      "`!accrue 10 Vixil`",
+      "`!loan 200 Vixil Ship repairs compound:5% per:week cap:50 grace:1`",
+      "`!terms loan_abc123 rate:2% per:session`",
+      "`!loan 100 Vixil funded:yes`",
+      "`!funding default funded`",
+      "`!loan forgive loan_abc123 20 Saved my life`",
+      "`!loan edit loan_abc123 lender Vixil`",
+      "`!loaninfo loan_abc123`",
+      "`!loans all Vani`",
+      "`!settle Vani Vixil Malakai`",
+      "`!debt Malakai`",
+      "`!debtors Vixil`",
+    ],
+  },
+  coins: {
+    title: "Coins",
+    lines: [
+      "Amounts accept coins: `300` (GP), `2.5pp`, `3gp 5sp 12cp` (pp = 10 gp, ep = 5 sp, sp = 10 cp).",
+      "`!coins` - Show this server's coin settings.",
+      "`!coins display <gp|coins>` - Show amounts as one GP figure or broken into gp/sp/cp.",
+      "`!coins tracking <value|physical>` - Track only the value, or the actual coins in each account.",
+      "`!exchange <coins> <pp|gp|ep|sp|cp>` - Convert coins in your account (physical tracking).",
+      "`!exchange <@user|name> <coins> <pp|gp|ep|sp|cp>` - Convert coins in someone else's account.",
+    ],
+    examples: ["`!deposit 3gp 5sp 12cp Goblin pockets`", "`!coins display coins`", "`!exchange 10gp pp`", "`!exchange 3sp cp`"],
+  },
+  vault: {
+    title: "Item Vault",
+    lines: [
+      "Magic items, gems and art objects can be kept in an account's vault; values are per item.",
+      "`!stash [@user|name] <qty> <item...> [value each] [note...]` - Put items in the vault.",
+      "`!unstash [@user|name] [qty|all] <item...> [note...]` - Take items out of the vault.",
+      "`!sell [@user|name] [qty|all] <item...> [price] [note...]` - Sell items for GP (the price for all of them; " +
+        "their value if left out); the GP is deposited to the account.",
+      "`!vault [@user|name|all]` - List a vault with its value, or every vault.",
+      "`!vault appraise [@user|name] <item...> <value each>` - Change what an item is worth.",
+      "Item movements are bank entries: `!history ... type:stash,unstash,sell item:<text>` lists them and " +
+        "`!void` reverses them.",
+    ],
+    examples: [
+      "`!stash Tidebreakers 3 Ruby 50gp From the dragon hoard`",
+      "`!stash 1 Cloak of Elvenkind`",
+      "`!unstash Tidebreakers 1 Ruby For the ritual`",
+      "`!sell Tidebreakers all Ruby 140gp`",
+      "`!vault appraise Tidebreakers Cloak of Elvenkind 500gp`",
+      "`!vault Tidebreakers`",
+    ],
+  },
+  perms: {
+    title: "Permissions",
+    lines: [
+      "Accounts claimed with `!setname` can only be debited by their owner or a banker. Names that are claimed, " +
+        "hold funds or are a party treasury can only be handed out by a banker.",
+      "`!perms` - Show this server's permission policy.",
+      "`!perms addrole <@role>` - Make a role a banker role (Banker / DM).",
+      "`!perms removerole <@role>` - Remove a banker role.",
+      "`!perms set <deposit|debit|loans|unclaimed> <anyone|owner|banker>` - Change who may do what.",
+      "`!perms approval above <amount|off>` / `!perms approval others <on|off>` - Make large withdrawals, or " +
+        "withdrawals from someone else's account, wait until the owner or a banker approves them.",
+      "`!perms approval expire <hours>` - How long such requests wait before they expire (24 by default).",
+      "`!pending [@user|name]` - List withdrawal requests still waiting for an answer.",
+      "`!backups list` - List the automatic backups of the bank data file.",
+      "`!backups restore <n>` - Restore backup number n (home server bankers; the current data is backed up first).",
+      "Bankers only: `!exportdb`, `!importdb`, `!backups`, changing `!coins`, `!funding`, `!timezone` or `!config`, `!session start/end`, `!recurring` changes, `!campaign create/use`, `!perms` changes.",
+    ],
+    examples: ["`!perms addrole @DM`", "`!perms set deposit banker`", "`!perms approval above 500`", "`!perms set unclaimed banker`", "`!backups restore 2`"],
+  },
+  campaigns: {
+    title: "Campaigns (separate ledgers per channel)",
+    lines: [
+      "`!campaign list` - List campaigns and the channels bound to them.",
+      "`!campaign create <name>` - Create a campaign with its own ledger.",
+      "`!campaign use <name|server>` - Bind this channel to a campaign, or back to the server ledger.",
+    ],
+    examples: ["`!campaign create Tidebreak`", "`!campaign use Tidebreak`"],
+  },
+};
+
+function helpCommand(message, args) {
+  // !help
+  // !help <topic>
+  const topicNames = Object.keys(HELP_TOPICS);
+  const topicName = args && args[0] ? args[0].toLowerCase() : null;
+
+  if (topicName) {
+    const topic = HELP_TOPICS[topicName];
+    if (!topic) return message.channel.send(`Unknown help topic. Topics: ${topicNames.map((t) => `\`${t}\``).join(", ")}`);
+    return sendChunked(message, [`**${topic.title}**`, ...topic.lines, "", "Examples:", ...topic.examples].join("\n"));
+  }
+
+  const sections = Object.values(HELP_TOPICS).map((topic) => [`**${topic.title}**`, ...topic.lines].join("\n"));
+  sections.push(`Use \`!help <topic>\` for examples. Topics: ${topicNames.map((t) => `\`${t}\``).join(", ")}`);
+  return sendChunked(message, sections.join("\n\n"));
+}
+
+function exportDbCommand(message) {
+  // !exportdb
+  // only the ledger this channel uses; other guilds and campaigns stay private
+  try {
+    const ledger = getLedger(message);
+    // the version tells !importdb the amounts are copper, not the GP of old exports
+    const data = { version: DATA_VERSION, ...ledger.toJSON() };
+    const file = new AttachmentBuilder(Buffer.from(JSON.stringify(data, null, 2), "utf8"), {
+      name: "bank-data.json",
+    });
+    return message.channel.send({
+      content: `Here is the current database for ${describeLedger(message)}:`,
+      files: [file],
+    });
+  } catch (err) {
+    console.error("Failed to export database:", err);
+    return message.channel.send("Could not export the database.");
+  }
+}
+
+async function importDbCommand(message, args) {
+  // !importdb [replace|merge]   (with a file from !exportdb attached)
+  const usage =
+    "Usage: `!importdb [replace|merge]` with a JSON file from `!exportdb` attached.\n" +
+    "`replace` (default) makes this channel's ledger exactly the file; " +
+    "`merge` only adds accounts, loans and profiles that aren't here yet.";
+  const mode = String(args[0] || "replace").toLowerCase();
+  const attachment = message.attachments.first();
+  if (!["replace", "merge"].includes(mode) || !attachment) return message.channel.send(usage);
+  if (attachment.size > MAX_IMPORT_BYTES) return message.channel.send("That file is too large to import (max 8 MB).");
+
+  let raw;
+  try {
+    const response = await fetch(attachment.url);
+    if (!response.ok) throw new Error(`download failed with status ${response.status}`);
+    raw = JSON.parse(await response.text());
+  } catch (err) {
+    console.error("Failed to read import file:", err);
+    return message.channel.send(`Could not read **${attachment.name}** as JSON (${err.message}).`);
+  }
+
+  if (raw && raw.ledgers) {
+    return message.channel.send(
+      "That is a whole bank data file with every server's ledger. Import a single ledger exported with `!exportdb` instead."
+    );
+  }
+  const errors = validateLedger(raw);
+  if (errors.length) {
+    const shown = errors.slice(0, 10).map((e) => `• ${e}`);
+    if (errors.length > 10) shown.push(`• ...and ${errors.length - 10} more`);
+    return sendChunked(message, `**${attachment.name}** doesn't look like a ledger export:\n${shown.join("\n")}`);
+  }
+
+  const incoming = prepareImportedLedger(raw);
+  const settings = getGuildSettings(message);
+  const current = getLedger(message).toJSON();
+  const lines = describeImport(current, planImport(current, incoming, mode), mode, settings);
+
+  for (const [token, pending] of pendingImports) {
+    if (pending.expiresAt < Date.now()) pendingImports.delete(token);
+  }
+  const token = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+  pendingImports.set(token, {
+    userId: message.author.id,
+    ledgerKey: getLedgerKeyForMessage(message),
+    incoming,
+    mode,
+    expiresAt: Date.now() + IMPORT_CONFIRM_MS,
+  });
+
+  const content =
+    `**Import preview** for ${describeLedger(message)} from \`${attachment.name}\` (**${mode}**)\n` +
+    lines.join("\n") +
+    "\nThe current data is backed up before anything changes. This preview expires in 10 minutes.";
+  return message.channel.send({
+    content: content.substring(0, MAX_MESSAGE_LENGTH),
+    components: importConfirmRows(token, message.author.id),
+  });
+}
+
+// ledger exports without a version predate copper amounts unless they already track coins
+function prepareImportedLedger(raw) {
+  const ledger = JSON.parse(JSON.stringify(raw));
+  const legacyGp = ledger.version === undefined && ledger.purses === undefined;
+  delete ledger.version;
+
+  // ids handed out later must not repeat the ones already in the file
+  const ids = [...Object.values(ledger.transactions), ...Object.values(ledger.loanTransactions)].flat().map((t) => t.id);
+  ledger.txSeq = Math.max(Number(ledger.txSeq) || 0, ...ids.map(txSeqOf));
+  normalizeLedger(ledger);
+  if (legacyGp) convertLedgerToCopper(ledger);
+  return ledger;
+}
+
+function campaignCommand(message, args) {
+  // !campaign
+  // !campaign list
+  // !campaign create <name>
+  // !campaign use <name|server>
+  const usage = "Usage:\n`!campaign list`\n`!campaign create <name>`\n`!campaign use <name|server>`";
+  if (!message.guildId) return message.channel.send("Campaigns can only be managed in a server channel.");
+
+  const guild = getGuildConfig(message.guildId);
+  const sub = (args[0] || "list").toLowerCase();
+
+  if (sub === "list") {
+    const campaigns = Object.entries(guild.campaigns);
+    if (!campaigns.length) {
+      return message.channel.send("No campaigns yet. This server uses a single ledger. Create one with `!campaign create <name>`.");
+    }
+    const lines = campaigns.map(([key, c]) => {
+      const channels = Object.entries(guild.channels)
+        .filter(([, campaignKey]) => campaignKey === key)
+        .map(([channelId]) => `<#${channelId}>`);
+      const bound = channels.length ? ` - ${channels.join(", ")}` : "";
+      return `• **${c.name}**${bound}`;
+    });
+    return message.channel.send(
+      `**Campaigns**\n${lines.join("\n")}\nThis channel uses ${describeLedger(message)}.`
+    );
+  }
+
+  if (sub === "create") {
+    const name = String(args[1] || "").trim();
+    if (!name) return message.channel.send(usage);
+    if (name.length > guild.settings.nameLength) {
+      return message.channel.send(`Campaign name is too long (max ${guild.settings.nameLength} characters).`);
+    }
+
+    const key = normalizeCampaignKey(name);
+    if (key === "server") return message.channel.send("`server` is reserved for the server ledger.");
+    if (guild.campaigns[key]) return message.channel.send(`Campaign **${guild.campaigns[key].name}** already exists.`);
+
+    guild.campaigns[key] = { name, timestamp: new Date().toISOString(), actorId: message.author.id };
+    storage.getLedger(getCampaignLedgerKey(message.guildId, key));
+    saveData();
+    return message.channel.send(
+      `Campaign **${name}** created with its own ledger.\nUse \`!campaign use ${name}\` in a channel to bind it.`
+    );
+  }
+
+  if (sub === "use") {
+    const name = String(args[1] || "").trim();
+    if (!name) return message.channel.send(usage);
+
+    const key = normalizeCampaignKey(name);
+    if (key === "server") {
+      delete guild.channels[message.channel.id];
+      saveData();
+      return message.channel.send("This channel now uses the server ledger.");
+    }
+    if (!guild.campaigns[key]) {
+      return message.channel.send(`Campaign **${name}** not found. Create it with \`!campaign create ${name}\`.`);
+    }
+
+    guild.channels[message.channel.id] = key;
+    saveData();
+    return message.channel.send(`This channel now uses the ledger of campaign **${guild.campaigns[key].name}**.`);
+  }
+
+  return message.channel.send(usage);
+}
+
+function setNameCommand(message, args) {
+  // !setname <name>
+  // !setname <@user> <name>   (bankers: give a name to someone else)
+  const ledger = getLedger(message);
+  const settings = getGuildSettings(message);
+  const usage = "Usage: `!setname <name>` or `!setname <@user> <name>` (bankers)";
+  const mention = /^<@!?(\d+)>$/.exec(String(args[0] || "").trim());
+  const user = mention ? message.mentions.users.get(mention[1]) : message.author;
+  if (mention) args = args.slice(1);
+  if (!user || !args.length) return message.channel.send(usage);
+  const banker = isBanker(message);
+  if (user.id !== message.author.id && !banker) {
+    return message.channel.send("Only bankers can set someone else's bank name.");
+  }
+
+  const name = args.join(" ").trim();
+  if (!name.length) return message.channel.send("Name cannot be empty.");
+  if (name.length > settings.nameLength) {
+    return message.channel.send(`Name is too long (max ${settings.nameLength} characters).`);
+  }
+
+  // an existing account keeps its registered spelling, and its aliases lead to it
+  const accountName = canonicalName(ledger, name.split(" ")[0]);
+
+  // a claimed name is what the permission checks trust, so it can't be taken over
+  const ownerId = getAccountOwnerId(ledger, accountName);
+  if (ownerId && ownerId !== user.id && !banker) {
+    return message.channel.send(`**${accountName}** is already claimed by <@${ownerId}>.`);
+  }
+  // nor can an unclaimed account that holds something, or a party's treasury; a banker hands those out
+  const current = eqName(getDefaultNameForUser(ledger, user), accountName);
+  const funded = getBalance(ledger, accountName) !== 0 || Object.keys(ledger.getItems(accountName)).length > 0;
+  if (!ownerId && !current && (funded || getParty(ledger, accountName)) && !banker) {
+    return message.channel.send(
+      `**${accountName}** already holds funds or is a party treasury; ` +
+        `a banker can give it to you with \`!setname @you ${accountName}\`.`
+    );
+  }
+
+  const previous = findAccount(ledger, getDefaultNameForUser(ledger, user));
+  setDefaultNameForUser(ledger, user, accountName);
+  ensureAccount(ledger, accountName, message.author.id);
+
+  // the Discord username becomes an alias of the new name (taken along from the previous one),
+  // unless it names some other account
+  const username = user.username;
+  const aliased = (a) => accountKey(a) === accountKey(username);
+  if (username && previous && previous.account.name !== accountName && previous.account.aliases.some(aliased)) {
+    previous.account.aliases = previous.account.aliases.filter((a) => !aliased(a));
+    ledger.saveAccount(previous.key, previous.account);
+  }
+  if (username && !findAccount(ledger, username)) {
+    const found = findAccount(ledger, accountName);
+    found.account.aliases.push(username);
+    ledger.saveAccount(found.key, found.account);
+  }
+  saveData();
+  if (user.id !== message.author.id) {
+    return message.channel.send(`<@${user.id}>'s default bank name is now **${accountName}**.`);
+  }
+  message.channel.send(`Your default bank name is now **${accountName}**.`);
+}
+
+function depositCommand(message, args) {
+  // !deposit <amount> [note...]
+  // !deposit <@user|name> <amount> [note...]
+  const ledger = getLedger(message);
+  const settings = getGuildSettings(message);
+  const usage = "Usage:\n`!deposit <amount> [note...]`\n`!deposit <@user|name> <amount> [note...]`";
+  if (!args.length) return message.channel.send(usage);
+
+  let accountName;
+  let amountStart;
+
+  const firstIsNumber = isAmountArg(args[0]) && !message.mentions.users.size;
+
+  if (firstIsNumber) {
+    accountName = getDefaultNameForUser(ledger, message.author);
+    amountStart = 0;
+  } else {
+    accountName = resolveAccountName(message, args[0]);
+    amountStart = 1;
+  }
+
+  // the amount alone is enough ("!deposit 300"); parseAmountArgs tells a bad one apart
+  if (amountStart >= args.length) return message.channel.send(usage);
+  const parsed = parseAmountArgs(args, amountStart);
+  if (parsed === null) return message.channel.send("Amount must be a positive number.");
+
+  // a typed name that is close to an existing account is refused as a likely typo
+  const typedName = !firstIsNumber && !message.mentions.users.size;
+  const typo = typedName && checkTypedAccount(ledger, accountName);
+  if (typo) return message.channel.send(typo);
+  const missing = checkNewAccounts(ledger, settings, [accountName]);
+  if (missing) return message.channel.send(missing);
+
+  const { amount, coins } = parsed;
+  const note = args.slice(parsed.next).join(" ");
+  const oldBalance = getBalance(ledger, accountName);
+  const isNew = !findAccount(ledger, accountName);
+
+  adjustAccount(ledger, settings, accountName, coins, 1);
+  const entry = recordTransaction(ledger, accountName, "deposit", amount, message.author.id, note);
+
+  message.channel.send(
+    `Deposited **${formatMoney(amount, settings)}** to **${accountName}** (\`${entry.id}\`).\n` +
+      `New balance: ${formatBalance(ledger, settings, accountName)} (was ${formatMoney(oldBalance, settings)}).` +
+      (isNew && typedName ? `\nOpened a new account **${accountName}**.` : "")
+  );
+}
+
+function withdrawCommand(message, args) {
+  // !withdraw <amount> [note...]
+  // !withdraw <@user|name> <amount> [note...]
+  const ledger = getLedger(message);
+  const settings = getGuildSettings(message);
+  const usage = "Usage:\n`!withdraw <amount> [note...]`\n`!withdraw <@user|name> <amount> [note...]`";
+  if (!args.length) return message.channel.send(usage);
+
+  let accountName;
+  let amountStart;
+
+  const firstIsNumber = isAmountArg(args[0]) && !message.mentions.users.size;
+
+  if (firstIsNumber) {
+    accountName = getDefaultNameForUser(ledger, message.author);
+    amountStart = 0;
+  } else {
+    accountName = resolveAccountName(message, args[0]);
+    amountStart = 1;
+  }
+
+  // the amount alone is enough ("!withdraw 300"); parseAmountArgs tells a bad one apart
+  if (amountStart >= args.length) return message.channel.send(usage);
+  const parsed = parseAmountArgs(args, amountStart);
+  if (parsed === null) return message.channel.send("Amount must be a positive number.");
+
+  const missing = checkNewAccounts(ledger, settings, [accountName]);
+  if (missing) return message.channel.send(missing);
+
+  const { amount, coins } = parsed;
+  const oldBalance = getBalance(ledger, accountName);
+  if (!canDebit(settings, oldBalance, amount)) {
+    return message.channel.send(
+      `Cannot withdraw **${formatMoney(amount, settings)}** from **${accountName}**; it only has **${formatMoney(oldBalance, settings)}**.`
+    );
+  }
+
+  const note = args.slice(parsed.next).join(" ");
+
+  const policy = getGuildPermissions(message);
+  const reason = approvalReason(message, ledger, policy, accountName, amount);
+  if (reason) {
+    const request = recordTransaction(ledger, accountName, "withdraw_request", amount, message.author.id, note, {
+      coins,
+      status: "pending",
+      expiresAt: new Date(Date.now() + policy.approvalHours * 60 * 60 * 1000).toISOString(),
+    });
+    const approvers = requestApprovers(ledger, accountName, message.author.id);
+    const who = approvers.length ? `${approvers.map((id) => `<@${id}>`).join(" ")} or a banker` : "A banker";
+    return message.channel.send({
+      content:
+        `⏳ ${reason}, so nothing was withdrawn yet.
+${describeRequest(accountName, request, settings)}
+` +
+        `${who}: approve or reject below.`,
+      components: requestRows(request.id),
+    });
+  }
+
+  adjustAccount(ledger, settings, accountName, coins, -1);
+  const entry = recordTransaction(ledger, accountName, "withdraw", amount, message.author.id, note);
+
+  message.channel.send(
+    `Withdrew **${formatMoney(amount, settings)}** from **${accountName}** (\`${entry.id}\`).\n` +
+      `New balance: ${formatBalance(ledger, settings, accountName)} (was ${formatMoney(oldBalance, settings)}).`
+  );
+}
+
+function transferCommand(message, args) {
+  // !transfer <@user|name> <amount> [note...]
+  // !transfer <from> <to> <amount> [note...]
+  const ledger = getLedger(message);
+  const settings = getGuildSettings(message);
+  const usage = "Usage:\n`!transfer <@user|name> <amount> [note...]`\n`!transfer <from> <to> <amount> [note...]`";
+  if (args.length < 2) return message.channel.send(usage);
+
+  let fromName;
+  let toName;
+  let amountStart;
+
+  const secondIsNumber = isAmountArg(args[1]);
+
+  if (secondIsNumber) {
+    fromName = getDefaultNameForUser(ledger, message.author);
+    toName = resolveNameArg(message, args[0]);
+    amountStart = 1;
+  } else {
+    if (args.length < 3) return message.channel.send(usage);
+    fromName = resolveNameArg(message, args[0]);
+    toName = resolveNameArg(message, args[1]);
+    amountStart = 2;
+  }
+
+  if (!fromName || !toName) return message.channel.send("Account names cannot be empty.");
+  if (eqName(fromName, toName)) return message.channel.send("Cannot transfer from an account to itself.");
+
+  const parsed = parseAmountArgs(args, amountStart);
+  if (parsed === null) return message.channel.send("Amount must be a positive number.");
+
+  const missing = checkNewAccounts(ledger, settings, [fromName, toName]);
+  if (missing) return message.channel.send(missing);
+
+  const { amount, coins } = parsed;
+  const oldFrom = getBalance(ledger, fromName);
+  if (!canDebit(settings, oldFrom, amount)) {
+    return message.channel.send(
+      `Cannot transfer **${formatMoney(amount, settings)}** from **${fromName}**; it only has **${formatMoney(oldFrom, settings)}**.`
+    );
+  }
+
+  const toMention = /^<@!?\d+>$/.test(String(args[amountStart - 1]).trim());
+  const typo = !toMention && checkTypedAccount(ledger, toName);
+  if (typo) return message.channel.send(typo);
+  const isNew = !toMention && !findAccount(ledger, toName);
+
+  const note = args.slice(parsed.next).join(" ");
+  const oldTo = getBalance(ledger, toName);
+
+  // both sides are written before anything else can run, so GP never leaves one account without arriving
+  const transferId = generateTransferId();
+  adjustAccount(ledger, settings, fromName, coins, -1);
+  adjustAccount(ledger, settings, toName, coins, 1);
+  const entry = recordTransaction(ledger, fromName, "transfer_out", amount, message.author.id, note, {
+    transferId,
+    counterparty: toName,
+  });
+  recordTransaction(ledger, toName, "transfer_in", amount, message.author.id, note, {
+    transferId,
+    counterparty: fromName,
+  });
+
+  message.channel.send(
+    `Transferred **${formatMoney(amount, settings)}** from **${fromName}** to **${toName}** (\`${entry.id}\`).\n` +
+      `• ${fromName}: ${formatBalance(ledger, settings, fromName)} (was ${formatMoney(oldFrom, settings)})\n` +
+      `• ${toName}: ${formatBalance(ledger, settings, toName)} (was ${formatMoney(oldTo, settings)})` +
+      (isNew ? `\nOpened a new account **${toName}**.` : "")
+  );
+}
+
+function exchangeCommand(message, args) {
+  // !exchange <coins> <pp|gp|ep|sp|cp>
+  // !exchange <@user|name> <coins> <pp|gp|ep|sp|cp>
+  const ledger = getLedger(message);
+  const settings = getGuildSettings(message);
+  const usage = "Usage:\n`!exchange <coins> <pp|gp|ep|sp|cp>`\n`!exchange <@user|name> <coins> <pp|gp|ep|sp|cp>`";
+  if (args.length < 2) return message.channel.send(usage);
+  if (settings.coinTracking !== "physical") {
+    return message.channel.send("This server doesn't track physical coins. Enable it with `!coins tracking physical`.");
+  }
+
+  let accountName;
+  let amountStart;
+
+  if (isAmountArg(args[0]) && !message.mentions.users.size) {
+    accountName = getDefaultNameForUser(ledger, message.author);
+    amountStart = 0;
+  } else {
+    accountName = resolveAccountName(message, args[0]);
+    amountStart = 1;
+  }
+
+  const parsed = parseAmountArgs(args, amountStart);
+  if (parsed === null) return message.channel.send("Amount must be a positive number.");
+
+  const target = String(args[parsed.next] || "").toLowerCase();
+  if (!COIN_VALUES[target]) return message.channel.send(usage);
+
+  // exchanging hands over these exact coins, no change-making from other denominations
+  const purse = getPurse(ledger, accountName);
+  const missing = COINS.find((c) => purse[c.key] < parsed.coins[c.key]);
+  if (missing) {
+    return message.channel.send(`**${accountName}** only has **${purse[missing.key]} ${missing.key}**.`);
+  }
+
+  const targetCount = Math.floor(parsed.amount / COIN_VALUES[target]);
+  if (targetCount < 1) {
+    return message.channel.send(`**${formatCoins(parsed.coins)}** is not enough for a single ${target}.`);
+  }
+
+  const received = breakdownCoins(parsed.amount - targetCount * COIN_VALUES[target]);
+  received[target] += targetCount;
+
+  for (const c of COINS) purse[c.key] -= parsed.coins[c.key];
+  addCoins(purse, received);
+  ledger.setPurse(accountName, purse);
+  const entry = recordTransaction(ledger, accountName, "exchange", parsed.amount, message.author.id, "", {
+    given: parsed.coins,
+    received,
+  });
+
+  message.channel.send(
+    `Exchanged **${formatCoins(parsed.coins)}** for **${formatCoins(received)}** in **${accountName}**'s purse (\`${entry.id}\`).\n` +
+      `Purse: ${formatBalance(ledger, settings, accountName)}`
+  );
+}
+
+function coinsCommand(message, args) {
+  // !coins
+  // !coins display <gp|coins>
+  // !coins tracking <value|physical>
+  const settings = getGuildSettings(message);
+  const usage = "Usage:\n`!coins`\n`!coins display <gp|coins>`\n`!coins tracking <value|physical>`";
+
+  if (!args.length) {
+    return message.channel.send(
+      `Coin settings for this server:\n` +
+        `• Display: **${settings.coinDisplay}**\n` +
+        `• Tracking: **${settings.coinTracking}**`
+    );
+  }
+  if (!message.guildId) return message.channel.send("Coin settings can only be changed in a server channel.");
+
+  const setting = args[0].toLowerCase();
+  const value = String(args[1] || "").toLowerCase();
+
+  if (setting === "display" && ["gp", "coins"].includes(value)) {
+    settings.coinDisplay = value;
+  } else if (setting === "tracking" && ["value", "physical"].includes(value)) {
+    // a purse can't hold less than no coins
+    if (value === "physical" && settings.negativeBalances) {
+      return message.channel.send("Physical coins can't go below zero; turn off `!config negative` first.");
+    }
+    const ledger = getLedger(message);
+    const below = value === "physical" && Object.keys(ledger.getBalances()).find((name) => getBalance(ledger, name) < 0);
+    if (below) {
+      return message.channel.send(`**${below}** is below zero; physical coins can only be tracked once no one is.`);
+    }
+    settings.coinTracking = value;
+  } else {
+    return message.channel.send(usage);
+  }
+
+  saveData();
+  return message.channel.send(`Coin ${setting} is now **${value}**.`);
+}
+
+function fundingCommand(message, args) {
+  // !funding
+  // !funding default <funded|separate>
+  // !funding overpay <refund|reject>
+  const settings = getGuildSettings(message);
+  const usage = "Usage:\n`!funding`\n`!funding default <funded|separate>`\n`!funding overpay <refund|reject>`";
+
+  if (!args.length) {
+    return message.channel.send(
+      `Loan settings for this server:\n` +
+        `• New loans: **${settings.loanFunding}** (override per loan with \`funded:yes\` / \`funded:no\`)\n` +
+        `• Overpayments: **${settings.loanOverpay}**`
+    );
+  }
+  if (!message.guildId) return message.channel.send("Loan settings can only be changed in a server channel.");
+
+  const setting = args[0].toLowerCase();
+  const value = String(args[1] || "").toLowerCase();
+
+  if (setting === "default" && ["funded", "separate"].includes(value)) {
+    settings.loanFunding = value;
+  } else if (setting === "overpay" && ["refund", "reject"].includes(value)) {
+    settings.loanOverpay = value;
+  } else {
+    return message.channel.send(usage);
+  }
+
+  saveData();
+  return message.channel.send(`Loan ${setting} is now **${value}**.`);
+}
+
+function permsCommand(message, args) {
+  // !perms
+  // !perms addrole <@role>
+  // !perms removerole <@role>
+  // !perms set <deposit|debit|loans|unclaimed> <level>
+  // !perms approval <above|others|expire> <value>
+  const usage =
+    "Usage:\n`!perms`\n`!perms addrole <@role>`\n`!perms removerole <@role>`\n" +
+    "`!perms set <deposit|debit|loans|unclaimed> <anyone|owner|banker>`\n" +
+    "`!perms approval above <amount|off>`\n`!perms approval others <on|off>`\n`!perms approval expire <hours>`";
+  const policy = getGuildPermissions(message);
+  const sub = String(args[0] || "show").toLowerCase();
+
+  if (sub === "show") {
+    const roles = policy.bankerRoles.length ? policy.bankerRoles.map((id) => `<@&${id}>`).join(", ") : "none";
+    return message.channel.send(
+      `**Permissions for this server**\n` +
+        `• Banker roles: ${roles} (members with Manage Server always count)\n` +
+        `• Deposit: **${policy.deposit}**\n` +
+        `• Debit (withdraw/transfer/exchange): **${policy.debit}**\n` +
+        `• Loans (loan/repay/accrue): **${policy.loans}**\n` +
+        `• Unclaimed accounts: **${policy.unclaimed}**\n` +
+        `• Withdrawals needing approval: ${describeApprovalRules(policy, getGuildSettings(message))}`
+    );
+  }
+
+  if (sub === "addrole" || sub === "removerole") {
+    const roleId = String(args[1] || "").replace(/^<@&(\d+)>$/, "$1");
+    if (!/^\d+$/.test(roleId)) return message.channel.send(usage);
+
+    if (sub === "addrole") {
+      if (!policy.bankerRoles.includes(roleId)) policy.bankerRoles.push(roleId);
+    } else {
+      policy.bankerRoles = policy.bankerRoles.filter((id) => id !== roleId);
+    }
+    saveData();
+    return message.channel.send(
+      sub === "addrole" ? `<@&${roleId}> is now a banker role.` : `<@&${roleId}> is no longer a banker role.`
+    );
+  }
+
+  if (sub === "set") {
+    const rule = String(args[1] || "").toLowerCase();
+    const level = String(args[2] || "").toLowerCase();
+    if (!PERMISSION_RULES[rule] || !PERMISSION_RULES[rule].includes(level)) return message.channel.send(usage);
+
+    policy[rule] = level;
+    saveData();
+    return message.channel.send(`Permission **${rule}** is now **${level}**.`);
+  }
+
+  if (sub === "approval") {
+    const rule = String(args[1] || "").toLowerCase();
+    const value = String(args[2] || "").toLowerCase();
+    if (rule === "above" && value === "off") {
+      policy.approvalAbove = null;
+    } else if (rule === "above") {
+      const amount = parseAmount(args.slice(2).join(" "));
+      if (amount === null) return message.channel.send(usage);
+      policy.approvalAbove = amount;
+    } else if (rule === "others" && ["on", "off"].includes(value)) {
+      policy.approvalOthers = value;
+    } else if (rule === "expire" && /^\d+$/.test(value) && Number(value) > 0) {
+      policy.approvalHours = Number(value);
+    } else {
+      return message.channel.send(usage);
+    }
+    saveData();
+    return message.channel.send(`Withdrawals needing approval: ${describeApprovalRules(policy, getGuildSettings(message))}`);
+  }
+
+  return message.channel.send(usage);
+}
+
+function backupsCommand(message, args) {
+  // !backups
+  // !backups list
+  // !backups restore <n>
+  const usage = "Usage:\n`!backups list`\n`!backups restore <n>`";
+  const sub = String(args[0] || "list").toLowerCase();
+  const backups = storage.listBackups();
+
+  if (sub === "list") {
+    const lines = backups.map(
+      (backup, i) => `**${i + 1}.** \`${formatBackupTime(backup)}\` - ${(backup.size / 1024).toFixed(1)} KB`
+    );
+    const header = storage.readOnlyReason ? `⚠️ The bank is read-only: ${storage.readOnlyReason}\n` : "";
+    if (!lines.length) return message.channel.send(`${header}No backups yet.`);
+    return sendChunked(message, `${header}Backups of the bank data (newest first):\n${lines.join("\n")}`);
+  }
+
+  if (sub === "restore") {
+    const index = parseInt(args[1], 10);
+    if (isNaN(index)) return message.channel.send(usage);
+    const backup = backups[index - 1];
+    if (!backup) return message.channel.send(`There is no backup **${index}**. See \`!backups list\`.`);
+
+    // the file holds every server's ledger, so only the home server may roll it back
+    if (storage.data.homeGuildId && message.guildId !== storage.data.homeGuildId) {
+      return message.channel.send("Backups cover every server's ledger, so only bankers of the home server can restore them.");
+    }
+
+    try {
+      storage.checkBackup(backup);
+    } catch (err) {
+      console.error(`Failed to read backup ${backup.file}:`, err);
+      return message.channel.send(`Backup **${index}** is unreadable (${err.message}); pick another one.`);
+    }
+
+    // the state being replaced becomes a backup of its own, so a restore can be undone
+    let previous;
+    try {
+      previous = storage.restoreBackup(backup);
+    } catch (err) {
+      console.error(`Failed to restore backup ${backup.file}:`, err);
+      return message.channel.send(`Restoring backup **${index}** failed (${err.message}). Check the bot logs.`);
+    }
+
+    checkedRegistries.clear();
+    console.log(`Restored bank data from backup ${backup.file}`);
+    return message.channel.send(
+      `Restored backup **${index}** from \`${formatBackupTime(backup)}\`.` +
+        (previous ? `\nThe data it replaced was saved as the newest backup.` : "")
+    );
+  }
+
+  return message.channel.send(usage);
+}
+
+function accountCommand(message, args) {
+  // !account
+  // !account show <@user|name>
+  // !account create <name>
+  // !account rename <name> <new_name>
+  // !account merge <from> <into>
+  // !account alias <@user|name> <alias>
+  // !account unalias <@user|name> <alias>
+  const ledger = getLedger(message);
+  const settings = getGuildSettings(message);
+  const usage =
+    "Usage:\n`!account`\n`!account show <@user|name>`\n`!account create <name>`\n" +
+    "`!account rename <name> <new_name>`\n`!account merge <from> <into>`\n" +
+    "`!account alias <@user|name> <alias>`\n`!account unalias <@user|name> <alias>`";
+  const sub = String(args[0] || "list").toLowerCase();
+
+  if (sub === "list") {
+    const accounts = Object.values(ledger.getAccounts());
+    if (!accounts.length) return message.channel.send("No accounts yet.");
+    const lines = accounts.map((a) => {
+      const aliases = a.aliases.length ? ` (also ${a.aliases.join(", ")})` : "";
+      return `• **${a.name}**${aliases} - ${formatBalance(ledger, settings, a.name)}`;
+    });
+    return sendChunked(message, `Accounts in ${describeLedger(message)}:\n${lines.join("\n")}`);
+  }
+
+  if (!["show", "create", "rename", "merge", "alias", "unalias"].includes(sub) || !args[1]) {
+    return message.channel.send(usage);
+  }
+  const secondName = String(args[2] || "").trim();
+  if (["rename", "merge", "alias", "unalias"].includes(sub) && !secondName) return message.channel.send(usage);
+
+  if (sub === "create") {
+    const name = String(args[1]).trim();
+    if (name.length > settings.nameLength) {
+      return message.channel.send(`Account names can be at most ${settings.nameLength} characters.`);
+    }
+    const existing = findAccount(ledger, name);
+    if (existing) {
+      return message.channel.send(
+        existing.account.name === name || eqName(existing.account.name, name)
+          ? `Account **${existing.account.name}** already exists.`
+          : `**${name}** is an alias of **${existing.account.name}**.`
+      );
+    }
+    ensureAccount(ledger, name, message.author.id);
+    return message.channel.send(`Opened account **${name}**. Deposit to it with \`!deposit ${name} <amount>\`.`);
+  }
+
+  const typed = resolveNameArg(message, args[1]);
+  const found = findAccount(ledger, typed);
+  if (!found) {
+    const suggestions = suggestAccountNames(ledger, typed);
+    const hint = suggestions.length ? ` Did you mean ${suggestions.map((n) => `**${n}**`).join(" or ")}?` : "";
+    return message.channel.send(`No account named **${typed}**.${hint}`);
+  }
+  const { key, account } = found;
+
+  if (sub === "show") {
+    const ownerId = getAccountOwnerId(ledger, account.name);
+    const party = getParty(ledger, account.name);
+    const borrowed = findLoans(ledger, { borrower: account.name, open: true });
+    const lent = findLoans(ledger, { lender: account.name, open: true });
+    const lines = [
+      `Account **${account.name}** - ${formatBalance(ledger, settings, account.name)}`,
+      `• Aliases: ${account.aliases.length ? account.aliases.join(", ") : "none"}`,
+      `• Owner: ${ownerId ? `<@${ownerId}>` : party ? `party **${party.name}** (treasury)` : "unclaimed"}`,
+      `• Open loans: ${borrowed.length} borrowed, ${lent.length} lent`,
+      `• Bank entries: ${ledger.getTransactions(account.name).length}`,
+    ];
+    return sendChunked(message, lines.join("\n"));
+  }
+
+  if (sub === "alias") {
+    if (secondName.length > settings.nameLength) {
+      return message.channel.send(`Aliases can be at most ${settings.nameLength} characters.`);
+    }
+    const taken = findAccount(ledger, secondName);
+    if (taken) return message.channel.send(`**${secondName}** already leads to **${taken.account.name}**.`);
+    account.aliases.push(secondName);
+    ledger.saveAccount(key, account);
+    return message.channel.send(`**${secondName}** now also means **${account.name}**.`);
+  }
+
+  if (sub === "unalias") {
+    const alias = account.aliases.find((a) => eqName(a, secondName));
+    if (!alias) return message.channel.send(`**${secondName}** is not an alias of **${account.name}**.`);
+    account.aliases = account.aliases.filter((a) => a !== alias);
+    ledger.saveAccount(key, account);
+    return message.channel.send(`**${alias}** no longer means **${account.name}**.`);
+  }
+
+  const entries = ledger.getTransactions(account.name).length;
+
+  if (sub === "rename") {
+    if (secondName.length > settings.nameLength) {
+      return message.channel.send(`Account names can be at most ${settings.nameLength} characters.`);
+    }
+    if (secondName === account.name) return message.channel.send(`The account is already called **${account.name}**.`);
+    const other = findAccount(ledger, secondName);
+    if (other && other.key !== key) {
+      return message.channel.send(
+        `**${secondName}** already leads to **${other.account.name}**. ` +
+          `Use \`!account merge ${account.name} ${other.account.name}\` to combine the two.`
+      );
+    }
+
+    renameAccountEverywhere(ledger, account.name, secondName);
+    ledger.deleteAccount(key);
+    ledger.saveAccount(accountKey(secondName), {
+      ...account,
+      name: secondName,
+      aliases: account.aliases.filter((a) => !eqName(a, secondName)),
+    });
+    return message.channel.send(
+      `Renamed **${account.name}** to **${secondName}**. Its balance, ${entries} bank entries, loans, ` +
+        "claimed names, recurring rules and party memberships moved along."
+    );
+  }
+
+  // merge
+  const into = findAccount(ledger, resolveNameArg(message, secondName));
+  if (!into) return message.channel.send(`No account named **${secondName}** to merge into.`);
+  if (into.key === key) return message.channel.send("Cannot merge an account into itself.");
+  if (getParty(ledger, account.name)) {
+    return message.channel.send(`**${account.name}** is a party treasury; pay it out and delete the party first.`);
+  }
+  const fromOwner = getAccountOwnerId(ledger, account.name);
+  const intoOwner = getAccountOwnerId(ledger, into.account.name);
+  if (fromOwner && intoOwner && fromOwner !== intoOwner) {
+    return message.channel.send(
+      `**${account.name}** belongs to <@${fromOwner}> and **${into.account.name}** to <@${intoOwner}>; ` +
+        "one of them has to `!setname` away first."
+    );
+  }
+
+  const between = findLoans(ledger, { open: true }).filter(
+    (loan) =>
+      (eqName(loan.borrowerName, account.name) && eqName(loan.lenderName, into.account.name)) ||
+      (eqName(loan.lenderName, account.name) && eqName(loan.borrowerName, into.account.name))
+  );
+  if (between.length) {
+    return message.channel.send(
+      `**${account.name}** and **${into.account.name}** have open loans between them ` +
+        `(${between.map((l) => `**${l.loanId}**`).join(", ")}); settle or void those first.`
+    );
+  }
+
+  renameAccountEverywhere(ledger, account.name, into.account.name);
+  const aliases = [...into.account.aliases];
+  for (const alias of [account.name, ...account.aliases]) {
+    if (!eqName(alias, into.account.name) && !aliases.some((a) => eqName(a, alias))) aliases.push(alias);
+  }
+  ledger.deleteAccount(key);
+  ledger.saveAccount(into.key, { ...into.account, aliases });
+  return message.channel.send(
+    `Merged **${account.name}** (${entries} bank entries) into **${into.account.name}**; ` +
+      `**${account.name}** is now an alias of it.\n` +
+      `New balance: ${formatBalance(ledger, settings, into.account.name)}.`
+  );
+}
+
+function partyCommand(message, args) {
+  // !party
+  // !party show <name>
+  // !party create <name> [members...]
+  // !party add <name> <members...>
+  // !party remove <name> <members...>
+  // !party delete <name>
+  const ledger = getLedger(message);
+  const settings = getGuildSettings(message);
+  const usage =
+    "Usage:\n`!party`\n`!party show <name>`\n`!party create <name> [@user|name[=weight]...]`\n" +
+    "`!party add <name> <@user|name[=weight]...>`\n`!party remove <name> <@user|name...>`\n`!party delete <name>`";
+  const sub = String(args[0] || "list").toLowerCase();
+
+  if (sub === "list") {
+    const parties = Object.values(ledger.getParties());
+    if (!parties.length) return message.channel.send("No parties yet. Create one with `!party create <name>`.");
+    const lines = parties.map(
+      (p) => `• **${p.name}** - ${p.members.length} member(s), treasury ${formatBalance(ledger, settings, p.name)}`
+    );
+    return sendChunked(message, `Parties in ${describeLedger(message)}:\n${lines.join("\n")}`);
+  }
+
+  const name = String(args[1] || "").trim();
+  if (!["show", "create", "add", "remove", "delete"].includes(sub) || !name) return message.channel.send(usage);
+  const memberArgs = args.slice(2).map((arg) => parseMemberArg(message, arg)).filter(Boolean);
+  const key = partyKey(name);
+  let party = ledger.getParty(key);
+
+  if (sub === "create") {
+    if (party) return message.channel.send(`Party **${party.name}** already exists.`);
+    if (name.length > settings.nameLength) {
+      return message.channel.send(`Party names can be at most ${settings.nameLength} characters.`);
+    }
+    if (Object.values(ledger.getProfiles()).some((p) => p && eqName(p.name, name))) {
+      return message.channel.send(`**${name}** is someone's account name; pick another name for the party.`);
+    }
+    party = { name, members: [], timestamp: new Date().toISOString(), actorId: message.author.id };
+  } else if (!party) {
+    return message.channel.send(`No party named **${name}**. See \`!party\` for the list.`);
+  }
+
+  if (sub === "show") {
+    const totalWeight = party.members.reduce((s, m) => s + m.weight, 0);
+    const lines = party.members.map((m) => {
+      const share = totalWeight ? ` (${Math.round((m.weight / totalWeight) * 1000) / 10}%)` : "";
+      return `• ${m.userId ? `<@${m.userId}> ` : ""}**${memberName(ledger, m)}** - weight ${m.weight}${share}`;
+    });
+    return sendChunked(
+      message,
+      `Party **${party.name}** - treasury ${formatBalance(ledger, settings, party.name)}\n` +
+        (lines.length ? lines.join("\n") : "No members yet.")
+    );
+  }
+
+  if (sub === "delete") {
+    const balance = getBalance(ledger, party.name);
+    if (balance > 0) {
+      return message.channel.send(
+        `The treasury of **${party.name}** still holds **${formatMoney(balance, settings)}**. ` +
+          `Pay it out first with \`!split from ${party.name} all\`.`
+      );
+    }
+    ledger.deleteParty(key);
+    saveData();
+    return message.channel.send(`Party **${party.name}** deleted.`);
+  }
+
+  if (sub !== "create" && !memberArgs.length) return message.channel.send(usage);
+  if (memberArgs.some((m) => !(m.weight > 0))) return message.channel.send("Weights must be above 0.");
+
+  const sameMember = (a, b) => (a.userId || b.userId ? a.userId === b.userId : eqName(a.name, b.name));
+  for (const { weighted, ...member } of memberArgs) {
+    const existing = party.members.find((m) => sameMember(m, member));
+    if (sub === "remove") party.members = party.members.filter((m) => m !== existing);
+    else if (existing) existing.weight = member.weight;
+    else party.members.push(member);
+  }
+  ledger.saveParty(key, party);
+  saveData();
+
+  const names = party.members.map((m) => (m.weight === 1 ? memberName(ledger, m) : `${memberName(ledger, m)}=${m.weight}`));
+  const verb = { create: "created", add: "updated", remove: "updated" }[sub];
+  return message.channel.send(
+    `Party **${party.name}** ${verb}. Members: ${names.length ? names.join(", ") : "none yet"}.\n` +
+      `Its treasury is the account **${party.name}**.`
+  );
+}
+
+// recipients for !split from the args after the amount; stops at the first word that isn't a mention,
+// a party, a known account or a weighted name, and returns the rest as the note
+function parseSplitRecipients(message, ledger, args) {
+  const recipients = [];
+  const add = (name, userId, weight) => {
+    const existing = recipients.find((r) => eqName(r.name, name));
+    if (existing) existing.weight = weight;
+    else recipients.push({ name, userId, weight });
+  };
+
+  let i = 0;
+  for (; i < args.length; i++) {
+    const member = parseMemberArg(message, args[i]);
+    if (!member) break;
+    const party = !member.userId && !member.weighted ? getParty(ledger, member.name) : null;
+    if (party) {
+      for (const m of party.members) add(memberName(ledger, m), m.userId, m.weight);
+      continue;
+    }
+    const known = member.userId ? member : findAccount(ledger, member.name);
+    if (!known && !member.weighted) break;
+    add(member.userId ? member.name : canonicalName(ledger, member.name), member.userId, member.weight);
+  }
+
+  return { recipients: recipients.filter((r) => r.weight > 0), note: args.slice(i).join(" ") };
+}
+
+function splitCommand(message, args) {
+  // !split <amount> <@user|name[=weight]|party...> [note...]
+  // !split from <party> <amount|all> [@user|name[=weight]...] [note...]
+  const ledger = getLedger(message);
+  const settings = getGuildSettings(message);
+  const usage =
+    "Usage:\n`!split <amount> <@user|name[=weight]|party...> [note...]`\n" +
+    "`!split from <party> <amount|all> [@user|name[=weight]...] [note...]`";
+  if (args.length < 2) return message.channel.send(usage);
+
+  let party = null;
+  let amountStart = 0;
+  if (args[0].toLowerCase() === "from") {
+    party = getParty(ledger, args[1]);
+    if (!party) return message.channel.send(`No party named **${args[1]}**. See \`!party\` for the list.`);
+    amountStart = 2;
+  }
+
+  let parsed;
+  if (party && String(args[amountStart] || "").toLowerCase() === "all") {
+    const all = getBalance(ledger, party.name);
+    if (all <= 0) return message.channel.send(`The treasury of **${party.name}** is empty.`);
+    parsed = { amount: all, next: amountStart + 1 };
+  } else {
+    parsed = parseAmountArgs(args, amountStart);
+    if (parsed === null) return message.channel.send("Amount must be a positive number.");
+  }
+  const { amount } = parsed;
+
+  let { recipients, note } = parseSplitRecipients(message, ledger, args.slice(parsed.next));
+  if (party && !recipients.length) {
+    recipients = party.members
+      .map((m) => ({ name: memberName(ledger, m), userId: m.userId, weight: m.weight }))
+      .filter((r) => r.weight > 0);
+  }
+  if (!recipients.length) {
+    return message.channel.send(
+      "Nobody to split between. List @users, party names or existing accounts (new accounts as `name=1`).\n" + usage
+    );
+  }
+  for (const r of recipients) {
+    const typo = !r.userId && checkTypedAccount(ledger, r.name);
+    if (typo) return message.channel.send(typo);
+  }
+  const missing = checkNewAccounts(ledger, settings, recipients.map((r) => r.name));
+  if (missing) return message.channel.send(missing);
+  if (party && recipients.some((r) => eqName(r.name, party.name))) {
+    return message.channel.send(`The treasury **${party.name}** can't be paid out to itself.`);
+  }
+  if (amount < recipients.length) {
+    return message.channel.send(`**${formatMoney(amount, settings)}** is too little to split between ${recipients.length}.`);
+  }
+
+  const oldTreasury = party ? getBalance(ledger, party.name) : 0;
+  if (party && !canDebit(settings, oldTreasury, amount)) {
+    return message.channel.send(
+      `Cannot pay out **${formatMoney(amount, settings)}** from **${party.name}**; ` +
+        `its treasury only has **${formatMoney(oldTreasury, settings)}**.`
+    );
+  }
+
+  // one splitId ties every entry together, so voiding any of them voids the whole split
+  const splitId = generateSplitId();
+  const actorId = message.author.id;
+  let first = null;
+  if (party) {
+    adjustAccount(ledger, settings, party.name, breakdownCoins(amount), -1);
+    first = recordTransaction(ledger, party.name, "split_out", amount, actorId, note, { splitId });
+  }
+  const shares = splitShares(amount, recipients);
+  const lines = [];
+  for (const share of shares) {
+    adjustAccount(ledger, settings, share.name, breakdownCoins(share.amount), 1);
+    const entry = recordTransaction(ledger, share.name, "split_in", share.amount, actorId, note, {
+      splitId,
+      ...(party ? { counterparty: party.name } : {}),
+    });
+    if (!first) first = entry;
+    const weight = share.weight === 1 ? "" : ` (weight ${share.weight})`;
+    lines.push(`• **${share.name}**${weight}: +${formatMoney(share.amount, settings)}, now ${formatBalance(ledger, settings, share.name)}`);
+  }
+  if (party) {
+    lines.push(
+      `• Treasury **${party.name}**: ${formatBalance(ledger, settings, party.name)} (was ${formatMoney(oldTreasury, settings)})`
+    );
+  }
+
+  return sendChunked(
+    message,
+    `Split **${formatMoney(amount, settings)}**${party ? ` from **${party.name}**` : ""} between ` +
+      `${shares.length} (\`${first.id}\`, \`!void ${first.id}\` undoes all of it):\n` +
+      lines.join("\n")
+  );
+}
+
+function balanceCommand(message, args) {
+  // !balance
   // !balance <@user|name>
+  const ledger = getLedger(message);
+  const settings = getGuildSettings(message);
   const accountName = resolveAccountName(message, args[0]);
-  const balance = getBalance(accountName);
-  message.channel.send(`Balance for **${accountName}**: **${balance} GP**.`);
+  message.channel.send(`Balance for **${accountName}**: ${formatBalance(ledger, settings, accountName)}.`);
+}
+
+function formatTransactionChange(t, settings) {
+  const amount = formatMoney(t.amount, settings);
+  if (t.type === "void" && t.item) {
+    const gp = t.reverses === "sell" ? `, -${amount}` : "";
+    return `↺ ${t.reverses === "stash" ? "-" : "+"}${t.qty}× ${t.item}${gp} (voids \`${t.voids}\`)`;
+  }
+  if (t.type === "void") return `↺ ${BANK_TX_SIGNS[t.reverses] > 0 ? "-" : "+"}${amount} (voids \`${t.voids}\`)`;
+  if (t.type === "transfer_out") return `→ ${t.counterparty} ${amount}`;
+  if (t.type === "transfer_in") return `← ${t.counterparty} ${amount}`;
+  if (t.type === "loan_out") return `→ ${t.counterparty} ${amount} (loan)`;
+  if (t.type === "loan_in") return `← ${t.counterparty} ${amount} (loan)`;
+  if (t.type === "repay_out") return `→ ${t.counterparty} ${amount} (repayment)`;
+  if (t.type === "repay_in") return `← ${t.counterparty} ${amount} (repayment)`;
+  if (t.type === "split_out") return `→ split ${amount}`;
+  if (t.type === "split_in") return t.counterparty ? `← ${t.counterparty} ${amount} (split)` : `+${amount} (split)`;
+  if (t.type === "exchange") return `⇄ ${formatCoins(t.given)} → ${formatCoins(t.received)}`;
+  if (t.type === "withdraw_request") return `⏳ -${amount} requested (${t.status})`;
+  if (t.type === "approval") return `${t.decision} request \`${t.requestId}\``;
+  if (t.type === "stash") return `📦 +${t.qty}× ${t.item}`;
+  if (t.type === "unstash") return `📦 -${t.qty}× ${t.item}`;
+  if (t.type === "sell") return `+${amount} (sold ${t.qty}× ${t.item})`;
+  const sign = t.type === "deposit" ? "+" : "-";
+  return `${sign}${amount}`;
+}
+
+async function historyCommand(message, args) {
+  // !history [@user|name] [count] [filters...]
+  // filters: type:<deposit,withdraw,...> by:<@user|name> min:<amount> max:<amount>
+  //          since:<YYYY-MM-DD> until:<YYYY-MM-DD> note:<text> item:<text> session:<id> loans:yes
+  const ledger = getLedger(message);
+  const settings = getGuildSettings(message);
+  let accountName = getDefaultNameForUser(ledger, message.author);
+  let count = settings.historySize;
+
+  const filterArgs = args.filter(isHistoryFilter);
+  const rest = args.filter((a) => !isHistoryFilter(a));
+  if (rest.length && !NUMBER_TOKEN.test(rest[0])) accountName = resolveNameArg(message, rest.shift());
+  if (rest.length) {
+    count = Number(rest.shift());
+    if (!Number.isInteger(count) || count < 1 || count > settings.historyMax) {
+      return message.channel.send(
+        `The count is how many entries a page shows, from 1 to ${settings.historyMax} ` +
+          "(`!config history-max` changes the limit)."
+      );
+    }
+  }
+  if (rest.length) {
+    return message.channel.send(
+      "Usage:\n`!history [@user|name] [count] [filters...]`\n" +
+        "Filters: `type:deposit,withdraw` `by:@user` `min:10` `max:100` `since:2026-09-01` `until:2026-09-30` " +
+        "`note:potion` `item:ruby` `session:s3` `loans:yes`"
+    );
+  }
+
+  const parsed = parseHistoryFilters(message, ledger, settings, filterArgs);
+  if (parsed.error) return message.channel.send(parsed.error);
+
+  for (const [token, view] of historyViews) {
+    if (view.expiresAt < Date.now()) historyViews.delete(token);
+  }
+  const token = generateHistoryToken();
+  const view = {
+    userId: message.author.id,
+    ledgerKey: getLedgerKeyForMessage(message),
+    accountName,
+    filters: parsed.filters,
+    count,
+    expiresAt: Date.now() + HISTORY_VIEW_MS,
+  };
+  const reply = renderHistoryPage(ledger, settings, view, token, null);
+  if (!reply.components.length) return message.channel.send(reply.content);
+  historyViews.set(token, view);
+  return message.channel.send(reply);
+}
+
+async function statementCommand(message, args) {
+  // !statement [@user|name] [from] [to] [csv|md]
+  // dates are YYYY-MM-DD in the server's timezone; both ends are included
+  const ledger = getLedger(message);
+  const settings = getGuildSettings(message);
+  const zone = settings.timezone;
+  const usage =
+    "Usage:\n`!statement [@user|name] [from] [to] [csv|md]`\nDates are `YYYY-MM-DD`; `md` adds a Markdown copy of the statement.";
+
+  const markdown = args.some((a) => a.toLowerCase() === "md");
+  const rest = args.filter((a) => !["csv", "md"].includes(a.toLowerCase()));
+  let accountName = getDefaultNameForUser(ledger, message.author);
+  if (rest.length && !DATE_ARG.test(rest[0])) accountName = resolveAccountName(message, rest.shift());
+  if (rest.length > 2) return message.channel.send(usage);
+
+  const from = rest[0] ? parseDateArg(rest[0], zone) : null;
+  // the end date is included, so the statement runs to the start of the day after it
+  const to = rest[1] ? parseDateArg(rest[1], zone, 1) : null;
+  if ((rest[0] && from === null) || (rest[1] && to === null)) return message.channel.send(usage);
+  if (from !== null && to !== null && to <= from) return message.channel.send("The statement can't end before it starts.");
+  const inPeriod = (t) => {
+    const ms = Date.parse(t.timestamp);
+    return (from === null || ms >= from) && (to === null || ms < to);
+  };
+  const after = (t) => to !== null && Date.parse(t.timestamp) >= to;
+
+  // balances are anchored on the current one, so accounts older than their history still add up
+  const entries = ledger.getTransactions(accountName);
+  const closing = getBalance(ledger, accountName) - entries.filter(after).reduce((sum, t) => sum + signedAmount(t), 0);
+  const rows = entries.filter(inPeriod);
+  const opening = closing - rows.reduce((sum, t) => sum + signedAmount(t), 0);
+
+  const loans = [
+    ...findLoans(ledger, { borrower: accountName }),
+    ...findLoans(ledger, { lender: accountName }),
+  ].filter((l, i, all) => all.findIndex((o) => o.loanId === l.loanId) === i);
+  const loanRows = [];
+  for (const loan of loans) {
+    let owed = 0;
+    for (const t of ledger.getLoanTransactions(loan.loanId)) {
+      owed += signedLoanAmount(t);
+      if (inPeriod(t)) loanRows.push({ loan, t, owed });
+    }
+  }
+  loanRows.sort((a, b) => Date.parse(a.t.timestamp) - Date.parse(b.t.timestamp) || txSeqOf(a.t.id) - txSeqOf(b.t.id));
+
+  const actors = await resolveActorNames(message, ledger, [...rows, ...loanRows.map((r) => r.t)].map((t) => t.actorId));
+  const period = `${rest[0] || "start"} to ${rest[1] || "now"}`;
+  const slug = accountName.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "account";
+
+  let running = opening;
+  const bankLines = [csvRow(["date", "id", "type", "description", "amount_gp", "balance_gp", "by", "note", "voided"])];
+  bankLines.push(csvRow(["", "", "opening", `opening balance (${period})`, "", csvGp(opening), "", "", ""]));
+  for (const t of rows) {
+    running += signedAmount(t);
+    bankLines.push(
+      csvRow([
+        formatDateTime(t.timestamp, settings),
+        t.id,
+        t.type,
+        describeStatementEntry(t),
+        csvGp(signedAmount(t)),
+        csvGp(running),
+        actors[t.actorId] || "",
+        t.note || "",
+        t.voided ? `by ${t.voided.by}` : "",
+      ])
+    );
+  }
+  bankLines.push(csvRow(["", "", "closing", "closing balance", "", csvGp(closing), "", "", ""]));
+
+  const loanLines = [
+    csvRow(["date", "loan_id", "borrower", "lender", "id", "type", "description", "amount_gp", "owed_gp", "by", "note", "voided"]),
+  ];
+  for (const { loan, t, owed } of loanRows) {
+    loanLines.push(
+      csvRow([
+        formatDateTime(t.timestamp, settings),
+        loan.loanId,
+        loan.borrowerName,
+        loan.lenderName,
+        t.id,
+        t.type,
+        describeLoanEvent(t, { coinDisplay: "gp" }),
+        csvGp(signedLoanAmount(t)),
+        csvGp(owed),
+        actors[t.actorId] || "",
+        t.note || "",
+        t.voided ? `by ${t.voided.by}` : "",
+      ])
+    );
+  }
+
+  const files = [
+    new AttachmentBuilder(Buffer.from(bankLines.join("\r\n") + "\r\n", "utf8"), { name: `statement-${slug}.csv` }),
+  ];
+  if (loanRows.length) {
+    files.push(new AttachmentBuilder(Buffer.from(loanLines.join("\r\n") + "\r\n", "utf8"), { name: `loans-${slug}.csv` }));
+  }
+  if (markdown) {
+    const cell = (text) => String(text).replace(/\|/g, "\\|").replace(/\r?\n/g, " ");
+    const md = [
+      `# Statement for ${accountName}`,
+      "",
+      `Ledger: ${describeLedger(message)}, ${period} (${zone})`,
+      "",
+      `Opening balance: **${formatMoney(opening, settings)}**`,
+      "",
+      "| Date | ID | Entry | Amount | Balance | By | Note |",
+      "| --- | --- | --- | ---: | ---: | --- | --- |",
+    ];
+    running = opening;
+    for (const t of rows) {
+      running += signedAmount(t);
+      const entry = t.voided ? `~~${describeStatementEntry(t)}~~ (voided)` : describeStatementEntry(t);
+      md.push(
+        `| ${formatDateTime(t.timestamp, settings)} | ${t.id} | ${cell(entry)} | ${formatMoney(signedAmount(t), settings)} | ` +
+          `${formatMoney(running, settings)} | ${cell(actors[t.actorId] || "")} | ${cell(t.note || "")} |`
+      );
+    }
+    md.push("", `Closing balance: **${formatMoney(closing, settings)}**`);
+    if (loanRows.length) {
+      md.push("", "## Loans", "", "| Date | Loan | Borrower → Lender | Event | Owed | By | Note |", "| --- | --- | --- | --- | ---: | --- | --- |");
+      for (const { loan, t, owed } of loanRows) {
+        const event = t.voided ? `~~${describeLoanEvent(t, settings)}~~ (voided)` : describeLoanEvent(t, settings);
+        md.push(
+          `| ${formatDateTime(t.timestamp, settings)} | ${loan.loanId} | ${cell(`${loan.borrowerName} → ${loan.lenderName}`)} | ` +
+            `${cell(event)} | ${formatMoney(owed, settings)} | ${cell(actors[t.actorId] || "")} | ${cell(t.note || "")} |`
+        );
+      }
+    }
+    files.push(new AttachmentBuilder(Buffer.from(md.join("\n") + "\n", "utf8"), { name: `statement-${slug}.md` }));
+  }
+
+  return message.channel.send({
+    content:
+      `Statement for **${accountName}**, ${period} (${zone}): ${rows.length} bank entr${rows.length === 1 ? "y" : "ies"}` +
+      `${loanRows.length ? ` and ${loanRows.length} loan event(s)` : ""}, ` +
+      `opening **${formatMoney(opening, settings)}**, closing **${formatMoney(closing, settings)}**.`,
+    files,
+  });
+}
+
+function sessionCommand(message, args) {
+  // !session
+  // !session start [name...]
+  // !session end
+  // !session report <id>
+  // !session list
+  const ledger = getLedger(message);
+  const settings = getGuildSettings(message);
+  const sub = String(args[0] || "").toLowerCase();
+  const usage = "Usage:\n`!session`\n`!session start [name...]`\n`!session end`\n`!session report <id>`\n`!session list`";
+  const open = getOpenSession(ledger);
+
+  if (!sub || sub === "show") {
+    if (!open) return message.channel.send("No session is open. A banker can start one with `!session start [name]`.");
+    return sendChunked(message, sessionSummary(ledger, settings, open));
+  }
+
+  if (sub === "start") {
+    if (open) return message.channel.send(`Session **${open.id}: ${open.name}** is still open; \`!session end\` it first.`);
+    const id = `s${Object.keys(ledger.getSessions()).length + 1}`;
+    const session = {
+      id,
+      name: args.slice(1).join(" ").trim() || `Session ${id.slice(1)}`,
+      status: "open",
+      startedAt: new Date().toISOString(),
+      startedBy: message.author.id,
+      endedAt: null,
+      endedBy: null,
+    };
+    ledger.saveSession(id, session);
+    return message.channel.send(
+      `Started **${session.id}: ${session.name}**. Deposits, withdrawals and loan changes are tagged with it until \`!session end\`.`
+    );
+  }
+
+  if (sub === "end") {
+    if (!open) return message.channel.send("No session is open.");
+    // per-session interest is charged while the session is still open, so it shows in the summary
+    const accruals = applySessionAccruals(ledger, message.author.id).filter((r) => r.entry);
+    const fired = runSessionRecurring(ledger, settings, message.author.id);
+    open.status = "ended";
+    open.endedAt = new Date().toISOString();
+    open.endedBy = message.author.id;
+    ledger.saveSession(open.id, open);
+    const interest = accruals.length ? `\nSession interest added to ${accruals.length} loan(s).` : "";
+    const digest = fired.length ? formatRecurringDigest(fired, settings) : null;
+    const sent = sendChunked(message, `${sessionSummary(ledger, settings, open)}${interest}`);
+    return digest ? sent.then(() => sendChunked(message, digest)) : sent;
+  }
+
+  if (sub === "report") {
+    const session = findSession(ledger, args[1]);
+    if (!session) return message.channel.send(args[1] ? `Session **${args[1]}** not found.` : usage);
+    return sendChunked(message, sessionSummary(ledger, settings, session));
+  }
+
+  if (sub === "list") {
+    const sessions = Object.values(ledger.getSessions());
+    if (!sessions.length) return message.channel.send("No sessions yet. A banker can start one with `!session start [name]`.");
+    const lines = sessions.map((s) => `• \`${s.id}\` **${s.name}** - ${describeSessionSpan(s, settings)}`);
+    return sendChunked(message, `Sessions in ${describeLedger(message)}:\n${lines.join("\n")}`);
+  }
+
+  return message.channel.send(usage);
+}
+
+function pendingCommand(message, args) {
+  // !pending
+  // !pending <@user|name>
+  const ledger = getLedger(message);
+  const settings = getGuildSettings(message);
+  const accountName = args.length ? resolveNameArg(message, args[0]) : null;
+  const forWhom = accountName ? ` for **${accountName}**` : "";
+
+  // requests past their time are recorded as expired by the scheduler; they are already out of the running
+  const requests = pendingRequests(ledger, accountName).filter(({ entry }) => Date.parse(entry.expiresAt) > Date.now());
+  if (!requests.length) return message.channel.send(`No pending withdrawal requests${forWhom}.`);
+
+  const lines = requests.map(({ accountName: name, entry }) => `• ${describeRequest(name, entry, settings)}`);
+  return sendChunked(
+    message,
+    `Pending withdrawal requests${forWhom}:\n${lines.join("\n")}\nAnswer them with the buttons on the request.`
+  );
+}
+
+function recurringCommand(message, args) {
+  // !recurring [list]
+  // !recurring add [@user|name] <+|-amount> every <interval|session> [note...]
+  // !recurring pause|resume|remove <id>
+  const ledger = getLedger(message);
+  const settings = getGuildSettings(message);
+  const sub = String(args[0] || "list").toLowerCase();
+  const usage =
+    "Usage:\n`!recurring [list]`\n`!recurring add [@user|name] <+|-amount> every <interval|session> [note...]`\n" +
+    "`!recurring pause|resume|remove <id>`\nIntervals: `day`, `week`, `12h`, `3d`, `2 weeks`, `session`.";
+
+  if (sub === "list") {
+    const rules = Object.values(ledger.listRecurring());
+    if (!rules.length) return message.channel.send("No recurring transactions yet.");
+    return sendChunked(message, `Recurring transactions:\n${rules.map((r) => `• ${describeRecurring(r, settings)}`).join("\n")}`);
+  }
+
+  if (sub === "add") {
+    // the account can be left out for your own
+    const named = !/^[+-]/.test(String(args[1] || ""));
+    const amountAt = named ? 2 : 1;
+    const everyAt = args.findIndex((a, i) => i > amountAt && a.toLowerCase() === "every");
+    if (everyAt < 0 || everyAt + 1 >= args.length) return message.channel.send(usage);
+
+    const accountName = named ? resolveNameArg(message, args[1]) : getDefaultNameForUser(ledger, message.author);
+    if (named && !/^<@!?\d+>$/.test(args[1])) {
+      const typo = checkTypedAccount(ledger, accountName);
+      if (typo) return message.channel.send(typo);
+    }
+    const missing = checkNewAccounts(ledger, settings, [accountName]);
+    if (missing) return message.channel.send(missing);
+    const sign = args[amountAt][0];
+    if (!["+", "-"].includes(sign)) {
+      return message.channel.send(`Give the amount a sign: \`+50\` adds ${settings.currency}, \`-50\` takes it.`);
+    }
+    const amountArgs = [args[amountAt].slice(1), ...args.slice(amountAt + 1, everyAt)].filter(Boolean);
+    const parsed = parseAmountArgs(amountArgs, 0);
+    if (parsed === null || parsed.next !== amountArgs.length) return message.channel.send("Amount must be a positive number.");
+
+    const interval = parseRecurringInterval(args.slice(everyAt + 1));
+    if (!interval) return message.channel.send(usage);
+
+    const id = nextRecurringId(ledger);
+    const rule = {
+      id,
+      accountName,
+      direction: sign === "+" ? 1 : -1,
+      amount: parsed.amount,
+      coins: parsed.coins,
+      every: interval.every,
+      intervalMs: interval.intervalMs,
+      nextAt: interval.intervalMs ? new Date(Date.now() + interval.intervalMs).toISOString() : null,
+      paused: false,
+      note: args.slice(everyAt + 1 + interval.used).join(" "),
+      guildId: message.guildId || null,
+      channelId: message.channel.id,
+      actorId: message.author.id,
+      timestamp: new Date().toISOString(),
+    };
+    ensureAccount(ledger, accountName, message.author.id);
+    ledger.saveRecurring(id, rule);
+    return message.channel.send(`Added ${describeRecurring(rule, settings)}. Each run is reported in this channel.`);
+  }
+
+  if (["pause", "resume", "remove"].includes(sub)) {
+    const rule = ledger.getRecurring(String(args[1] || "").toLowerCase());
+    if (!rule) return message.channel.send(args[1] ? `Recurring transaction **${args[1]}** not found.` : usage);
+
+    if (sub === "remove") {
+      ledger.deleteRecurring(rule.id);
+      return message.channel.send(`Removed recurring transaction \`${rule.id}\`; its past entries stay in the history.`);
+    }
+    rule.paused = sub === "pause";
+    // periods that passed while paused are not made up for
+    if (!rule.paused && rule.intervalMs && Date.parse(rule.nextAt) <= Date.now()) {
+      rule.nextAt = new Date(Date.now() + rule.intervalMs).toISOString();
+    }
+    ledger.saveRecurring(rule.id, rule);
+    return message.channel.send(`${sub === "pause" ? "Paused" : "Resumed"} ${describeRecurring(rule, settings)}.`);
+  }
+
+  return message.channel.send(usage);
+}
+
+function timezoneCommand(message, args) {
+  // !timezone
+  // !timezone <zone>
+  const settings = getGuildSettings(message);
+  if (!args.length) {
+    return message.channel.send(
+      `Dates are shown in **${settings.timezone}** (now ${formatDateTime(new Date().toISOString(), settings)}).`
+    );
+  }
+  if (!message.guildId) return message.channel.send("The timezone can only be changed in a server channel.");
+  const parsed = CONFIG_KEYS.timezone.parse(args[0]);
+  if (parsed.error) return message.channel.send(parsed.error);
+
+  settings.timezone = parsed.value;
+  saveData();
+  return message.channel.send(
+    `Dates are now shown in **${settings.timezone}** (now ${formatDateTime(new Date().toISOString(), settings)}).`
+  );
+}
+
+// the most `!config` allows; Discord caps slash command text options at 100 characters
+const HISTORY_SIZE_LIMIT = 50;
+const LEADERBOARD_SIZE_LIMIT = 25;
+const NAME_LENGTH_LIMIT = 100;
+
+// `bound` names the other key a size or max is held to
+function parseCount(value, min, max, bound = "") {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < min || n > max) return { error: `Use a whole number from ${min} to ${max}${bound}.` };
+  return { value: n };
+}
+
+function parseOnOff(value) {
+  const word = value.toLowerCase();
+  return ["on", "off"].includes(word) ? { value: word === "on" } : { error: "Use `on` or `off`." };
 }
 
-function historyCommand(message, args) {
-  // !history
-  // !history <count>
-  // !history <@user|name>
-  // !history <@user|name> <count>
-  let accountName = getDefaultNameForUser(message.author);
-  let count = 5;
+// `!config` keys: the setting they change, what it does, and parse(value, settings) -> { value } or { error }
+const CONFIG_KEYS = {
+  prefix: {
+    setting: "prefix",
+    about: "what typed commands start with (slash commands keep working)",
+    parse: (value) =>
+      /^[^\s\w`/<@#*_~|][^\s`]{0,4}$/.test(value)
+        ? { value }
+        : { error: "The prefix is 1 to 5 characters without spaces, starting with a symbol like `!`, `?` or `$`." },
+  },
+  currency: {
+    setting: "currency",
+    about: "unit shown after amounts",
+    parse: (value) =>
+      /^[^\s`*_~|<>]{1,12}$/.test(value) ? { value } : { error: "The currency is one word of up to 12 characters." },
+  },
+  symbol: {
+    setting: "symbol",
+    about: "shown before amounts instead of the unit",
+    show: (value) => value || "none",
+    parse: (value) => {
+      if (value.toLowerCase() === "none") return { value: "" };
+      return /^[^\s\w`*_~|<>]{1,3}$/.test(value)
+        ? { value }
+        : { error: "The symbol is up to 3 characters like `$` or `€` (no letters or digits), or `none`." };
+    },
+  },
+  numbers: {
+    setting: "numbers",
+    about: "`plain` (1234.5) or a locale for separators, like `en-US` (1,234.5) or `de-DE` (1.234,5)",
+    parse: (value) => {
+      if (value.toLowerCase() === "plain") return { value: "plain" };
+      try {
+        if (Intl.NumberFormat.supportedLocalesOf(value).length) return { value: Intl.getCanonicalLocales(value)[0] };
+      } catch (err) {
+        // not a locale tag at all
+      }
+      return { error: `**${value}** is not a locale I know. Use \`plain\` or a name like \`en-US\` or \`de-DE\`.` };
+    },
+  },
+  timezone: {
+    setting: "timezone",
+    about: "timezone dates are shown in (same as `!timezone`)",
+    parse: (value) => {
+      if (isValidTimezone(value)) {
+        return { value: new Intl.DateTimeFormat("en-US", { timeZone: value }).resolvedOptions().timeZone };
+      }
+      return {
+        error: `**${value}** is not a timezone I know. Use a name like \`UTC\`, \`Europe/Berlin\` or \`America/New_York\`.`,
+      };
+    },
+  },
+  "history-size": {
+    setting: "historySize",
+    about: "`!history` entries shown without a count",
+    parse: (value, settings) => parseCount(value, 1, settings.historyMax, " (up to `history-max`)"),
+  },
+  "history-max": {
+    setting: "historyMax",
+    about: "most `!history` entries one page asks for",
+    parse: (value, settings) =>
+      parseCount(value, settings.historySize, HISTORY_SIZE_LIMIT, " (at least `history-size`)"),
+  },
+  "leaderboard-size": {
+    setting: "leaderboardSize",
+    about: "`!leaderboard` rows shown without a count",
+    parse: (value, settings) => parseCount(value, 1, settings.leaderboardMax, " (up to `leaderboard-max`)"),
+  },
+  "leaderboard-max": {
+    setting: "leaderboardMax",
+    about: "most `!leaderboard` rows",
+    parse: (value, settings) =>
+      parseCount(value, settings.leaderboardSize, LEADERBOARD_SIZE_LIMIT, " (at least `leaderboard-size`)"),
+  },
+  "name-length": {
+    setting: "nameLength",
+    about: "longest new account, alias, party and campaign name",
+    parse: (value) => parseCount(value, 3, NAME_LENGTH_LIMIT),
+  },
+  autocreate: {
+    setting: "autoCreate",
+    about: "whether deposits, transfers and loans to an unknown name open the account",
+    show: (value) => (value ? "on" : "off"),
+    parse: parseOnOff,
+  },
+  negative: {
+    setting: "negativeBalances",
+    about: "whether accounts may pay out more than they have (not with physical coin tracking)",
+    show: (value) => (value ? "on" : "off"),
+    parse: (value, settings) => {
+      const parsed = parseOnOff(value);
+      if (parsed.value && settings.coinTracking === "physical") {
+        return { error: "Physical coins can't go below zero; switch to `!coins tracking value` first." };
+      }
+      return parsed;
+    },
+  },
+};
+
+function showConfig(key, settings) {
+  const { setting, show = String } = CONFIG_KEYS[key];
+  return show(settings[setting]);
+}
 
-  if (args.length === 0) {
-    accountName = getDefaultNameForUser(message.author);
-  } else {
-    const firstIsNumber = Number.isFinite(Number(args[0])) && !message.mentions.users.size;
+function configCommand(message, args) {
+  // !config
+  // !config <key>
+  // !config <key> <value|reset>
+  const settings = getGuildSettings(message);
+  const keys = Object.keys(CONFIG_KEYS);
+  const usage =
+    "Usage:\n`!config`\n`!config <key>`\n`!config <key> <value|reset>`\n" +
+    `Keys: ${keys.map((k) => `\`${k}\``).join(", ")}`;
 
-    if (firstIsNumber) {
-      const n = Number(args[0]);
-      if (n > 0 && n <= 20) count = Math.floor(n);
-      accountName = getDefaultNameForUser(message.author);
-    } else {
-      accountName = resolveAccountName(message, args[0]);
-      if (args[1]) {
-        const n = Number(args[1]);
-        if (Number.isFinite(n) && n > 0 && n <= 20) count = Math.floor(n);
-      }
-    }
+  if (!args.length) {
+    const lines = keys.map((key) => `• \`${key}\` **${showConfig(key, settings)}** - ${CONFIG_KEYS[key].about}`);
+    return message.channel.send(
+      "Settings for this server (bankers change them with `!config <key> <value>`, or `reset`):\n" + lines.join("\n")
+    );
   }
 
-  const list = bankData.transactions[accountName] || [];
-  if (list.length === 0) return message.channel.send(`No transactions for **${accountName}** yet.`);
+  const key = args[0].toLowerCase();
+  const config = CONFIG_KEYS[key];
+  if (!config) return message.channel.send(usage);
+  if (args.length === 1) {
+    return message.channel.send(`\`${key}\` is **${showConfig(key, settings)}** - ${config.about}.`);
+  }
+  if (!message.guildId) return message.channel.send("Server settings can only be changed in a server channel.");
 
-  const recent = list.slice(-count);
-  const lines = recent.map((t) => {
-    const date = new Date(t.timestamp).toLocaleString();
-    const sign = t.type === "deposit" ? "+" : "-";
-    const actor = `<@${t.actorId}>`;
-    const note = t.note ? ` - ${t.note}` : "";
-    return `\`${date}\` ${sign}${t.amount} GP by ${actor}${note}`;
-  });
+  const value = args.slice(1).join(" ");
+  const reset = value.toLowerCase() === "reset";
+  const parsed = config.parse(reset ? showConfig(key, DEFAULT_GUILD_SETTINGS) : value, settings);
+  if (parsed.error) return message.channel.send(parsed.error);
 
-  message.channel.send(`Last ${recent.length} transaction(s) for **${accountName}**:\n` + lines.join("\n"));
+  settings[config.setting] = parsed.value;
+  saveData();
+  let reply = `\`${key}\` is now **${showConfig(key, settings)}**.`;
+  if (key === "prefix") reply += ` Commands now look like \`${settings.prefix}balance\`.`;
+  if (["currency", "symbol", "numbers"].includes(key)) {
+    reply += ` Amounts now look like **${formatValue(123450, settings)}**.`;
+  }
+  return message.channel.send(reply);
 }
 
-async function loanCommand(message, args) {
+function loanCommand(message, args) {
   // !loan <amount> <lender> [note...]
   // !loan <@user|name> <amount> <lender> [note...]
-  if (args.length < 3) {
+  // !loan forgive|close|reopen|edit <loan_id> ...
+  if (isLoanAction(args)) return loanActionCommand(message, args);
+  const ledger = getLedger(message);
+  const settings = getGuildSettings(message);
+  if (args.length < 2) {
     return message.channel.send(
       "Usage:\n`!loan <amount> <lender> [note...]`\n`!loan <@user|name> <amount> <lender> [note...]`"
     );
   }
 
   let borrower;
-  let amountArg;
-  let lenderArg;
-  let noteArgs;
+  let amountStart;
 
-  const firstIsNumber = Number.isFinite(Number(args[0])) && !message.mentions.users.size;
+  const firstIsNumber = isAmountArg(args[0]) && !message.mentions.users.size;
 
   if (firstIsNumber) {
-    borrower = { id: message.author.id, name: getDefaultNameForUser(message.author) };
-    amountArg = args[0];
-    lenderArg = args[1];
-    noteArgs = args.slice(2);
+    borrower = { id: message.author.id, name: getDefaultNameForUser(ledger, message.author) };
+    amountStart = 0;
   } else {
-    if (args.length < 4) {
+    if (args.length < 3) {
       return message.channel.send(
         "Usage:\n`!loan <amount> <lender> [note...]`\n`!loan <@user|name> <amount> <lender> [note...]`"
       );
     }
 
     borrower = resolvePersonFromArgOrMention(message, args[0]);
-    amountArg = args[1];
-    lenderArg = args[2];
-    noteArgs = args.slice(3);
+    amountStart = 1;
   }
 
-  const amount = parseAmount(amountArg);
-  if (amount === null) return message.channel.send("Amount must be a positive number.");
+  const parsed = parseAmountArgs(args, amountStart);
+  if (parsed === null) return message.channel.send("Amount must be a positive number.");
 
-  const lender = { id: null, name: String(lenderArg || "").trim() };
+  const amount = parsed.amount;
+  const lenderArg = args[parsed.next];
+  const optionArgs = args.slice(parsed.next + 1);
+  const noteArgs = optionArgs.filter((arg) => !isTermsArg(arg) && !isFundedArg(arg));
+  const lender = { id: null, name: canonicalName(ledger, lenderArg) };
   if (!lender.name) return message.channel.send("Lender cannot be empty.");
+  const typo =
+    (!borrower.fromMention && borrower.id !== message.author.id && checkTypedAccount(ledger, borrower.name)) ||
+    checkTypedAccount(ledger, lender.name);
+  if (typo) return message.channel.send(typo);
+  const missing = checkNewAccounts(ledger, settings, [borrower.name, lender.name]);
+  if (missing) return message.channel.send(missing);
+
+  const funded = isFundedLoan(optionArgs, settings);
+  if (funded) {
+    if (eqName(lender.name, borrower.name)) return message.channel.send("A funded loan needs a lender other than the borrower.");
+    const lenderBalance = getBalance(ledger, lender.name);
+    if (!canDebit(settings, lenderBalance, amount)) {
+      return message.channel.send(
+        `Cannot lend **${formatMoney(amount, settings)}** from **${lender.name}**; ` +
+          `it only has **${formatMoney(lenderBalance, settings)}**. Use \`funded:no\` to record the loan without moving ${settings.currency}.`
+      );
+    }
+  }
+
+  // optional interest terms anywhere after the lender, e.g. rate:5% per:week cap:50 grace:1
+  const { changes, error } = parseTerms(optionArgs.filter(isTermsArg));
+  if (error) return message.channel.send(error);
+  if (Object.keys(changes).length && !changes.rate) {
+    return message.channel.send("Interest terms need a rate, e.g. `rate:5%` (simple) or `compound:5%`.");
+  }
 
   const loanId = generateLoanId(borrower.name, lender.name);
   const now = new Date().toISOString();
   const note = noteArgs.join(" ");
 
-  bankData.loans[loanId] = {
+  const loan = {
     timestamp: now,
     borrowerName: borrower.name || "Unknown",
     lenderName: lender.name || "Unknown",
@@ -546,51 +5017,70 @@ async function loanCommand(message, args) {
     actorId: message.author.id,
     note: note || "",
   };
+  if (funded) loan.funded = true;
+  if (changes.rate) applyTermChanges(loan, changes, Date.parse(now));
+  saveLoan(ledger, loanId, loan);
+  ensureAccount(ledger, loan.borrowerName, message.author.id);
+  ensureAccount(ledger, loan.lenderName, message.author.id);
 
-  recordLoanTransaction(loanId, "loan", amount, message.author.id, note || "Loan created");
+  const entry = recordLoanTransaction(ledger, loanId, "loan", amount, message.author.id, note || "Loan created");
+  let funding = "";
+  if (funded) {
+    moveLoanFunds(ledger, settings, loanId, entry, loan.lenderName, loan.borrowerName, parsed.coins, message.author.id);
+    funding =
+      `\n• Paid out: **${loan.lenderName}** ${formatBalance(ledger, settings, loan.lenderName)}, ` +
+      `**${loan.borrowerName}** ${formatBalance(ledger, settings, loan.borrowerName)}`;
+  }
 
+  const interest = loan.terms
+    ? `\n• Interest: **${describeTerms(loan.terms, settings)}**, ${describeNextAccrual(loan.terms)}`
+    : "";
   return message.channel.send(
-    `**__Loan created.__**\n` +
-      `• Borrower: **${bankData.loans[loanId].borrowerName}**\n` +
-      `• Lender: **${bankData.loans[loanId].lenderName}**\n` +
-      `• Initial debt: **${amount} GP**\n` +
-      `• Note: **${note}**`
+    `**__Loan created.__** (\`${entry.id}\`)\n` +
+      `• Borrower: **${loan.borrowerName}**\n` +
+      `• Lender: **${loan.lenderName}**\n` +
+      `• Initial debt: **${formatMoney(amount, settings)}**\n` +
+      `• Note: **${note}**` +
+      funding +
+      interest
   );
 }
 
-async function repayCommand(message, args) {
+function repayCommand(message, args) {
   // !repay <amount> <lender|loan_id>
   // !repay <@user|name> <amount> <lender|loan_id>
+  const ledger = getLedger(message);
+  const settings = getGuildSettings(message);
   const usage = "Usage:\n`!repay <amount> <lender|loan_id>`\n`!repay <@user|name> <amount> <lender|loan_id>`";
   if (args.length < 2) return message.channel.send(usage);
 
   // Parse arguments
-  let borrower, amountArg, targetArg;
-  const firstIsNumber = Number.isFinite(Number(args[0])) && !message.mentions.users.size;
+  let borrower, amountStart;
+  const firstIsNumber = isAmountArg(args[0]) && !message.mentions.users.size;
   if (firstIsNumber) {
-    borrower = { id: message.author.id, name: getDefaultNameForUser(message.author) };
-    amountArg = args[0];
-    targetArg = args[1];
+    borrower = { id: message.author.id, name: getDefaultNameForUser(ledger, message.author) };
+    amountStart = 0;
   } else {
     if (args.length < 3) {
       return message.channel.send(usage);
     }
     borrower = resolvePersonFromArgOrMention(message, args[0]);
-    amountArg = args[1];
-    targetArg = args[2];
+    amountStart = 1;
   }
-  const amount = parseAmount(amountArg);
-  if (amount === null) return message.channel.send("Amount must be a positive number.");
+  const parsed = parseAmountArgs(args, amountStart);
+  if (parsed === null) return message.channel.send("Amount must be a positive number.");
+  const amount = parsed.amount;
+  const targetArg = args[parsed.next];
   const actorId = message.author.id;
 
   // Get loan ID
   let loanId;
-  if (isLoanId(targetArg)) {
+  if (isLoanId(ledger, targetArg)) {
     loanId = normalizeLoanId(targetArg);
   } else {
-    const lenderName = String(targetArg || "").trim();
+    const lenderName = canonicalName(ledger, targetArg);
     if (!lenderName) return message.channel.send("Lender cannot be empty.");
-    const matches = findOpenLoans(borrower.name, lenderName);
+    const matches = findOpenLoans(ledger, borrower.name, lenderName);
     if (!matches.length) {
       return message.channel.send(
         `No unresolved loan found for borrower **${borrower.name}** with lender **${lenderName}**.`
@@ -598,17 +5088,22 @@ async function repayCommand(message, args) {
     }
     if (matches.length > 1) {
       const loanNoteMappings = matches.map((m) => `• **${m.loanId}** - ${m.note}`).join("\n");
-      return message.channel.send(`Borrower **${borrower.name}** has **multiple unresolved loans** with lender **${lenderName}**.\n` +
-        `Use \`!repay <amount> <loan_id>\` instead.\n` +
-        `Loan IDs:\n${loanNoteMappings}`);
+      return message.channel.send({
+        content:
+          `Borrower **${borrower.name}** has **multiple unresolved loans** with lender **${lenderName}**.\n` +
+          `Use \`!repay <amount> <loan_id>\` instead, or pick one below.\n` +
+          `Loan IDs:\n${loanNoteMappings}`,
+        components: loanPickerRows("repay", message, amount, matches, settings),
+      });
     }
     loanId = matches[0].loanId;
   }
   
   // Validation
-  const loan = getLoan(loanId);
+  const loan = getLoan(ledger, loanId);
   if (!loan) return message.channel.send(`Loan **${loanId}** not found.`);
   if (loan.status === "resolved") return message.channel.send(`Loan **${loanId}** is already resolved.`);
+  if (loan.status === "voided") return message.channel.send(`Loan **${loanId}** was voided.`);
   const borrowerMatches = eqName(loan.borrowerName, borrower.name);
   if (!borrowerMatches) {
     return message.channel.send(
@@ -616,63 +5111,91 @@ async function repayCommand(message, args) {
     );
   }
 
-  // Repay
+  // Overpayment: only what's owed is taken, or the repayment is refused
   const oldBal = Number(loan.balance) || 0;
-  const newBal = Math.max(0, oldBal - amount);
-  loan.balance = newBal;
-  recordLoanTransaction(loanId, "repay", amount, actorId, "");
+  let paid = amount;
+  if (amount > oldBal) {
+    if (settings.loanOverpay === "reject") {
+      return message.channel.send(
+        `Loan **${loanId}** only has **${formatMoney(oldBal, settings)}** left; repay at most that.`
+      );
+    }
+    paid = oldBal;
+  }
+  if (loan.funded) {
+    const available = getBalance(ledger, loan.borrowerName);
+    if (!canDebit(settings, available, paid)) {
+      return message.channel.send(
+        `Cannot repay **${formatMoney(paid, settings)}** from **${loan.borrowerName}**; ` +
+          `it only has **${formatMoney(available, settings)}**.`
+      );
+    }
+  }
+
+  // Repay
+  const newBal = oldBal - paid;
+  const coins = paid === amount ? parsed.coins : breakdownCoins(paid);
+  const entry = repayLoan(ledger, settings, loanId, loan, paid, coins, actorId, "");
 
   // Add info
   let extra = "";
-  if (isLoanId(targetArg)) {
+  if (isLoanId(ledger, targetArg)) {
     extra += `\nNote: **${loan.note}**`;
   }
-  if (newBal === 0) {
-    loan.status = "resolved";
-    recordLoanTransaction(loanId, "resolve", 0, actorId, "Loan resolved");
-    extra += `\nLoan is now **resolved**.`;
+  if (paid < amount) {
+    extra += `\nOnly **${formatMoney(paid, settings)}** was owed; the other **${formatMoney(amount - paid, settings)}** was not taken.`;
+  }
+  if (loan.funded) {
+    extra +=
+      `\n${loan.borrowerName}: ${formatBalance(ledger, settings, loan.borrowerName)}, ` +
+      `${loan.lenderName}: ${formatBalance(ledger, settings, loan.lenderName)}`;
   }
+  if (newBal === 0) extra += `\nLoan is now **resolved**.`;
 
   // Send response
   return message.channel.send(
-    `Repaid **${amount} GP** to **${loan.lenderName}**.\n` +
-      `Loan balance: **${newBal} GP** (was ${oldBal} GP).` +
+    `Repaid **${formatMoney(paid, settings)}** to **${loan.lenderName}** (\`${entry.id}\`).\n` +
+      `Loan balance: **${formatMoney(newBal, settings)}** (was ${formatMoney(oldBal, settings)}).` +
       extra
   );
 }
 
-async function accrueCommand(message, args) {
+function accrueCommand(message, args) {
   // !accrue <amount> <lender|loan_id>
   // !accrue <@user|name> <amount> <lender|loan_id>
+  // !accrue session
+  const ledger = getLedger(message);
+  const settings = getGuildSettings(message);
+  if (String(args[0] || "").toLowerCase() === "session") return accrueSessionCommand(message);
   const usage =
-    "Usage:\n`!accrue <amount> <lender|loan_id>`\n`!accrue <@user|name> <amount> <lender|loan_id>`";
+    "Usage:\n`!accrue <amount> <lender|loan_id>`\n`!accrue <@user|name> <amount> <lender|loan_id>`\n`!accrue session`";
   if (args.length < 2) return message.channel.send(usage);
 
   // Parse arguments
-  let borrower, amountArg, targetArg;
-  const firstIsNumber = Number.isFinite(Number(args[0])) && !message.mentions.users.size;
+  let borrower, amountStart;
+  const firstIsNumber = isAmountArg(args[0]) && !message.mentions.users.size;
   if (firstIsNumber) {
-    borrower = { id: message.author.id, name: getDefaultNameForUser(message.author) };
-    amountArg = args[0];
-    targetArg = args[1];
+    borrower = { id: message.author.id, name: getDefaultNameForUser(ledger, message.author) };
+    amountStart = 0;
   } else {
     if (args.length < 3) return message.channel.send(usage);
     borrower = resolvePersonFromArgOrMention(message, args[0]);
-    amountArg = args[1];
-    targetArg = args[2];
+    amountStart = 1;
   }
-  const amount = parseAmount(amountArg);
-  if (amount === null) return message.channel.send("Amount must be a positive number.");
+  const parsed = parseAmountArgs(args, amountStart);
+  if (parsed === null) return message.channel.send("Amount must be a positive number.");
+  const amount = parsed.amount;
+  const targetArg = args[parsed.next];
   const actorId = message.author.id;
 
   // Get loan ID
   let loanId;
-  if (isLoanId(targetArg)) {
+  if (isLoanId(ledger, targetArg)) {
     loanId = normalizeLoanId(targetArg);
   } else {
-    const lenderName = String(targetArg || "").trim();
+    const lenderName = canonicalName(ledger, targetArg);
     if (!lenderName) return message.channel.send("Lender cannot be empty.");
-    const matches = findOpenLoans(borrower.name, lenderName);
+    const matches = findOpenLoans(ledger, borrower.name, lenderName);
     if (!matches.length) {
       return message.channel.send(
         `No unresolved loan found for borrower **${borrower.name}** with lender **${lenderName}**.`
@@ -680,21 +5203,24 @@ async function accrueCommand(message, args) {
     }
     if (matches.length > 1) {
       const loanNoteMappings = matches.map((m) => `• **${m.loanId}** - ${m.note}`).join("\n");
-      return message.channel.send(
-        `Borrower **${borrower.name}** has **multiple unresolved loans** with lender **${lenderName}**.\n` +
-          `Use \`!accrue <amount> <loan_id>\` instead.\n` +
-          `Loan IDs:\n${loanNoteMappings}`
-      );
+      return message.channel.send({
+        content:
+          `Borrower **${borrower.name}** has **multiple unresolved loans** with lender **${lenderName}**.\n` +
+          `Use \`!accrue <amount> <loan_id>\` instead, or pick one below.\n` +
+          `Loan IDs:\n${loanNoteMappings}`,
+        components: loanPickerRows("accrue", message, amount, matches, settings),
+      });
     }
     loanId = matches[0].loanId;
   }
 
   // Validation
-  const loan = getLoan(loanId);
+  const loan = getLoan(ledger, loanId);
   if (!loan) return message.channel.send(`Loan **${loanId}** not found.`);
   if (loan.status === "resolved") {
     return message.channel.send(`Loan **${loanId}** is resolved; cannot accrue more.`);
   }
+  if (loan.status === "voided") return message.channel.send(`Loan **${loanId}** was voided.`);
   const borrowerMatches = eqName(loan.borrowerName, borrower.name);
 
   if (!borrowerMatches) {
@@ -703,49 +5229,405 @@ async function accrueCommand(message, args) {
 
   // Accrue
   const oldBal = Number(loan.balance) || 0;
-  const newBal = oldBal + amount;
-  loan.balance = newBal;
-  recordLoanTransaction(loanId, "accrue", amount, actorId, "");
+  const entry = applyAccrual(ledger, loanId, loan, amount, actorId, "");
+  const newBal = loan.balance;
 
   // Add info
   let extra = "";
-  if (isLoanId(targetArg)) {
+  if (isLoanId(ledger, targetArg)) {
     extra += `\nNote: **${loan.note}**`;
   }
 
   // Send response
   return message.channel.send(
-    `Accrued **${amount} GP** on loan with lender **${loan.lenderName}**.\n` +
-      `Loan balance: **${newBal} GP** (was ${oldBal} GP).` +
+    `Accrued **${formatMoney(amount, settings)}** on loan with lender **${loan.lenderName}** (\`${entry.id}\`).\n` +
+      `Loan balance: **${formatMoney(newBal, settings)}** (was ${formatMoney(oldBal, settings)}).` +
       extra
   );
 }
 
 
+function accrueSessionCommand(message) {
+  const ledger = getLedger(message);
+  const settings = getGuildSettings(message);
+  const results = applySessionAccruals(ledger, message.author.id);
+  if (!results.length) return message.channel.send("No open loans charge interest per session.");
+
+  const lines = results.map(({ loanId, loan, entry, inGrace }) => {
+    const who = `**${loan.borrowerName}** → **${loan.lenderName}**`;
+    if (!entry) return `• ${who}: nothing added (${inGrace ? "grace period" : "cap reached"}) - ${loanId}`;
+    return (
+      `• ${who}: +${formatMoney(entry.amount, settings)}, ` +
+      `now **${formatMoney(loan.balance, settings)}** (\`${entry.id}\`)`
+    );
+  });
+  return sendChunked(message, `Session interest applied to ${results.length} loan(s):\n${lines.join("\n")}`);
+}
+
+// shared by !accrue and the interest scheduler (extra is { automatic: true } for scheduled interest)
+function applyAccrual(ledger, loanId, loan, amount, actorId, note, extra) {
+  loan.balance = (Number(loan.balance) || 0) + amount;
+  saveLoan(ledger, loanId, loan);
+  return recordLoanTransaction(ledger, loanId, "accrue", amount, actorId, note, extra);
+}
+
+function voidCommand(message, args) {
+  // !void <txId> [reason...]
+  const ledger = getLedger(message);
+  const settings = getGuildSettings(message);
+  if (!args.length) return message.channel.send("Usage: `!void <txId> [reason...]`");
+
+  const found = findTransaction(ledger, args[0]);
+  const reason = args.slice(1).join(" ");
+  const result = voidTransaction(ledger, settings, args[0], message.author.id, reason);
+  if (result.error) return message.channel.send(result.error);
+
+  return message.channel.send(
+    `Voided \`${found.entry.id}\` (${describeTransaction(found, settings)}).\n` + result.lines.join("\n")
+  );
+}
+
+function undoCommand(message) {
+  // !undo
+  const ledger = getLedger(message);
+  const settings = getGuildSettings(message);
+
+  const found = findLastUndoable(ledger, message.author.id);
+  if (!found) return message.channel.send("You have nothing left to undo.");
+
+  const result = voidTransaction(ledger, settings, found.entry.id, message.author.id, "undo");
+  if (result.error) return message.channel.send(result.error);
+
+  return message.channel.send(
+    `Undid \`${found.entry.id}\` (${describeTransaction(found, settings)}).\n` + result.lines.join("\n")
+  );
+}
+
+function termsCommand(message, args) {
+  // !terms <loan_id>
+  // !terms <loan_id> <rate:N%|compound:N%> [per:day|week|session] [cap:<amount>|cap:none] [grace:<periods>]
+  // !terms <loan_id> waive
+  const ledger = getLedger(message);
+  const settings = getGuildSettings(message);
+  const usage =
+    "Usage:\n`!terms <loan_id>`\n" +
+    "`!terms <loan_id> <rate:N%|compound:N%> [per:day|week|session] [cap:<amount>|cap:none] [grace:<periods>]`\n" +
+    "`!terms <loan_id> waive`";
+  if (!args.length) return message.channel.send(usage);
+
+  const loanId = normalizeLoanId(args[0]);
+  const loan = isLoanId(ledger, loanId) ? getLoan(ledger, loanId) : null;
+  if (!loan) return message.channel.send(`Loan **${loanId}** not found.`);
+
+  if (args.length === 1) {
+    if (!loan.terms) return message.channel.send(`Loan **${loanId}** has no interest terms.`);
+    return message.channel.send(
+      `Loan **${loanId}** (${loan.borrowerName} → ${loan.lenderName}): ` +
+        `${describeTerms(loan.terms, settings)}, ${describeNextAccrual(loan.terms)}.`
+    );
+  }
+
+  if (!isLoanOpen(loan)) return message.channel.send(`Loan **${loanId}** is ${loan.status}; its terms can't change.`);
+
+  if (args.length === 2 && args[1].toLowerCase() === "waive") {
+    if (!loan.terms) return message.channel.send(`Loan **${loanId}** has no interest terms to waive.`);
+    delete loan.terms;
+    saveLoan(ledger, loanId, loan);
+    const entry = recordLoanTransaction(ledger, loanId, "terms", 0, message.author.id, "Interest waived", { terms: null });
+    return message.channel.send(`Interest on loan **${loanId}** is waived; no more interest will accrue (\`${entry.id}\`).`);
+  }
+
+  if (!args.slice(1).every(isTermsArg)) return message.channel.send(usage);
+  const { changes, error } = parseTerms(args.slice(1));
+  if (error) return message.channel.send(error);
+  if (!loan.terms && !changes.rate) {
+    return message.channel.send("Interest terms need a rate, e.g. `rate:5%` (simple) or `compound:5%`.");
+  }
+
+  const terms = applyTermChanges(loan, changes, Date.now());
+  saveLoan(ledger, loanId, loan);
+  const description = describeTerms(terms, settings);
+  const entry = recordLoanTransaction(ledger, loanId, "terms", 0, message.author.id, `Interest: ${description}`, {
+    terms: { ...terms },
+  });
+  return message.channel.send(
+    `Terms of loan **${loanId}** are now **${description}**, ${describeNextAccrual(terms)} (\`${entry.id}\`).`
+  );
+}
+
+function loanActionCommand(message, args) {
+  // !loan forgive <loan_id> [amount] [note...]
+  // !loan close <loan_id> [note...]
+  // !loan reopen <loan_id> [note...]
+  // !loan edit <loan_id> <note|lender|borrower> <value...>
+  const ledger = getLedger(message);
+  const settings = getGuildSettings(message);
+  const usage =
+    "Usage:\n`!loan forgive <loan_id> [amount] [note...]`\n`!loan close <loan_id> [note...]`\n" +
+    "`!loan reopen <loan_id> [note...]`\n`!loan edit <loan_id> <note|lender|borrower> <value...>`";
+  const action = args[0].toLowerCase();
+  if (!args[1]) return message.channel.send(usage);
+
+  const loanId = normalizeLoanId(args[1]);
+  const loan = isLoanId(ledger, loanId) ? getLoan(ledger, loanId) : null;
+  if (!loan) return message.channel.send(`Loan **${loanId}** not found.`);
+  if (loan.status === "voided") return message.channel.send(`Loan **${loanId}** was voided.`);
+  const actorId = message.author.id;
+  const oldBal = Number(loan.balance) || 0;
+
+  if (action === "forgive") {
+    if (loan.status === "resolved") return message.channel.send(`Loan **${loanId}** is already resolved.`);
+    const parsed = isAmountArg(args[2]) ? parseAmountArgs(args, 2) : { amount: oldBal, next: 2 };
+    if (parsed === null) return message.channel.send("Amount must be a positive number.");
+    if (parsed.amount > oldBal) {
+      return message.channel.send(`Loan **${loanId}** only has **${formatMoney(oldBal, settings)}** left to forgive.`);
+    }
+    const note = args.slice(parsed.next).join(" ");
+    loan.balance = oldBal - parsed.amount;
+    const entry = recordLoanTransaction(ledger, loanId, "forgive", parsed.amount, actorId, note || "Debt forgiven");
+    let extra = "";
+    if (loan.balance === 0) {
+      loan.status = "resolved";
+      recordLoanTransaction(ledger, loanId, "resolve", 0, actorId, "Loan resolved");
+      extra = "\nLoan is now **resolved**.";
+    }
+    saveLoan(ledger, loanId, loan);
+    return message.channel.send(
+      `**${loan.lenderName}** forgave **${formatMoney(parsed.amount, settings)}** of loan **${loanId}** (\`${entry.id}\`).\n` +
+        `Loan balance: **${formatMoney(loan.balance, settings)}** (was ${formatMoney(oldBal, settings)}).` +
+        extra
+    );
+  }
+
+  if (action === "close") {
+    if (loan.status === "resolved") return message.channel.send(`Loan **${loanId}** is already resolved.`);
+    loan.status = "resolved";
+    saveLoan(ledger, loanId, loan);
+    const entry = recordLoanTransaction(ledger, loanId, "close", 0, actorId, args.slice(2).join(" ") || "Loan closed");
+    const unpaid = oldBal > 0 ? ` with **${formatMoney(oldBal, settings)}** left unpaid` : "";
+    return message.channel.send(
+      `Loan **${loanId}** (${loan.borrowerName} → ${loan.lenderName}) is **closed**${unpaid} (\`${entry.id}\`). ` +
+        `\`!loan reopen ${loanId}\` opens it again.`
+    );
+  }
+
+  if (action === "reopen") {
+    if (loan.status !== "resolved") return message.channel.send(`Loan **${loanId}** is already open.`);
+    if (oldBal <= 0) {
+      return message.channel.send(
+        `Nothing is owed on loan **${loanId}**; void the repayment or write-off that paid it off instead.`
+      );
+    }
+    loan.status = "open";
+    // interest starts counting again from now, not from when the loan was closed
+    if (loan.terms && loan.terms.period !== "session") {
+      loan.terms.nextAccrualAt = new Date(Date.now() + PERIOD_MS[loan.terms.period]).toISOString();
+    }
+    saveLoan(ledger, loanId, loan);
+    const entry = recordLoanTransaction(ledger, loanId, "reopen", 0, actorId, args.slice(2).join(" ") || "Loan reopened");
+    return message.channel.send(
+      `Loan **${loanId}** is **open** again with **${formatMoney(oldBal, settings)}** owed (\`${entry.id}\`).`
+    );
+  }
+
+  // edit
+  const field = String(args[2] || "").toLowerCase();
+  const value = args.slice(3).join(" ").trim();
+  if (!LOAN_EDIT_FIELDS.includes(field) || (field !== "note" && !value)) return message.channel.send(usage);
+
+  let to = value;
+  if (field !== "note") {
+    if (loan.funded) {
+      return message.channel.send(
+        `Loan **${loanId}** is funded, so its ${settings.currency} moved between **${loan.borrowerName}** and **${loan.lenderName}**; ` +
+          "void it and create it again instead."
+      );
+    }
+    const person = resolvePersonFromArgOrMention(message, args[3]);
+    to = person.name;
+    const typo = !person.fromMention && checkTypedAccount(ledger, to);
+    if (typo) return message.channel.send(typo);
+    const missing = checkNewAccounts(ledger, settings, [to]);
+    if (missing) return message.channel.send(missing);
+    const other = field === "lender" ? loan.borrowerName : loan.lenderName;
+    if (eqName(to, other)) return message.channel.send("A loan's borrower and lender must be different accounts.");
+    ensureAccount(ledger, to, actorId);
+  }
+
+  const key = { note: "note", lender: "lenderName", borrower: "borrowerName" }[field];
+  const from = loan[key] || "";
+  if (from === to) return message.channel.send(`The ${field} of loan **${loanId}** is already **${to || "empty"}**.`);
+  loan[key] = to;
+  saveLoan(ledger, loanId, loan);
+  const entry = recordLoanTransaction(ledger, loanId, "edit", 0, actorId, "", { field, from, to });
+  return message.channel.send(
+    `Changed the ${field} of loan **${loanId}** from **${from || "-"}** to **${to || "-"}** (\`${entry.id}\`).`
+  );
+}
+
+function loanInfoCommand(message, args) {
+  // !loaninfo <loan_id>
+  const ledger = getLedger(message);
+  const settings = getGuildSettings(message);
+  if (!args.length) return message.channel.send("Usage: `!loaninfo <loan_id>`");
+
+  const loanId = normalizeLoanId(args[0]);
+  const loan = isLoanId(ledger, loanId) ? getLoan(ledger, loanId) : null;
+  if (!loan) return message.channel.send(`Loan **${loanId}** not found.`);
+
+  const entries = ledger.getLoanTransactions(loanId);
+  const totals = loanTotals(entries);
+  const lines = [
+    `**__Loan ${loanId}__** - **${loan.status}**${loan.funded ? " (funded)" : ""}`,
+    `• Borrower: **${loan.borrowerName}**, lender: **${loan.lenderName}**`,
+    `• Created by <@${loan.actorId}> on \`${formatDateTime(loan.timestamp, settings)}\``,
+    `• Note: ${loan.note ? `**${loan.note}**` : "none"}`,
+    `• Lent **${formatMoney(totals.lent, settings)}**, repaid **${formatMoney(totals.repaid, settings)}**, ` +
+      `accrued **${formatMoney(totals.accrued, settings)}**, forgiven **${formatMoney(totals.forgiven, settings)}**`,
+    `• Owed: **${formatMoney(Number(loan.balance) || 0, settings)}**`,
+  ];
+  if (loan.terms) {
+    const next = isLoanOpen(loan) ? `, ${describeNextAccrual(loan.terms)}` : "";
+    lines.push(`• Interest: ${describeTerms(loan.terms, settings)}${next}`);
+  }
+
+  lines.push("", "Timeline:");
+  for (const t of entries) {
+    const note = t.note ? ` - ${t.note}` : "";
+    const line = `\`${t.id}\` \`${formatDateTime(t.timestamp, settings)}\` ${describeLoanEvent(t, settings)} by <@${t.actorId}>${note}`;
+    lines.push(t.voided ? `~~${line}~~ (voided)` : line);
+  }
+  return sendChunked(message, lines.join("\n"));
+}
+
+function loansCommand(message, args) {
+  // !loans [open|resolved|all] [@user|name]
+  const ledger = getLedger(message);
+  const settings = getGuildSettings(message);
+  let filter = "open";
+  let rest = args;
+  if (LOAN_LIST_FILTERS.includes(String(args[0] || "").toLowerCase())) {
+    filter = args[0].toLowerCase();
+    rest = args.slice(1);
+  }
+  const name = rest.length ? resolveNameArg(message, rest[0]) : null;
+
+  const loans = findLoans(ledger, {})
+    .filter((loan) => filter === "all" || (filter === "open" ? isLoanOpen(loan) : loan.status === "resolved"))
+    .filter((loan) => !name || eqName(loan.borrowerName, name) || eqName(loan.lenderName, name));
+  const whose = name ? ` involving **${name}**` : "";
+  if (!loans.length) return message.channel.send(`No ${filter === "all" ? "" : `${filter} `}loans${whose}.`);
+
+  const sum = { lent: 0, repaid: 0, forgiven: 0, owed: 0 };
+  const lines = loans.map((loan) => {
+    const totals = loanTotals(ledger.getLoanTransactions(loan.loanId));
+    const owed = loan.status === "voided" ? 0 : Number(loan.balance) || 0;
+    if (loan.status !== "voided") {
+      sum.lent += totals.lent;
+      sum.repaid += totals.repaid;
+      sum.forgiven += totals.forgiven;
+      if (isLoanOpen(loan)) sum.owed += owed;
+    }
+    const forgiven = totals.forgiven ? `, forgiven ${formatMoney(totals.forgiven, settings)}` : "";
+    const status = filter === "open" ? "" : ` (${loan.status})`;
+    return (
+      `• **${loan.loanId}** - ${loan.borrowerName} → ${loan.lenderName}: lent ${formatMoney(totals.lent, settings)}, ` +
+      `repaid ${formatMoney(totals.repaid, settings)}${forgiven}, owed **${formatMoney(owed, settings)}**${status}`
+    );
+  });
+
+  const title = { open: "Open loans", resolved: "Resolved loans", all: "All loans" }[filter];
+  return sendChunked(
+    message,
+    `${title}${whose}:\n${lines.join("\n")}\n` +
+      `Total lent **${formatMoney(sum.lent, settings)}**, repaid **${formatMoney(sum.repaid, settings)}**, ` +
+      `forgiven **${formatMoney(sum.forgiven, settings)}**, still owed **${formatMoney(sum.owed, settings)}**`
+  );
+}
+
+async function settleCommand(message, args) {
+  // !settle
+  // !settle all
+  // !settle <@user|name> <@user|name> [@user|name...]
+  const ledger = getLedger(message);
+  const settings = getGuildSettings(message);
+  const everyone = !args.length || (args.length === 1 && args[0].toLowerCase() === "all");
+  if (!everyone && args.length < 2) {
+    return message.channel.send("Usage:\n`!settle [all]`\n`!settle <@user|name> <@user|name> [@user|name...]`");
+  }
+  const names = everyone ? null : args.map((arg) => resolveNameArg(message, arg));
+  const group = everyone ? "everyone" : names.map((n) => `**${n}**`).join(", ");
+
+  const loans = settlementLoans(ledger, names);
+  if (!loans.length) return message.channel.send(`No open loans to settle between ${group}.`);
+
+  const { positions, payments } = planSettlement(loans);
+  const funded = planSettlement(loans.filter((loan) => loan.funded)).payments;
+  const fundedLines = funded.map((p) => `• **${p.from}** → **${p.to}** **${formatMoney(p.amount, settings)}**`);
+  const short = settlementShortfalls(ledger, settings, loans);
+  const positionLines = Object.entries(positions).map(([name, amount]) => {
+    if (amount === 0) return `• **${name}** is square`;
+    return `• **${name}** ${amount < 0 ? "owes" : "is owed"} **${formatMoney(Math.abs(amount), settings)}**`;
+  });
+  const paymentLines = payments.map((p) => `• **${p.from}** pays **${p.to}** **${formatMoney(p.amount, settings)}**`);
+  const text =
+    `Settlement between ${group} (${loans.length} open loan(s)):\n${positionLines.join("\n")}\n` +
+    `Payments that square everyone up (${payments.length}):\n` +
+    (paymentLines.length ? paymentLines.join("\n") : "• none, the loans cancel out") +
+    `\nApplying repays all ${loans.length} loan(s) in full, oldest first.` +
+    (fundedLines.length ? `\nThe funded loans' part moves through balances:\n${fundedLines.join("\n")}` : "");
+  if (short.length) {
+    return sendChunked(
+      message,
+      `${text}\n${short.map((n) => `**${n}**`).join(", ")} can't cover that yet, so it can't be applied.`
+    );
+  }
+
+  for (const [token, pending] of pendingSettlements) {
+    if (pending.expiresAt < Date.now()) pendingSettlements.delete(token);
+  }
+  const token = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+  const pending = {
+    ledgerKey: getLedgerKeyForMessage(message),
+    names,
+    signature: settlementSignature(loans),
+    accounts: Object.keys(positions),
+    approvals: {}, // { [accountName]: userId }
+    expiresAt: Date.now() + SETTLE_CONFIRM_MS,
+  };
+  pendingSettlements.set(token, pending);
+
+  await sendChunked(message, text);
+  return message.channel.send({
+    content: `${describeApprovals(pending)}\nEveryone involved (or a banker) approves below; this expires in 15 minutes.`,
+    components: settleConfirmRows(token),
+  });
+}
+
 function debtCommand(message, args) {
   // !debt
   // !debt <@user|name>
+  const ledger = getLedger(message);
+  const settings = getGuildSettings(message);
   let targetName = null;
 
   if (args.length === 0) {
     const targetUser = message.author;
-    targetName = getDefaultNameForUser(targetUser);
+    targetName = getDefaultNameForUser(ledger, targetUser);
   } else if (message.mentions.users.size > 0) {
     const targetUser = message.mentions.users.first();
-    targetName = getDefaultNameForUser(targetUser);
+    targetName = getDefaultNameForUser(ledger, targetUser);
   } else {
-    targetName = String(args[0]).trim();
+    targetName = canonicalName(ledger, args[0]);
   }
 
-  const openLoans = Object.entries(bankData.loans || {})
-    .filter(([, loan]) => loan && loan.status !== "resolved")
-    .filter(([, loan]) => {
-      return eqName(loan.borrowerName, targetName);
-    })
-    .map(([loanId, loan]) => ({
-      loanId,
+  const openLoans = findLoans(ledger, { borrower: targetName, open: true })
+    .map((loan) => ({
+      loanId: loan.loanId,
       lenderName: loan.lenderName || "Unknown",
       balance: Number(loan.balance) || 0,
+      note: loan.note,
+      terms: loan.terms,
     }))
     .filter((x) => x.balance > 0)
     .sort((a, b) => b.balance - a.balance);
@@ -753,39 +5635,40 @@ function debtCommand(message, args) {
   if (openLoans.length === 0) return message.channel.send(`No unresolved loans for **${targetName}**.`);
 
   const lines = openLoans.map((l) => {
-    const loan = bankData.loans[l.loanId];
-    const note = loan && loan.note ? ` - _${loan.note}_` : "";
+    const note = l.note ? ` - _${l.note}_` : "";
     const multipleLoans = openLoans.filter((l2) => l2.lenderName === l.lenderName);
     const loanId = multipleLoans.length > 1 ? ` - loan_id: **${l.loanId}**` : "";
-    return `• **${l.lenderName}** - **${l.balance} GP**${note}${loanId}`;
+    const interest = l.terms ? `\n  Interest: ${describeTerms(l.terms, settings)}, ${describeNextAccrual(l.terms)}` : "";
+    return `• **${l.lenderName}** - **${formatMoney(l.balance, settings)}**${note}${loanId}${interest}`;
   });
   const total = openLoans.reduce((s, l) => s + l.balance, 0);
 
-  return message.channel.send(`Unresolved loans for **${targetName}**:\n${lines.join("\n")}\nTotal: **${total} GP**`);
+  return sendChunked(message, `Unresolved loans for **${targetName}**:\n${lines.join("\n")}\nTotal: **${formatMoney(total, settings)}**`);
 }
 
 function debtorsCommand(message, args) {
   // !debtors
   // !debtors <@user|name>
+  const ledger = getLedger(message);
+  const settings = getGuildSettings(message);
   let targetName;
 
   if (args.length === 0) {
     const targetUser = message.author;
-    targetName = getDefaultNameForUser(targetUser);
+    targetName = getDefaultNameForUser(ledger, targetUser);
   } else if (message.mentions.users.size > 0) {
     const targetUser = message.mentions.users.first();
-    targetName = getDefaultNameForUser(targetUser);
+    targetName = getDefaultNameForUser(ledger, targetUser);
   } else {
-    targetName = String(args[0]).trim();
+    targetName = canonicalName(ledger, args[0]);
   }
 
-  const openLoans = Object.entries(bankData.loans || {})
-    .filter(([, loan]) => loan && loan.status !== "resolved")
-    .filter(([, loan]) => eqName(loan.lenderName, targetName))
-    .map(([loanId, loan]) => ({
-      loanId,
+  const openLoans = findLoans(ledger, { lender: targetName, open: true })
+    .map((loan) => ({
+      loanId: loan.loanId,
       borrowerName: loan.borrowerName || "Unknown",
       balance: Number(loan.balance) || 0,
+      note: loan.note,
     }))
     .filter((x) => x.balance > 0)
     .sort((a, b) => b.balance - a.balance);
@@ -793,50 +5676,630 @@ function debtorsCommand(message, args) {
   if (openLoans.length === 0) return message.channel.send(`No unresolved loans where **${targetName}** is the lender.`);
 
   const lines = openLoans.map((l) => {
-    const loan = bankData.loans[l.loanId];
-    const note = loan && loan.note ? ` - _${loan.note}_` : "";
+    const note = l.note ? ` - _${l.note}_` : "";
     const multipleLoans = openLoans.filter((l2) => l2.borrowerName === l.borrowerName);
     const loanId = multipleLoans.length > 1 ? ` - loan_id: **${l.loanId}**` : "";
-    return `• **${l.borrowerName}** - **${l.balance} GP**${note}${loanId}`;
+    return `• **${l.borrowerName}** - **${formatMoney(l.balance, settings)}**${note}${loanId}`;
   });
   const total = openLoans.reduce((s, l) => s + l.balance, 0);
 
   return message.channel.send(
-    `Unresolved loans where **${targetName}** is the lender:\n${lines.join("\n")}\nTotal: **${total} GP**`
+    `Unresolved loans where **${targetName}** is the lender:\n${lines.join("\n")}\nTotal: **${formatMoney(total, settings)}**`
+  );
+}
+
+// account and the args after it for the vault commands: a quantity first means the caller's own account
+function parseVaultArgs(message, ledger, args) {
+  if (isQtyArg(args[0]) && !message.mentions.users.size) {
+    return { accountName: getDefaultNameForUser(ledger, message.author), rest: args, typedName: false };
+  }
+  const typedName = !message.mentions.users.size;
+  return { accountName: resolveAccountName(message, args[0]), rest: args.slice(1), typedName };
+}
+
+function stashCommand(message, args) {
+  // !stash <qty> <item...> [value each] [note...]
+  // !stash <@user|name> <qty> <item...> [value each] [note...]
+  const ledger = getLedger(message);
+  const settings = getGuildSettings(message);
+  const usage =
+    "Usage:\n`!stash <qty> <item...> [value each] [note...]`\n`!stash <@user|name> <qty> <item...> [value each] [note...]`";
+  const { accountName, rest, typedName } = parseVaultArgs(message, ledger, args);
+  const qty = Number(rest[0]);
+  if (!/^\d+$/.test(rest[0] || "") || qty < 1 || rest.length < 2) return message.channel.send(usage);
+
+  const typo = typedName && checkTypedAccount(ledger, accountName);
+  if (typo) return message.channel.send(typo);
+  const missing = checkNewAccounts(ledger, settings, [accountName]);
+  if (missing) return message.channel.send(missing);
+
+  // the item name runs up to its value; without one, a name already in the vault may be followed by a note
+  const tokens = rest.slice(1);
+  const items = ledger.getItems(accountName);
+  const valueAt = tokens.findIndex(isAmountArg);
+  let name;
+  let value = null;
+  let note = "";
+  if (valueAt === 0) return message.channel.send(usage);
+  if (valueAt > 0) {
+    const parsed = parseAmountArgs(tokens, valueAt);
+    if (!parsed) return message.channel.send("The value must be a positive amount, like `50gp`.");
+    name = tokens.slice(0, valueAt).join(" ");
+    value = parsed.amount;
+    note = tokens.slice(parsed.next).join(" ");
+  } else {
+    const match = matchVaultItem(items, tokens);
+    name = match ? match.item.name : tokens.join(" ");
+    note = match ? tokens.slice(match.next).join(" ") : "";
+  }
+  if (name.length > MAX_ITEM_NAME) return message.channel.send(`Item names can be at most ${MAX_ITEM_NAME} characters.`);
+
+  const held = items[itemKey(name)] ? { ...items[itemKey(name)] } : null;
+  const item = moveItems(ledger, accountName, name, qty, value);
+  const each = value === null ? item.value : value;
+  // the value before is kept when the stash changed it, so a void can put it back
+  const changed = held && held.value !== item.value;
+  const entry = recordTransaction(ledger, accountName, "stash", qty * each, message.author.id, note, {
+    item: item.name,
+    qty,
+    value: each,
+    ...(changed ? { was: held.value, became: item.value } : {}),
+  });
+  const averaged =
+    changed && held.value
+      ? `\nThat is the average with the ${held.qty} already there (${formatMoney(held.value, settings)} each); ` +
+        "`!vault appraise` sets a new value."
+      : "";
+  return message.channel.send(
+    `Stashed **${qty}× ${item.name}** in **${accountName}**'s vault (\`${entry.id}\`).\n` +
+      `The vault now holds ${formatItem(item, settings)}.${averaged}`
+  );
+}
+
+// !unstash and !sell may leave out the quantity, so the account comes first only when it is a mention,
+// is followed by a quantity, or is a name the bank knows
+function parseTakeArgs(message, ledger, args) {
+  const named =
+    !isQtyArg(args[0]) &&
+    (message.mentions.users.size || isQtyArg(args[1]) || (args.length > 1 && findAccount(ledger, args[0])));
+  if (!named) return { accountName: getDefaultNameForUser(ledger, message.author), rest: args };
+  return { accountName: resolveAccountName(message, args[0]), rest: args.slice(1) };
+}
+
+// finds the item for !unstash and !sell; returns { accountName, item, qty, tokens } or { error }.
+// Without a quantity it is one item
+function takeFromVault(message, ledger, args, usage) {
+  const { accountName, rest } = parseTakeArgs(message, ledger, args);
+  const tokens = isQtyArg(rest[0]) ? rest.slice(1) : rest;
+  if (!tokens.length) return { error: usage };
+  const match = matchVaultItem(ledger.getItems(accountName), tokens);
+  if (!match) {
+    const listing = `\`!vault ${accountName}\` lists what it holds.`;
+    return { error: `**${accountName}**'s vault has no **${tokens.join(" ")}**. ${listing}` };
+  }
+  const qty = !isQtyArg(rest[0]) ? 1 : /^all$/i.test(rest[0]) ? match.item.qty : Number(rest[0]);
+  if (qty < 1) return { error: usage };
+  if (qty > match.item.qty) return { error: `**${accountName}** only has **${match.item.qty}× ${match.item.name}**.` };
+  return { accountName, item: match.item, qty, tokens: tokens.slice(match.next) };
+}
+
+function unstashCommand(message, args) {
+  // !unstash [qty|all] <item...> [note...]
+  // !unstash <@user|name> [qty|all] <item...> [note...]
+  const ledger = getLedger(message);
+  const usage =
+    "Usage:\n`!unstash [qty|all] <item...> [note...]`\n`!unstash <@user|name> [qty|all] <item...> [note...]`";
+  const taken = takeFromVault(message, ledger, args, usage);
+  if (taken.error) return message.channel.send(taken.error);
+
+  const { accountName, item, qty, tokens } = taken;
+  const left = moveItems(ledger, accountName, item.name, -qty, null);
+  const entry = recordTransaction(ledger, accountName, "unstash", qty * item.value, message.author.id, tokens.join(" "), {
+    item: item.name,
+    qty,
+    value: item.value,
+  });
+  return message.channel.send(
+    `Took **${qty}× ${item.name}** out of **${accountName}**'s vault (\`${entry.id}\`). ` +
+      (left.qty ? `${left.qty} left.` : "None left.")
+  );
+}
+
+function sellCommand(message, args) {
+  // !sell [qty|all] <item...> [price] [note...]
+  // !sell <@user|name> [qty|all] <item...> [price] [note...]
+  // the price is for all of them; without one the items go for their value
+  const ledger = getLedger(message);
+  const settings = getGuildSettings(message);
+  const usage =
+    "Usage:\n`!sell [qty|all] <item...> [price] [note...]`\n`!sell <@user|name> [qty|all] <item...> [price] [note...]`";
+  const taken = takeFromVault(message, ledger, args, usage);
+  if (taken.error) return message.channel.send(taken.error);
+
+  const { accountName, item, qty, tokens } = taken;
+  let price = qty * item.value;
+  let coins = breakdownCoins(price);
+  let noteAt = 0;
+  if (isAmountArg(tokens[0])) {
+    const parsed = parseAmountArgs(tokens, 0);
+    if (!parsed) return message.channel.send("The price must be a positive amount, like `120gp`.");
+    ({ amount: price, coins } = parsed);
+    noteAt = parsed.next;
+  }
+  if (!price) {
+    return message.channel.send(
+      `**${item.name}** has no value yet; give a price, like \`!sell ${qty} ${item.name} 50gp\`.`
+    );
+  }
+
+  const oldBalance = getBalance(ledger, accountName);
+  moveItems(ledger, accountName, item.name, -qty, null);
+  adjustAccount(ledger, settings, accountName, coins, 1);
+  const note = tokens.slice(noteAt).join(" ");
+  const entry = recordTransaction(ledger, accountName, "sell", price, message.author.id, note, {
+    item: item.name,
+    qty,
+    value: item.value,
+  });
+  return message.channel.send(
+    `Sold **${qty}× ${item.name}** from **${accountName}**'s vault ` +
+      `for **${formatMoney(price, settings)}** (\`${entry.id}\`).\n` +
+      `New balance: ${formatBalance(ledger, settings, accountName)} (was ${formatMoney(oldBalance, settings)}).`
+  );
+}
+
+// `!vault appraise` takes the account first only when it is a mention or a name the bank knows
+function parseAppraiseArgs(message, ledger, args) {
+  if (message.mentions.users.size || (args.length > 2 && findAccount(ledger, args[0]))) {
+    return { accountName: resolveAccountName(message, args[0]), rest: args.slice(1) };
+  }
+  return { accountName: getDefaultNameForUser(ledger, message.author), rest: args };
+}
+
+function vaultCommand(message, args) {
+  // !vault [show] [@user|name]
+  // !vault all
+  // !vault appraise [@user|name] <item...> <value each>
+  const ledger = getLedger(message);
+  const settings = getGuildSettings(message);
+  const sub = String(args[0] || "").toLowerCase();
+
+  if (sub === "appraise") {
+    const { accountName, rest } = parseAppraiseArgs(message, ledger, args.slice(1));
+    const valueAt = rest.findIndex(isAmountArg);
+    const parsed = valueAt > 0 ? parseAmountArgs(rest, valueAt) : null;
+    if (!parsed || parsed.next !== rest.length) {
+      return message.channel.send("Usage:\n`!vault appraise [@user|name] <item...> <value each>`");
+    }
+    const match = matchVaultItem(ledger.getItems(accountName), rest.slice(0, valueAt));
+    if (!match || match.next !== valueAt) {
+      return message.channel.send(`**${accountName}**'s vault has no **${rest.slice(0, valueAt).join(" ")}**.`);
+    }
+    const old = match.item.value;
+    const item = appraiseItem(ledger, accountName, match.item.name, parsed.amount);
+    return message.channel.send(
+      `**${item.name}** in **${accountName}**'s vault is now worth **${formatMoney(item.value, settings)}** each ` +
+        `(was ${old ? formatMoney(old, settings) : "not valued"}): ${formatItem(item, settings)}.`
+    );
+  }
+
+  if (sub === "all") {
+    const vaults = Object.entries(ledger.getAllItems());
+    if (!vaults.length) return message.channel.send("Every vault is empty.");
+    const lines = vaults.map(([name, items]) => {
+      const count = Object.values(items).reduce((sum, item) => sum + item.qty, 0);
+      return `• **${name}**: ${count} item(s), ${formatMoney(vaultValue(items), settings)}`;
+    });
+    const total = vaults.reduce((sum, [, items]) => sum + vaultValue(items), 0);
+    return sendChunked(message, `Vaults:\n${lines.join("\n")}\nTotal value: **${formatMoney(total, settings)}**`);
+  }
+
+  if (sub === "show") args = args.slice(1);
+  const accountName = args.length ? resolveNameArg(message, args[0]) : getDefaultNameForUser(ledger, message.author);
+  const items = Object.values(ledger.getItems(accountName)).sort((a, b) => a.name.localeCompare(b.name));
+  if (!items.length) return message.channel.send(`**${accountName}**'s vault is empty.`);
+  const lines = items.map((item) => `• ${formatItem(item, settings)}`);
+  return sendChunked(
+    message,
+    `Vault of **${accountName}**:\n${lines.join("\n")}\n` +
+      `Total value: **${formatMoney(vaultValue(ledger.getItems(accountName)), settings)}** ` +
+      `(\`!history ${accountName} type:stash,unstash,sell\` shows what came and went)`
   );
 }
 
 function leaderboardCommand(message, args) {
   // !leaderboard
   // !leaderboard <count>
-  let count = 10;
-  if (args[0]) {
-    const n = Number(args[0]);
-    if (Number.isFinite(n) && n > 0) count = Math.min(10, Math.floor(n));
+  // !leaderboard [count] worth   (GP + vault items - open debt)
+  const ledger = getLedger(message);
+  const settings = getGuildSettings(message);
+  const byWorth = args.some((a) => a.toLowerCase() === "worth");
+  const countArg = args.find((a) => a.toLowerCase() !== "worth");
+  let count = settings.leaderboardSize;
+  if (countArg) {
+    const n = Number(countArg);
+    if (Number.isFinite(n) && n > 0) count = Math.min(settings.leaderboardMax, Math.floor(n));
+  }
+
+  if (byWorth) {
+    const rows = getNetWorthEntries(ledger, count);
+    if (!rows.length) return message.channel.send(`No accounts with ${settings.currency}, items or debt yet.`);
+    const lines = rows.map((r, idx) => {
+      const parts = [`${formatMoney(r.gp, settings)}`];
+      if (r.items) parts.push(`${formatMoney(r.items, settings)} in items`);
+      const debt = r.debt ? ` - ${formatMoney(r.debt, settings)} owed` : "";
+      return `**${idx + 1}.** ${r.name} - **${formatMoney(r.worth, settings)}** (${parts.join(" + ")}${debt})`;
+    });
+    return sendChunked(message, `**Net Worth Leaderboard (Top ${rows.length})**\n${lines.join("\n")}`);
   }
 
   let fullMessage = "";
 
-  const gpEntries = getTopGpEntries(count);
+  const gpEntries = getTopGpEntries(ledger, count);
   if (gpEntries.length) {
     const gpEntriesFormatted = gpEntries
-      .map(([name, bal], idx) => `**${idx + 1}.** ${name} - **${bal} GP**`)
+      .map(([name, bal], idx) => `**${idx + 1}.** ${name} - **${formatMoney(bal, settings)}**`)
       .join("\n");
     fullMessage += `**Wealth Leaderboard (Top ${gpEntries.length})**\n${gpEntriesFormatted}`;
   }
 
-  const debtEntries = getTopDebtEntries(count);
+  const debtEntries = getTopDebtEntries(ledger, count);
   if (debtEntries.length) {
     const debtEntriesFormatted = debtEntries
-      .map((row, idx) => `**${idx + 1}.** ${row.name} - **${row.debt} GP**`)
+      .map((row, idx) => `**${idx + 1}.** ${row.name} - **${formatMoney(row.debt, settings)}**`)
       .join("\n");
     const debtSection = `**Debt Leaderboard (Top ${debtEntries.length})**\n${debtEntriesFormatted}`;
     fullMessage += fullMessage ? `\n\n${debtSection}` : debtSection;
   }
 
   if (!fullMessage) return message.channel.send("No accounts with a positive balance or debt yet.");
-  return message.channel.send(fullMessage);
+  // up to leaderboard-max rows per board can run past one message
+  return sendChunked(message, fullMessage);
+}
+
+// ============= DASHBOARD =============
+
+// Read-only views of the ledgers for dashboard.js, built from the same helpers as `!balance`, `!history`,
+// `!debt` and `!leaderboard`. They only read storage, so they work while Discord is not connected.
+// Amounts come as { cp, gp, text }: copper as stored, GP for scripts, and text as the server shows it.
+
+// ledger keys look like "default", "guild:<guildId>" or "campaign:<guildId>:<campaignKey>"
+function ledgerGuildId(key) {
+  if (key === DEFAULT_LEDGER_KEY) return storage.data.homeGuildId;
+  const [kind, guildId] = key.split(":");
+  return ["guild", "campaign"].includes(kind) ? guildId : null;
+}
+
+function describeLedgerKey(key) {
+  const [kind, guildId, campaignKey] = key.split(":");
+  if (kind === "campaign") {
+    const guild = storage.data.guilds[guildId];
+    const campaign = guild && guild.campaigns && guild.campaigns[campaignKey];
+    return `Campaign ${campaign ? campaign.name : campaignKey}`;
+  }
+  const guild = client.guilds.cache.get(ledgerGuildId(key) || "");
+  if (guild) return guild.name;
+  return key === DEFAULT_LEDGER_KEY ? "Home server" : `Server ${guildId}`;
+}
+
+// { ledger, settings } or null for a ledger key no one has used
+function dashboardLedger(key) {
+  if (!storage.ledgerKeys().includes(key)) return null;
+  const guildId = ledgerGuildId(key);
+  const settings = guildId ? getGuildConfig(guildId).settings : DEFAULT_GUILD_SETTINGS;
+  return { ledger: storage.getLedger(key), settings };
+}
+
+function moneyJson(cp, settings) {
+  return { cp, gp: csvGp(cp), text: formatMoney(cp, settings) };
+}
+
+// registered accounts plus any balance the registry doesn't know yet
+function dashboardAccountNames(ledger) {
+  const names = Object.values(ledger.getAccounts()).map((a) => a.name);
+  for (const name of Object.keys(ledger.getBalances())) if (!names.some((n) => eqName(n, name))) names.push(name);
+  return names.sort((a, b) => a.localeCompare(b));
+}
+
+// the account's own spelling, or null when the ledger has no such account
+function dashboardAccountName(ledger, name) {
+  const found = findAccount(ledger, name);
+  return found ? found.account.name : Object.keys(ledger.getBalances()).find((n) => eqName(n, name)) || null;
+}
+
+function dashboardLoan(ledger, settings, loan) {
+  const totals = loanTotals(ledger.getLoanTransactions(loan.loanId));
+  return {
+    id: loan.loanId,
+    borrower: loan.borrowerName,
+    lender: loan.lenderName,
+    status: loan.status,
+    funded: !!loan.funded,
+    note: loan.note || "",
+    timestamp: loan.timestamp,
+    lent: moneyJson(totals.lent, settings),
+    repaid: moneyJson(totals.repaid, settings),
+    accrued: moneyJson(totals.accrued, settings),
+    forgiven: moneyJson(totals.forgiven, settings),
+    owed: moneyJson(loan.status === "voided" ? 0 : Number(loan.balance) || 0, settings),
+    terms: loan.terms ? describeTerms(loan.terms, settings) : null,
+  };
+}
+
+const dashboardApi = {
+  ledgers: () => storage.ledgerKeys().map((key) => ({ key, name: describeLedgerKey(key) })),
+
+  accounts(key, query) {
+    const view = dashboardLedger(key);
+    if (!view) return null;
+    const { ledger, settings } = view;
+    const q = String(query || "").trim().toLowerCase();
+    const debts = Object.fromEntries(getTopDebtEntries(ledger, Number.MAX_SAFE_INTEGER).map((r) => [r.name, r.debt]));
+    return dashboardAccountNames(ledger)
+      .map((name) => ({ name, account: findAccount(ledger, name) }))
+      .filter(({ name, account }) => {
+        const spellings = [name, ...(account ? account.account.aliases : [])];
+        return !q || spellings.some((s) => s.toLowerCase().includes(q));
+      })
+      .map(({ name, account }) => ({
+        name,
+        aliases: account ? account.account.aliases : [],
+        ownerId: getAccountOwnerId(ledger, name),
+        party: !!getParty(ledger, name),
+        balance: moneyJson(getBalance(ledger, name), settings),
+        items: moneyJson(vaultValue(ledger.getItems(name)), settings),
+        debt: moneyJson(debts[name] || 0, settings),
+      }));
+  },
+
+  account(key, name) {
+    const view = dashboardLedger(key);
+    if (!view) return null;
+    const { ledger, settings } = view;
+    const accountName = dashboardAccountName(ledger, name);
+    if (!accountName) return null;
+    const found = findAccount(ledger, accountName);
+    const party = getParty(ledger, accountName);
+    const items = Object.values(ledger.getItems(accountName)).sort((a, b) => a.name.localeCompare(b.name));
+    return {
+      name: accountName,
+      aliases: found ? found.account.aliases : [],
+      ownerId: getAccountOwnerId(ledger, accountName),
+      party: party ? party.members.map((m) => ({ name: memberName(ledger, m), weight: m.weight || 1 })) : null,
+      balance: moneyJson(getBalance(ledger, accountName), settings),
+      purse: settings.coinTracking === "physical" ? getPurse(ledger, accountName) : null,
+      items: items.map((item) => ({
+        name: item.name,
+        qty: item.qty,
+        value: moneyJson(item.value, settings),
+        total: moneyJson(item.qty * item.value, settings),
+      })),
+      borrowed: findLoans(ledger, { borrower: accountName, open: true }).map((l) => dashboardLoan(ledger, settings, l)),
+      lent: findLoans(ledger, { lender: accountName, open: true }).map((l) => dashboardLoan(ledger, settings, l)),
+    };
+  },
+
+  // newest first, `limit` entries older than the `before` id; filters as for `!history` ("type:deposit note:potion")
+  async history(key, name, { limit = null, before = null, filters = "" } = {}) {
+    const view = dashboardLedger(key);
+    if (!view) return null;
+    const { ledger, settings } = view;
+    const accountName = dashboardAccountName(ledger, name);
+    if (!accountName) return null;
+    const parsed = parseHistoryFilters(null, ledger, settings, String(filters).split(/\s+/).filter(isHistoryFilter));
+    if (parsed.error) return { error: parsed.error.replace(/\*\*|`/g, "") };
+
+    const all = historyItems(ledger, accountName, parsed.filters).reverse();
+    const start = before ? all.findIndex((item) => txSeqOf(item.entry.id) < txSeqOf(before)) : 0;
+    const size = Math.min(Math.max(Number(limit) || settings.historySize, 1), 100);
+    const page = start < 0 ? [] : all.slice(start, start + size);
+    const names = await resolveActorNames({}, ledger, page.map((item) => item.entry.actorId));
+    return {
+      account: accountName,
+      total: all.length,
+      entries: page.map(({ entry: t, loan }) => ({
+        id: t.id,
+        timestamp: t.timestamp,
+        date: formatDateTime(t.timestamp, settings),
+        type: t.type,
+        loanId: loan ? loan.loanId : null,
+        description: loan
+          ? `loan ${loan.loanId} (${loan.borrowerName} → ${loan.lenderName}): ` +
+            describeLoanEvent(t, settings).replace(/`/g, "")
+          : describeStatementEntry(t),
+        amount: moneyJson(t.amount, settings),
+        change: moneyJson(loan ? signedLoanAmount(t) : signedAmount(t), settings),
+        actorId: t.actorId,
+        actor: names[t.actorId] || t.actorId,
+        note: t.note || "",
+        sessionId: t.sessionId || null,
+        voided: !!t.voided,
+      })),
+      next: start >= 0 && start + page.length < all.length ? page[page.length - 1].entry.id : null,
+    };
+  },
+
+  loans(key, { status = "open", account = null } = {}) {
+    const view = dashboardLedger(key);
+    if (!view) return null;
+    const { ledger, settings } = view;
+    const name = account ? canonicalName(ledger, account) : null;
+    return findLoans(ledger, {})
+      .filter((loan) => status === "all" || (status === "open" ? isLoanOpen(loan) : loan.status === status))
+      .filter((loan) => !name || eqName(loan.borrowerName, name) || eqName(loan.lenderName, name))
+      .map((loan) => dashboardLoan(ledger, settings, loan));
+  },
+
+  leaderboard(key, count = null) {
+    const view = dashboardLedger(key);
+    if (!view) return null;
+    const { ledger, settings } = view;
+    const limit = Math.min(Math.max(Number(count) || settings.leaderboardSize, 1), 100);
+    return {
+      wealth: getTopGpEntries(ledger, limit).map(([name, cp]) => ({ name, balance: moneyJson(cp, settings) })),
+      debt: getTopDebtEntries(ledger, limit).map((r) => ({ name: r.name, debt: moneyJson(r.debt, settings) })),
+      worth: getNetWorthEntries(ledger, limit).map((r) => ({
+        name: r.name,
+        worth: moneyJson(r.worth, settings),
+        balance: moneyJson(r.gp, settings),
+        items: moneyJson(r.items, settings),
+        debt: moneyJson(r.debt, settings),
+      })),
+    };
+  },
+};
+
+// ============= CONSOLE =============
+
+// `node bot.js --cli` (see cli.js) runs lines typed at a terminal or read from a file through processCommand,
+// as if a user sent them in a channel, and `.press` runs buttons through buttonInteraction; the replies are
+// collected and printed instead of sent
+const CONSOLE_USER_ID = "0";
+const CONSOLE_CHANNEL_ID = "console";
+
+// a message-like view of a console line, like createInteractionMessage for interactions;
+// users are made up from their ids, and a banker has Manage Server
+function createConsoleMessage(session, content, replies) {
+  const user = (id) => ({ id, username: session.names[id] || `user${id}`, bot: false });
+  const mentionedUsers = [...content.matchAll(/<@!?(\d+)>/g)].map((m) => user(m[1]));
+  const permissions = new PermissionsBitField(session.banker ? [PermissionFlagsBits.ManageGuild] : []);
+
+  return {
+    content,
+    author: user(session.userId),
+    member: session.guildId ? { permissions, roles: [] } : null,
+    guild: null,
+    guildId: session.guildId,
+    channel: {
+      id: session.channelId,
+      parentId: null,
+      send: async (reply) => {
+        replies.push(reply);
+        return reply;
+      },
+    },
+    mentions: { users: new Collection(mentionedUsers.map((u) => [u.id, u])) },
+    attachments: new Collection(),
+  };
+}
+
+// a button press at the console, like a Discord button interaction; replies and message updates are collected
+function createConsoleInteraction(session, customId, replies) {
+  const message = createConsoleMessage(session, "", replies);
+  const answer = async (reply) => {
+    interaction.replied = true;
+    replies.push(reply);
+    return reply;
+  };
+  const interaction = {
+    customId,
+    user: message.author,
+    member: message.member,
+    guild: null,
+    guildId: session.guildId,
+    channelId: session.channelId,
+    channel: message.channel,
+    replied: false,
+    deferred: false,
+    isButton: () => true,
+    isRepliable: () => true,
+    reply: answer,
+    followUp: answer,
+    update: answer,
+  };
+  return interaction;
 }
 
+const consoleBank = {
+  // the home guild's ledger unless --guild says otherwise; before there is one, DMs, where only `help`
+  // works (picking a guild here would make it the home guild, so that is left to --guild)
+  createSession(options) {
+    const userId = options.userId || CONSOLE_USER_ID;
+    return {
+      userId,
+      names: userId === CONSOLE_USER_ID ? { [userId]: "console" } : {},
+      guildId: options.guildId === undefined ? storage.data.homeGuildId : options.guildId,
+      channelId: options.channelId || CONSOLE_CHANNEL_ID,
+      banker: options.banker,
+    };
+  },
+
+  describeSession(session) {
+    const where = session.guildId
+      ? `guild ${session.guildId}, channel ${session.channelId}`
+      : "DMs (only `help` works there; pick a server with `.guild <guildId>`)";
+    const role = session.guildId && session.banker ? " as a banker" : "";
+    return `Acting as user ${session.userId} in ${where}${role}.`;
+  },
+
+  async run(session, line) {
+    const replies = [];
+    const prefix = getPrefix(session.guildId);
+    const message = createConsoleMessage(session, line.startsWith(prefix) ? line : prefix + line, replies);
+    try {
+      await processCommand(message);
+      return { replies, ok: true };
+    } catch (err) {
+      console.error("Error in command:", err);
+      replies.push("Something went wrong processing that command.");
+      return { replies, ok: false };
+    }
+  },
+
+  // runs the scheduler's tasks once, as the session's user, and describes what they did
+  async tick(session) {
+    if (storage.readOnlyReason) return [`The bank is read-only: ${storage.readOnlyReason}`];
+    const { count, expired, fired } = await applyScheduledTasks(session.userId);
+    const settings = session.guildId ? getGuildConfig(session.guildId).settings : DEFAULT_GUILD_SETTINGS;
+    const results = fired.flatMap((f) => f.results);
+    return [
+      `Interest accruals: ${count}. Expired withdrawal requests: ${expired}.`,
+      ...(results.length ? [formatRecurringDigest(results, settings)] : ["No recurring transactions were due."]),
+    ];
+  },
+
+  // presses the button with this custom id, as the session's user
+  async press(session, customId) {
+    const replies = [];
+    try {
+      await buttonInteraction(createConsoleInteraction(session, customId, replies));
+      return { replies, ok: true };
+    } catch (err) {
+      console.error("Error in interaction:", err);
+      replies.push("Something went wrong processing that command.");
+      return { replies, ok: false };
+    }
+  },
+
+  close() {
+    storage.close();
+  },
+};
+
 // ============= LOGIN =============
-client.login(process.env.DISCORD_BOT_TOKEN);
+// `--cli` runs the console instead of connecting to Discord
+const cliOptions = process.argv.includes("--cli") ? parseCliArgs(process.argv.slice(2)) : null;
+if (cliOptions && cliOptions.error) {
+  console.error(`${cliOptions.error}\nSee the top of cli.js for the console's options.`);
+  process.exit(2);
+}
+
+// the data is loaded before logging in, so the dashboard answers even while Discord is unreachable
+loadData(cliOptions);
+if (cliOptions) {
+  if (storage.notice) console.error(storage.notice);
+  startCli(consoleBank, cliOptions).then((code) => process.exit(code));
+} else {
+  // a JSON save still waiting is written before the bot goes down
+  for (const signal of ["SIGINT", "SIGTERM"]) {
+    process.on(signal, () => {
+      storage.close();
+      process.exit(0);
+    });
+  }
+  const dashboard = startDashboard(dashboardApi);
+  client.login(process.env.DISCORD_BOT_TOKEN).catch((err) => {
+    console.error("Could not log in to Discord:", err.message);
+    if (!dashboard) process.exit(1);
+  });
+}
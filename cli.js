@@ -0,0 +1,176 @@
+const fs = require("fs");
+const readline = require("readline");
+
+// Offline console for the bank: the same commands as in Discord, run against the data file without logging in.
+//
+//   node bot.js --cli [--data <file>] [--storage json|sqlite] [--as <userId>] [--guild <guildId>|dm]
+//                     [--channel <channelId>] [--player] [batch file]
+//
+// Every line is a command, with or without the `!` (`deposit Vani 300 loot`); `<@id>` mentions a user.
+// With a batch file (`-` for stdin, or anything piped in) the lines are run in order, `#` lines are comments,
+// and the exit code is 1 if any command failed. Otherwise it is a prompt. Lines starting with `.` are for the
+// console itself:
+//   .as <userId> [name]     act as another user; the name is their Discord username (and default account)
+//   .guild <guildId>|dm     use another server's ledger, or DMs (where only `help` works)
+//   .channel <channelId>    use the campaign bound to that channel
+//   .banker on|off          whether the user has Manage Server (on unless --player)
+//   .press <label>          press a button of the last reply (`.press Approve`), as the user typing
+//   .tick                   run what the bot's scheduler does: interest, expired requests, recurring transactions
+//   .help, .quit
+// Replies go to stdout and the bot's own logging to stderr, so batch output is only the conversation.
+// bot.js hands in `bank` (see the CONSOLE section there).
+
+const VALUE_FLAGS = { "--data": "data", "--storage": "storage", "--as": "userId", "--guild": "guildId", "--channel": "channelId" };
+
+// returns the options, or { error } for a bad command line
+function parseCliArgs(argv) {
+  const options = { data: null, storage: null, userId: null, guildId: undefined, channelId: null, banker: true, file: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--cli") continue;
+    if (arg === "--player") {
+      options.banker = false;
+    } else if (VALUE_FLAGS[arg]) {
+      if (argv[i + 1] === undefined) return { error: `${arg} needs a value.` };
+      options[VALUE_FLAGS[arg]] = argv[++i];
+    } else if (arg.startsWith("--")) {
+      return { error: `Unknown option ${arg}.` };
+    } else if (options.file) {
+      return { error: "Only one batch file can be run at a time." };
+    } else {
+      options.file = arg;
+    }
+  }
+
+  if (options.storage && !["json", "sqlite"].includes(options.storage)) {
+    return { error: `--storage must be json or sqlite, not "${options.storage}".` };
+  }
+  // the file's extension decides for a --data file, STORAGE in .env for the usual one
+  if (!options.storage && options.data) options.storage = /\.(sqlite|db)$/i.test(options.data) ? "sqlite" : "json";
+  if (options.guildId === "dm") options.guildId = null;
+  return options;
+}
+
+async function startCli(bank, options) {
+  // console.log from the commands is diagnostics, not replies
+  console.log = console.error;
+
+  const batch = options.file !== null || !process.stdin.isTTY;
+  let input = process.stdin;
+  if (options.file && options.file !== "-") {
+    if (!fs.existsSync(options.file)) {
+      console.error(`${options.file} not found.`);
+      return 1;
+    }
+    input = fs.createReadStream(options.file, "utf8");
+  }
+
+  const session = bank.createSession(options);
+  const rl = readline.createInterface({ input, output: batch ? undefined : process.stdout, terminal: !batch });
+  const prompt = () => {
+    if (batch) return;
+    rl.setPrompt(`${session.names[session.userId] || session.userId}> `);
+    rl.prompt();
+  };
+
+  if (!batch) process.stdout.write(`${bank.describeSession(session)}\nType .help for console commands.\n`);
+  prompt();
+
+  let failed = 0;
+  // the buttons `.press` can reach: those of the last reply that set any (or took them away)
+  let buttons = [];
+  for await (const raw of rl) {
+    const line = raw.trim();
+    if (!line || line.startsWith("#")) {
+      prompt();
+      continue;
+    }
+    if (batch) process.stdout.write(`> ${line}\n`);
+
+    let answer = null;
+    if (/^\.press(\s|$)/.test(line)) {
+      const label = line.slice(".press".length).trim().toLowerCase();
+      const button = buttons.find((b) => b.label.toLowerCase() === label);
+      if (button) {
+        answer = await bank.press(session, button.customId);
+      } else {
+        failed++;
+        const labels = buttons.map((b) => `[${b.label}]`).join(" ") || "none";
+        process.stdout.write(`No such button; the last reply has ${labels}.\n`);
+      }
+    } else if (/^\.tick$/.test(line)) {
+      for (const text of await bank.tick(session)) process.stdout.write(`${text}\n`);
+    } else if (line.startsWith(".")) {
+      const result = consoleCommand(bank, session, line);
+      if (result === null) break;
+      process.stdout.write(`${result}\n`);
+    } else {
+      answer = await bank.run(session, line);
+    }
+    if (answer) {
+      if (!answer.ok) failed++;
+      for (const reply of answer.replies) {
+        const text = formatReply(reply);
+        if (text) process.stdout.write(`${text}\n`);
+        if (reply.components) buttons = buttonsOf(reply);
+      }
+    }
+    if (batch) process.stdout.write("\n");
+    prompt();
+  }
+
+  rl.close();
+  bank.close();
+  if (batch && failed) console.error(`${failed} command(s) failed.`);
+  return failed ? 1 : 0;
+}
+
+// the `.` commands; null means quit
+function consoleCommand(bank, session, line) {
+  const [command, ...args] = line.slice(1).split(/\s+/);
+  const usage =
+    "Console commands:\n" +
+    "`.as <userId> [name]` act as another user\n" +
+    "`.guild <guildId>|dm` use another server's ledger, or DMs\n" +
+    "`.channel <channelId>` use the campaign bound to a channel\n" +
+    "`.banker on|off` give or take Manage Server\n" +
+    "`.press <label>` press a button of the last reply\n" +
+    "`.tick` run the scheduled tasks once\n" +
+    "`.quit`";
+
+  if (command === "quit" || command === "exit") return null;
+  if (command === "as" && /^\d+$/.test(args[0] || "")) {
+    session.userId = args[0];
+    if (args[1]) session.names[args[0]] = args[1];
+  } else if (command === "guild" && args[0]) {
+    session.guildId = args[0] === "dm" ? null : args[0];
+  } else if (command === "channel" && args[0]) {
+    session.channelId = args[0];
+  } else if (command === "banker" && ["on", "off"].includes(args[0])) {
+    session.banker = args[0] === "on";
+  } else {
+    return usage;
+  }
+  return bank.describeSession(session);
+}
+
+function buttonsOf(reply) {
+  return reply.components.flatMap((row) => row.components.map((b) => ({ label: b.data.label, customId: b.data.custom_id })));
+}
+
+// what a reply would show in Discord: its text, attached files and button labels
+function formatReply(reply) {
+  if (typeof reply === "string") return reply;
+  const lines = [];
+  if (reply.content) lines.push(reply.content);
+  for (const file of reply.files || []) {
+    const size = Buffer.isBuffer(file.attachment) ? `, ${file.attachment.length} bytes` : "";
+    lines.push(`[file ${file.name}${size}]`);
+  }
+  for (const row of reply.components || []) {
+    lines.push(row.components.map((button) => `[${button.data.label}]`).join(" "));
+  }
+  return lines.join("\n");
+}
+
+module.exports = { parseCliArgs, startCli };
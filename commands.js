@@ -0,0 +1,659 @@
+const { SlashCommandBuilder } = require("discord.js");
+
+// Slash command definitions, shared by bot.js and deploy-commands.js.
+// Options are turned back into the same argument list the `!` prefix path parses,
+// in the order given by SLASH_ARGS, so both paths run the same command code.
+
+// "who" is the @user option if given, else the account name option
+const userOption = (description) => (o) => o.setName("user").setDescription(`${description} (Discord user)`);
+const accountOption = (description) => (o) =>
+  o.setName("account").setDescription(`${description} (account name)`).setAutocomplete(true);
+
+const amountOption = (o) =>
+  o.setName("amount").setDescription("Amount, e.g. 300, 2.5pp or 3gp 5sp 12cp").setRequired(true);
+const noteOption = (o) => o.setName("note").setDescription("Note");
+const termsOption = (o) =>
+  o.setName("terms").setDescription("Interest terms, e.g. compound:5% per:week cap:50 grace:1");
+const itemOption = (o) => o.setName("item").setDescription("Item name").setRequired(true).setAutocomplete(true);
+
+const loanTargetOption = (o) =>
+  o.setName("loan").setDescription("Lender name or loan ID").setRequired(true).setAutocomplete(true);
+
+const SLASH_COMMANDS = [
+  new SlashCommandBuilder()
+    .setName("help")
+    .setDescription("Show bank bot commands")
+    .addStringOption((o) =>
+      o
+        .setName("topic")
+        .setDescription("Help topic")
+        .addChoices(
+          { name: "bank", value: "bank" },
+          { name: "loans", value: "loans" },
+          { name: "coins", value: "coins" },
+          { name: "vault", value: "vault" },
+          { name: "perms", value: "perms" },
+          { name: "campaigns", value: "campaigns" }
+        )
+    ),
+
+  new SlashCommandBuilder()
+    .setName("setname")
+    .setDescription("Set your default bank account name")
+    .addStringOption((o) => o.setName("name").setDescription("Account name").setRequired(true).setMaxLength(100))
+    .addUserOption(userOption("Give the name to this user instead (bankers)")),
+
+  new SlashCommandBuilder()
+    .setName("deposit")
+    .setDescription("Add GP to a balance")
+    .addStringOption(amountOption)
+    .addUserOption(userOption("Account to deposit to"))
+    .addStringOption(accountOption("Account to deposit to"))
+    .addStringOption(noteOption),
+
+  new SlashCommandBuilder()
+    .setName("withdraw")
+    .setDescription("Remove GP from a balance")
+    .addStringOption(amountOption)
+    .addUserOption(userOption("Account to withdraw from"))
+    .addStringOption(accountOption("Account to withdraw from"))
+    .addStringOption(noteOption),
+
+  new SlashCommandBuilder()
+    .setName("transfer")
+    .setDescription("Move GP between two accounts in one step")
+    .addStringOption((o) =>
+      o.setName("to").setDescription("Account receiving the GP").setRequired(true).setAutocomplete(true)
+    )
+    .addStringOption(amountOption)
+    .addStringOption((o) => o.setName("from").setDescription("Account paying (default: you)").setAutocomplete(true))
+    .addStringOption(noteOption),
+
+  new SlashCommandBuilder()
+    .setName("split")
+    .setDescription("Divide GP between several accounts, evenly or by weight")
+    .addStringOption(amountOption)
+    .addStringOption((o) =>
+      o.setName("recipients").setDescription("Party names, account names or name=weight, space separated (default: the party)")
+    )
+    .addStringOption((o) => o.setName("from").setDescription("Pay out of this party's treasury").setAutocomplete(true))
+    .addStringOption(noteOption),
+
+  new SlashCommandBuilder()
+    .setName("account")
+    .setDescription("List, open, rename, merge and alias accounts")
+    .addSubcommand((s) => s.setName("list").setDescription("List accounts with their aliases"))
+    .addSubcommand((s) =>
+      s
+        .setName("show")
+        .setDescription("Show an account")
+        .addStringOption((o) => o.setName("name").setDescription("Account name").setRequired(true).setAutocomplete(true))
+    )
+    .addSubcommand((s) =>
+      s
+        .setName("create")
+        .setDescription("Open an account before its first deposit")
+        .addStringOption((o) => o.setName("name").setDescription("Account name").setRequired(true).setMaxLength(100))
+    )
+    .addSubcommand((s) =>
+      s
+        .setName("rename")
+        .setDescription("Rename an account; transactions, loans and claimed names move along (bankers)")
+        .addStringOption((o) => o.setName("name").setDescription("Account name").setRequired(true).setAutocomplete(true))
+        .addStringOption((o) => o.setName("new_name").setDescription("New name").setRequired(true).setMaxLength(100))
+    )
+    .addSubcommand((s) =>
+      s
+        .setName("merge")
+        .setDescription("Fold one account into another (bankers)")
+        .addStringOption((o) =>
+          o.setName("name").setDescription("Account to merge away").setRequired(true).setAutocomplete(true)
+        )
+        .addStringOption((o) => o.setName("into").setDescription("Account to keep").setRequired(true).setAutocomplete(true))
+    )
+    .addSubcommand((s) =>
+      s
+        .setName("alias")
+        .setDescription("Add another name for an account")
+        .addStringOption((o) => o.setName("name").setDescription("Account name").setRequired(true).setAutocomplete(true))
+        .addStringOption((o) => o.setName("alias").setDescription("Other name").setRequired(true).setMaxLength(100))
+    )
+    .addSubcommand((s) =>
+      s
+        .setName("unalias")
+        .setDescription("Remove an alias from an account")
+        .addStringOption((o) => o.setName("name").setDescription("Account name").setRequired(true).setAutocomplete(true))
+        .addStringOption((o) => o.setName("alias").setDescription("Alias to remove").setRequired(true))
+    ),
+
+  new SlashCommandBuilder()
+    .setName("party")
+    .setDescription("Manage shared party treasuries")
+    .addSubcommand((s) => s.setName("list").setDescription("List parties"))
+    .addSubcommand((s) =>
+      s
+        .setName("show")
+        .setDescription("Show a party's members and treasury")
+        .addStringOption((o) => o.setName("name").setDescription("Party name").setRequired(true).setAutocomplete(true))
+    )
+    .addSubcommand((s) =>
+      s
+        .setName("create")
+        .setDescription("Create a party")
+        .addStringOption((o) => o.setName("name").setDescription("Party name").setRequired(true).setMaxLength(100))
+        .addStringOption((o) => o.setName("members").setDescription("Account names or name=weight, space separated"))
+    )
+    .addSubcommand((s) =>
+      s
+        .setName("add")
+        .setDescription("Add members or change their weight")
+        .addStringOption((o) => o.setName("name").setDescription("Party name").setRequired(true).setAutocomplete(true))
+        .addStringOption((o) =>
+          o.setName("members").setDescription("Account names or name=weight, space separated").setRequired(true)
+        )
+    )
+    .addSubcommand((s) =>
+      s
+        .setName("remove")
+        .setDescription("Remove members")
+        .addStringOption((o) => o.setName("name").setDescription("Party name").setRequired(true).setAutocomplete(true))
+        .addStringOption((o) => o.setName("members").setDescription("Account names, space separated").setRequired(true))
+    )
+    .addSubcommand((s) =>
+      s
+        .setName("delete")
+        .setDescription("Delete a party (its treasury must be empty)")
+        .addStringOption((o) => o.setName("name").setDescription("Party name").setRequired(true).setAutocomplete(true))
+    ),
+
+  new SlashCommandBuilder()
+    .setName("exchange")
+    .setDescription("Convert coins held in an account (physical coin tracking)")
+    .addStringOption((o) => o.setName("coins").setDescription("Coins to hand over, e.g. 10gp").setRequired(true))
+    .addStringOption((o) =>
+      o
+        .setName("into")
+        .setDescription("Denomination to receive")
+        .setRequired(true)
+        .addChoices(
+          { name: "pp", value: "pp" },
+          { name: "gp", value: "gp" },
+          { name: "ep", value: "ep" },
+          { name: "sp", value: "sp" },
+          { name: "cp", value: "cp" }
+        )
+    )
+    .addUserOption(userOption("Account holding the coins"))
+    .addStringOption(accountOption("Account holding the coins")),
+
+  new SlashCommandBuilder()
+    .setName("coins")
+    .setDescription("Show or change this server's coin settings")
+    .addStringOption((o) =>
+      o
+        .setName("setting")
+        .setDescription("Setting to change")
+        .addChoices({ name: "display", value: "display" }, { name: "tracking", value: "tracking" })
+    )
+    .addStringOption((o) =>
+      o
+        .setName("value")
+        .setDescription("New value")
+        .addChoices(
+          { name: "gp (display)", value: "gp" },
+          { name: "coins (display)", value: "coins" },
+          { name: "value (tracking)", value: "value" },
+          { name: "physical (tracking)", value: "physical" }
+        )
+    ),
+
+  new SlashCommandBuilder()
+    .setName("funding")
+    .setDescription("Show or change whether loans move GP through bank balances")
+    .addStringOption((o) =>
+      o
+        .setName("setting")
+        .setDescription("Setting to change")
+        .addChoices({ name: "default", value: "default" }, { name: "overpay", value: "overpay" })
+    )
+    .addStringOption((o) =>
+      o
+        .setName("value")
+        .setDescription("New value")
+        .addChoices(
+          { name: "funded (default)", value: "funded" },
+          { name: "separate (default)", value: "separate" },
+          { name: "refund (overpay)", value: "refund" },
+          { name: "reject (overpay)", value: "reject" }
+        )
+    ),
+
+  new SlashCommandBuilder()
+    .setName("timezone")
+    .setDescription("Show or change the timezone dates are shown in")
+    .addStringOption((o) => o.setName("zone").setDescription("Timezone name, e.g. Europe/Berlin or America/New_York")),
+
+  new SlashCommandBuilder()
+    .setName("config")
+    .setDescription("Show or change this server's settings (bankers change them)")
+    .addStringOption((o) =>
+      o
+        .setName("key")
+        .setDescription("Setting to show or change (default: all of them)")
+        .addChoices(
+          ...[
+            "prefix",
+            "currency",
+            "symbol",
+            "numbers",
+            "timezone",
+            "history-size",
+            "history-max",
+            "leaderboard-size",
+            "leaderboard-max",
+            "name-length",
+            "autocreate",
+            "negative",
+          ].map((key) => ({ name: key, value: key }))
+        )
+    )
+    .addStringOption((o) => o.setName("value").setDescription("New value, or reset for the default").setMaxLength(32)),
+
+  new SlashCommandBuilder()
+    .setName("balance")
+    .setDescription("Show a balance")
+    .addUserOption(userOption("Account to show"))
+    .addStringOption(accountOption("Account to show")),
+
+  new SlashCommandBuilder()
+    .setName("history")
+    .setDescription("Page through bank transactions, optionally filtered")
+    .addUserOption(userOption("Account to show"))
+    .addStringOption(accountOption("Account to show"))
+    .addIntegerOption((o) =>
+      o.setName("count").setDescription("Entries per page (up to the server's history-max)").setMinValue(1).setMaxValue(50)
+    )
+    .addStringOption((o) =>
+      o.setName("filters").setDescription("e.g. note:potion since:2026-09-01 type:withdraw by:@user min:10 loans:yes")
+    ),
+
+  new SlashCommandBuilder()
+    .setName("statement")
+    .setDescription("Download an account's statement with running balances and loan events")
+    .addUserOption(userOption("Account (default: you)"))
+    .addStringOption(accountOption("Account (default: you)"))
+    .addStringOption((o) => o.setName("from").setDescription("First day, YYYY-MM-DD"))
+    .addStringOption((o) => o.setName("to").setDescription("Last day, YYYY-MM-DD"))
+    .addStringOption((o) =>
+      o
+        .setName("format")
+        .setDescription("csv (default) or md to add a Markdown copy")
+        .addChoices({ name: "csv", value: "csv" }, { name: "csv + markdown", value: "md" })
+    ),
+
+  new SlashCommandBuilder()
+    .setName("leaderboard")
+    .setDescription("Show the wealth and debt leaderboards")
+    .addIntegerOption((o) =>
+      o
+        .setName("count")
+        .setDescription("Entries per board (up to the server's leaderboard-max)")
+        .setMinValue(1)
+        .setMaxValue(25)
+    )
+    .addStringOption((o) =>
+      o
+        .setName("rank")
+        .setDescription("What to rank by")
+        .addChoices({ name: "GP and debt", value: "gp" }, { name: "net worth (GP + items - debt)", value: "worth" })
+    ),
+
+  new SlashCommandBuilder()
+    .setName("stash")
+    .setDescription("Put items in an account's vault")
+    .addIntegerOption((o) => o.setName("qty").setDescription("How many").setRequired(true).setMinValue(1))
+    .addStringOption((o) => o.setName("item").setDescription("Item name").setRequired(true).setMaxLength(64))
+    .addStringOption((o) => o.setName("value").setDescription("Value of one, e.g. 50gp"))
+    .addUserOption(userOption("Account (default: you)"))
+    .addStringOption(accountOption("Account (default: you)"))
+    .addStringOption(noteOption),
+
+  new SlashCommandBuilder()
+    .setName("unstash")
+    .setDescription("Take items out of an account's vault")
+    .addStringOption(itemOption)
+    .addStringOption((o) => o.setName("qty").setDescription("How many, or all (default: 1)"))
+    .addUserOption(userOption("Account (default: you)"))
+    .addStringOption(accountOption("Account (default: you)"))
+    .addStringOption(noteOption),
+
+  new SlashCommandBuilder()
+    .setName("sell")
+    .setDescription("Sell items from an account's vault and deposit the GP")
+    .addStringOption(itemOption)
+    .addStringOption((o) => o.setName("qty").setDescription("How many, or all (default: 1)"))
+    .addStringOption((o) => o.setName("price").setDescription("Price for all of them (default: their value)"))
+    .addUserOption(userOption("Account (default: you)"))
+    .addStringOption(accountOption("Account (default: you)"))
+    .addStringOption(noteOption),
+
+  new SlashCommandBuilder()
+    .setName("vault")
+    .setDescription("Items kept in the vault")
+    .addSubcommand((s) =>
+      s
+        .setName("show")
+        .setDescription("List an account's vault")
+        .addUserOption(userOption("Account (default: you)"))
+        .addStringOption(accountOption("Account (default: you)"))
+    )
+    .addSubcommand((s) => s.setName("all").setDescription("List every vault"))
+    .addSubcommand((s) =>
+      s
+        .setName("appraise")
+        .setDescription("Change what an item is worth")
+        .addStringOption(itemOption)
+        .addStringOption((o) => o.setName("value").setDescription("Value of one, e.g. 50gp").setRequired(true))
+        .addUserOption(userOption("Account (default: you)"))
+        .addStringOption(accountOption("Account (default: you)"))
+    ),
+
+  new SlashCommandBuilder()
+    .setName("loan")
+    .setDescription("Create a loan")
+    .addStringOption(amountOption)
+    .addStringOption((o) => o.setName("lender").setDescription("Lender name").setRequired(true).setAutocomplete(true))
+    .addUserOption(userOption("Borrower (default: you)"))
+    .addStringOption(accountOption("Borrower (default: you)"))
+    .addStringOption(noteOption)
+    .addStringOption(termsOption)
+    .addStringOption((o) =>
+      o
+        .setName("funded")
+        .setDescription("Move the GP through bank balances (default: server setting)")
+        .addChoices({ name: "yes", value: "funded:yes" }, { name: "no", value: "funded:no" })
+    ),
+
+  new SlashCommandBuilder()
+    .setName("repay")
+    .setDescription("Repay part or all of a loan")
+    .addStringOption(amountOption)
+    .addStringOption(loanTargetOption)
+    .addUserOption(userOption("Borrower (default: you)"))
+    .addStringOption(accountOption("Borrower (default: you)")),
+
+  new SlashCommandBuilder()
+    .setName("accrue")
+    .setDescription("Add interest or fees to a loan")
+    .addStringOption(amountOption)
+    .addStringOption(loanTargetOption)
+    .addUserOption(userOption("Borrower (default: you)"))
+    .addStringOption(accountOption("Borrower (default: you)")),
+
+  new SlashCommandBuilder()
+    .setName("terms")
+    .setDescription("Show, change or waive a loan's interest terms")
+    .addStringOption(loanTargetOption)
+    .addStringOption((o) =>
+      o.setName("terms").setDescription("New terms, e.g. rate:2% per:session, or waive (leave empty to show)")
+    ),
+
+  new SlashCommandBuilder()
+    .setName("loaninfo")
+    .setDescription("Show a loan's terms, totals and full timeline")
+    .addStringOption((o) => o.setName("loan").setDescription("Loan ID").setRequired(true).setAutocomplete(true)),
+
+  new SlashCommandBuilder()
+    .setName("loans")
+    .setDescription("List loans with what was lent, repaid and is still owed")
+    .addStringOption((o) =>
+      o
+        .setName("status")
+        .setDescription("Which loans (default: open)")
+        .addChoices(
+          { name: "open", value: "open" },
+          { name: "resolved", value: "resolved" },
+          { name: "all", value: "all" }
+        )
+    )
+    .addUserOption(userOption("Borrower or lender"))
+    .addStringOption(accountOption("Borrower or lender")),
+
+  new SlashCommandBuilder()
+    .setName("settle")
+    .setDescription("Net open loans within a group and propose the fewest payments to square up")
+    .addStringOption((o) =>
+      o.setName("names").setDescription("Account names or @mentions, space separated (default: everyone)")
+    ),
+
+  new SlashCommandBuilder()
+    .setName("debt")
+    .setDescription("List unresolved loans of a borrower")
+    .addUserOption(userOption("Borrower"))
+    .addStringOption(accountOption("Borrower")),
+
+  new SlashCommandBuilder()
+    .setName("debtors")
+    .setDescription("List unresolved loans where someone is the lender")
+    .addUserOption(userOption("Lender"))
+    .addStringOption(accountOption("Lender")),
+
+  new SlashCommandBuilder()
+    .setName("pending")
+    .setDescription("List withdrawal requests waiting for approval")
+    .addUserOption(userOption("Account (default: all)"))
+    .addStringOption(accountOption("Account (default: all)")),
+
+  new SlashCommandBuilder().setName("undo").setDescription("Revert your last bank or loan entry"),
+
+  new SlashCommandBuilder()
+    .setName("void")
+    .setDescription("Reverse a transaction by its ID")
+    .addStringOption((o) => o.setName("txid").setDescription("Transaction ID, e.g. tx1f").setRequired(true))
+    .addStringOption((o) => o.setName("reason").setDescription("Reason")),
+
+  new SlashCommandBuilder()
+    .setName("session")
+    .setDescription("Game sessions: entries made while one is open are tagged with it")
+    .addSubcommand((s) => s.setName("show").setDescription("Show the open session so far"))
+    .addSubcommand((s) =>
+      s
+        .setName("start")
+        .setDescription("Open a session (bankers)")
+        .addStringOption((o) => o.setName("name").setDescription("Session name, e.g. Goblin caves").setMaxLength(64))
+    )
+    .addSubcommand((s) => s.setName("end").setDescription("Close the open session and post its summary (bankers)"))
+    .addSubcommand((s) =>
+      s
+        .setName("report")
+        .setDescription("Show a session's summary again")
+        .addStringOption((o) => o.setName("id").setDescription("Session id, e.g. s3").setRequired(true))
+    )
+    .addSubcommand((s) => s.setName("list").setDescription("List all sessions")),
+
+  new SlashCommandBuilder()
+    .setName("recurring")
+    .setDescription("Wages, upkeep and rent made every period or every session")
+    .addSubcommand((s) => s.setName("list").setDescription("List recurring transactions"))
+    .addSubcommand((s) =>
+      s
+        .setName("add")
+        .setDescription("Add a recurring transaction (bankers)")
+        .addStringOption((o) => o.setName("amount").setDescription("+50 adds GP, -50 takes it").setRequired(true))
+        .addStringOption((o) =>
+          o.setName("every").setDescription("day, week, 12h, 3d, 2 weeks or session").setRequired(true)
+        )
+        .addUserOption(userOption("Account (default: you)"))
+        .addStringOption(accountOption("Account (default: you)"))
+        .addStringOption((o) => o.setName("note").setDescription("Note on each entry"))
+    )
+    .addSubcommand((s) =>
+      s
+        .setName("pause")
+        .setDescription("Stop a recurring transaction for now")
+        .addStringOption((o) => o.setName("id").setDescription("Recurring transaction id, e.g. r2").setRequired(true))
+    )
+    .addSubcommand((s) =>
+      s
+        .setName("resume")
+        .setDescription("Start a paused recurring transaction again")
+        .addStringOption((o) => o.setName("id").setDescription("Recurring transaction id, e.g. r2").setRequired(true))
+    )
+    .addSubcommand((s) =>
+      s
+        .setName("remove")
+        .setDescription("Delete a recurring transaction")
+        .addStringOption((o) => o.setName("id").setDescription("Recurring transaction id, e.g. r2").setRequired(true))
+    ),
+
+  new SlashCommandBuilder()
+    .setName("campaign")
+    .setDescription("Manage campaign ledgers")
+    .addSubcommand((s) => s.setName("list").setDescription("List campaigns and their channels"))
+    .addSubcommand((s) =>
+      s
+        .setName("create")
+        .setDescription("Create a campaign with its own ledger")
+        .addStringOption((o) => o.setName("name").setDescription("Campaign name").setRequired(true).setMaxLength(100))
+    )
+    .addSubcommand((s) =>
+      s
+        .setName("use")
+        .setDescription("Bind this channel to a campaign, or server for the server ledger")
+        .addStringOption((o) => o.setName("name").setDescription("Campaign name or server").setRequired(true))
+    ),
+
+  new SlashCommandBuilder()
+    .setName("perms")
+    .setDescription("Show or change who may do what on this server")
+    .addSubcommand((s) => s.setName("show").setDescription("Show the permission policy"))
+    .addSubcommand((s) =>
+      s
+        .setName("addrole")
+        .setDescription("Make a role a banker role")
+        .addRoleOption((o) => o.setName("role").setDescription("Banker / DM role").setRequired(true))
+    )
+    .addSubcommand((s) =>
+      s
+        .setName("removerole")
+        .setDescription("Remove a banker role")
+        .addRoleOption((o) => o.setName("role").setDescription("Banker / DM role").setRequired(true))
+    )
+    .addSubcommand((s) =>
+      s
+        .setName("set")
+        .setDescription("Change who may do what")
+        .addStringOption((o) =>
+          o
+            .setName("rule")
+            .setDescription("What to change")
+            .setRequired(true)
+            .addChoices(
+              { name: "deposit", value: "deposit" },
+              { name: "debit", value: "debit" },
+              { name: "loans", value: "loans" },
+              { name: "unclaimed", value: "unclaimed" }
+            )
+        )
+        .addStringOption((o) =>
+          o
+            .setName("level")
+            .setDescription("Who may do it")
+            .setRequired(true)
+            .addChoices(
+              { name: "anyone", value: "anyone" },
+              { name: "owner", value: "owner" },
+              { name: "banker", value: "banker" }
+            )
+        )
+    )
+    .addSubcommand((s) =>
+      s
+        .setName("approval")
+        .setDescription("Make some withdrawals wait for the owner's or a banker's approval")
+        .addStringOption((o) =>
+          o
+            .setName("rule")
+            .setDescription("What to change")
+            .setRequired(true)
+            .addChoices(
+              { name: "above (amount or off)", value: "above" },
+              { name: "others (on or off)", value: "others" },
+              { name: "expire (hours)", value: "expire" }
+            )
+        )
+        .addStringOption((o) => o.setName("level").setDescription("New value, e.g. 500, off, on, 24").setRequired(true))
+    ),
+
+  new SlashCommandBuilder()
+    .setName("backups")
+    .setDescription("List or restore backups of the bank data")
+    .addSubcommand((s) => s.setName("list").setDescription("List the automatic backups"))
+    .addSubcommand((s) =>
+      s
+        .setName("restore")
+        .setDescription("Restore a backup (the current data is backed up first)")
+        .addIntegerOption((o) => o.setName("number").setDescription("Backup number from the list").setRequired(true).setMinValue(1))
+    ),
+
+  new SlashCommandBuilder().setName("exportdb").setDescription("Export this channel's ledger as JSON"),
+
+  new SlashCommandBuilder()
+    .setName("importdb")
+    .setDescription("Load a ledger exported with /exportdb (shows a preview to confirm)")
+    .addAttachmentOption((o) => o.setName("file").setDescription("bank-data.json from /exportdb").setRequired(true))
+    .addStringOption((o) =>
+      o
+        .setName("mode")
+        .setDescription("replace (default) or merge (only add what's missing)")
+        .addChoices({ name: "replace", value: "replace" }, { name: "merge", value: "merge" })
+    ),
+];
+
+// option order per command, matching the `!` syntax; "who" = user mention or account name,
+// "subcommand" = the chosen subcommand name, "+name" = the word name followed by the option's value
+// (left out with the option)
+const SLASH_ARGS = {
+  help: ["topic"],
+  setname: ["who", "name"],
+  deposit: ["who", "amount", "note"],
+  withdraw: ["who", "amount", "note"],
+  transfer: ["from", "to", "amount", "note"],
+  split: ["+from", "amount", "recipients", "note"],
+  party: ["subcommand", "name", "members"],
+  account: ["subcommand", "name", "new_name", "into", "alias"],
+  exchange: ["who", "coins", "into"],
+  coins: ["setting", "value"],
+  funding: ["setting", "value"],
+  timezone: ["zone"],
+  config: ["key", "value"],
+  balance: ["who"],
+  history: ["who", "count", "filters"],
+  statement: ["who", "from", "to", "format"],
+  leaderboard: ["count", "rank"],
+  stash: ["who", "qty", "item", "value", "note"],
+  unstash: ["who", "qty", "item", "note"],
+  sell: ["who", "qty", "item", "price", "note"],
+  vault: ["subcommand", "who", "item", "value"],
+  loan: ["who", "amount", "lender", "note", "terms", "funded"],
+  repay: ["who", "amount", "loan"],
+  accrue: ["who", "amount", "loan"],
+  terms: ["loan", "terms"],
+  loaninfo: ["loan"],
+  loans: ["status", "who"],
+  settle: ["names"],
+  debt: ["who"],
+  debtors: ["who"],
+  pending: ["who"],
+  undo: [],
+  void: ["txid", "reason"],
+  session: ["subcommand", "name", "id"],
+  recurring: ["subcommand", "who", "amount", "+every", "note", "id"],
+  campaign: ["subcommand", "name"],
+  perms: ["subcommand", "role", "rule", "level"],
+  backups: ["subcommand", "number"],
+  exportdb: [],
+  importdb: ["mode"],
+};
+
+module.exports = { SLASH_COMMANDS, SLASH_ARGS };
@@ -0,0 +1,322 @@
+const http = require("http");
+const crypto = require("crypto");
+
+// Read-only web dashboard and JSON API, served from the bot process when DASHBOARD_PORT is set in .env.
+// bot.js hands in `api` (see the DASHBOARD section there), so the numbers match the `!` commands.
+//
+// JSON:
+//   GET /api/ledgers
+//   GET /api/accounts?ledger=&q=
+//   GET /api/accounts/<name>?ledger=
+//   GET /api/accounts/<name>/history?ledger=&limit=&before=<txId>&filters=<!history filters>
+//   GET /api/loans?ledger=&status=open|resolved|voided|all&account=
+//   GET /api/leaderboard?ledger=&count=
+// HTML: / (accounts, search, leaderboards, open loans) and /accounts/<name> (balance, vault, loans, history)
+//
+// With DASHBOARD_TOKEN set every request needs it: `Authorization: Bearer <token>`, or `?token=` once in the
+// browser (it is then kept in a cookie). Without a token the server is open, so it only listens on localhost.
+
+const DEFAULT_HOST = "127.0.0.1";
+const LOCAL_HOSTS = ["127.0.0.1", "localhost", "::1"];
+const TOKEN_COOKIE = "bank_dashboard";
+const HISTORY_PAGE = 25;
+
+// returns the listening server, or null when the dashboard is off or misconfigured
+function startDashboard(api, env = process.env) {
+  const port = Number(env.DASHBOARD_PORT);
+  if (!env.DASHBOARD_PORT) return null;
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    console.error(`DASHBOARD_PORT must be a port number, not "${env.DASHBOARD_PORT}"; the dashboard is off.`);
+    return null;
+  }
+  const host = env.DASHBOARD_HOST || DEFAULT_HOST;
+  const token = env.DASHBOARD_TOKEN || "";
+  if (!token && !LOCAL_HOSTS.includes(host)) {
+    console.error(`Set DASHBOARD_TOKEN to serve the dashboard on ${host}; it is off.`);
+    return null;
+  }
+
+  const server = http.createServer((req, res) => {
+    handleRequest(api, token, req, res).catch((err) => {
+      console.error("Dashboard request failed:", err);
+      if (!res.headersSent) sendJson(res, 500, { error: "internal error" });
+      else res.end();
+    });
+  });
+  server.on("error", (err) => console.error("Dashboard server error:", err.message));
+  server.listen(port, host, () => console.log(`Dashboard on http://${host}:${port}/`));
+  return server;
+}
+
+// ============= REQUESTS =============
+
+async function handleRequest(api, token, req, res) {
+  const url = new URL(req.url, "http://dashboard");
+  if (!["GET", "HEAD"].includes(req.method)) return sendJson(res, 405, { error: "the dashboard is read-only" });
+
+  const auth = checkToken(token, req, url);
+  if (!auth.ok) {
+    if (url.pathname.startsWith("/api/")) return sendJson(res, 401, { error: "missing or wrong token" });
+    return sendHtml(res, 401, page("Bank dashboard", "<p>Open this page with <code>?token=...</code> to sign in.</p>"));
+  }
+  if (auth.setCookie) {
+    res.setHeader("Set-Cookie", `${TOKEN_COOKIE}=${encodeURIComponent(token)}; HttpOnly; SameSite=Strict; Path=/`);
+    // pages drop the token from the address so it doesn't stay in the browser history
+    if (!url.pathname.startsWith("/api/")) {
+      url.searchParams.delete("token");
+      res.writeHead(303, { Location: url.pathname + url.search });
+      return res.end();
+    }
+  }
+
+  const ledgers = api.ledgers();
+  const ledger = url.searchParams.get("ledger") || (ledgers[0] && ledgers[0].key) || "default";
+  const parts = decodePath(url.pathname);
+  if (!parts) {
+    if (url.pathname.startsWith("/api/")) return sendJson(res, 400, { error: "malformed escape in the path" });
+    return sendHtml(res, 400, page("Bad request", "<p>The address has a malformed escape.</p>"));
+  }
+
+  if (parts[0] === "api") return handleApi(api, ledger, parts.slice(1), url.searchParams, res);
+  if (parts.length === 0) return sendHtml(res, 200, homePage(api, ledgers, ledger, url.searchParams.get("q")));
+  if (parts[0] === "accounts" && parts.length === 2) {
+    const html = await accountPage(api, ledgers, ledger, parts[1], url.searchParams);
+    if (html) return sendHtml(res, 200, html);
+    return sendHtml(res, 404, page("Not found", `<p>No account named ${esc(parts[1])}.</p>`));
+  }
+  return sendHtml(res, 404, page("Not found", "<p>Nothing here.</p>"));
+}
+
+// the path's segments, unescaped; null when an escape is malformed (like "%E0")
+function decodePath(pathname) {
+  try {
+    return pathname.split("/").filter(Boolean).map(decodeURIComponent);
+  } catch (err) {
+    if (err instanceof URIError) return null;
+    throw err;
+  }
+}
+
+async function handleApi(api, ledger, parts, params, res) {
+  const found = (value, what) =>
+    value ? sendJson(res, 200, value) : sendJson(res, 404, { error: `${what} not found` });
+  const [resource, name, sub] = parts;
+
+  if (resource === "ledgers" && !name) return sendJson(res, 200, api.ledgers());
+  if (resource === "accounts" && !name) return found(api.accounts(ledger, params.get("q")), "ledger");
+  if (resource === "accounts" && !sub) return found(api.account(ledger, name), "account");
+  if (resource === "accounts" && sub === "history") {
+    const history = await api.history(ledger, name, {
+      limit: params.get("limit") || HISTORY_PAGE,
+      before: params.get("before"),
+      filters: params.get("filters") || "",
+    });
+    if (history && history.error) return sendJson(res, 400, history);
+    return found(history, "account");
+  }
+  if (resource === "loans" && !name) {
+    const status = params.get("status") || "open";
+    if (!["open", "resolved", "voided", "all"].includes(status)) {
+      return sendJson(res, 400, { error: "status must be open, resolved, voided or all" });
+    }
+    return found(api.loans(ledger, { status, account: params.get("account") }), "ledger");
+  }
+  if (resource === "leaderboard" && !name) return found(api.leaderboard(ledger, params.get("count")), "ledger");
+  return sendJson(res, 404, { error: "unknown endpoint" });
+}
+
+// the token may come as a bearer header, the cookie set by an earlier visit, or ?token=
+function checkToken(token, req, url) {
+  if (!token) return { ok: true };
+  const header = /^Bearer (.+)$/.exec(req.headers.authorization || "");
+  const cookie = (req.headers.cookie || "")
+    .split(";")
+    .map((c) => c.trim().split("="))
+    .find(([name]) => name === TOKEN_COOKIE);
+  const query = url.searchParams.get("token");
+  if (header && sameToken(header[1], token)) return { ok: true };
+  if (cookie && sameToken(decodeURIComponent(cookie[1] || ""), token)) return { ok: true };
+  if (query && sameToken(query, token)) return { ok: true, setCookie: true };
+  return { ok: false };
+}
+
+function sameToken(given, token) {
+  const a = crypto.createHash("sha256").update(String(given)).digest();
+  const b = crypto.createHash("sha256").update(token).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+function sendJson(res, status, value) {
+  res.writeHead(status, { "Content-Type": "application/json; charset=utf-8", "Cache-Control": "no-store" });
+  res.end(JSON.stringify(value, null, 2));
+}
+
+function sendHtml(res, status, html) {
+  res.writeHead(status, { "Content-Type": "text/html; charset=utf-8", "Cache-Control": "no-store" });
+  res.end(html);
+}
+
+// ============= PAGES =============
+
+function esc(value) {
+  return String(value === undefined || value === null ? "" : value).replace(
+    /[&<>"']/g,
+    (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]
+  );
+}
+
+function link(path, ledger, params = {}) {
+  const query = new URLSearchParams({ ledger, ...params }).toString();
+  return `${path}?${esc(query)}`;
+}
+
+function accountLink(ledger, name) {
+  return `<a href="${link(`/accounts/${encodeURIComponent(name)}`, ledger)}">${esc(name)}</a>`;
+}
+
+function table(headers, rows) {
+  if (!rows.length) return "<p class=\"empty\">Nothing yet.</p>";
+  const head = headers.map((h) => `<th>${esc(h)}</th>`).join("");
+  const body = rows.map((cells) => `<tr>${cells.map((c) => `<td>${c}</td>`).join("")}</tr>`).join("\n");
+  return `<table><thead><tr>${head}</tr></thead><tbody>\n${body}\n</tbody></table>`;
+}
+
+function page(title, body) {
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${esc(title)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 2rem auto; max-width: 60rem; padding: 0 1rem; color: #222; }
+  table { border-collapse: collapse; width: 100%; margin-bottom: 1.5rem; }
+  th, td { text-align: left; padding: 0.3rem 0.6rem; border-bottom: 1px solid #ddd; }
+  td.num, th.num { text-align: right; }
+  .voided { text-decoration: line-through; color: #888; }
+  .empty, .muted { color: #888; }
+  nav { margin-bottom: 1rem; }
+  form { margin-bottom: 1rem; }
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+function ledgerPicker(ledgers, ledger) {
+  if (ledgers.length < 2) return "";
+  const options = ledgers
+    .map((l) => `<option value="${esc(l.key)}"${l.key === ledger ? " selected" : ""}>${esc(l.name)}</option>`)
+    .join("");
+  return `<form method="get" action="/"><select name="ledger">${options}</select> <button>Switch</button></form>`;
+}
+
+function homePage(api, ledgers, ledger, query) {
+  const accounts = api.accounts(ledger, query);
+  const current = ledgers.find((l) => l.key === ledger);
+  const title = `Bank - ${current ? current.name : ledger}`;
+  if (!accounts) return page(title, `<h1>${esc(title)}</h1>${ledgerPicker(ledgers, ledger)}<p>This ledger is empty.</p>`);
+
+  const board = api.leaderboard(ledger);
+  const loans = api.loans(ledger, { status: "open" });
+  const search =
+    `<form method="get" action="/"><input type="hidden" name="ledger" value="${esc(ledger)}">` +
+    `<input type="search" name="q" value="${esc(query)}" placeholder="Search accounts"> <button>Search</button></form>`;
+  const accountRows = accounts.map((a) => [
+    accountLink(ledger, a.name) + (a.party ? " <span class=\"muted\">(party)</span>" : ""),
+    esc(a.balance.text),
+    a.items.cp ? esc(a.items.text) : "",
+    a.debt.cp ? esc(a.debt.text) : "",
+  ]);
+
+  return page(
+    title,
+    `<h1>${esc(title)}</h1>
+${ledgerPicker(ledgers, ledger)}
+${search}
+<h2>Accounts</h2>
+${table(["Account", "Balance", "Items", "Owes"], accountRows)}
+<h2>Net worth</h2>
+${table(
+  ["#", "Account", "Net worth", "GP", "Items", "Owes"],
+  board.worth.map((r, i) => [
+    i + 1,
+    accountLink(ledger, r.name),
+    esc(r.worth.text),
+    esc(r.balance.text),
+    esc(r.items.text),
+    esc(r.debt.text),
+  ])
+)}
+<h2>Biggest debts</h2>
+${table(["#", "Borrower", "Owes"], board.debt.map((r, i) => [i + 1, accountLink(ledger, r.name), esc(r.debt.text)]))}
+<h2>Open loans</h2>
+${table(
+  ["Loan", "Borrower", "Lender", "Lent", "Repaid", "Owed"],
+  loans.map((l) => [
+    esc(l.id),
+    accountLink(ledger, l.borrower),
+    accountLink(ledger, l.lender),
+    esc(l.lent.text),
+    esc(l.repaid.text),
+    `<strong>${esc(l.owed.text)}</strong>`,
+  ])
+)}`
+  );
+}
+
+async function accountPage(api, ledgers, ledger, name, params) {
+  const account = api.account(ledger, name);
+  if (!account) return null;
+  const filters = params.get("filters") || "";
+  const before = params.get("before");
+  const history = await api.history(ledger, account.name, { limit: HISTORY_PAGE, before, filters });
+
+  const loanRows = (loans, other) =>
+    loans.map((l) => [esc(l.id), accountLink(ledger, l[other]), esc(l.lent.text), esc(l.repaid.text), esc(l.owed.text)]);
+  const historyTable = history.error
+    ? `<p>${esc(history.error)}</p>`
+    : table(
+        ["ID", "Date", "Entry", "Change", "By", "Note"],
+        history.entries.map((t) => {
+          const cls = t.voided ? " class=\"voided\"" : "";
+          return [t.id, t.date, t.description, t.change.cp ? t.change.text : "", t.actor, t.note].map(
+            (v) => `<span${cls}>${esc(v)}</span>`
+          );
+        })
+      );
+  const olderLink = () => link(`/accounts/${encodeURIComponent(account.name)}`, ledger, { before: history.next, filters });
+  const older = history.next && !history.error ? `<p><a href="${olderLink()}">Older entries</a></p>` : "";
+  const members = (account.party || []).map((m) => (m.weight === 1 ? m.name : `${m.name} (×${m.weight})`));
+  const party = account.party ? `<p>Party treasury of ${esc(members.join(", "))}</p>` : "";
+  const aliases = account.aliases.length ? `<p class="muted">Also known as ${esc(account.aliases.join(", "))}</p>` : "";
+
+  return page(
+    `${account.name} - Bank`,
+    `<nav><a href="${link("/", ledger)}">← All accounts</a></nav>
+<h1>${esc(account.name)}</h1>
+${aliases}
+${party}
+<p>Balance: <strong>${esc(account.balance.text)}</strong></p>
+<h2>Vault</h2>
+${table(
+  ["Item", "Qty", "Each", "Total"],
+  account.items.map((i) => [esc(i.name), i.qty, esc(i.value.cp ? i.value.text : ""), esc(i.total.cp ? i.total.text : "")])
+)}
+<h2>Owes</h2>
+${table(["Loan", "Lender", "Lent", "Repaid", "Owed"], loanRows(account.borrowed, "lender"))}
+<h2>Is owed</h2>
+${table(["Loan", "Borrower", "Lent", "Repaid", "Owed"], loanRows(account.lent, "borrower"))}
+<h2>History</h2>
+<form method="get"><input type="hidden" name="ledger" value="${esc(ledger)}">
+<input type="text" name="filters" value="${esc(filters)}" size="40" placeholder="type:deposit note:potion">
+<button>Filter</button></form>
+${historyTable}
+${older}`
+  );
+}
+
+module.exports = { startDashboard };
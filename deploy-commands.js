@@ -0,0 +1,32 @@
+require("dotenv").config();
+const { REST, Routes } = require("discord.js");
+const { SLASH_COMMANDS } = require("./commands");
+
+// Registers the slash commands with Discord.
+//   node deploy-commands.js            register globally (can take up to an hour to show up)
+//   node deploy-commands.js <guildId>  register in one test guild only (shows up right away)
+// TEST_GUILD_ID in .env works like passing a guild id.
+
+const token = process.env.DISCORD_BOT_TOKEN;
+const clientId = process.env.DISCORD_CLIENT_ID;
+const guildId = process.argv[2] || process.env.TEST_GUILD_ID;
+
+async function main() {
+  if (!token || !clientId) {
+    console.error("DISCORD_BOT_TOKEN and DISCORD_CLIENT_ID must be set in .env");
+    process.exit(1);
+  }
+
+  const rest = new REST({ version: "10" }).setToken(token);
+  const body = SLASH_COMMANDS.map((command) => command.toJSON());
+  const route = guildId ? Routes.applicationGuildCommands(clientId, guildId) : Routes.applicationCommands(clientId);
+
+  console.log(`Registering ${body.length} slash commands ${guildId ? `in guild ${guildId}` : "globally"}...`);
+  await rest.put(route, { body });
+  console.log("Slash commands registered");
+}
+
+main().catch((err) => {
+  console.error("Failed to register slash commands:", err);
+  process.exit(1);
+});
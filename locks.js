@@ -0,0 +1,81 @@
+// Queued async locks keyed by strings. run({ exclusive, shared }, fn) waits for everyone queued before it on
+// any of its keys, then runs fn holding all of them: holders of an exclusive key take turns in the order
+// they arrived, holders of a shared key only wait for exclusive holders (and they for them).
+//
+// All keys are queued for at once, so two runs never wait on each other in a circle. Waiting longer than
+// waitMs gives up with an error whose code is LOCK_TIMEOUT (fn never ran). fn holding its keys longer than
+// holdMs makes run reject with LOCK_EXPIRED, so the caller can say so, but the keys stay held until fn is
+// done: nobody else gets in while it may still be writing, and those waiting behind it time out instead.
+
+const LOCK_TIMEOUT = "LOCK_TIMEOUT";
+const LOCK_EXPIRED = "LOCK_EXPIRED";
+
+function createLocks({ waitMs = 30 * 1000, holdMs = 60 * 1000 } = {}) {
+  // key -> { exclusive: the last exclusive holder's turn, shared: turns of the shared holders since }
+  const queues = new Map();
+
+  function queueFor(key) {
+    if (!queues.has(key)) queues.set(key, { exclusive: null, shared: [] });
+    return queues.get(key);
+  }
+
+  async function run({ exclusive = [], shared = [] }, fn) {
+    let release;
+    const done = new Promise((resolve) => (release = resolve));
+    const before = [];
+    const exclusiveKeys = [...new Set(exclusive)];
+    const sharedKeys = [...new Set(shared)].filter((key) => !exclusiveKeys.includes(key));
+
+    for (const key of exclusiveKeys) {
+      const queue = queueFor(key);
+      before.push(...[queue.exclusive, ...queue.shared].filter(Boolean));
+    }
+    for (const key of sharedKeys) {
+      const queue = queueFor(key);
+      if (queue.exclusive) before.push(queue.exclusive);
+    }
+    // whoever queues next also waits for everyone before this run, even if this one gives up waiting
+    const turn = Promise.all([...before, done]);
+    for (const key of exclusiveKeys) queues.set(key, { exclusive: turn, shared: [] });
+    for (const key of sharedKeys) queueFor(key).shared.push(turn);
+    turn.then(() => forget([...exclusiveKeys, ...sharedKeys], turn));
+
+    const keys = [...exclusiveKeys, ...sharedKeys].join(", ");
+    try {
+      await withTimeout(Promise.all(before), waitMs, LOCK_TIMEOUT, `Waited over ${waitMs / 1000}s for ${keys}`);
+    } catch (err) {
+      release();
+      throw err;
+    }
+    const held = Promise.resolve().then(fn);
+    held.then(release, release);
+    return withTimeout(held, holdMs, LOCK_EXPIRED, `Held ${keys} for over ${holdMs / 1000}s`);
+  }
+
+  // drops queues nobody is waiting on any more
+  function forget(keys, turn) {
+    for (const key of keys) {
+      const queue = queues.get(key);
+      if (!queue) continue;
+      queue.shared = queue.shared.filter((p) => p !== turn);
+      if (queue.exclusive === turn) queue.exclusive = null;
+      if (!queue.exclusive && !queue.shared.length) queues.delete(key);
+    }
+  }
+
+  return { run };
+}
+
+function withTimeout(promise, ms, code, message) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const err = new Error(message);
+      err.code = code;
+      reject(err);
+    }, ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+module.exports = { createLocks, LOCK_TIMEOUT, LOCK_EXPIRED };
@@ -0,0 +1,73 @@
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const {
+  DATA_FILE,
+  SQLITE_FILE,
+  createSqliteStorage,
+  migrateData,
+  readDataFile,
+  importData,
+  ledgerTotals,
+} = require("./storage");
+
+// Imports bank-data.json into the SQLite database, once, before switching to STORAGE=sqlite.
+//   node migrate-to-sqlite.js
+// bank-data.json is left as it is. Every ledger's totals are compared after the import and the
+// database is deleted again if anything differs.
+
+function main() {
+  if (!fs.existsSync(DATA_FILE)) {
+    console.error(`${path.basename(DATA_FILE)} not found, nothing to import`);
+    process.exit(1);
+  }
+  if (fs.existsSync(SQLITE_FILE)) {
+    console.error(`${path.basename(SQLITE_FILE)} already exists; move it away first if you want to import again`);
+    process.exit(1);
+  }
+
+  const data = migrateData(readDataFile(DATA_FILE));
+  const keys = Object.keys(data.ledgers);
+  console.log(`Importing ${keys.length} ledger(s) from ${path.basename(DATA_FILE)} into ${path.basename(SQLITE_FILE)}...`);
+
+  const storage = createSqliteStorage(SQLITE_FILE);
+  let mismatches = [];
+  try {
+    importData(storage, data);
+    mismatches = keys.flatMap((key) =>
+      compareTotals(key, ledgerTotals(data.ledgers[key]), ledgerTotals(storage.getLedger(key).toJSON()))
+    );
+  } finally {
+    storage.close();
+  }
+
+  if (mismatches.length) {
+    for (const line of mismatches) console.error(line);
+    for (const suffix of ["", "-wal", "-shm"]) fs.rmSync(SQLITE_FILE + suffix, { force: true });
+    console.error("Totals differ after the import; the database was deleted and bank-data.json is unchanged");
+    process.exit(1);
+  }
+
+  for (const key of keys) {
+    const totals = ledgerTotals(data.ledgers[key]);
+    console.log(
+      `  ${key}: ${totals.accounts} accounts, ${totals.transactions} transactions, ` +
+        `${totals.loans} loans, ${totals.loanTransactions} loan transactions - totals match`
+    );
+  }
+  console.log("Import complete. Set STORAGE=sqlite in .env and restart the bot.");
+}
+
+function compareTotals(key, expected, actual) {
+  return Object.keys(expected)
+    .filter((name) => expected[name] !== actual[name])
+    .map((name) => `  ${key}: ${name} is ${actual[name]} in SQLite but ${expected[name]} in the JSON file`);
+}
+
+try {
+  main();
+} catch (err) {
+  console.error("Failed to import bank data:", err);
+  for (const suffix of ["", "-wal", "-shm"]) fs.rmSync(SQLITE_FILE + suffix, { force: true });
+  process.exit(1);
+}
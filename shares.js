@@ -0,0 +1,82 @@
+// How amounts are divided between people: the shares of a !split, and the payments of a !settle.
+// Amounts are in copper pieces; bot.js does the bookkeeping around them.
+
+const MAX_EXACT_SETTLE = 15; // larger groups are settled greedily, which may take a few more payments
+
+// Divides amount (copper) by weight. Everyone gets the rounded-down share, then the leftover copper goes
+// one piece at a time to the largest fractions, ties in the order the recipients were listed.
+function splitShares(amount, recipients) {
+  const totalWeight = recipients.reduce((s, r) => s + r.weight, 0);
+  const shares = recipients.map((r, index) => {
+    const exact = (amount * r.weight) / totalWeight;
+    return { ...r, index, amount: Math.floor(exact), fraction: exact - Math.floor(exact) };
+  });
+  let leftover = amount - shares.reduce((s, r) => s + r.amount, 0);
+  const order = [...shares].sort((a, b) => b.fraction - a.fraction || a.index - b.index);
+  for (let i = 0; leftover > 0; i = (i + 1) % order.length, leftover -= 1) order[i].amount += 1;
+  return shares.map(({ index, fraction, ...share }) => share);
+}
+
+// { positions: { [name]: copper }, payments: [{ from, to, amount }] }
+function planSettlement(loans) {
+  const positions = {};
+  for (const loan of loans) {
+    positions[loan.borrowerName] = (positions[loan.borrowerName] || 0) - loan.balance;
+    positions[loan.lenderName] = (positions[loan.lenderName] || 0) + loan.balance;
+  }
+  const people = Object.entries(positions)
+    .filter(([, amount]) => amount !== 0)
+    .map(([name, amount]) => ({ name, amount }));
+  const groups = people.length <= MAX_EXACT_SETTLE ? zeroSumGroups(people) : [people];
+  return { positions, payments: groups.flatMap(settleGroup) };
+}
+
+// Splits people into as many groups as possible that each net to zero; a group of k squares up in k - 1
+// payments, so the most groups means the fewest payments. best[mask] is the most zero-sum groups the people
+// in mask can be split into, found by taking one person out at a time.
+function zeroSumGroups(people) {
+  const full = (1 << people.length) - 1;
+  const sum = new Array(full + 1).fill(0);
+  const best = new Array(full + 1).fill(0);
+  const last = new Array(full + 1).fill(-1);
+  for (let mask = 1; mask <= full; mask++) {
+    const low = mask & -mask;
+    sum[mask] = sum[mask ^ low] + people[31 - Math.clz32(low)].amount;
+    for (let i = 0; i < people.length; i++) {
+      if (!(mask & (1 << i))) continue;
+      if (last[mask] === -1 || best[mask ^ (1 << i)] > best[mask ^ (1 << last[mask])]) last[mask] = i;
+    }
+    best[mask] = best[mask ^ (1 << last[mask])] + (sum[mask] === 0 ? 1 : 0);
+  }
+
+  // walk back from everyone; each time the people left sum to zero, the ones taken out since form a group
+  const groups = [];
+  let current = [];
+  for (let mask = full; mask; ) {
+    const i = last[mask];
+    current.push(people[i]);
+    mask ^= 1 << i;
+    if (sum[mask] === 0) {
+      groups.push(current);
+      current = [];
+    }
+  }
+  return groups;
+}
+
+// within a zero-sum group the biggest debtor pays the biggest creditor until one of them is square
+function settleGroup(group) {
+  const people = group.map((p) => ({ ...p }));
+  const payments = [];
+  for (;;) {
+    const debtor = people.filter((p) => p.amount < 0).sort((a, b) => a.amount - b.amount)[0];
+    const creditor = people.filter((p) => p.amount > 0).sort((a, b) => b.amount - a.amount)[0];
+    if (!debtor || !creditor) return payments;
+    const amount = Math.min(-debtor.amount, creditor.amount);
+    payments.push({ from: debtor.name, to: creditor.name, amount });
+    debtor.amount += amount;
+    creditor.amount -= amount;
+  }
+}
+
+module.exports = { splitShares, planSettlement };
@@ -0,0 +1,1433 @@
+const fs = require("fs");
+const path = require("path");
+
+// Storage backends for the bank. bot.js only talks to the interface below, so the JSON file and
+// the SQLite database are interchangeable (STORAGE=json|sqlite in .env, json by default).
+//
+// storage
+//   data                       config kept outside the ledgers: { version, homeGuildId, guilds }
+//   readOnlyReason, notice     set when the data file was unreadable at startup (see openStorage)
+//   getLedger(key)             the ledger for a ledger key, created on first use
+//   ledgerKeys()
+//   begin() / commit() / rollback()
+//                              one command runs as one transaction; calls may nest
+//   save()                     persists changes made outside a transaction, returns false on failure
+//   flush()                    writes a save that is still waiting (JSON saves are coalesced), false on failure
+//   listBackups(), backup(), checkBackup(backup), restoreBackup(backup)
+//   close()                    flushes and closes
+//
+// ledger (accounts, balances, bank transactions, purses, vault items, profiles, parties, sessions, recurring
+// transactions, loans and loan transactions of one ledger key)
+//   Reads hand out plain objects. The SQLite backend returns copies, so anything changed has to be
+//   written back (setPurse, saveLoan, updateTransaction...) before the command ends.
+
+const DEFAULT_LEDGER_KEY = "default";
+
+// v2: ledgers per guild/campaign, v3: amounts stored in copper pieces
+const DATA_VERSION = 3;
+
+const DATA_FILE = path.join(__dirname, "bank-data.json");
+const SQLITE_FILE = process.env.SQLITE_FILE || path.join(__dirname, "bank-data.sqlite");
+const BACKUP_KEEP = Number(process.env.BACKUP_KEEP) || 20; // newest backups kept, older ones are deleted
+const BACKUP_INTERVAL_MS = 15 * 60 * 1000; // at most one automatic backup per 15 minutes
+const SAVE_DELAY_MS = 500; // JSON saves this close together are written to the file once
+
+// ============= DATA MODEL =============
+
+function createData() {
+  return {
+    version: DATA_VERSION,
+
+    // guild whose ledger is DEFAULT_LEDGER_KEY (pre-ledger data lives there); the console uses it by default
+    homeGuildId: process.env.HOME_GUILD_ID || null,
+
+    // ledgers keyed by ledger key (see getLedgerKeyForMessage in bot.js); not used by the SQLite backend
+    ledgers: {}, // { [ledgerKey: string]: Ledger }
+
+    // per guild campaign registry and channel bindings
+    guilds: {}, // { [guildId: string]: { campaigns: { [campaignKey]: { name, timestamp, actorId } }, channels: { [channelId]: campaignKey }, settings, permissions } }
+  };
+}
+
+function createLedger() {
+  return {
+    // account registry keyed by lowercased name: the canonical spelling and other names it answers to
+    accounts: {}, // { [accountKey: string]: { name, aliases: [string], timestamp, actorId } }
+
+    // accounts keyed by canonical name; all amounts are in copper pieces
+    balances: {}, // { [name: string]: number }
+    transactions: {}, // { [name: string]: [ { id, timestamp, type, amount, actorId, note, voided? } ] }
+
+    // actual coins per account, only kept up to date under physical coin tracking
+    purses: {}, // { [name: string]: { pp, gp, ep, sp, cp } }
+
+    // magic items, gems and art kept in the vault per account, keyed by lowercased item name; value is per item
+    items: {}, // { [name: string]: { [itemKey: string]: { name, qty, value } } }
+
+    // default name per Discord user
+    profiles: {}, // { [discordUserId: string]: { name: string } }
+
+    // shared treasuries keyed by lowercased name; the treasury is the account with the party's name
+    parties: {}, // { [partyKey: string]: { name, members: [ { name, userId, weight } ], timestamp, actorId } }
+
+    // game sessions keyed by id ("s1"); entries made while one is open carry its sessionId
+    sessions: {}, // { [sessionId: string]: { id, name, status, startedAt, startedBy, endedAt, endedBy } }
+
+    // wages, upkeep and rent fired by the scheduler or on `!session end`, keyed by id ("r1")
+    recurring: {}, // { [id: string]: { id, accountName, direction, amount, coins, every, intervalMs, nextAt, paused, note, guildId, channelId, actorId, timestamp } }
+
+    // loans keyed by loanId
+    loans: {}, // { timestamp, borrowerName, lenderName, balance, status, actorId, note }
+    loanTransactions: {}, // { [loanId: string]: [ { timestamp, type, amount, actorId, note } ] }
+
+    // last transaction id handed out (see nextTxId in bot.js)
+    txSeq: 0,
+  };
+}
+
+function normalizeLedger(ledger) {
+  // backward compatibility / safety
+  if (!ledger.accounts) ledger.accounts = {};
+  if (!ledger.balances) ledger.balances = {};
+  if (!ledger.transactions) ledger.transactions = {};
+  if (!ledger.purses) ledger.purses = {};
+  if (!ledger.items) ledger.items = {};
+  if (!ledger.profiles) ledger.profiles = {};
+  if (!ledger.parties) ledger.parties = {};
+  if (!ledger.sessions) ledger.sessions = {};
+  if (!ledger.recurring) ledger.recurring = {};
+  if (!ledger.loans) ledger.loans = {};
+  if (!ledger.loanTransactions) ledger.loanTransactions = {};
+  assignMissingTxIds(ledger);
+  return ledger;
+}
+
+// short ids like "tx1f", unique within a ledger and shared by bank and loan entries
+function formatTxId(seq) {
+  return `tx${seq.toString(36)}`;
+}
+
+// entries written before transaction ids existed get them in timestamp order
+function assignMissingTxIds(ledger) {
+  const missing = [...Object.values(ledger.transactions), ...Object.values(ledger.loanTransactions)]
+    .flat()
+    .filter((t) => t && !t.id)
+    .sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)));
+  for (const t of missing) {
+    ledger.txSeq = (Number(ledger.txSeq) || 0) + 1;
+    t.id = formatTxId(ledger.txSeq);
+  }
+}
+
+function migrateData(data) {
+  // v1 files were a single global ledger at the top level; move it into the default ledger
+  if (!data.ledgers) {
+    const legacy = {
+      balances: data.balances,
+      transactions: data.transactions,
+      profiles: data.profiles,
+      loans: data.loans,
+      loanTransactions: data.loanTransactions,
+    };
+    console.log("Migrating bank data into the default ledger");
+    data = {
+      version: 2,
+      homeGuildId: process.env.HOME_GUILD_ID || null,
+      ledgers: { [DEFAULT_LEDGER_KEY]: legacy },
+      guilds: {},
+    };
+  }
+
+  if (!data.homeGuildId) data.homeGuildId = process.env.HOME_GUILD_ID || null;
+  if (!data.guilds) data.guilds = {};
+  for (const ledger of Object.values(data.ledgers)) normalizeLedger(ledger);
+
+  if (data.version < 3) {
+    console.log("Migrating bank amounts from GP to copper pieces");
+    for (const ledger of Object.values(data.ledgers)) convertLedgerToCopper(ledger);
+  }
+
+  data.version = DATA_VERSION;
+  return data;
+}
+
+// v2 stored whole GP; v3 stores copper so silver and copper rewards can be recorded
+function convertLedgerToCopper(ledger) {
+  const toCp = (gp) => Math.round((Number(gp) || 0) * 100);
+
+  for (const name of Object.keys(ledger.balances)) ledger.balances[name] = toCp(ledger.balances[name]);
+  for (const list of Object.values(ledger.transactions)) {
+    for (const t of list) t.amount = toCp(t.amount);
+  }
+  for (const loan of Object.values(ledger.loans)) {
+    if (loan) loan.balance = toCp(loan.balance);
+  }
+  for (const list of Object.values(ledger.loanTransactions)) {
+    for (const t of list) t.amount = toCp(t.amount);
+  }
+}
+
+// resolved loans are paid off, voided loans were entered by mistake
+function isLoanOpen(loan) {
+  return !!loan && loan.status !== "resolved" && loan.status !== "voided";
+}
+
+function txSeqOf(id) {
+  return parseInt(String(id || "").slice(2), 36) || 0;
+}
+
+// coin counts added per denomination, for purses of merged accounts
+function addPurses(a, b) {
+  const sum = { ...(a || {}) };
+  for (const [denom, n] of Object.entries(b || {})) sum[denom] = (Number(sum[denom]) || 0) + (Number(n) || 0);
+  return sum;
+}
+
+// vault items added up per item, for merged accounts. The value per item becomes the average of both
+// (rounded to the copper), so the vault is worth what both were; an item with no value yet takes the other's
+function addItems(a, b) {
+  const sum = { ...(a || {}) };
+  for (const [key, item] of Object.entries(b || {})) {
+    const held = sum[key];
+    if (!held) {
+      sum[key] = item;
+      continue;
+    }
+    const qty = held.qty + item.qty;
+    const worth = held.qty * held.value + item.qty * item.value;
+    const value = held.value && item.value ? Math.round(worth / qty) : held.value || item.value;
+    sum[key] = { ...held, qty, value };
+  }
+  return sum;
+}
+
+function nameKey(name) {
+  return String(name || "").trim().toLowerCase();
+}
+
+// throws when the file is missing, isn't JSON or doesn't look like bank data
+function readDataFile(file) {
+  const data = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!data || typeof data !== "object" || Array.isArray(data)) throw new Error("not a bank data object");
+  if (!data.ledgers && !data.balances) throw new Error("no ledgers or balances in file");
+  return data;
+}
+
+// problems with a ledger that comes from outside (an !importdb file) as readable strings, empty when usable
+function validateLedger(raw) {
+  const isObject = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+  const isAmount = (v) => typeof v === "number" && Number.isFinite(v);
+  if (!isObject(raw)) return ["the file is not a JSON object"];
+
+  const errors = [];
+  for (const key of ["balances", "transactions", "profiles", "loans", "loanTransactions"]) {
+    if (!isObject(raw[key])) errors.push(`\`${key}\` is missing or not an object`);
+  }
+  if (raw.purses !== undefined && !isObject(raw.purses)) errors.push("`purses` is not an object");
+  if (raw.items !== undefined && !isObject(raw.items)) errors.push("`items` is not an object");
+  if (raw.parties !== undefined && !isObject(raw.parties)) errors.push("`parties` is not an object");
+  if (raw.sessions !== undefined && !isObject(raw.sessions)) errors.push("`sessions` is not an object");
+  if (raw.recurring !== undefined && !isObject(raw.recurring)) errors.push("`recurring` is not an object");
+  if (raw.accounts !== undefined && !isObject(raw.accounts)) errors.push("`accounts` is not an object");
+  if (raw.txSeq !== undefined && !Number.isInteger(raw.txSeq)) errors.push("`txSeq` is not a whole number");
+  if (errors.length) return errors;
+
+  const checkEntries = (section, lists) => {
+    for (const [owner, list] of Object.entries(lists)) {
+      if (!Array.isArray(list)) {
+        errors.push(`\`${section}.${owner}\` is not a list`);
+        continue;
+      }
+      list.forEach((t, i) => {
+        if (!isObject(t) || typeof t.type !== "string" || !isAmount(t.amount)) {
+          errors.push(`\`${section}.${owner}[${i}]\` needs a type and a numeric amount`);
+        }
+      });
+    }
+  };
+
+  for (const [name, amount] of Object.entries(raw.balances)) {
+    if (!isAmount(amount)) errors.push(`balance of \`${name}\` is not a number`);
+  }
+  checkEntries("transactions", raw.transactions);
+  checkEntries("loanTransactions", raw.loanTransactions);
+  for (const [userId, profile] of Object.entries(raw.profiles)) {
+    if (!isObject(profile) || (profile.name !== undefined && typeof profile.name !== "string")) {
+      errors.push(`profile \`${userId}\` needs a text name`);
+    }
+  }
+  for (const [loanId, loan] of Object.entries(raw.loans)) {
+    if (loan === null) continue;
+    if (!isObject(loan) || typeof loan.borrowerName !== "string" || typeof loan.lenderName !== "string") {
+      errors.push(`loan \`${loanId}\` needs a borrowerName and a lenderName`);
+    } else if (!isAmount(loan.balance)) {
+      errors.push(`loan \`${loanId}\` has no numeric balance`);
+    }
+  }
+  for (const [name, coins] of Object.entries(raw.purses || {})) {
+    if (!isObject(coins)) errors.push(`purse of \`${name}\` is not an object`);
+  }
+  for (const [name, items] of Object.entries(raw.items || {})) {
+    if (!isObject(items)) {
+      errors.push(`vault of \`${name}\` is not an object`);
+      continue;
+    }
+    for (const [key, item] of Object.entries(items)) {
+      if (!isObject(item) || typeof item.name !== "string" || !Number.isInteger(item.qty) || !isAmount(item.value)) {
+        errors.push(`item \`${key}\` of \`${name}\` needs a name, a whole qty and a numeric value`);
+      }
+    }
+  }
+  for (const [key, party] of Object.entries(raw.parties || {})) {
+    if (!isObject(party) || typeof party.name !== "string" || !Array.isArray(party.members)) {
+      errors.push(`party \`${key}\` needs a name and a members list`);
+    }
+  }
+  for (const [key, account] of Object.entries(raw.accounts || {})) {
+    if (!isObject(account) || typeof account.name !== "string" || !Array.isArray(account.aliases)) {
+      errors.push(`account \`${key}\` needs a name and an aliases list`);
+    }
+  }
+  for (const [id, session] of Object.entries(raw.sessions || {})) {
+    if (!isObject(session) || typeof session.name !== "string" || typeof session.status !== "string") {
+      errors.push(`session \`${id}\` needs a name and a status`);
+    }
+  }
+  for (const [id, rule] of Object.entries(raw.recurring || {})) {
+    if (!isObject(rule) || typeof rule.accountName !== "string" || !isAmount(rule.amount)) {
+      errors.push(`recurring transaction \`${id}\` needs an accountName and a numeric amount`);
+    }
+  }
+  return errors;
+}
+
+// copies migrated bank data (all ledgers plus config) into a storage backend in one transaction
+function importData(storage, data) {
+  storage.begin();
+  try {
+    storage.data.homeGuildId = data.homeGuildId || null;
+    storage.data.guilds = data.guilds || {};
+    for (const [key, raw] of Object.entries(data.ledgers)) importLedger(storage.getLedger(key), raw);
+    storage.commit();
+  } catch (err) {
+    storage.rollback();
+    throw err;
+  }
+}
+
+function importLedger(ledger, raw) {
+  for (const [key, account] of Object.entries(raw.accounts || {})) ledger.saveAccount(key, account);
+  for (const [name, amount] of Object.entries(raw.balances)) ledger.setBalance(name, Number(amount) || 0);
+  for (const [name, list] of Object.entries(raw.transactions)) {
+    for (const entry of list) ledger.addTransaction(name, entry);
+  }
+  for (const [name, coins] of Object.entries(raw.purses)) ledger.setPurse(name, coins);
+  for (const [name, items] of Object.entries(raw.items || {})) ledger.setItems(name, items);
+  for (const [userId, profile] of Object.entries(raw.profiles)) ledger.setProfile(userId, profile);
+  for (const [key, party] of Object.entries(raw.parties || {})) ledger.saveParty(key, party);
+  for (const [id, session] of Object.entries(raw.sessions || {})) ledger.saveSession(id, session);
+  for (const [id, rule] of Object.entries(raw.recurring || {})) ledger.saveRecurring(id, rule);
+  for (const [loanId, loan] of Object.entries(raw.loans)) {
+    if (loan) ledger.saveLoan(loanId, loan);
+  }
+  for (const [loanId, list] of Object.entries(raw.loanTransactions)) {
+    for (const entry of list) ledger.addLoanTransaction(loanId, entry);
+  }
+  ledger.setTxSeq(Number(raw.txSeq) || 0);
+}
+
+// counts and sums that must survive a copy between backends unchanged
+function ledgerTotals(raw) {
+  const sum = (values) => values.reduce((s, v) => s + (Number(v) || 0), 0);
+  const entries = Object.values(raw.transactions).flat();
+  const loanEntries = Object.values(raw.loanTransactions).flat();
+  const loans = Object.values(raw.loans).filter(Boolean);
+  return {
+    accounts: Object.keys(raw.balances).length,
+    balances: sum(Object.values(raw.balances)),
+    transactions: entries.length,
+    transactionAmounts: sum(entries.map((t) => t.amount)),
+    loans: loans.length,
+    loanBalances: sum(loans.map((loan) => loan.balance)),
+    loanTransactions: loanEntries.length,
+    loanTransactionAmounts: sum(loanEntries.map((t) => t.amount)),
+    items: sum(Object.values(raw.items || {}).flatMap((items) => Object.values(items).map((item) => item.qty))),
+    profiles: Object.keys(raw.profiles).length,
+    parties: Object.keys(raw.parties || {}).length,
+    sessions: Object.keys(raw.sessions || {}).length,
+    recurring: Object.keys(raw.recurring || {}).length,
+    registeredAccounts: Object.keys(raw.accounts || {}).length,
+    txSeq: Number(raw.txSeq) || 0,
+  };
+}
+
+// ============= BACKUPS =============
+
+// "2026-10-19T03:25:49.123Z" -> "2026-10-19T03-25-49-123Z", safe in file names and still sortable
+function fileTimestamp(date = new Date()) {
+  return date.toISOString().replace(/[:.]/g, "-");
+}
+
+// backups of a data file go to backups/ next to it and are named after it ("bank-data-<time>.json"),
+// so the backups of another data file (`--data scratch.json`) never show up among the bot's own
+function backupLocation(dataFile) {
+  const { dir, name, ext } = path.parse(dataFile);
+  return { dir: path.join(dir, "backups"), prefix: `${name}-`, ext };
+}
+
+const BACKUP_TIME = /^(\d{4}-\d\d-\d\d)T(\d\d)-(\d\d)-(\d\d)-\d+Z(?:-\d+)?$/;
+
+// newest first; the extension keeps one backend's backups out of the other's
+function listBackupFiles(dataFile) {
+  const { dir, prefix, ext } = backupLocation(dataFile);
+  if (!fs.existsSync(dir)) return [];
+  return fs
+    .readdirSync(dir)
+    .filter((file) => file.startsWith(prefix) && file.endsWith(ext))
+    .filter((file) => BACKUP_TIME.test(file.slice(prefix.length, file.length - ext.length)))
+    .sort()
+    .reverse()
+    .map((file) => {
+      const filePath = path.join(dir, file);
+      return { file, path: filePath, size: fs.statSync(filePath).size };
+    });
+}
+
+// a free backup path for now; write(target) creates the file, then the oldest beyond BACKUP_KEEP are dropped
+function writeBackup(dataFile, write) {
+  const { dir, prefix, ext } = backupLocation(dataFile);
+  fs.mkdirSync(dir, { recursive: true });
+  let file = `${prefix}${fileTimestamp()}${ext}`;
+  for (let n = 1; fs.existsSync(path.join(dir, file)); n++) file = `${prefix}${fileTimestamp()}-${n}${ext}`;
+  write(path.join(dir, file));
+
+  for (const old of listBackupFiles(dataFile).slice(BACKUP_KEEP)) {
+    try {
+      fs.unlinkSync(old.path);
+    } catch (err) {
+      console.error(`Failed to delete old backup ${old.file}:`, err);
+    }
+  }
+  return file;
+}
+
+function formatBackupTime(backup) {
+  const match = backup.file.match(/(\d{4}-\d\d-\d\d)T(\d\d)-(\d\d)-(\d\d)-\d+Z(?:-\d+)?\.\w+$/);
+  return match ? `${match[1]} ${match[2]}:${match[3]}:${match[4]} UTC` : backup.file;
+}
+
+// moves an unreadable data file (and any siblings like SQLite's -wal) aside so nothing overwrites it
+function moveAside(file, siblings = []) {
+  const corruptFile = `${file}.corrupt-${fileTimestamp()}`;
+  fs.renameSync(file, corruptFile);
+  for (const suffix of siblings) {
+    if (fs.existsSync(file + suffix)) fs.renameSync(file + suffix, corruptFile + suffix);
+  }
+  return corruptFile;
+}
+
+function recoveredNotice(file, corruptFile, backup) {
+  return (
+    `⚠️ ${path.basename(file)} was unreadable and has been moved to \`${path.basename(corruptFile)}\`.\n` +
+    `The bank was restored from the newest valid backup \`${backup.file}\` (${formatBackupTime(backup)}); ` +
+    "anything recorded after that is missing. Use `!backups list` to check."
+  );
+}
+
+function readOnlyNotice(file, corruptFile) {
+  return (
+    `⚠️ ${path.basename(file)} was unreadable and has been moved to \`${path.basename(corruptFile)}\`. ` +
+    "No valid backup was found, so the bank is **read-only**. Restore a backup with `!backups restore <n>` " +
+    "or fix the file and restart the bot."
+  );
+}
+
+// ============= JSON STORAGE =============
+
+// The whole bank lives in memory and is rewritten to bank-data.json shortly after a save, once for
+// all the saves in between. Writes go to a temp file that is renamed over the old one, so a crash or
+// a full disk mid-write leaves the old file intact instead of a truncated one.
+function createJsonStorage(file = DATA_FILE) {
+  let depth = 0;
+  let snapshot = null; // { config, ledgers: { [key]: JSON text, null for a ledger the transaction created } }
+  let lastBackupAt = 0;
+  let saveTimer = null;
+
+  const storage = {
+    kind: "json",
+    data: createData(),
+    // set when the data file can't be read and no backup could stand in for it: nothing is saved,
+    // so the unreadable file is never overwritten by an empty bank
+    readOnlyReason: null,
+    // warning for the admin channel once the client is ready
+    notice: null,
+
+    getLedger(key) {
+      if (depth > 0 && !(key in snapshot.ledgers)) {
+        const raw = storage.data.ledgers[key];
+        snapshot.ledgers[key] = raw ? JSON.stringify(raw) : null;
+      }
+      if (!storage.data.ledgers[key]) storage.data.ledgers[key] = createLedger();
+      return jsonLedger(storage.data.ledgers[key]);
+    },
+
+    ledgerKeys() {
+      return Object.keys(storage.data.ledgers);
+    },
+
+    // rollback restores the in-memory state from before begin(); the file is only written on commit.
+    // Only the config is copied up front, a ledger when the transaction first asks for it, so a command
+    // doesn't copy the ledgers it never touches (ledgers have to be fetched inside the transaction)
+    begin() {
+      if (depth++ > 0) return;
+      const { ledgers, ...config } = storage.data;
+      snapshot = { config: JSON.stringify(config), ledgers: {} };
+    },
+
+    commit() {
+      if (depth === 0 || --depth > 0) return;
+      snapshot = null;
+      storage.save();
+    },
+
+    rollback() {
+      if (depth === 0) return;
+      depth = 0;
+      const { ledgers } = storage.data;
+      for (const [key, raw] of Object.entries(snapshot.ledgers)) {
+        if (raw === null) delete ledgers[key];
+        else ledgers[key] = JSON.parse(raw);
+      }
+      storage.data = { ...JSON.parse(snapshot.config), ledgers };
+      snapshot = null;
+    },
+
+    save() {
+      if (depth > 0) return true; // written on commit
+      if (storage.readOnlyReason) {
+        console.error("Bank data is read-only, not saving:", storage.readOnlyReason);
+        return false;
+      }
+      if (!saveTimer) saveTimer = setTimeout(() => storage.flush(), SAVE_DELAY_MS);
+      return true;
+    },
+
+    flush() {
+      if (!saveTimer) return true;
+      clearTimeout(saveTimer);
+      saveTimer = null;
+      return writeData();
+    },
+
+    listBackups() {
+      return listBackupFiles(file);
+    },
+
+    // copies the current file into the backups next to it; null when there is no file yet
+    backup() {
+      storage.flush();
+      if (!fs.existsSync(file)) return null;
+      const name = writeBackup(file, (target) => fs.copyFileSync(file, target));
+      lastBackupAt = Date.now();
+      return name;
+    },
+
+    checkBackup(backup) {
+      migrateData(readDataFile(backup.path));
+    },
+
+    // the state being replaced becomes a backup of its own, so a restore can be undone;
+    // returns that backup's file name, or null when there was nothing to back up
+    restoreBackup(backup) {
+      const data = migrateData(readDataFile(backup.path));
+      const previous = storage.readOnlyReason ? null : storage.backup();
+      storage.data = data;
+      storage.readOnlyReason = null;
+      if (!writeData()) throw new Error("saving the restored data failed");
+      return previous;
+    },
+
+    close() {
+      storage.flush();
+    },
+  };
+
+  function writeData() {
+    // a failed backup must not stop the save itself
+    if (Date.now() - lastBackupAt >= BACKUP_INTERVAL_MS) {
+      try {
+        storage.backup();
+      } catch (err) {
+        console.error("Failed to back up bank data:", err);
+      }
+    }
+
+    try {
+      writeFileAtomic(file, JSON.stringify(storage.data, null, 2));
+      return true;
+    } catch (err) {
+      console.error("Failed to save bank data:", err);
+      return false;
+    }
+  }
+
+  if (!fs.existsSync(file)) return storage; // fresh bank
+
+  try {
+    storage.data = migrateData(readDataFile(file));
+    return storage;
+  } catch (err) {
+    console.error("Failed to load bank data:", err);
+  }
+
+  // keep the unreadable file for inspection; the next save must not overwrite it
+  let corruptFile;
+  try {
+    corruptFile = moveAside(file);
+  } catch (err) {
+    console.error("Failed to move unreadable bank data aside:", err);
+    storage.readOnlyReason = `${path.basename(file)} is unreadable and could not be moved aside.`;
+    storage.notice = `⚠️ ${storage.readOnlyReason} The bank is **read-only** until the file is fixed and the bot restarted.`;
+    return storage;
+  }
+
+  for (const backup of storage.listBackups()) {
+    try {
+      storage.data = migrateData(readDataFile(backup.path));
+    } catch (err) {
+      console.error(`Skipping unreadable backup ${backup.file}:`, err.message);
+      continue;
+    }
+    console.warn(`Recovered bank data from backup ${backup.file}`);
+    storage.notice = recoveredNotice(file, corruptFile, backup);
+    return storage;
+  }
+
+  storage.readOnlyReason = `${path.basename(file)} is unreadable and there is no valid backup.`;
+  storage.notice = readOnlyNotice(file, corruptFile);
+  return storage;
+}
+
+// write to a temp file and rename it over the target
+function writeFileAtomic(file, text) {
+  const tmpFile = `${file}.tmp`;
+  const fd = fs.openSync(tmpFile, "w");
+  try {
+    fs.writeFileSync(fd, text, "utf8");
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmpFile, file);
+}
+
+function jsonLedger(raw) {
+  const findIn = (lists, id) => {
+    for (const [owner, list] of Object.entries(lists)) {
+      const entry = list.find((t) => t.id === id);
+      if (entry) return { owner, entry };
+    }
+    return null;
+  };
+  const replaceIn = (list, entry) => {
+    const i = (list || []).findIndex((t) => t.id === entry.id);
+    if (i !== -1) list[i] = entry;
+  };
+  const loanList = (loanId) => {
+    if (!raw.loanTransactions[loanId]) raw.loanTransactions[loanId] = [];
+    return raw.loanTransactions[loanId];
+  };
+
+  return {
+    getAccount: (key) => raw.accounts[key] || null,
+    saveAccount: (key, account) => {
+      raw.accounts[key] = account;
+    },
+    deleteAccount: (key) => {
+      delete raw.accounts[key];
+    },
+    getAccounts: () => ({ ...raw.accounts }),
+    // moves balance, purse, vault and bank entries of one account name onto another (adding up when both exist)
+    // and points transfer counterparties at the new name; loans, profiles and parties are up to the caller
+    renameAccount: (from, to) => {
+      if (from === to) return;
+      if (from in raw.balances) {
+        raw.balances[to] = (raw.balances[to] || 0) + raw.balances[from];
+        delete raw.balances[from];
+      }
+      if (raw.purses[from]) {
+        raw.purses[to] = addPurses(raw.purses[to], raw.purses[from]);
+        delete raw.purses[from];
+      }
+      if (raw.items[from]) {
+        raw.items[to] = addItems(raw.items[to], raw.items[from]);
+        delete raw.items[from];
+      }
+      if (raw.transactions[from]) {
+        const merged = [...(raw.transactions[to] || []), ...raw.transactions[from]];
+        raw.transactions[to] = merged.sort((a, b) => txSeqOf(a.id) - txSeqOf(b.id));
+        delete raw.transactions[from];
+      }
+      for (const list of Object.values(raw.transactions)) {
+        for (const t of list) if (t.counterparty === from) t.counterparty = to;
+      }
+    },
+
+    getBalance: (name) => raw.balances[name] || 0,
+    setBalance: (name, amount) => {
+      raw.balances[name] = amount;
+    },
+    getBalances: () => ({ ...raw.balances }),
+    getTopBalances: (limit) =>
+      Object.entries(raw.balances)
+        .map(([name, bal]) => [String(name), Number(bal) || 0])
+        .filter(([, bal]) => Number.isFinite(bal) && bal > 0)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, limit),
+
+    getTransactions: (name) => raw.transactions[name] || [],
+    addTransaction: (name, entry) => {
+      if (!raw.transactions[name]) raw.transactions[name] = [];
+      raw.transactions[name].push(entry);
+    },
+    updateTransaction: (name, entry) => replaceIn(raw.transactions[name], entry),
+
+    // { kind: "bank", accountName, entry } or { kind: "loan", loanId, entry }
+    findTransaction: (id) => {
+      const bank = findIn(raw.transactions, id);
+      if (bank) return { kind: "bank", accountName: bank.owner, entry: bank.entry };
+      const loan = findIn(raw.loanTransactions, id);
+      if (loan) return { kind: "loan", loanId: loan.owner, entry: loan.entry };
+      return null;
+    },
+    getTransactionsByActor: (actorId) => [
+      ...Object.entries(raw.transactions).flatMap(([accountName, list]) =>
+        list.filter((t) => t.actorId === actorId).map((entry) => ({ kind: "bank", accountName, entry }))
+      ),
+      ...Object.entries(raw.loanTransactions).flatMap(([loanId, list]) =>
+        list.filter((t) => t.actorId === actorId).map((entry) => ({ kind: "loan", loanId, entry }))
+      ),
+    ],
+
+    getPurse: (name) => raw.purses[name] || null,
+    setPurse: (name, coins) => {
+      raw.purses[name] = coins;
+    },
+
+    // an empty vault is dropped rather than kept as {}
+    getItems: (name) => raw.items[name] || {},
+    setItems: (name, items) => {
+      if (Object.keys(items).length) raw.items[name] = items;
+      else delete raw.items[name];
+    },
+    getAllItems: () => ({ ...raw.items }),
+
+    getProfile: (userId) => raw.profiles[userId] || null,
+    setProfile: (userId, profile) => {
+      raw.profiles[userId] = profile;
+    },
+    getProfiles: () => ({ ...raw.profiles }),
+
+    getParty: (key) => raw.parties[key] || null,
+    saveParty: (key, party) => {
+      raw.parties[key] = party;
+    },
+    deleteParty: (key) => {
+      delete raw.parties[key];
+    },
+    getParties: () => ({ ...raw.parties }),
+
+    getSession: (id) => raw.sessions[id] || null,
+    saveSession: (id, session) => {
+      raw.sessions[id] = session;
+    },
+    getSessions: () => ({ ...raw.sessions }),
+
+    getRecurring: (id) => raw.recurring[id] || null,
+    saveRecurring: (id, rule) => {
+      raw.recurring[id] = rule;
+    },
+    deleteRecurring: (id) => {
+      delete raw.recurring[id];
+    },
+    listRecurring: () => ({ ...raw.recurring }),
+
+    getLoan: (loanId) => raw.loans[loanId] || null,
+    saveLoan: (loanId, loan) => {
+      raw.loans[loanId] = loan;
+    },
+    hasLoanId: (loanId) => !!raw.loans[loanId] || !!raw.loanTransactions[loanId],
+    // [{ loanId, ...loan }] in creation order; borrower/lender match case-insensitively, open skips closed loans
+    findLoans: ({ borrower, lender, open } = {}) =>
+      Object.entries(raw.loans)
+        .filter(([, loan]) => !!loan && (!open || isLoanOpen(loan)))
+        .filter(([, loan]) => borrower === undefined || nameKey(loan.borrowerName) === nameKey(borrower))
+        .filter(([, loan]) => lender === undefined || nameKey(loan.lenderName) === nameKey(lender))
+        .map(([loanId, loan]) => ({ loanId, ...loan })),
+    // [{ name, debt }] of open loans summed per borrower
+    getTopDebts: (limit) => {
+      const debtByBorrower = {}; // { [borrowerName]: number }
+      for (const loan of Object.values(raw.loans)) {
+        if (!isLoanOpen(loan)) continue;
+        const bal = Number(loan.balance) || 0;
+        if (!Number.isFinite(bal) || bal <= 0) continue;
+        const borrowerName = loan.borrowerName || "Unknown";
+        debtByBorrower[borrowerName] = (debtByBorrower[borrowerName] || 0) + bal;
+      }
+      return Object.entries(debtByBorrower)
+        .map(([name, debt]) => ({ name, debt }))
+        .sort((a, b) => b.debt - a.debt)
+        .slice(0, limit);
+    },
+
+    getLoanTransactions: (loanId) => raw.loanTransactions[loanId] || [],
+    addLoanTransaction: (loanId, entry) => loanList(loanId).push(entry),
+    updateLoanTransaction: (loanId, entry) => replaceIn(raw.loanTransactions[loanId], entry),
+
+    nextTxSeq: () => {
+      raw.txSeq = (Number(raw.txSeq) || 0) + 1;
+      return raw.txSeq;
+    },
+    setTxSeq: (seq) => {
+      raw.txSeq = seq;
+    },
+
+    // the ledger in the bank-data.json layout, for exports
+    toJSON: () => raw,
+    // empties the ledger in place, e.g. before an import replaces it
+    clear: () => {
+      Object.assign(raw, createLedger());
+    },
+  };
+}
+
+// ============= SQLITE STORAGE =============
+
+const SQLITE_SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT NOT NULL);
+  CREATE TABLE IF NOT EXISTS ledgers (ledger_key TEXT PRIMARY KEY, tx_seq INTEGER NOT NULL DEFAULT 0);
+  CREATE TABLE IF NOT EXISTS balances (
+    ledger_key TEXT NOT NULL, account TEXT NOT NULL, amount INTEGER NOT NULL,
+    PRIMARY KEY (ledger_key, account)
+  );
+  CREATE TABLE IF NOT EXISTS transactions (
+    row INTEGER PRIMARY KEY, ledger_key TEXT NOT NULL, account TEXT NOT NULL, id TEXT NOT NULL,
+    actor_id TEXT, entry TEXT NOT NULL,
+    UNIQUE (ledger_key, id)
+  );
+  CREATE INDEX IF NOT EXISTS transactions_account ON transactions (ledger_key, account);
+  CREATE INDEX IF NOT EXISTS transactions_actor ON transactions (ledger_key, actor_id);
+  CREATE TABLE IF NOT EXISTS purses (
+    ledger_key TEXT NOT NULL, account TEXT NOT NULL, coins TEXT NOT NULL,
+    PRIMARY KEY (ledger_key, account)
+  );
+  CREATE TABLE IF NOT EXISTS items (
+    ledger_key TEXT NOT NULL, account TEXT NOT NULL, items TEXT NOT NULL,
+    PRIMARY KEY (ledger_key, account)
+  );
+  CREATE TABLE IF NOT EXISTS profiles (
+    ledger_key TEXT NOT NULL, user_id TEXT NOT NULL, profile TEXT NOT NULL,
+    PRIMARY KEY (ledger_key, user_id)
+  );
+  CREATE TABLE IF NOT EXISTS accounts (
+    ledger_key TEXT NOT NULL, account_key TEXT NOT NULL, account TEXT NOT NULL,
+    PRIMARY KEY (ledger_key, account_key)
+  );
+  CREATE TABLE IF NOT EXISTS parties (
+    ledger_key TEXT NOT NULL, party_key TEXT NOT NULL, party TEXT NOT NULL,
+    PRIMARY KEY (ledger_key, party_key)
+  );
+  CREATE TABLE IF NOT EXISTS sessions (
+    ledger_key TEXT NOT NULL, session_id TEXT NOT NULL, session TEXT NOT NULL,
+    PRIMARY KEY (ledger_key, session_id)
+  );
+  CREATE TABLE IF NOT EXISTS recurring (
+    ledger_key TEXT NOT NULL, recurring_id TEXT NOT NULL, rule TEXT NOT NULL,
+    PRIMARY KEY (ledger_key, recurring_id)
+  );
+  CREATE TABLE IF NOT EXISTS loans (
+    row INTEGER PRIMARY KEY, ledger_key TEXT NOT NULL, loan_id TEXT NOT NULL,
+    borrower TEXT, lender TEXT, status TEXT, balance INTEGER NOT NULL, loan TEXT NOT NULL,
+    UNIQUE (ledger_key, loan_id)
+  );
+  CREATE TABLE IF NOT EXISTS loan_transactions (
+    row INTEGER PRIMARY KEY, ledger_key TEXT NOT NULL, loan_id TEXT NOT NULL, id TEXT NOT NULL,
+    actor_id TEXT, entry TEXT NOT NULL,
+    UNIQUE (ledger_key, id)
+  );
+  CREATE INDEX IF NOT EXISTS loan_transactions_loan ON loan_transactions (ledger_key, loan_id);
+  CREATE INDEX IF NOT EXISTS loan_transactions_actor ON loan_transactions (ledger_key, actor_id);
+`;
+
+const SQLITE_TABLES = [
+  "meta",
+  "ledgers",
+  "accounts",
+  "balances",
+  "transactions",
+  "purses",
+  "items",
+  "profiles",
+  "parties",
+  "sessions",
+  "recurring",
+  "loans",
+  "loan_transactions",
+];
+// added after the first release; connect() creates them, so older backups without them still restore
+const SQLITE_LATER_TABLES = ["accounts", "parties", "sessions", "recurring", "items"];
+
+// SQL for "loan is open", matching isLoanOpen
+const OPEN_LOAN_SQL = "status NOT IN ('resolved', 'voided')";
+
+// Every change is written to bank-data.sqlite as it happens, inside the transaction of the command
+// making it; only the small config in storage.data is written as a whole (on commit/save).
+function createSqliteStorage(file = SQLITE_FILE) {
+  // required here so the JSON backend works without the native module installed
+  const Database = require("better-sqlite3");
+  // an in-memory stand-in (see openStorage) lists the backups of the real database
+  const backupsOf = file === ":memory:" ? SQLITE_FILE : file;
+  let db = null;
+  let stmts = null;
+  let depth = 0;
+  let lastBackupAt = 0;
+
+  const storage = {
+    kind: "sqlite",
+    data: createData(),
+    readOnlyReason: null,
+    notice: null,
+
+    getLedger(key) {
+      stmts.ensureLedger.run(key);
+      return sqliteLedger(key, () => stmts);
+    },
+
+    ledgerKeys() {
+      return stmts.ledgerKeys.all().map((r) => r.ledger_key);
+    },
+
+    begin() {
+      if (depth++ === 0) db.exec("BEGIN IMMEDIATE");
+    },
+
+    commit() {
+      if (depth === 0 || --depth > 0) return;
+      writeConfig();
+      db.exec("COMMIT");
+      backupIfDue();
+    },
+
+    rollback() {
+      if (depth === 0) return;
+      depth = 0;
+      if (db.inTransaction) db.exec("ROLLBACK");
+      storage.data = readConfig();
+    },
+
+    save() {
+      if (depth > 0) return true; // written on commit
+      try {
+        writeConfig();
+        backupIfDue();
+        return true;
+      } catch (err) {
+        console.error("Failed to save bank data:", err);
+        return false;
+      }
+    },
+
+    // every save and commit is written right away
+    flush() {
+      return true;
+    },
+
+    listBackups() {
+      return listBackupFiles(backupsOf);
+    },
+
+    backup() {
+      if (storage.readOnlyReason) return null;
+      const name = writeBackup(backupsOf, (target) => db.prepare("VACUUM INTO ?").run(target));
+      lastBackupAt = Date.now();
+      return name;
+    },
+
+    checkBackup(backup) {
+      const backupDb = new Database(backup.path, { readonly: true, fileMustExist: true });
+      try {
+        checkDatabase(backupDb);
+      } finally {
+        backupDb.close();
+      }
+    },
+
+    // the live database is closed, backed up and replaced by a copy of the backup
+    restoreBackup(backup) {
+      storage.checkBackup(backup);
+      const previous = storage.backup();
+      db.close();
+      for (const suffix of ["-wal", "-shm"]) fs.rmSync(file + suffix, { force: true });
+      fs.copyFileSync(backup.path, file);
+      connect(file);
+      storage.readOnlyReason = null;
+      return previous;
+    },
+
+    close() {
+      if (db) db.close();
+    },
+  };
+
+  function connect(target) {
+    db = new Database(target);
+    if (target !== ":memory:") db.pragma("journal_mode = WAL");
+    db.function("name_key", { deterministic: true }, nameKey);
+    db.exec(SQLITE_SCHEMA);
+    checkDatabase(db);
+    stmts = prepareStatements(db);
+    storage.data = readConfig();
+  }
+
+  function readConfig() {
+    const row = stmts.getMeta.get("config");
+    const config = row ? JSON.parse(row.value) : {};
+    return { ...createData(), ...config, version: DATA_VERSION, ledgers: {} };
+  }
+
+  function writeConfig() {
+    const { version, homeGuildId, guilds } = storage.data;
+    stmts.setMeta.run("config", JSON.stringify({ version, homeGuildId, guilds }));
+  }
+
+  function backupIfDue() {
+    if (Date.now() - lastBackupAt < BACKUP_INTERVAL_MS) return;
+    try {
+      storage.backup();
+    } catch (err) {
+      console.error("Failed to back up bank data:", err);
+    }
+  }
+
+  try {
+    connect(file);
+    return storage;
+  } catch (err) {
+    console.error("Failed to open bank database:", err);
+    if (db) db.close();
+  }
+
+  let corruptFile;
+  try {
+    corruptFile = moveAside(file, ["-wal", "-shm"]);
+  } catch (err) {
+    console.error("Failed to move unreadable bank database aside:", err);
+    connect(":memory:");
+    storage.readOnlyReason = `${path.basename(file)} is unreadable and could not be moved aside.`;
+    storage.notice = `⚠️ ${storage.readOnlyReason} The bank is **read-only** until the file is fixed and the bot restarted.`;
+    return storage;
+  }
+
+  for (const backup of storage.listBackups()) {
+    try {
+      fs.copyFileSync(backup.path, file);
+      connect(file);
+    } catch (err) {
+      console.error(`Skipping unreadable backup ${backup.file}:`, err.message);
+      if (db && db.open) db.close();
+      fs.rmSync(file, { force: true });
+      continue;
+    }
+    console.warn(`Recovered bank data from backup ${backup.file}`);
+    storage.notice = recoveredNotice(file, corruptFile, backup);
+    return storage;
+  }
+
+  // an in-memory database keeps the bot answering without creating a new, empty bank file
+  connect(":memory:");
+  storage.readOnlyReason = `${path.basename(file)} is unreadable and there is no valid backup.`;
+  storage.notice = readOnlyNotice(file, corruptFile);
+  return storage;
+}
+
+// throws unless db is an intact bank database
+function checkDatabase(db) {
+  const result = db.pragma("quick_check", { simple: true });
+  if (result !== "ok") throw new Error(`database check failed: ${result}`);
+  const tables = db.prepare("SELECT name FROM sqlite_master WHERE type = 'table'").all().map((r) => r.name);
+  const missing = SQLITE_TABLES.filter((t) => !tables.includes(t) && !SQLITE_LATER_TABLES.includes(t));
+  if (missing.length) throw new Error(`missing tables: ${missing.join(", ")}`);
+}
+
+function prepareStatements(db) {
+  const q = (sql) => db.prepare(sql);
+  return {
+    getMeta: q("SELECT value FROM meta WHERE key = ?"),
+    setMeta: q("INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value"),
+
+    ensureLedger: q("INSERT OR IGNORE INTO ledgers (ledger_key) VALUES (?)"),
+    ledgerKeys: q("SELECT ledger_key FROM ledgers ORDER BY rowid"),
+    nextTxSeq: q("UPDATE ledgers SET tx_seq = tx_seq + 1 WHERE ledger_key = ? RETURNING tx_seq"),
+    setTxSeq: q("UPDATE ledgers SET tx_seq = ? WHERE ledger_key = ?"),
+    getTxSeq: q("SELECT tx_seq FROM ledgers WHERE ledger_key = ?"),
+
+    getAccount: q("SELECT account FROM accounts WHERE ledger_key = ? AND account_key = ?"),
+    saveAccount: q(
+      "INSERT INTO accounts (ledger_key, account_key, account) VALUES (?, ?, ?) " +
+        "ON CONFLICT (ledger_key, account_key) DO UPDATE SET account = excluded.account"
+    ),
+    deleteAccount: q("DELETE FROM accounts WHERE ledger_key = ? AND account_key = ?"),
+    getAccounts: q("SELECT account_key, account FROM accounts WHERE ledger_key = ? ORDER BY rowid"),
+
+    getBalance: q("SELECT amount FROM balances WHERE ledger_key = ? AND account = ?"),
+    deleteBalance: q("DELETE FROM balances WHERE ledger_key = ? AND account = ?"),
+    setBalance: q(
+      "INSERT INTO balances (ledger_key, account, amount) VALUES (?, ?, ?) " +
+        "ON CONFLICT (ledger_key, account) DO UPDATE SET amount = excluded.amount"
+    ),
+    getBalances: q("SELECT account, amount FROM balances WHERE ledger_key = ? ORDER BY rowid"),
+    getTopBalances: q(
+      "SELECT account, amount FROM balances WHERE ledger_key = ? AND amount > 0 ORDER BY amount DESC, rowid LIMIT ?"
+    ),
+
+    getTransactions: q("SELECT entry FROM transactions WHERE ledger_key = ? AND account = ? ORDER BY row"),
+    getAllTransactions: q("SELECT account, entry FROM transactions WHERE ledger_key = ? ORDER BY row"),
+    addTransaction: q("INSERT INTO transactions (ledger_key, account, id, actor_id, entry) VALUES (?, ?, ?, ?, ?)"),
+    updateTransaction: q("UPDATE transactions SET entry = ? WHERE ledger_key = ? AND id = ?"),
+    findTransaction: q("SELECT account, entry FROM transactions WHERE ledger_key = ? AND id = ?"),
+    transactionsByActor: q("SELECT account, entry FROM transactions WHERE ledger_key = ? AND actor_id = ? ORDER BY row"),
+    renameTransactions: q("UPDATE transactions SET account = ? WHERE ledger_key = ? AND account = ?"),
+    transactionsByCounterparty: q(
+      "SELECT entry FROM transactions WHERE ledger_key = ? AND json_extract(entry, '$.counterparty') = ?"
+    ),
+
+    getPurse: q("SELECT coins FROM purses WHERE ledger_key = ? AND account = ?"),
+    setPurse: q(
+      "INSERT INTO purses (ledger_key, account, coins) VALUES (?, ?, ?) " +
+        "ON CONFLICT (ledger_key, account) DO UPDATE SET coins = excluded.coins"
+    ),
+    getPurses: q("SELECT account, coins FROM purses WHERE ledger_key = ? ORDER BY rowid"),
+    deletePurse: q("DELETE FROM purses WHERE ledger_key = ? AND account = ?"),
+    getItems: q("SELECT items FROM items WHERE ledger_key = ? AND account = ?"),
+    setItems: q(
+      "INSERT INTO items (ledger_key, account, items) VALUES (?, ?, ?) " +
+        "ON CONFLICT (ledger_key, account) DO UPDATE SET items = excluded.items"
+    ),
+    getAllItems: q("SELECT account, items FROM items WHERE ledger_key = ? ORDER BY rowid"),
+    deleteItems: q("DELETE FROM items WHERE ledger_key = ? AND account = ?"),
+
+    getProfile: q("SELECT profile FROM profiles WHERE ledger_key = ? AND user_id = ?"),
+    setProfile: q(
+      "INSERT INTO profiles (ledger_key, user_id, profile) VALUES (?, ?, ?) " +
+        "ON CONFLICT (ledger_key, user_id) DO UPDATE SET profile = excluded.profile"
+    ),
+    getProfiles: q("SELECT user_id, profile FROM profiles WHERE ledger_key = ? ORDER BY rowid"),
+
+    getParty: q("SELECT party FROM parties WHERE ledger_key = ? AND party_key = ?"),
+    saveParty: q(
+      "INSERT INTO parties (ledger_key, party_key, party) VALUES (?, ?, ?) " +
+        "ON CONFLICT (ledger_key, party_key) DO UPDATE SET party = excluded.party"
+    ),
+    deleteParty: q("DELETE FROM parties WHERE ledger_key = ? AND party_key = ?"),
+    getParties: q("SELECT party_key, party FROM parties WHERE ledger_key = ? ORDER BY rowid"),
+    getSession: q("SELECT session FROM sessions WHERE ledger_key = ? AND session_id = ?"),
+    saveSession: q(
+      "INSERT INTO sessions (ledger_key, session_id, session) VALUES (?, ?, ?) " +
+        "ON CONFLICT (ledger_key, session_id) DO UPDATE SET session = excluded.session"
+    ),
+    getSessions: q("SELECT session_id, session FROM sessions WHERE ledger_key = ? ORDER BY rowid"),
+    getRecurring: q("SELECT rule FROM recurring WHERE ledger_key = ? AND recurring_id = ?"),
+    saveRecurring: q(
+      "INSERT INTO recurring (ledger_key, recurring_id, rule) VALUES (?, ?, ?) " +
+        "ON CONFLICT (ledger_key, recurring_id) DO UPDATE SET rule = excluded.rule"
+    ),
+    deleteRecurring: q("DELETE FROM recurring WHERE ledger_key = ? AND recurring_id = ?"),
+    listRecurring: q("SELECT recurring_id, rule FROM recurring WHERE ledger_key = ? ORDER BY rowid"),
+
+    getLoan: q("SELECT loan FROM loans WHERE ledger_key = ? AND loan_id = ?"),
+    saveLoan: q(
+      "INSERT INTO loans (ledger_key, loan_id, borrower, lender, status, balance, loan) VALUES (?, ?, ?, ?, ?, ?, ?) " +
+        "ON CONFLICT (ledger_key, loan_id) DO UPDATE SET borrower = excluded.borrower, lender = excluded.lender, " +
+        "status = excluded.status, balance = excluded.balance, loan = excluded.loan"
+    ),
+    hasLoanId: q(
+      "SELECT 1 FROM loans WHERE ledger_key = @key AND loan_id = @loanId " +
+        "UNION ALL SELECT 1 FROM loan_transactions WHERE ledger_key = @key AND loan_id = @loanId LIMIT 1"
+    ),
+    findLoans: q(
+      "SELECT loan_id, loan FROM loans WHERE ledger_key = @key " +
+        "AND (@borrower IS NULL OR name_key(borrower) = name_key(@borrower)) " +
+        "AND (@lender IS NULL OR name_key(lender) = name_key(@lender)) " +
+        `AND (@open = 0 OR ${OPEN_LOAN_SQL}) ORDER BY row`
+    ),
+    getTopDebts: q(
+      "SELECT coalesce(nullif(borrower, ''), 'Unknown') AS name, sum(balance) AS debt FROM loans " +
+        `WHERE ledger_key = ? AND ${OPEN_LOAN_SQL} AND balance > 0 GROUP BY name ORDER BY debt DESC, min(row) LIMIT ?`
+    ),
+
+    getLoanTransactions: q("SELECT entry FROM loan_transactions WHERE ledger_key = ? AND loan_id = ? ORDER BY row"),
+    getAllLoanTransactions: q("SELECT loan_id, entry FROM loan_transactions WHERE ledger_key = ? ORDER BY row"),
+    addLoanTransaction: q(
+      "INSERT INTO loan_transactions (ledger_key, loan_id, id, actor_id, entry) VALUES (?, ?, ?, ?, ?)"
+    ),
+    updateLoanTransaction: q("UPDATE loan_transactions SET entry = ? WHERE ledger_key = ? AND id = ?"),
+    findLoanTransaction: q("SELECT loan_id, entry FROM loan_transactions WHERE ledger_key = ? AND id = ?"),
+    loanTransactionsByActor: q(
+      "SELECT loan_id, entry FROM loan_transactions WHERE ledger_key = ? AND actor_id = ? ORDER BY row"
+    ),
+
+    clearLedger: [
+      ...SQLITE_TABLES.filter((t) => !["meta", "ledgers"].includes(t)).map((t) => q(`DELETE FROM ${t} WHERE ledger_key = ?`)),
+      q("UPDATE ledgers SET tx_seq = 0 WHERE ledger_key = ?"),
+    ],
+  };
+}
+
+// statements are looked up on every call because restoring a backup reconnects the database
+function sqliteLedger(key, getStmts) {
+  const parse = (column) => (row) => JSON.parse(row[column]);
+  const actor = (entry) => (entry.actorId === undefined || entry.actorId === null ? null : String(entry.actorId));
+
+  const ledger = {
+    getAccount: (accountKey) => {
+      const row = getStmts().getAccount.get(key, accountKey);
+      return row ? JSON.parse(row.account) : null;
+    },
+    saveAccount: (accountKey, account) => {
+      getStmts().saveAccount.run(key, accountKey, JSON.stringify(account));
+    },
+    deleteAccount: (accountKey) => {
+      getStmts().deleteAccount.run(key, accountKey);
+    },
+    getAccounts: () =>
+      Object.fromEntries(getStmts().getAccounts.all(key).map((r) => [r.account_key, JSON.parse(r.account)])),
+    renameAccount: (from, to) => {
+      if (from === to) return;
+      const stmts = getStmts();
+      const fromBalance = stmts.getBalance.get(key, from);
+      if (fromBalance) {
+        stmts.setBalance.run(key, to, ledger.getBalance(to) + fromBalance.amount);
+        stmts.deleteBalance.run(key, from);
+      }
+      const fromPurse = ledger.getPurse(from);
+      if (fromPurse) {
+        ledger.setPurse(to, addPurses(ledger.getPurse(to), fromPurse));
+        stmts.deletePurse.run(key, from);
+      }
+      const fromItems = ledger.getItems(from);
+      if (Object.keys(fromItems).length) {
+        ledger.setItems(to, addItems(ledger.getItems(to), fromItems));
+        stmts.deleteItems.run(key, from);
+      }
+      // rows keep their order, so merged entries stay in transaction order
+      stmts.renameTransactions.run(to, key, from);
+      for (const row of stmts.transactionsByCounterparty.all(key, from)) {
+        const entry = JSON.parse(row.entry);
+        entry.counterparty = to;
+        stmts.updateTransaction.run(JSON.stringify(entry), key, entry.id);
+      }
+    },
+
+    getBalance: (name) => {
+      const row = getStmts().getBalance.get(key, name);
+      return row ? row.amount : 0;
+    },
+    setBalance: (name, amount) => {
+      getStmts().setBalance.run(key, name, amount);
+    },
+    getBalances: () => Object.fromEntries(getStmts().getBalances.all(key).map((r) => [r.account, r.amount])),
+    getTopBalances: (limit) => getStmts().getTopBalances.all(key, limit).map((r) => [r.account, r.amount]),
+
+    getTransactions: (name) => getStmts().getTransactions.all(key, name).map(parse("entry")),
+    addTransaction: (name, entry) => {
+      getStmts().addTransaction.run(key, name, entry.id, actor(entry), JSON.stringify(entry));
+    },
+    updateTransaction: (name, entry) => {
+      getStmts().updateTransaction.run(JSON.stringify(entry), key, entry.id);
+    },
+
+    findTransaction: (id) => {
+      const bank = getStmts().findTransaction.get(key, id);
+      if (bank) return { kind: "bank", accountName: bank.account, entry: JSON.parse(bank.entry) };
+      const loan = getStmts().findLoanTransaction.get(key, id);
+      if (loan) return { kind: "loan", loanId: loan.loan_id, entry: JSON.parse(loan.entry) };
+      return null;
+    },
+    getTransactionsByActor: (actorId) => [
+      ...getStmts()
+        .transactionsByActor.all(key, String(actorId))
+        .map((r) => ({ kind: "bank", accountName: r.account, entry: JSON.parse(r.entry) })),
+      ...getStmts()
+        .loanTransactionsByActor.all(key, String(actorId))
+        .map((r) => ({ kind: "loan", loanId: r.loan_id, entry: JSON.parse(r.entry) })),
+    ],
+
+    getPurse: (name) => {
+      const row = getStmts().getPurse.get(key, name);
+      return row ? JSON.parse(row.coins) : null;
+    },
+    setPurse: (name, coins) => {
+      getStmts().setPurse.run(key, name, JSON.stringify(coins));
+    },
+
+    getItems: (name) => {
+      const row = getStmts().getItems.get(key, name);
+      return row ? JSON.parse(row.items) : {};
+    },
+    setItems: (name, items) => {
+      if (Object.keys(items).length) getStmts().setItems.run(key, name, JSON.stringify(items));
+      else getStmts().deleteItems.run(key, name);
+    },
+    getAllItems: () => Object.fromEntries(getStmts().getAllItems.all(key).map((r) => [r.account, JSON.parse(r.items)])),
+
+    getProfile: (userId) => {
+      const row = getStmts().getProfile.get(key, userId);
+      return row ? JSON.parse(row.profile) : null;
+    },
+    setProfile: (userId, profile) => {
+      getStmts().setProfile.run(key, userId, JSON.stringify(profile));
+    },
+    getProfiles: () =>
+      Object.fromEntries(getStmts().getProfiles.all(key).map((r) => [r.user_id, JSON.parse(r.profile)])),
+
+    getParty: (partyKey) => {
+      const row = getStmts().getParty.get(key, partyKey);
+      return row ? JSON.parse(row.party) : null;
+    },
+    saveParty: (partyKey, party) => {
+      getStmts().saveParty.run(key, partyKey, JSON.stringify(party));
+    },
+    deleteParty: (partyKey) => {
+      getStmts().deleteParty.run(key, partyKey);
+    },
+    getParties: () =>
+      Object.fromEntries(getStmts().getParties.all(key).map((r) => [r.party_key, JSON.parse(r.party)])),
+
+    getSession: (sessionId) => {
+      const row = getStmts().getSession.get(key, sessionId);
+      return row ? JSON.parse(row.session) : null;
+    },
+    saveSession: (sessionId, session) => {
+      getStmts().saveSession.run(key, sessionId, JSON.stringify(session));
+    },
+    getSessions: () =>
+      Object.fromEntries(getStmts().getSessions.all(key).map((r) => [r.session_id, JSON.parse(r.session)])),
+
+    getRecurring: (id) => {
+      const row = getStmts().getRecurring.get(key, id);
+      return row ? JSON.parse(row.rule) : null;
+    },
+    saveRecurring: (id, rule) => {
+      getStmts().saveRecurring.run(key, id, JSON.stringify(rule));
+    },
+    deleteRecurring: (id) => {
+      getStmts().deleteRecurring.run(key, id);
+    },
+    listRecurring: () =>
+      Object.fromEntries(getStmts().listRecurring.all(key).map((r) => [r.recurring_id, JSON.parse(r.rule)])),
+
+    getLoan: (loanId) => {
+      const row = getStmts().getLoan.get(key, loanId);
+      return row ? JSON.parse(row.loan) : null;
+    },
+    saveLoan: (loanId, loan) => {
+      const balance = Number(loan.balance) || 0;
+      getStmts().saveLoan.run(key, loanId, loan.borrowerName, loan.lenderName, loan.status, balance, JSON.stringify(loan));
+    },
+    hasLoanId: (loanId) => !!getStmts().hasLoanId.get({ key, loanId }),
+    findLoans: ({ borrower, lender, open } = {}) =>
+      getStmts()
+        .findLoans.all({
+          key,
+          borrower: borrower === undefined ? null : String(borrower),
+          lender: lender === undefined ? null : String(lender),
+          open: open ? 1 : 0,
+        })
+        .map((r) => ({ loanId: r.loan_id, ...JSON.parse(r.loan) })),
+    getTopDebts: (limit) => getStmts().getTopDebts.all(key, limit),
+
+    getLoanTransactions: (loanId) => getStmts().getLoanTransactions.all(key, loanId).map(parse("entry")),
+    addLoanTransaction: (loanId, entry) => {
+      getStmts().addLoanTransaction.run(key, loanId, entry.id, actor(entry), JSON.stringify(entry));
+    },
+    updateLoanTransaction: (loanId, entry) => {
+      getStmts().updateLoanTransaction.run(JSON.stringify(entry), key, entry.id);
+    },
+
+    nextTxSeq: () => getStmts().nextTxSeq.get(key).tx_seq,
+    setTxSeq: (seq) => {
+      getStmts().setTxSeq.run(seq, key);
+    },
+
+    toJSON: () => {
+      const stmts = getStmts();
+      const raw = createLedger();
+      raw.accounts = ledger.getAccounts();
+      raw.balances = ledger.getBalances();
+      for (const r of stmts.getAllTransactions.all(key)) {
+        (raw.transactions[r.account] = raw.transactions[r.account] || []).push(JSON.parse(r.entry));
+      }
+      raw.purses = Object.fromEntries(stmts.getPurses.all(key).map((r) => [r.account, JSON.parse(r.coins)]));
+      raw.items = ledger.getAllItems();
+      raw.profiles = ledger.getProfiles();
+      raw.parties = ledger.getParties();
+      raw.sessions = ledger.getSessions();
+      raw.recurring = ledger.listRecurring();
+      for (const loan of ledger.findLoans()) {
+        const { loanId, ...rest } = loan;
+        raw.loans[loanId] = rest;
+      }
+      for (const r of stmts.getAllLoanTransactions.all(key)) {
+        (raw.loanTransactions[r.loan_id] = raw.loanTransactions[r.loan_id] || []).push(JSON.parse(r.entry));
+      }
+      raw.txSeq = stmts.getTxSeq.get(key).tx_seq;
+      return raw;
+    },
+    clear: () => {
+      for (const clear of getStmts().clearLedger) clear.run(key);
+    },
+  };
+  return ledger;
+}
+
+// ============= SETUP =============
+
+// file points it at another data file than the usual one (`node bot.js --cli --data <file>`)
+function openStorage(kind = process.env.STORAGE || "json", file = null) {
+  if (kind === "json") return createJsonStorage(file || DATA_FILE);
+  if (kind !== "sqlite") throw new Error(`Unknown STORAGE "${kind}", expected json or sqlite`);
+  if (file) return createSqliteStorage(file);
+
+  // a bank that was never imported would start empty and hide the JSON data; stay read-only instead
+  if (!fs.existsSync(SQLITE_FILE) && fs.existsSync(DATA_FILE)) {
+    const storage = createSqliteStorage(":memory:");
+    storage.readOnlyReason = `${path.basename(DATA_FILE)} has not been imported into SQLite yet.`;
+    storage.notice =
+      `⚠️ ${storage.readOnlyReason} Run \`node migrate-to-sqlite.js\` and restart the bot; ` +
+      "until then the bank is **read-only**.";
+    return storage;
+  }
+  return createSqliteStorage();
+}
+
+module.exports = {
+  DEFAULT_LEDGER_KEY,
+  DATA_VERSION,
+  DATA_FILE,
+  SQLITE_FILE,
+  openStorage,
+  createJsonStorage,
+  createSqliteStorage,
+  createLedger,
+  normalizeLedger,
+  convertLedgerToCopper,
+  validateLedger,
+  migrateData,
+  readDataFile,
+  importData,
+  importLedger,
+  ledgerTotals,
+  formatTxId,
+  formatBackupTime,
+  isLoanOpen,
+};
@@ -0,0 +1,218 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawnSync } = require("child_process");
+
+// End-to-end checks: each runs a batch through `node bot.js --cli` against a fresh data file, the way a
+// banker would at the console, and looks at the replies.
+
+const BOT = path.join(__dirname, "..", "bot.js");
+
+const dirs = [];
+after(() => dirs.forEach((dir) => fs.rmSync(dir, { recursive: true, force: true })));
+
+// a data file in a directory of its own, where its backups go too
+function tempData(ext = "json") {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "bank-test-"));
+  dirs.push(dir);
+  return path.join(dir, `bank.${ext}`);
+}
+
+// runs the lines as one batch in guild 1 as a banker; replies[i] is what the i-th line printed
+function cli(data, lines, flags = []) {
+  const result = spawnSync(process.execPath, [BOT, "--cli", "--data", data, "--guild", "1", ...flags, "-"], {
+    cwd: path.dirname(data),
+    input: `${lines.join("\n")}\n`,
+    encoding: "utf8",
+    timeout: 60 * 1000,
+  });
+  const replies = `\n\n${result.stdout}`
+    .split("\n\n> ")
+    .slice(1)
+    .map((block) => block.slice(block.indexOf("\n") + 1).trimEnd());
+  return { status: result.status, stderr: result.stderr, replies, last: replies[replies.length - 1] };
+}
+
+// changes the default ledger in the data file, for states commands can't make
+function editLedger(data, edit) {
+  const bank = JSON.parse(fs.readFileSync(data, "utf8"));
+  edit(bank.ledgers.default);
+  fs.writeFileSync(data, JSON.stringify(bank));
+}
+
+test("[user-001] commands in DMs are refused, except help", () => {
+  const data = tempData();
+  const run = cli(data, ["deposit Vani 300", ".guild dm", "balance Vani", "help"]);
+  assert.match(run.replies[2], /only works in server channels/);
+  assert.match(run.replies[3], /!balance/);
+});
+
+test("[user-004] deposit and withdraw take a bare amount for your own account", () => {
+  const data = tempData();
+  const run = cli(data, [".as 2 vani", "deposit 300", "withdraw 100", "balance"]);
+  assert.strictEqual(run.status, 0, run.stderr);
+  assert.match(run.last, /\*\*vani\*\*: \*\*200 GP\*\*/);
+});
+
+test("[user-005] setname can't claim a funded account; a banker can give it", () => {
+  const data = tempData();
+  const run = cli(data, ["deposit Bert 50", ".as 2 vani", ".banker off", "setname Bert", ".as 0", ".banker on",
+    "setname <@2> Bert", ".as 2", "balance"]);
+  assert.match(run.replies[3], /already holds funds or is a party treasury/);
+  assert.match(run.last, /\*\*Bert\*\*: \*\*50 GP\*\*/);
+});
+
+test("[user-008] a registry merge that fails halfway is rolled back and never saved", () => {
+  const data = tempData();
+  cli(data, ["deposit Vani 100"]);
+  // a ledger from before the registry, with two spellings of Vani and a party the merge chokes on
+  editLedger(data, (ledger) => {
+    ledger.accounts = {};
+    ledger.balances.vani = 5000;
+    ledger.transactions.vani = [{ ...ledger.transactions.Vani[0], id: "tx2", amount: 5000 }];
+    ledger.txSeq = 2;
+    ledger.parties.crew = { name: "Crew", members: null };
+  });
+
+  const run = cli(data, ["balance Vani", "deposit Bert 1"]);
+  assert.match(run.replies[0], /Something went wrong/);
+  const saved = JSON.parse(fs.readFileSync(data, "utf8")).ledgers.default;
+  assert.deepStrictEqual(saved.balances, { Vani: 10000, vani: 5000, Bert: 100 });
+  assert.deepStrictEqual(Object.keys(saved.transactions), ["Vani", "vani", "Bert"]);
+  assert.deepStrictEqual(saved.accounts.vani, undefined);
+});
+
+test("[user-013] merging two party members into one adds their weights", () => {
+  const data = tempData();
+  const run = cli(data, ["deposit Bert 10", "deposit Gorm 10", "party create Crew Bert=2 Gorm Tessa",
+    "account merge Gorm Bert", "party show Crew", "split 40 Crew"]);
+  assert.strictEqual(run.status, 0, run.stderr);
+  assert.match(run.replies[4], /\*\*Bert\*\* - weight 3 \(75%\)/);
+  assert.match(run.last, /Bert.*30 GP/);
+  assert.match(run.last, /Tessa.*10 GP/);
+});
+
+for (const ext of ["json", "sqlite"]) {
+  test(`[user-015] settling repays funded loans and moves GP by net position (${ext})`, () => {
+    const data = tempData(ext);
+    const run = cli(data, ["deposit Anna 20", "deposit Bert 20", "deposit Cara 1",
+      "loan Anna 20 Bert funded:yes", "loan Cara 15 Anna funded:yes", "withdraw Cara 16", "loan Anna 4 Cara",
+      "settle", "deposit Cara 15", "settle", ".press Approve",
+      "balance Anna", "balance Bert", "balance Cara", "loans open"]);
+    assert.strictEqual(run.status, 0, run.stderr);
+    assert.match(run.replies[7], /\*\*Cara\*\* can't cover that yet/);
+    assert.match(run.replies[10], /Settlement applied.*Repaid \*\*3\*\* loan\(s\) totalling \*\*39 GP\*\*/);
+    // funded: Anna got 20 from Bert and lent Cara 15 of it, so Cara pays Bert 15 and Anna pays Bert 5
+    assert.match(run.replies[11], /\*\*20 GP\*\*/);
+    assert.match(run.replies[12], /\*\*20 GP\*\*/);
+    assert.match(run.replies[13], /\*\*0 GP\*\*/);
+    assert.doesNotMatch(run.last, /loan_/);
+  });
+}
+
+test("[user-017] a history count is used along with filters, and one out of range is refused", () => {
+  const data = tempData();
+  const deposits = Array.from({ length: 12 }, (_, i) => `deposit Vani ${i + 1}`);
+  const run = cli(data, [...deposits, "withdraw Vani 1", "history Vani 3 type:deposit", "history Vani type:deposit 500",
+    "history Vani 0"]);
+  const [page, tooMany, zero] = run.replies.slice(-3);
+  assert.match(page, /\(type deposit\): 12 entries, page 4\/4/);
+  assert.strictEqual(page.match(/^`tx/gm).length, 3);
+  assert.match(tooMany, /from 1 to \d+/);
+  assert.match(zero, /from 1 to \d+/);
+});
+
+test("[user-020] renaming or merging an account moves its recurring rules along", () => {
+  const data = tempData();
+  const run = cli(data, ["deposit Vani 100", "deposit Bert 10", "recurring add Vani -5 every week upkeep",
+    "recurring add Bert +3 every day wage", "account rename Vani Vanya", "account merge Bert Vanya", "recurring list"]);
+  assert.strictEqual(run.status, 0, run.stderr);
+  assert.doesNotMatch(run.last, /Vani\b|Bert/);
+  assert.strictEqual(run.last.match(/Vanya/g).length, 2);
+});
+
+test("[user-020] a rule that missed many periods is caught up a few times, the rest reported as skipped", () => {
+  const data = tempData();
+  cli(data, ["deposit Vani 100", "recurring add Vani +1 every day wage"]);
+  editLedger(data, (ledger) => {
+    ledger.recurring.r1.nextAt = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000 + 60 * 1000).toISOString();
+  });
+  const run = cli(data, [".tick", ".tick", "balance Vani"]);
+  assert.strictEqual(run.status, 0, run.stderr);
+  assert.strictEqual(run.replies[0].match(/\+1 GP \(wage\): now/g).length, 5);
+  assert.match(run.replies[0], /skipped 25 more missed run\(s\)/);
+  assert.match(run.replies[1], /No recurring transactions were due/);
+  assert.match(run.last, /\*\*105 GP\*\*/);
+  // the next run is the first one still to come
+  const nextAt = Date.parse(JSON.parse(fs.readFileSync(data, "utf8")).ledgers.default.recurring.r1.nextAt);
+  assert.ok(nextAt > Date.now() && nextAt <= Date.now() + 24 * 60 * 60 * 1000);
+});
+
+test("[user-021] merged vaults average item values and keep their worth", () => {
+  const data = tempData();
+  const run = cli(data, ["deposit Bert 1", "deposit Gorm 1", "stash Bert 2 Ruby 100gp", "stash Gorm 1 Ruby 400gp",
+    "account merge Gorm Bert", "vault Bert"]);
+  assert.strictEqual(run.status, 0, run.stderr);
+  assert.match(run.last, /3× Ruby\*\* \(600 GP, 200 GP each\)/);
+});
+
+test("[user-021] stashing more of an item averages its value, and voiding the stash restores it", () => {
+  const data = tempData();
+  const run = cli(data, ["deposit Bert 1", "stash Bert 2 Ruby 50gp", "stash Bert 1 Ruby 100gp", "leaderboard worth",
+    "void tx3", "vault Bert", "leaderboard worth"]);
+  assert.strictEqual(run.status, 0, run.stderr);
+  assert.match(run.replies[2], /3× Ruby\*\* \(200.01 GP, 66.67 GP each\)/);
+  assert.match(run.replies[3], /201.01 GP/);
+  assert.match(run.replies[5], /2× Ruby\*\* \(100 GP, 50 GP each\)/);
+  assert.match(run.last, /101 GP/);
+});
+
+test("[user-021] a stash voided after an appraisal keeps the appraised value", () => {
+  const data = tempData();
+  const run = cli(data, ["deposit Bert 1", "stash Bert 2 Ruby 50gp", "stash Bert 2 Ruby 100gp",
+    "vault appraise Bert Ruby 80gp", "void tx3", "vault Bert"]);
+  assert.strictEqual(run.status, 0, run.stderr);
+  assert.match(run.last, /2× Ruby\*\* \(160 GP, 80 GP each\)/);
+});
+
+test("[user-021] unstash and sell take one item when the quantity is left out", () => {
+  const data = tempData();
+  const run = cli(data, [".as 2 vani", "deposit 1", "stash 3 Cloak of Elvenkind 10gp", "stash Bert 2 Ruby 50gp",
+    ".banker off", "sell Cloak of Elvenkind", "unstash Cloak of Elvenkind", ".banker on", "sell Bert Ruby", "vault vani"]);
+  assert.strictEqual(run.status, 0, run.stderr);
+  assert.match(run.replies[5], /Sold \*\*1× Cloak of Elvenkind\*\* from \*\*vani\*\*'s vault for \*\*10 GP\*\*/);
+  assert.match(run.replies[6], /Took \*\*1× Cloak of Elvenkind\*\* out of \*\*vani\*\*'s vault .* 1 left/);
+  assert.match(run.replies[8], /Sold \*\*1× Ruby\*\* from \*\*Bert\*\*'s vault/);
+  assert.match(run.last, /1× Cloak of Elvenkind/);
+});
+
+test("[user-023] .tick runs the scheduler's tasks once", () => {
+  const data = tempData();
+  cli(data, ["deposit Vani 100", "recurring add Vani +1 every day wage"]);
+  editLedger(data, (ledger) => {
+    ledger.recurring.r1.nextAt = new Date(Date.now() - 60 * 1000).toISOString();
+  });
+  const run = cli(data, [".tick", ".tick", "balance Vani"]);
+  assert.strictEqual(run.status, 0, run.stderr);
+  assert.match(run.replies[0], /`r1` \*\*Vani\*\* \+1 GP \(wage\): now \*\*101 GP\*\*/);
+  assert.match(run.replies[1], /No recurring transactions were due/);
+  assert.match(run.last, /\*\*101 GP\*\*/);
+});
+
+test("[user-023] backups of a --data file are kept next to it", () => {
+  const data = tempData();
+  cli(data, ["deposit Vani 1"]);
+  cli(data, ["deposit Vani 1"]);
+  const backups = fs.readdirSync(path.join(path.dirname(data), "backups"));
+  assert.ok(backups.length > 0 && backups.every((name) => name.startsWith("bank-")), backups.join(", "));
+});
+
+test("[user-023] buttons are pressed with .press and unknown ones fail the batch", () => {
+  const data = tempData();
+  const run = cli(data, ["deposit Anna 20", "loan Bert 20 Anna", "settle", ".press Cancel", ".press Approve"]);
+  assert.match(run.replies[3], /Settlement cancelled/);
+  assert.match(run.last, /No such button/);
+  assert.strictEqual(run.status, 1);
+});
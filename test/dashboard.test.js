@@ -0,0 +1,32 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const http = require("http");
+const { startDashboard } = require("../dashboard");
+
+// a port of its own per run, so a leftover server can't answer for this one
+const PORT = 40000 + Math.floor(Math.random() * 20000);
+
+function get(pathname) {
+  return new Promise((resolve, reject) => {
+    http
+      .get({ host: "127.0.0.1", port: PORT, path: pathname }, (res) => {
+        let body = "";
+        res.on("data", (chunk) => (body += chunk));
+        res.on("end", () => resolve({ status: res.statusCode, type: res.headers["content-type"], body }));
+      })
+      .on("error", reject);
+  });
+}
+
+test("[user-022] malformed escapes in a path get a 400, not a 500", async (t) => {
+  const server = startDashboard({ ledgers: () => [] }, { DASHBOARD_PORT: String(PORT) });
+  t.after(() => server.close());
+  await new Promise((resolve) => server.once("listening", resolve));
+
+  const api = await get("/api/accounts/%E0%A4%A");
+  assert.strictEqual(api.status, 400);
+  assert.match(api.type, /json/);
+  const page = await get("/accounts/%zz");
+  assert.strictEqual(page.status, 400);
+  assert.match(page.type, /html/);
+});
@@ -0,0 +1,101 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { createLocks, LOCK_TIMEOUT, LOCK_EXPIRED } = require("../locks");
+
+const tick = (ms = 5) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// runs fn as "name" under keys, logging when it starts and ends
+function job(locks, log, keys, name, ms = 10) {
+  return locks.run(keys, async () => {
+    log.push(`${name}+`);
+    await tick(ms);
+    log.push(`${name}-`);
+    return name;
+  });
+}
+
+test("exclusive holders of one key take turns in order", async () => {
+  const locks = createLocks();
+  const log = [];
+  const results = await Promise.all([
+    job(locks, log, { exclusive: ["a"] }, "1"),
+    job(locks, log, { exclusive: ["a"] }, "2"),
+    job(locks, log, { exclusive: ["a"] }, "3"),
+  ]);
+  assert.deepStrictEqual(results, ["1", "2", "3"]);
+  assert.deepStrictEqual(log, ["1+", "1-", "2+", "2-", "3+", "3-"]);
+});
+
+test("different keys run side by side", async () => {
+  const locks = createLocks();
+  const log = [];
+  await Promise.all([job(locks, log, { exclusive: ["a"] }, "a"), job(locks, log, { exclusive: ["b"] }, "b")]);
+  assert.deepStrictEqual(log, ["a+", "b+", "a-", "b-"]);
+});
+
+test("shared holders only wait for exclusive ones", async () => {
+  const locks = createLocks();
+  const log = [];
+  await Promise.all([
+    job(locks, log, { shared: ["ledger"] }, "s1"),
+    job(locks, log, { shared: ["ledger"] }, "s2"),
+    job(locks, log, { exclusive: ["ledger"] }, "x"),
+    job(locks, log, { shared: ["ledger"] }, "s3"),
+  ]);
+  assert.deepStrictEqual(log, ["s1+", "s2+", "s1-", "s2-", "x+", "x-", "s3+", "s3-"]);
+});
+
+test("a run with several keys waits for all of them", async () => {
+  const locks = createLocks();
+  const log = [];
+  await Promise.all([
+    job(locks, log, { exclusive: ["a"] }, "a", 20),
+    job(locks, log, { exclusive: ["b"] }, "b", 5),
+    job(locks, log, { exclusive: ["a", "b"] }, "ab"),
+  ]);
+  assert.deepStrictEqual(log, ["a+", "b+", "b-", "a-", "ab+", "ab-"]);
+});
+
+test("waiting too long gives up with LOCK_TIMEOUT without running fn", async () => {
+  const locks = createLocks({ waitMs: 10 });
+  let ran = false;
+  const slow = locks.run({ exclusive: ["a"] }, () => tick(40));
+  await assert.rejects(
+    locks.run({ exclusive: ["a"] }, () => (ran = true)),
+    (err) => err.code === LOCK_TIMEOUT
+  );
+  await slow;
+  assert.strictEqual(ran, false);
+});
+
+test("holding too long rejects with LOCK_EXPIRED but keeps the key until fn is done", async () => {
+  const locks = createLocks({ holdMs: 10 });
+  const log = [];
+  const slow = job(locks, log, { exclusive: ["a"] }, "slow", 40);
+  const next = job(locks, log, { exclusive: ["a"] }, "next", 5);
+  await assert.rejects(slow, (err) => err.code === LOCK_EXPIRED);
+  assert.deepStrictEqual(log, ["slow+"]);
+  assert.strictEqual(await next, "next");
+  assert.deepStrictEqual(log, ["slow+", "slow-", "next+", "next-"]);
+});
+
+test("a run waiting behind one that outlives its hold times out instead of getting in", async () => {
+  const locks = createLocks({ waitMs: 20, holdMs: 10 });
+  let ran = false;
+  const slow = assert.rejects(
+    locks.run({ exclusive: ["a"] }, () => tick(60)),
+    (err) => err.code === LOCK_EXPIRED
+  );
+  await assert.rejects(
+    locks.run({ exclusive: ["a"] }, () => (ran = true)),
+    (err) => err.code === LOCK_TIMEOUT
+  );
+  await slow;
+  assert.strictEqual(ran, false);
+});
+
+test("a failing fn releases its keys", async () => {
+  const locks = createLocks();
+  await assert.rejects(locks.run({ exclusive: ["a"] }, () => Promise.reject(new Error("boom"))), /boom/);
+  assert.strictEqual(await locks.run({ exclusive: ["a"] }, () => "next"), "next");
+});
@@ -0,0 +1,69 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { splitShares, planSettlement } = require("../shares");
+
+const amounts = (shares) => shares.map((s) => s.amount);
+
+test("splitShares divides by weight", () => {
+  const shares = splitShares(600, [
+    { name: "Vani", weight: 1 },
+    { name: "Vixil", weight: 2 },
+  ]);
+  assert.deepStrictEqual(shares, [
+    { name: "Vani", weight: 1, amount: 200 },
+    { name: "Vixil", weight: 2, amount: 400 },
+  ]);
+});
+
+test("splitShares gives leftover copper to the largest fractions, ties in listed order", () => {
+  const even = [{ weight: 1 }, { weight: 1 }, { weight: 1 }];
+  assert.deepStrictEqual(amounts(splitShares(100, even)), [34, 33, 33]);
+  assert.deepStrictEqual(amounts(splitShares(101, even)), [34, 34, 33]);
+  // 10 by 1:2:3 is 1.67, 3.33 and 5, so the one copper left goes to the first
+  assert.deepStrictEqual(amounts(splitShares(10, [{ weight: 1 }, { weight: 2 }, { weight: 3 }])), [2, 3, 5]);
+});
+
+test("splitShares never loses or adds copper", () => {
+  for (const amount of [1, 7, 99, 1000, 12345]) {
+    const shares = splitShares(amount, [{ weight: 1.5 }, { weight: 2 }, { weight: 0.25 }, { weight: 3 }]);
+    assert.strictEqual(shares.reduce((sum, s) => sum + s.amount, 0), amount);
+  }
+});
+
+const loan = (borrowerName, lenderName, balance) => ({ borrowerName, lenderName, balance });
+
+// what each person ends up with after the payments, which has to be zero for everyone
+function settled(plan) {
+  const left = { ...plan.positions };
+  for (const p of plan.payments) {
+    left[p.from] += p.amount;
+    left[p.to] -= p.amount;
+  }
+  return Object.values(left).every((amount) => amount === 0);
+}
+
+test("planSettlement nets positions", () => {
+  const plan = planSettlement([loan("Vani", "Vixil", 30), loan("Vixil", "Malakai", 30), loan("Malakai", "Vani", 10)]);
+  assert.deepStrictEqual(plan.positions, { Vani: -20, Vixil: 0, Malakai: 20 });
+  assert.deepStrictEqual(plan.payments, [{ from: "Vani", to: "Malakai", amount: 20 }]);
+});
+
+test("planSettlement needs no payments when the loans cancel out", () => {
+  const plan = planSettlement([loan("Anna", "Bert", 20), loan("Bert", "Anna", 20)]);
+  assert.deepStrictEqual(plan.payments, []);
+});
+
+test("planSettlement squares separate groups apart, in the fewest payments", () => {
+  // A owes C 5 and B owes D 7: two payments, never one person paying across the groups
+  const plan = planSettlement([loan("A", "C", 5), loan("B", "D", 7)]);
+  assert.strictEqual(plan.payments.length, 2);
+  assert.ok(settled(plan));
+});
+
+test("planSettlement squares everyone up in large groups too", () => {
+  const names = Array.from({ length: 20 }, (_, i) => `P${i}`);
+  const loans = names.map((name, i) => loan(name, names[(i * 7 + 3) % names.length], (i + 1) * 13));
+  const plan = planSettlement(loans);
+  assert.ok(settled(plan));
+  assert.ok(plan.payments.every((p) => p.amount > 0));
+});